@@ -233,10 +233,151 @@ function createFreshStartWithContext(originalUserMessage) {
   }];
 }
 
+// Conversation memory: a running summary of the turns that fall out of the history window
+const MEMORY_MAX_CHARS = 4000;
+const TRANSCRIPT_TEXT_CHARS = 1000;
+const TRANSCRIPT_TOOL_CHARS = 300;
+
+/**
+ * Splits history into the turns the rolling window keeps and the turns it evicts (including
+ * call/response turns the window drops because their partner fell out).
+ * @returns {{ kept: Array<Object>, evicted: Array<Object> }}
+ */
+function splitHistoryWindow(history, maxMessages) {
+  const kept = maintainHistoryWindow(history, maxMessages);
+  const keptTurns = new Set(kept);
+  return { kept, evicted: history.filter(msg => !keptTurns.has(msg)) };
+}
+
+function clip(text, maxLength) {
+  const value = String(text ?? "").replace(/\s+/g, " ").trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+// Chat prompts carry the document context before the question; only the question is worth remembering
+function extractUserQuestion(text) {
+  const marker = "User Question:\n";
+  const position = text.lastIndexOf(marker);
+  return position >= 0 ? text.slice(position + marker.length) : text;
+}
+
+function describeFunctionResponse(response) {
+  const content = response && Array.isArray(response.content) ? response.content : [];
+  const text = content.map(item => item && item.text).filter(Boolean).join(" ");
+  return text || JSON.stringify(response ?? "");
+}
+
+/**
+ * Renders turns as a compact transcript to summarize: user questions without the document
+ * context, answers without thoughts, and every tool call with its arguments and result (which
+ * says what the tool changed).
+ * @returns {string} One line per message part; empty when the turns have no content
+ */
+function formatTurnsForMemory(turns) {
+  const lines = [];
+  for (const msg of turns || []) {
+    for (const part of msg.parts || []) {
+      if (part.thought) continue;
+      if (part.functionCall) {
+        lines.push(`Tool call ${part.functionCall.name}: ${clip(JSON.stringify(part.functionCall.args || {}), TRANSCRIPT_TOOL_CHARS)}`);
+      } else if (part.functionResponse) {
+        lines.push(`Tool result ${part.functionResponse.name}: ${clip(describeFunctionResponse(part.functionResponse.response), TRANSCRIPT_TOOL_CHARS)}`);
+      } else if (typeof part.text === "string" && part.text.trim()) {
+        const isUser = msg.role === "user";
+        lines.push(`${isUser ? "User" : "Assistant"}: ${clip(isUser ? extractUserQuestion(part.text) : part.text, TRANSCRIPT_TEXT_CHARS)}`);
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Builds the prompt that folds older turns into the conversation memory.
+ * @returns {string}
+ */
+function buildMemoryUpdatePrompt(memory, transcript) {
+  return `You maintain the memory of a long document-review conversation between a user and an AI assistant working in Word.
+Older turns are about to be removed from the conversation. Update the memory so nothing that still matters is lost.
+
+Keep:
+- Decisions and positions the user agreed to or rejected (e.g. "keep the 30-day notice period").
+- What each tool call changed in the document, and what failed.
+- Open questions and instructions the user gave for the rest of the session.
+Drop greetings, pleasantries and details that no longer matter. Do not mention paragraph numbers such as P12; name the clause or section instead.
+
+Return ONLY the updated memory as short "- " bullet points, at most ${Math.floor(MEMORY_MAX_CHARS / 2)} characters.
+
+CURRENT MEMORY:
+${memory && memory.trim() ? memory.trim() : "(empty)"}
+
+TURNS BEING REMOVED:
+${transcript}`;
+}
+
+/**
+ * Fallback when no summary can be produced: appends the transcript lines as bullets, dropping the
+ * oldest lines beyond MEMORY_MAX_CHARS.
+ * @returns {string}
+ */
+function appendTranscriptToMemory(memory, transcript) {
+  const lines = [
+    ...String(memory ?? "").split("\n"),
+    ...String(transcript ?? "").split("\n").map(line => `- ${line}`)
+  ].filter(line => line.trim());
+  while (lines.length > 1 && lines.join("\n").length > MEMORY_MAX_CHARS) {
+    lines.shift();
+  }
+  return clipMemory(lines.join("\n"));
+}
+
+function clipMemory(memory) {
+  const value = String(memory ?? "").trim();
+  return value.length > MEMORY_MAX_CHARS ? value.slice(value.length - MEMORY_MAX_CHARS) : value;
+}
+
+/**
+ * Folds evicted turns into the conversation memory.
+ * @param {string} memory - Current memory (possibly edited by the user)
+ * @param {Array<Object>} turns - Turns leaving the history
+ * @param {(prompt: string) => Promise<string|null>} summarize - Model call; its failure falls back to appending the transcript
+ * @returns {Promise<string>} The new memory
+ */
+async function updateConversationMemory(memory, turns, summarize) {
+  const transcript = formatTurnsForMemory(turns);
+  if (!transcript) return memory;
+
+  try {
+    const summary = await summarize(buildMemoryUpdatePrompt(memory, transcript));
+    if (summary && summary.trim()) {
+      return clipMemory(summary);
+    }
+    console.warn("Conversation memory summary was empty; appending the transcript instead.");
+  } catch (error) {
+    console.warn("Could not summarize older turns; appending the transcript instead:", error);
+  }
+  return appendTranscriptToMemory(memory, transcript);
+}
+
+/**
+ * Formats the memory for the system instruction of every chat request.
+ * @returns {string} Empty when there is no memory
+ */
+function formatMemoryForPrompt(memory) {
+  const value = String(memory ?? "").trim();
+  if (!value) return "";
+  return `\n\nCONVERSATION MEMORY (summary of earlier turns that are no longer shown; the user may have edited it, and it overrides your assumptions):\n${value}`;
+}
+
 export {
   maintainHistoryWindow,
   validateHistoryPairs,
   sanitizeHistory,
   removeAllFunctionPairs,
-  createFreshStartWithContext
+  createFreshStartWithContext,
+  splitHistoryWindow,
+  formatTurnsForMemory,
+  buildMemoryUpdatePrompt,
+  appendTranscriptToMemory,
+  updateConversationMemory,
+  formatMemoryForPrompt
 };
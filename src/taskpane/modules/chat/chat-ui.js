@@ -1,9 +1,19 @@
 /* global document */
 
 import { marked } from 'marked';
+import { orderSessionTree } from '../commands/chat-session-utils.js';
 
 let onCancelRequest = null;
 let onRestoreCheckpoint = null;
+let onCheckpointLinked = null;
+let onEditMessage = null;
+let onUndoToolCall = null;
+let isRenderingTranscript = false;
+
+// Source text, checkpoint link and tool activity of each chat message element, so the chat can be stored and rebuilt
+const messageSources = new WeakMap();
+
+const WELCOME_MESSAGE = "Welcome! Ask me to assist you in editing this document.";
 
 function registerChatUiHandlers(handlers = {}) {
   if (handlers.onCancelRequest) {
@@ -12,6 +22,22 @@ function registerChatUiHandlers(handlers = {}) {
   if (handlers.onRestoreCheckpoint) {
     onRestoreCheckpoint = handlers.onRestoreCheckpoint;
   }
+  if (handlers.onCheckpointLinked) {
+    onCheckpointLinked = handlers.onCheckpointLinked;
+  }
+  if (handlers.onEditMessage) {
+    onEditMessage = handlers.onEditMessage;
+  }
+  if (handlers.onUndoToolCall) {
+    onUndoToolCall = handlers.onUndoToolCall;
+  }
+}
+
+// A message gained a Revert button (not while a stored transcript is rebuilt)
+function notifyCheckpointLinked() {
+  if (onCheckpointLinked && !isRenderingTranscript) {
+    onCheckpointLinked();
+  }
 }
 
 // --- Scroll-to-Bottom Button ---
@@ -86,7 +112,7 @@ function shakeInput() {
   }, 400);
 }
 
-function addMessageToChat(sender, message, checkpointIndex = -1) {
+function addMessageToChat(sender, message, checkpointId = -1) {
   const chatMessages = document.getElementById("chat-messages");
   const messageElement = document.createElement("div");
   // Add base class and specific sender class
@@ -100,38 +126,82 @@ function addMessageToChat(sender, message, checkpointIndex = -1) {
   } else {
     // Render Markdown for user/gemini
     messageElement.innerHTML = `<strong>${sender}:</strong> <div>${marked.parse(message)}</div>`;
+    if (sender === "User" && onEditMessage) {
+      addEditButton(messageElement);
+    }
   }
 
   // Add Revert button if a valid checkpoint index is provided
-  if (checkpointIndex !== -1) {
-    addUndoButton(messageElement, checkpointIndex);
+  if (checkpointId !== -1) {
+    addUndoButton(messageElement, checkpointId);
   }
+  messageSources.set(messageElement, { sender, text: message, checkpointId });
 
   chatMessages.appendChild(messageElement);
   chatMessages.scrollTop = chatMessages.scrollHeight; // Auto-scroll
+  if (checkpointId !== -1) notifyCheckpointLinked();
   return messageElement; // Return element for potential removal
 }
 
-function updateSystemMessage(messageElement, newMessage, checkpointIndex = -1) {
+function updateSystemMessage(messageElement, newMessage, checkpointId = -1) {
   if (!messageElement) return;
 
   // Save existing button container before replacing content
   // This preserves the revert button when called with just status text
   const existingBtnContainer = messageElement.querySelector(".revert-btn-container");
+  // Keep the cancel button of a loading message usable while its status text changes
+  const existingCancelBtn = messageElement.querySelector(".cancel-request-btn");
+  const existingActivity = messageElement.querySelector(".tool-activity");
 
   // Update content (this replaces innerHTML, destroying any existing button)
   renderSystemMessageContent(messageElement, "System", newMessage);
+  if (existingCancelBtn) {
+    messageElement.appendChild(existingCancelBtn);
+  }
+  if (existingActivity) {
+    messageElement.appendChild(existingActivity);
+  }
+
+  const previousSource = messageSources.get(messageElement);
+  // Once the turn lists its tool calls, the Revert button keeps undoing all of them
+  const activity = previousSource && previousSource.activity;
+  if (activity) checkpointId = -1;
+  messageSources.set(messageElement, {
+    sender: "System",
+    text: newMessage,
+    checkpointId: checkpointId !== -1 ? checkpointId : (previousSource ? previousSource.checkpointId : -1),
+    ...(activity ? { activity } : {})
+  });
 
   // Update/Add Undo button
-  if (checkpointIndex !== -1) {
+  if (checkpointId !== -1) {
     // New checkpoint: add fresh button (any saved container is replaced)
-    addUndoButton(messageElement, checkpointIndex);
+    addUndoButton(messageElement, checkpointId);
+    notifyCheckpointLinked();
   } else if (existingBtnContainer) {
     // No new checkpoint but had existing button: restore it
     messageElement.appendChild(existingBtnContainer);
   }
 }
 
+/**
+ * Re-renders a user/Gemini message in place, e.g. while a response streams in.
+ */
+function updateChatMessage(messageElement, sender, message) {
+  if (!messageElement) return;
+
+  const chatMessages = document.getElementById("chat-messages");
+  const isNearBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 100;
+
+  messageElement.innerHTML = `<strong>${sender}:</strong> <div>${marked.parse(message)}</div>`;
+  messageSources.set(messageElement, { sender, text: message, checkpointId: -1 });
+
+  // Follow the stream unless the user has scrolled up to read
+  if (isNearBottom) {
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+}
+
 function renderSystemMessageContent(element, sender, message) {
   const maxLength = 120; // Character limit for system messages
   if (message.length > maxLength) {
@@ -163,16 +233,17 @@ function renderSystemMessageContent(element, sender, message) {
   }
 }
 
-function addUndoButton(messageElement, checkpointIndex) {
+function addUndoButton(messageElement, checkpointId) {
   const buttonContainer = document.createElement("div");
   buttonContainer.className = "revert-btn-container";
+  buttonContainer.dataset.checkpointId = checkpointId;
   const revertBtn = document.createElement("button");
   revertBtn.innerHTML = "<span>&#8634;</span> Revert changes"; // ↺ clockwise open circle arrow
   revertBtn.className = "revert-checkpoint-btn";
   revertBtn.title = "Undo changes made by this action";
   revertBtn.onclick = () => {
     if (onRestoreCheckpoint) {
-      onRestoreCheckpoint(checkpointIndex);
+      onRestoreCheckpoint(checkpointId);
     }
   };
 
@@ -180,6 +251,170 @@ function addUndoButton(messageElement, checkpointIndex) {
   messageElement.appendChild(buttonContainer);
 }
 
+// Result text shown for a tool call before it is cut; the full text is in its tooltip
+const ACTIVITY_RESULT_PREVIEW_LENGTH = 120;
+
+function renderToolActivity(messageElement) {
+  const source = messageSources.get(messageElement);
+  const activity = (source && source.activity) || [];
+
+  let details = messageElement.querySelector(".tool-activity");
+  if (!details) {
+    details = document.createElement("details");
+    details.className = "tool-activity";
+    // Above the Revert button (appended when there is none)
+    messageElement.insertBefore(details, messageElement.querySelector(".revert-btn-container"));
+  }
+  details.innerHTML = "";
+
+  const undoneCount = activity.filter(entry => entry.undone).length;
+  const summary = document.createElement("summary");
+  summary.textContent = `${activity.length} tool call${activity.length === 1 ? "" : "s"}${undoneCount > 0 ? `, ${undoneCount} undone` : ""}`;
+  details.appendChild(summary);
+
+  const list = document.createElement("ol");
+  list.className = "tool-activity-list";
+  activity.forEach((entry, index) => {
+    const item = document.createElement("li");
+    item.className = `tool-activity-item${entry.success ? "" : " failed"}${entry.undone ? " undone" : ""}`;
+
+    const label = document.createElement("span");
+    label.className = "tool-activity-label";
+    label.textContent = entry.label;
+    const result = document.createElement("span");
+    result.className = "tool-activity-result";
+    result.textContent = entry.result.length > ACTIVITY_RESULT_PREVIEW_LENGTH
+      ? `${entry.result.substring(0, ACTIVITY_RESULT_PREVIEW_LENGTH)}...`
+      : entry.result;
+    result.title = entry.result;
+    item.append(label, result);
+
+    if (entry.undone) {
+      const status = document.createElement("span");
+      status.className = "tool-activity-status";
+      status.textContent = "Undone";
+      item.appendChild(status);
+    } else if (entry.success && onUndoToolCall) {
+      const undoBtn = document.createElement("button");
+      undoBtn.innerHTML = "<span>&#8634;</span> Undo";
+      undoBtn.className = "revert-checkpoint-btn tool-undo-btn";
+      undoBtn.title = "Undo this tool call";
+      undoBtn.onclick = () => {
+        // Checkpoints hold the whole document, so everything changed after this call goes back too
+        if (hasChangesAfter(messageElement, index) && !undoBtn.classList.contains("confirming")) {
+          undoBtn.classList.add("confirming");
+          undoBtn.innerHTML = "<span>&#8634;</span> Undo later changes too?";
+          undoBtn.title = "Later changes in this conversation are undone with this tool call. Click again to undo.";
+          return;
+        }
+        onUndoToolCall(messageElement, index, entry.checkpointId);
+      };
+      item.appendChild(undoBtn);
+    }
+    list.appendChild(item);
+  });
+  details.appendChild(list);
+}
+
+function setToolActivity(messageElement, activity) {
+  const source = messageSources.get(messageElement);
+  if (!source) return;
+  source.activity = activity;
+  renderToolActivity(messageElement);
+
+  // The Revert button of the message undoes the whole turn: it goes back to before the first call
+  const turnCheckpointId = activity.length > 0 ? activity[0].checkpointId : -1;
+  if (turnCheckpointId !== -1 && source.checkpointId !== turnCheckpointId) {
+    source.checkpointId = turnCheckpointId;
+    const existingBtnContainer = messageElement.querySelector(".revert-btn-container");
+    if (existingBtnContainer) existingBtnContainer.remove();
+    addUndoButton(messageElement, turnCheckpointId);
+  }
+}
+
+/**
+ * Lists a tool call under the status message of its turn, with its own Undo when it changed the
+ * document. The message's Revert button then undoes every tool call of the turn.
+ * @param {HTMLElement} messageElement - Loading message of the request
+ * @param {{ name: string, label: string, result: string, success: boolean, checkpointId: number }} entry -
+ *   checkpointId is the checkpoint taken just before the call
+ */
+function addToolActivity(messageElement, entry) {
+  const source = messageSources.get(messageElement);
+  if (!source) return;
+  setToolActivity(messageElement, [...(source.activity || []), { ...entry, result: entry.result || "", undone: false }]);
+  notifyCheckpointLinked();
+}
+
+function getLaterMessages(messageElement) {
+  const elements = Array.from(document.getElementById("chat-messages").children);
+  return elements.slice(elements.indexOf(messageElement) + 1).filter(element => messageSources.has(element));
+}
+
+/**
+ * @returns {boolean} Whether anything that can still be undone was changed after a tool call,
+ *   in its own turn or in a later message
+ */
+function hasChangesAfter(messageElement, index) {
+  const source = messageSources.get(messageElement);
+  if (source && (source.activity || []).slice(index + 1).some(entry => !entry.undone)) return true;
+  return getLaterMessages(messageElement).some(element => {
+    const later = messageSources.get(element);
+    return later.checkpointId !== -1 || (later.activity || []).some(entry => !entry.undone);
+  });
+}
+
+/**
+ * Marks the tool calls of a message as undone and replaces its Revert button: restoring an earlier
+ * checkpoint took its changes back, and its own checkpoint would bring them back.
+ */
+function markMessageUndone(messageElement) {
+  const source = messageSources.get(messageElement);
+  if (!source) return;
+  if (source.activity) {
+    source.activity = source.activity.map(entry => ({ ...entry, undone: true }));
+    renderToolActivity(messageElement);
+  }
+  if (source.checkpointId === -1 && !source.undone) return;
+
+  source.checkpointId = -1;
+  source.undone = true;
+  const revertContainer = messageElement.querySelector(".revert-btn-container[data-checkpoint-id]");
+  if (revertContainer) revertContainer.remove();
+  if (!messageElement.querySelector(".revert-undone-status")) {
+    const status = document.createElement("div");
+    status.className = "revert-btn-container revert-undone-status";
+    status.innerHTML = `<span class="tool-activity-status">Undone</span>`;
+    messageElement.appendChild(status);
+  }
+}
+
+/**
+ * Marks a tool call as undone (its checkpoint was restored), together with everything changed
+ * after it: the later calls of its turn and the tool calls and Revert buttons of later messages.
+ */
+function markToolActivityUndone(messageElement, index) {
+  const source = messageSources.get(messageElement);
+  if (!source || !source.activity) return;
+  source.activity = source.activity.map((entry, i) => (i >= index ? { ...entry, undone: true } : entry));
+  renderToolActivity(messageElement);
+  getLaterMessages(messageElement).forEach(markMessageUndone);
+}
+
+function addEditButton(messageElement) {
+  const editBtn = document.createElement("button");
+  editBtn.innerHTML = "&#9998;"; // ✎ pencil
+  editBtn.className = "edit-message-btn";
+  editBtn.title = "Edit and re-run from here (starts a new branch)";
+  editBtn.onclick = () => {
+    const source = messageSources.get(messageElement);
+    if (source && onEditMessage) {
+      onEditMessage(messageElement, source.text);
+    }
+  };
+  messageElement.prepend(editBtn);
+}
+
 function addRetryButton(messageElement, originalMessage) {
   const buttonContainer = document.createElement("div");
   buttonContainer.className = "revert-btn-container retry-btn-container";
@@ -202,6 +437,143 @@ function addRetryButton(messageElement, originalMessage) {
   messageElement.appendChild(buttonContainer);
 }
 
+/**
+ * Adds a one-shot action button (e.g. "Repair references") to a message.
+ * The button is removed once clicked so the action cannot run twice.
+ */
+function addActionButton(messageElement, label, onClick, title = "") {
+  const buttonContainer = document.createElement("div");
+  buttonContainer.className = "revert-btn-container";
+  const actionBtn = document.createElement("button");
+  actionBtn.innerText = label;
+  actionBtn.className = "revert-checkpoint-btn";
+  actionBtn.title = title;
+  actionBtn.onclick = () => {
+    buttonContainer.remove();
+    onClick();
+  };
+
+  buttonContainer.appendChild(actionBtn);
+  messageElement.appendChild(buttonContainer);
+}
+
+/**
+ * Empties the chat, leaving only the welcome line.
+ */
+function clearChatMessages() {
+  const chatMessages = document.getElementById("chat-messages");
+  chatMessages.innerHTML = "";
+
+  const welcomeMessage = document.createElement("div");
+  welcomeMessage.className = "chat-message system";
+  welcomeMessage.textContent = WELCOME_MESSAGE;
+  chatMessages.appendChild(welcomeMessage);
+}
+
+/**
+ * Links a user message to the chat history turn it was sent as, so the conversation can be
+ * branched there (see getChatTranscript).
+ */
+function linkMessageToHistoryTurn(messageElement, turn) {
+  const source = messageSources.get(messageElement);
+  if (source) source.turn = turn;
+}
+
+/**
+ * Records what came before a user message when it was sent: the conversation memory and the
+ * history turns still in the window. Branching there after its turn has left the window starts
+ * from these instead of the later memory.
+ * @param {HTMLElement} messageElement
+ * @param {string} memory
+ * @param {Array<Object>} [earlierTurns] - Not stored with the conversation
+ */
+function setMessageBranchContext(messageElement, memory, earlierTurns = []) {
+  const source = messageSources.get(messageElement);
+  if (!source) return;
+  source.memory = memory;
+  source.earlierTurns = earlierTurns;
+}
+
+/**
+ * Lists the messages shown in the chat with their checkpoint links, oldest first. The welcome
+ * line and typing indicators are left out.
+ * @returns {Array<{ sender: string, text: string, checkpointId: number, turn?: Object, memory?: string, earlierTurns?: Array<Object>, activity?: Array<Object>, undone?: boolean }>}
+ */
+function getChatTranscript() {
+  const chatMessages = document.getElementById("chat-messages");
+  if (!chatMessages) return [];
+  return Array.from(chatMessages.children)
+    .map(element => messageSources.get(element))
+    .filter(Boolean)
+    .map(source => ({ ...source }));
+}
+
+/**
+ * @returns {number} Position of a message in getChatTranscript(); -1 when it is no longer shown
+ */
+function getMessageTranscriptIndex(messageElement) {
+  const chatMessages = document.getElementById("chat-messages");
+  if (!chatMessages || !messageSources.has(messageElement)) return -1;
+  return Array.from(chatMessages.children)
+    .filter(element => messageSources.has(element))
+    .indexOf(messageElement);
+}
+
+/**
+ * Replaces the chat with a stored transcript; messages linked to a checkpoint get their
+ * Revert button back (unless a later undo took their changes back), user messages their history turn
+ * and branch context, and status messages their tool calls.
+ * @param {Array<{ sender: string, text: string, checkpointId: number, turn?: Object, memory?: string, earlierTurns?: Array<Object>, activity?: Array<Object>, undone?: boolean }>} messages
+ */
+function renderChatTranscript(messages) {
+  clearChatMessages();
+  isRenderingTranscript = true;
+  try {
+    (messages || []).forEach(message => {
+      const element = addMessageToChat(message.sender, message.text, message.checkpointId);
+      if (message.turn) linkMessageToHistoryTurn(element, message.turn);
+      if (typeof message.memory === "string") setMessageBranchContext(element, message.memory, message.earlierTurns);
+      if (message.activity && message.activity.length > 0) {
+        setToolActivity(element, message.activity.map(entry => ({ ...entry })));
+      }
+      if (message.undone) markMessageUndone(element);
+    });
+  } finally {
+    isRenderingTranscript = false;
+  }
+}
+
+/**
+ * Fills the conversation switcher with the stored conversations of the document.
+ * @param {HTMLSelectElement} select
+ * @param {Array<{ id: number, title: string, parentId: number|null, updatedAt: number }>} sessions - Most recently used first;
+ *   branches are listed under the conversation they were started from
+ * @param {number|null} currentId - Open conversation; null while a new one has not been saved yet
+ */
+function renderChatSessionSelect(select, sessions, currentId) {
+  if (!select) return;
+  select.innerHTML = "";
+
+  const addOption = (value, label) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+
+  if (currentId === null) addOption("", "New conversation");
+  const today = new Date().toDateString();
+  orderSessionTree(sessions).forEach(session => {
+    const updated = new Date(session.updatedAt);
+    const when = updated.toDateString() === today
+      ? updated.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+      : updated.toLocaleDateString();
+    const indent = session.depth > 0 ? `${"\u00a0\u00a0".repeat(session.depth)}\u21b3 ` : "";
+    addOption(String(session.id), `${indent}${session.title} (${when})`);
+  });
+  select.value = currentId === null ? "" : String(currentId);
+}
+
 function hideAllRetryButtons() {
   const retryContainers = document.querySelectorAll(".retry-btn-container");
   retryContainers.forEach(container => {
@@ -222,7 +594,18 @@ export {
   shakeInput,
   addMessageToChat,
   updateSystemMessage,
+  updateChatMessage,
   addRetryButton,
+  addActionButton,
+  addToolActivity,
+  markToolActivityUndone,
+  clearChatMessages,
+  linkMessageToHistoryTurn,
+  setMessageBranchContext,
+  getChatTranscript,
+  getMessageTranscriptIndex,
+  renderChatTranscript,
+  renderChatSessionSelect,
   hideAllRetryButtons,
   removeMessage
 };
@@ -0,0 +1,181 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+import { getNextPlanStep, summarizePlanProgress } from '../commands/plan-utils.js';
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  running: "Running...",
+  done: "Done",
+  no_changes: "No changes",
+  failed: "Failed",
+  skipped: "Skipped",
+  cancelled: "Cancelled"
+};
+
+// Plan states in which the user may still edit or prune the steps that have not run
+const EDITABLE_PLAN_STATES = new Set(["review", "paused"]);
+const RUNNING_PLAN_STATES = new Set(["running", "pausing"]);
+
+function describeProgress(plan) {
+  const summary = summarizePlanProgress(plan.steps);
+  const runnable = plan.steps.filter(step => step.included).length;
+  const finished = summary.done + summary.noChanges + summary.failed;
+  const parts = [`${finished} of ${runnable} step${runnable === 1 ? "" : "s"} run`];
+  if (summary.failed > 0) parts.push(`${summary.failed} failed`);
+  if (summary.noChanges > 0) parts.push(`${summary.noChanges} without changes`);
+  if (summary.skipped > 0) parts.push(`${summary.skipped} skipped`);
+  return parts.join(", ");
+}
+
+function renderStep(step, index, plan, handlers) {
+  const item = document.createElement("div");
+  item.className = `plan-step ${step.status}${step.included ? "" : " dropped"}`;
+  const editable = EDITABLE_PLAN_STATES.has(plan.state) && step.status === "pending";
+  const toolHtml = step.tool ? `<span class="plan-step-tool">${escapeHtml(step.tool)}</span>` : "";
+
+  if (editable) {
+    item.innerHTML = `
+      <div class="plan-step-header">
+        <input type="checkbox" class="plan-step-checkbox" title="Include this step" ${step.included ? "checked" : ""}>
+        <span class="plan-step-number">${index + 1}.</span>
+        ${toolHtml}
+        <button class="delete-card-btn" title="Remove step">✕</button>
+      </div>
+      <input type="text" class="plan-step-target" placeholder="Target (optional)" value="${escapeHtml(step.target)}">
+      <textarea class="plan-step-intent" rows="2">${escapeHtml(step.intent)}</textarea>
+    `;
+    item.querySelector(".plan-step-checkbox").onchange = (e) => {
+      step.included = e.target.checked;
+      item.classList.toggle("dropped", !step.included);
+      if (handlers.onChange) handlers.onChange();
+    };
+    item.querySelector(".plan-step-target").oninput = (e) => {
+      step.target = e.target.value;
+    };
+    item.querySelector(".plan-step-intent").oninput = (e) => {
+      step.intent = e.target.value;
+    };
+    item.querySelector(".delete-card-btn").onclick = () => {
+      plan.steps.splice(index, 1);
+      if (handlers.onChange) handlers.onChange();
+    };
+    return item;
+  }
+
+  const statusLabel = step.included ? STATUS_LABELS[step.status] || step.status : STATUS_LABELS.skipped;
+  item.innerHTML = `
+    <div class="plan-step-header">
+      <span class="plan-step-number">${index + 1}.</span>
+      ${toolHtml}
+      <span class="plan-step-status">${escapeHtml(statusLabel)}</span>
+    </div>
+    ${step.target ? `<div class="plan-step-target-text">${escapeHtml(step.target)}</div>` : ""}
+    <div class="plan-step-intent-text">${escapeHtml(step.intent)}</div>
+  `;
+  // Reverting is only offered while no step runs
+  if (step.checkpointId > 0 && !RUNNING_PLAN_STATES.has(plan.state) && handlers.onRevertStep) {
+    const revertBtn = document.createElement("button");
+    revertBtn.className = "revert-checkpoint-btn";
+    revertBtn.innerHTML = "<span>&#8634;</span> Revert to before this step";
+    revertBtn.title = "Also undoes the steps that ran after it";
+    revertBtn.onclick = () => handlers.onRevertStep(step);
+    item.appendChild(revertBtn);
+  }
+  return item;
+}
+
+function renderActions(actions, plan, handlers) {
+  const addButton = (label, handler, title = "") => {
+    const button = document.createElement("button");
+    button.className = "revert-checkpoint-btn";
+    button.textContent = label;
+    button.title = title;
+    button.onclick = handler;
+    actions.appendChild(button);
+    return button;
+  };
+  const addStatus = (text) => {
+    const status = document.createElement("span");
+    status.className = "plan-status";
+    status.textContent = text;
+    actions.appendChild(status);
+  };
+
+  const remaining = getNextPlanStep(plan.steps) !== -1;
+  switch (plan.state) {
+    case "review": {
+      const count = plan.steps.filter(step => step.included).length;
+      const runButton = addButton(`Run plan (${count} step${count === 1 ? "" : "s"})`, () => handlers.onRun && handlers.onRun());
+      runButton.disabled = count === 0;
+      addButton("Discard plan", () => handlers.onDiscard && handlers.onDiscard());
+      break;
+    }
+    case "running":
+    case "pausing": {
+      const runningIndex = plan.steps.findIndex(step => step.status === "running");
+      addStatus(plan.state === "pausing"
+        ? "Pausing after this step..."
+        : runningIndex >= 0 ? `Running step ${runningIndex + 1}. ${describeProgress(plan)}.` : `${describeProgress(plan)}.`);
+      if (plan.state === "running") {
+        addButton("Pause", () => handlers.onPause && handlers.onPause(), "Stop after the running step");
+      }
+      if (runningIndex >= 0) {
+        addButton("Skip step", () => handlers.onSkip && handlers.onSkip(), "Cancel the running step and go on with the next one");
+      }
+      break;
+    }
+    case "paused":
+      addStatus(`Paused. ${describeProgress(plan)}.`);
+      if (remaining) addButton("Resume", () => handlers.onRun && handlers.onRun());
+      addButton("Discard remaining steps", () => handlers.onDiscard && handlers.onDiscard());
+      break;
+    case "discarded":
+      addStatus(plan.steps.some(step => step.status !== "pending") ? `Stopped. ${describeProgress(plan)}.` : "Plan discarded.");
+      break;
+    default:
+      addStatus(`Finished. ${describeProgress(plan)}.`);
+  }
+}
+
+/**
+ * Renders a plan as a checklist: steps that have not run can be edited, left out or removed while
+ * the plan is in review or paused; steps that ran show their outcome and a Revert button.
+ *
+ * @param {HTMLElement} panel
+ * @param {{ steps: Array<Object>, state: "review"|"running"|"pausing"|"paused"|"finished"|"discarded" }} plan - Steps from normalizePlanSteps
+ * @param {{ onRun: () => void, onPause: () => void, onSkip: () => void, onDiscard: () => void, onRevertStep: (step: Object) => void, onChange: () => void }} handlers
+ */
+function renderPlanPanel(panel, plan, handlers = {}) {
+  if (!panel) return;
+  panel.innerHTML = `<div class="plan-title"><strong>Plan</strong> (${plan.steps.length} step${plan.steps.length === 1 ? "" : "s"})</div>`;
+
+  const list = document.createElement("div");
+  list.className = "plan-step-list";
+  plan.steps.forEach((step, index) => list.appendChild(renderStep(step, index, plan, handlers)));
+  panel.appendChild(list);
+
+  const actions = document.createElement("div");
+  actions.className = "plan-actions";
+  renderActions(actions, plan, handlers);
+  panel.appendChild(actions);
+}
+
+/**
+ * Adds a plan panel to the chat.
+ * @returns {HTMLElement} The panel, for later renderPlanPanel calls
+ */
+function showPlanPanel(plan, handlers = {}) {
+  const chatMessages = document.getElementById("chat-messages");
+  const panel = document.createElement("div");
+  panel.className = "chat-message system plan-panel animate-entry";
+  renderPlanPanel(panel, plan, handlers);
+  chatMessages.appendChild(panel);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  return panel;
+}
+
+export {
+  showPlanPanel,
+  renderPlanPanel
+};
@@ -0,0 +1,130 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+
+const OPERATION_LABELS = {
+  edit_paragraph: "Edit",
+  modify_text: "Modify text",
+  replace_paragraph: "Replace paragraph",
+  replace_range: "Replace range"
+};
+
+function describeLocation(staged) {
+  if (staged.startParagraph === null) return "Unknown paragraph";
+  // Headers, footers and notes: "F1.P2"
+  const p = staged.story ? `${staged.story}.P` : "P";
+  if (staged.operation === "replace_range") {
+    if (staged.endParagraph === staged.startParagraph - 1) return `Before ${p}${staged.startParagraph}`;
+    if (staged.endParagraph !== null && staged.endParagraph !== staged.startParagraph) {
+      return `${p}${staged.startParagraph}–${p}${staged.endParagraph}`;
+    }
+  }
+  return `${p}${staged.startParagraph}`;
+}
+
+function renderDiffHtml(staged) {
+  if (staged.afterText === null) {
+    return `<div class="redline-review-diff unavailable">Preview unavailable. The engine will try to locate this edit when applied.</div>`;
+  }
+
+  const html = staged.diff.map(part => {
+    const text = escapeHtml(part.text);
+    if (part.type === "insert") return `<ins>${text}</ins>`;
+    if (part.type === "delete") return `<del>${text}</del>`;
+    return `<span>${text}</span>`;
+  }).join("");
+
+  return `<div class="redline-review-diff">${html}</div>`;
+}
+
+/**
+ * Shows the staged redline review panel in the chat and waits for the user's decision.
+ * Resolves with the ids of the approved staged changes (empty when everything is
+ * discarded or the request is cancelled).
+ *
+ * @param {Array<Object>} stagedChanges - Output of buildStagedRedlineChanges
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<number[]>}
+ */
+function showRedlineReviewPanel(stagedChanges, options = {}) {
+  const chatMessages = document.getElementById("chat-messages");
+  const panel = document.createElement("div");
+  panel.className = "chat-message system redline-review-panel animate-entry";
+
+  const itemsHtml = stagedChanges.map(staged => `
+    <div class="redline-review-item" data-id="${staged.id}">
+      <label class="redline-review-item-header">
+        <input type="checkbox" class="redline-review-checkbox" data-id="${staged.id}" checked>
+        <span class="redline-review-location">${escapeHtml(describeLocation(staged))}</span>
+        <span class="redline-review-operation">${escapeHtml(OPERATION_LABELS[staged.operation] || staged.operation)}</span>
+      </label>
+      ${renderDiffHtml(staged)}
+    </div>
+  `).join("");
+
+  panel.innerHTML = `
+    <div class="redline-review-title"><strong>Review proposed edits</strong> (${stagedChanges.length})</div>
+    <div class="redline-review-list">${itemsHtml}</div>
+    <div class="redline-review-actions">
+      <button class="revert-checkpoint-btn redline-review-apply">Apply selected</button>
+      <button class="revert-checkpoint-btn redline-review-discard">Discard all</button>
+    </div>
+  `;
+
+  chatMessages.appendChild(panel);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+
+  const checkboxes = Array.from(panel.querySelectorAll(".redline-review-checkbox"));
+  const applyBtn = panel.querySelector(".redline-review-apply");
+  const discardBtn = panel.querySelector(".redline-review-discard");
+
+  const updateApplyLabel = () => {
+    const selectedCount = checkboxes.filter(cb => cb.checked).length;
+    applyBtn.textContent = `Apply selected (${selectedCount})`;
+  };
+  checkboxes.forEach(cb => {
+    cb.onchange = () => {
+      cb.closest(".redline-review-item").classList.toggle("dropped", !cb.checked);
+      updateApplyLabel();
+    };
+  });
+  updateApplyLabel();
+
+  return new Promise((resolve) => {
+    const signal = options.signal;
+
+    const finish = (approvedIds, statusText) => {
+      checkboxes.forEach(cb => { cb.disabled = true; });
+      const actions = panel.querySelector(".redline-review-actions");
+      actions.innerHTML = `<span class="redline-review-status">${escapeHtml(statusText)}</span>`;
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve(approvedIds);
+    };
+
+    const onAbort = () => finish([], "Review cancelled.");
+
+    applyBtn.onclick = () => {
+      const approvedIds = checkboxes.filter(cb => cb.checked).map(cb => Number(cb.dataset.id));
+      finish(approvedIds, `Approved ${approvedIds.length} of ${stagedChanges.length} edits.`);
+    };
+    discardBtn.onclick = () => {
+      checkboxes.forEach(cb => {
+        cb.checked = false;
+        cb.closest(".redline-review-item").classList.add("dropped");
+      });
+      finish([], "All proposed edits discarded.");
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener("abort", onAbort);
+      }
+    }
+  });
+}
+
+export {
+  showRedlineReviewPanel
+};
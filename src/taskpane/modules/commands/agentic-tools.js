@@ -1,4 +1,4 @@
-/* global Word */
+/* global Word, Office */
 
 import {
   applyRedlineToOxml,
@@ -11,7 +11,8 @@ import {
   withNativeTrackingDisabled,
   applySharedOperationToWordParagraph,
   applySharedOperationToWordScope,
-  applyRedlineChangesToWordContext
+  applyRedlineChangesToWordContext,
+  insertOoxmlWithRangeFallback
 } from '../docx-redline-js-integration/index.js';
 import {
   detectDocumentFont
@@ -19,46 +20,239 @@ import {
 import {
   resolveInsertListItemLevel
 } from './list-level-utils.js';
-
-let loadApiKey;
-let loadModel;
+import {
+  buildStagedRedlineChanges,
+  selectApprovedChanges
+} from './staged-redline-utils.js';
+import {
+  normalizeTrackedChangeFilter,
+  resolveSectionParagraphIndices,
+  matchesTrackedChangeFilter,
+  findCrossParagraphCandidates,
+  isSameRevisionLocation,
+  collectParagraphTrackedChanges,
+  formatTrackedChangeList
+} from './tracked-change-utils.js';
+import {
+  normalizeClauseReplacements,
+  adaptClauseOoxml,
+  markOoxmlAsInserted
+} from './clause-library-utils.js';
+import {
+  analyzeDefinedTerms,
+  describeDefinedTermIssue,
+  fixTermCapitalization,
+  formatDefinedTermReport
+} from './defined-terms-utils.js';
+import { loadClause } from '../storage/clause-store.js';
+import { getProvider, getResponseText } from '../llm/llm-client.js';
+import { isParagraphInScope, describeParagraphScope } from './selection-scope-utils.js';
+import {
+  collectParagraphCommentThreads,
+  normalizeCommentOperations
+} from './comment-thread-utils.js';
+import {
+  normalizeStoryId,
+  getStoryKind,
+  buildStoryEntries,
+  splitChangesByStory
+} from './document-story-utils.js';
+import { buildFindPattern, replaceInText } from './find-replace-utils.js';
+import {
+  normalizePlaybook,
+  formatPlaybookForPrompt,
+  normalizePlaybookReview,
+  needsPlaybookAction,
+  formatPlaybookComment,
+  buildPlaybookRedlineChanges
+} from './playbook-utils.js';
+import {
+  countContextWords,
+  splitDocumentContext,
+  describeDocumentPart,
+  formatDocumentPartNote,
+  mergeDocumentPartItems,
+  formatDocumentPartsReport,
+  runWithConcurrency
+} from './document-chunk-utils.js';
+
+let loadProviderSettings;
+let isProviderConfigured;
+let callModel;
 let loadSystemMessage;
 let loadRedlineSetting;
+let loadRedlineReviewSetting;
 let loadRedlineAuthor;
+let reviewRedlineChanges;
+let loadParagraphScope;
+let extractEnhancedDocumentContext;
 let setChangeTrackingForAi;
 let restoreChangeTracking;
-let SAFETY_SETTINGS_BLOCK_NONE;
 let API_LIMITS;
+let DOCUMENT_LIMITS;
 
 function initAgenticTools(deps) {
   ({
-    loadApiKey,
-    loadModel,
+    loadProviderSettings,
+    isProviderConfigured,
+    callModel,
     loadSystemMessage,
     loadRedlineSetting,
+    loadRedlineReviewSetting,
     loadRedlineAuthor,
+    reviewRedlineChanges,
+    loadParagraphScope,
+    extractEnhancedDocumentContext,
     setChangeTrackingForAi,
     restoreChangeTracking,
-    SAFETY_SETTINGS_BLOCK_NONE,
-    API_LIMITS
+    API_LIMITS,
+    DOCUMENT_LIMITS
   } = deps);
 }
 
+// Prompt line describing how AI items address headers, footers and notes
+const STORY_FIELD_PROMPT = `- "story": (Optional) Only for headers, footers and notes, shown as [H1.P2], [F1.P1], [FN4.P1] or [EN1.P1]: the story id before the dot ("H1", "F1", "FN4", "EN1"). "paragraphIndex" then counts paragraphs inside that story (2 for [H1.P2]). Omit "story" for body paragraphs ([P#]).`;
+
+/**
+ * Loads the document's headers, footers, footnotes and endnotes as addressable stories
+ * (see buildStoryEntries). Notes require WordApi 1.5.
+ * @param {Word.RequestContext} context
+ * @returns {Promise<Array<Object>>} Entries with id, label, paragraphs ({ text, style }) and the Word paragraphCollection
+ */
+async function loadDocumentStories(context) {
+  const sections = context.document.sections;
+  sections.load("items");
+  const supportsNotes = Office.context.requirements.isSetSupported("WordApi", "1.5");
+  const footnotes = supportsNotes ? context.document.body.footnotes : null;
+  const endnotes = supportsNotes ? context.document.body.endnotes : null;
+  if (footnotes) footnotes.load("items");
+  if (endnotes) endnotes.load("items");
+  await context.sync();
+
+  const candidates = [];
+  for (const kind of ["H", "F"]) {
+    sections.items.forEach((section, i) => {
+      for (const headerType of ["Primary", "FirstPage", "EvenPages"]) {
+        const body = kind === "H" ? section.getHeader(headerType) : section.getFooter(headerType);
+        candidates.push({ kind, sectionNumber: i + 1, headerType, body });
+      }
+    });
+  }
+  (footnotes ? footnotes.items : []).forEach((note, i) => candidates.push({ kind: "FN", noteNumber: i + 1, body: note.body }));
+  (endnotes ? endnotes.items : []).forEach((note, i) => candidates.push({ kind: "EN", noteNumber: i + 1, body: note.body }));
+
+  for (const candidate of candidates) {
+    candidate.paragraphCollection = candidate.body.paragraphs;
+    candidate.paragraphCollection.load("items/text, items/style");
+  }
+  await context.sync();
+
+  // A header or footer linked to the previous section's is the same story, at the same location;
+  // an identical copy that is not linked has to be edited on its own
+  const storyTextOf = (candidate) => candidate.paragraphCollection.items.map(p => p.text).join("\n");
+  const linkChecks = [];
+  candidates.forEach(candidate => {
+    if (candidate.kind !== "H" && candidate.kind !== "F") return;
+    const previous = candidates.find(other => other.kind === candidate.kind
+      && other.headerType === candidate.headerType
+      && other.sectionNumber === candidate.sectionNumber - 1);
+    if (!previous || storyTextOf(previous) !== storyTextOf(candidate)) return;
+    linkChecks.push({ candidate, relation: candidate.body.getRange("Whole").compareLocationWith(previous.body.getRange("Whole")) });
+  });
+  if (linkChecks.length > 0) {
+    try {
+      await context.sync();
+      linkChecks.forEach(({ candidate, relation }) => {
+        candidate.linkedToPrevious = relation.value === "Equal";
+      });
+    } catch (error) {
+      console.warn("Could not tell which headers and footers are linked; listing each section's own.", error);
+    }
+  }
+
+  return buildStoryEntries(candidates.map(candidate => {
+    const entry = { ...candidate, paragraphs: candidate.paragraphCollection.items.map(p => ({ text: p.text, style: p.style })) };
+    delete entry.body;
+    return entry;
+  }));
+}
+
+/**
+ * Resolves the paragraphs an AI item (comment or highlight) targets: the body's, or those of the
+ * header, footer or note named by item.story. Stories are loaded once and kept in storyCache.
+ * @returns {Promise<{ paragraphs: Word.ParagraphCollection, label: string, kind: string|null }|{ error: string }>}
+ *   kind is null for the body
+ */
+async function resolveItemParagraphs(context, item, bodyParagraphs, storyCache) {
+  if (item.story === undefined || item.story === null || String(item.story).trim() === "") {
+    return { paragraphs: bodyParagraphs, label: `P${item.paragraphIndex}`, kind: null };
+  }
+
+  const storyId = normalizeStoryId(item.story);
+  if (!storyId) {
+    return { error: `"${item.story}" is not a header, footer or note id` };
+  }
+  if (!storyCache.stories) {
+    storyCache.stories = new Map((await loadDocumentStories(context)).map(story => [story.id, story]));
+  }
+  const story = storyCache.stories.get(storyId);
+  if (!story) {
+    return { error: `${storyId} was not found` };
+  }
+  return { paragraphs: story.paragraphCollection, label: `${storyId}.P${item.paragraphIndex}`, kind: getStoryKind(storyId) };
+}
+
+/**
+ * Asks the model for paragraph-anchored items (edits, comments or highlights). A document longer
+ * than DOCUMENT_LIMITS.MAX_WORDS is sent in parts split at section boundaries, a few parts at a
+ * time, and the items of all parts are merged (see mergeDocumentPartItems).
+ *
+ * @param {string} fullDocumentText - Document context with [P#] anchors
+ * @param {(documentText: string, partNote: string) => string} buildPrompt - partNote is empty for a whole document
+ * @param {(prompt: string) => Promise<Array<Object>|null>} requestItems - Resolves null when the call fails
+ * @returns {Promise<{ items: Array<Object>|null, partsReport: string }>} items is null when every call failed;
+ *   partsReport tells which parts were processed (empty for a whole document)
+ */
+async function requestDocumentItems(fullDocumentText, buildPrompt, requestItems) {
+  if (countContextWords(fullDocumentText) <= DOCUMENT_LIMITS.MAX_WORDS) {
+    return { items: await requestItems(buildPrompt(fullDocumentText, "")), partsReport: "" };
+  }
+
+  const parts = splitDocumentContext(fullDocumentText, DOCUMENT_LIMITS.CHUNK_WORDS);
+  console.log(`[Chunked] Processing the document in ${parts.length} parts:`, parts.map(describeDocumentPart));
+  const outcomes = await runWithConcurrency(parts, DOCUMENT_LIMITS.CHUNK_CONCURRENCY, (part) =>
+    requestItems(buildPrompt(part.text, formatDocumentPartNote(part, parts.length)))
+  );
+  outcomes.forEach((outcome, i) => {
+    if (outcome.error) console.error(`[Chunked] Part ${i + 1} failed:`, outcome.error);
+  });
+
+  const merged = mergeDocumentPartItems(parts, outcomes.map(outcome => outcome.value ?? null));
+  return {
+    items: merged.failedParts.length === parts.length ? null : merged.items,
+    partsReport: formatDocumentPartsReport(parts, merged)
+  };
+}
+
 /**
  * Agentic Tool: Applies redlines based on an instruction using Structural Anchoring.
  */
 async function executeRedline(instruction, fullDocumentText) {
-  // Check for API key
-  const geminiApiKey = loadApiKey();
-  if (!geminiApiKey) {
-    return "Error: Please set your Gemini API key in the Settings.";
+  // Check for provider settings
+  if (!isProviderConfigured(loadProviderSettings())) {
+    return "Error: Please set up your AI provider in the Settings.";
   }
 
+  const paragraphScope = loadParagraphScope ? loadParagraphScope() : null;
+  const scopeNote = paragraphScope
+    ? `SCOPE: Only paragraphs ${describeParagraphScope(paragraphScope)} (the user's selection) are shown and may be changed. Changes to any other paragraph will be rejected.\n\n`
+    : "";
+
   try {
     // Detect document font for consistent HTML insertion
     await detectDocumentFont();
     // 1. Build the prompt for the diff generator
-    const fullPrompt = `You are an expert legal editor. Review the document content (provided with [P#] anchors) based on the user's instruction.
+    const buildPrompt = (documentText, partNote) => `You are an expert legal editor. Review the document content (provided with [P#] anchors) based on the user's instruction.
 Generate a JSON array of precise changes to be made, referencing the paragraph numbers.
 
 CRITICAL: Return ONLY valid JSON. Do NOT include explanatory text, notes, or duplicate entries.
@@ -66,6 +260,7 @@ CRITICAL: Return ONLY valid JSON. Do NOT include explanatory text, notes, or dup
 Each change must be an object with the following structure:
 - "paragraphIndex": The integer number of the paragraph to modify (e.g., 1 for [P1]). For "replace_range", this is the START paragraph.
 - "endParagraphIndex": (Only for "replace_range") The integer number of the END paragraph (inclusive).
+${STORY_FIELD_PROMPT}
 - "operation": "edit_paragraph", "replace_paragraph", "modify_text", or "replace_range".
 - "newContent": (For "edit_paragraph" ONLY) The complete rewritten paragraph content. The system will automatically compute precise word-level changes.
 - "content": (For "replace_paragraph" and "replace_range" ONLY) The new content to insert.
@@ -119,39 +314,86 @@ Rules:
 - Do NOT include the [P#] marker in any content fields.
 - Return ONLY ONE change per unique text location. Do NOT create duplicate entries.
 
-IMPORTANT: This document may contain existing tracked changes. The text shown represents the "accepted" state (as if all changes were accepted). Your changes will be applied as additional tracked changes on top of existing ones.
+IMPORTANT: This document may contain existing tracked changes. Paragraphs marked "Rev" show them inline as <ins by="..." date="...">inserted text</ins> and <del by="..." date="...">deleted text</del>. Work on the "accepted" state: text inside <ins> is live, text inside <del> is already gone. Never use <del> text as "originalText", never bring it back in "newContent" or "content" unless the user asks to restore it, and never write the tags themselves into your output. Your changes will be applied as additional tracked changes on top of existing ones.
 
-USER INSTRUCTION:
+${scopeNote}${partNote}USER INSTRUCTION:
 "${instruction}"
 
 DOCUMENT CONTENT:
-"""${fullDocumentText}"""
+"""${documentText}"""
 
 Return ONLY the JSON array, nothing else:`;
 
-    // 2. Call Gemini to get the JSON array of changes
-    const aiChanges = await callGeminiForDiffs(fullPrompt);
+    // 2. Call Gemini to get the JSON array of changes (per part for long documents)
+    const { items: aiChanges, partsReport } = await requestDocumentItems(fullDocumentText, buildPrompt, callModelForDiffs);
+    const partsNote = partsReport ? ` ${partsReport}` : "";
 
     console.log("AI Suggested Changes (raw):", aiChanges);
 
     if (!aiChanges || !Array.isArray(aiChanges)) {
       return {
-        message: "AI did not return a valid list of changes. Please check the console logs for details.",
+        message: `AI did not return a valid list of changes. Please check the console logs for details.${partsNote}`,
         showToUser: false  // Silent error - let the model handle it
       };
     }
 
     if (aiChanges.length === 0) {
       return {
-        message: "AI had no changes to suggest based on the instruction.",
+        message: `AI had no changes to suggest based on the instruction.${partsNote}`,
         showToUser: false  // Silent - let the model try again or respond
       };
     }
 
+    // Drop changes outside the selection scope before review (the mutation layer rejects them too)
+    // Headers, footers and notes are never part of a selection scope
+    let changesToApply = aiChanges.filter(change => !paragraphScope || (
+      !change.story
+      && isParagraphInScope(paragraphScope, change.paragraphIndex)
+      && (change.operation !== "replace_range" || isParagraphInScope(paragraphScope, change.endParagraphIndex))
+    ));
+    let outOfScopeCount = aiChanges.length - changesToApply.length;
+    if (changesToApply.length === 0) {
+      return {
+        message: `All ${aiChanges.length} proposed edits were outside the selected paragraphs (${describeParagraphScope(paragraphScope)}) and were rejected.`,
+        showToUser: false
+      };
+    }
+
+    // 3. Optional review step: let the user accept/drop each change before it touches the document
+    let droppedCount = 0;
+    if (loadRedlineReviewSetting && loadRedlineReviewSetting() && reviewRedlineChanges) {
+      const needsStories = changesToApply.some(change => change.story);
+      const { paragraphTexts, storyParagraphTexts } = await Word.run(async (context) => {
+        const paragraphs = context.document.body.paragraphs;
+        paragraphs.load("items/text");
+        await context.sync();
+        const stories = needsStories ? await loadDocumentStories(context) : [];
+        return {
+          paragraphTexts: paragraphs.items.map(p => p.text),
+          storyParagraphTexts: Object.fromEntries(stories.map(story => [story.id, story.paragraphs.map(p => p.text)]))
+        };
+      });
+
+      const stagedChanges = buildStagedRedlineChanges(changesToApply, paragraphTexts, storyParagraphTexts);
+      const approvedIds = await reviewRedlineChanges(stagedChanges);
+      const proposedCount = changesToApply.length;
+      changesToApply = selectApprovedChanges(stagedChanges, approvedIds);
+      droppedCount = proposedCount - changesToApply.length;
+
+      if (changesToApply.length === 0) {
+        return {
+          message: `All ${proposedCount} proposed edits were rejected in review. No changes were applied.`,
+          showToUser: true
+        };
+      }
+    }
+
     {
       const redlineEnabled = loadRedlineSetting();
       const redlineAuthor = loadRedlineAuthor();
+      const { bodyChanges, storyChanges, invalidChanges } = splitChangesByStory(changesToApply);
       let changesApplied = 0;
+      let unmappedStoryCount = invalidChanges.length;
 
       await Word.run(async (context) => {
         const trackingState = await setChangeTrackingForAi(context, redlineEnabled, "executeRedline");
@@ -159,14 +401,40 @@ Return ONLY the JSON array, nothing else:`;
           context.document.load("changeTrackingMode");
           await context.sync();
           const baseTrackingMode = context.document.changeTrackingMode;
-          const result = await applyRedlineChangesToWordContext(context, aiChanges, {
+          const runnerOptions = {
             author: redlineAuthor,
             generateRedlines: redlineEnabled,
             disableNativeTracking: redlineEnabled,
-            baseTrackingMode,
-            logPrefix: "Redline/Shared"
-          });
-          changesApplied = result.changesApplied;
+            baseTrackingMode
+          };
+
+          if (bodyChanges.length > 0) {
+            const result = await applyRedlineChangesToWordContext(context, bodyChanges, {
+              ...runnerOptions,
+              paragraphScope,
+              logPrefix: "Redline/Shared"
+            });
+            changesApplied += result.changesApplied;
+            outOfScopeCount += result.changesRejected || 0;
+          }
+
+          if (storyChanges.size > 0) {
+            const stories = new Map((await loadDocumentStories(context)).map(story => [story.id, story]));
+            for (const [storyId, changes] of storyChanges) {
+              const story = stories.get(storyId);
+              if (!story) {
+                console.warn(`[Redline/Shared] ${storyId} was not found; ${changes.length} change(s) skipped.`);
+                unmappedStoryCount += changes.length;
+                continue;
+              }
+              const result = await applyRedlineChangesToWordContext(context, changes, {
+                ...runnerOptions,
+                paragraphs: story.paragraphCollection,
+                logPrefix: `Redline/${storyId}`
+              });
+              changesApplied += result.changesApplied;
+            }
+          }
         } finally {
           await restoreChangeTracking(context, trackingState, "executeRedline");
         }
@@ -174,13 +442,22 @@ Return ONLY the JSON array, nothing else:`;
 
       if (changesApplied === 0) {
         return {
-          message: "Applied 0 edits. The AI's suggestions could not be mapped to the document content.",
+          message: `Applied 0 edits. The AI's suggestions could not be mapped to the document content.${partsNote}`,
           showToUser: false
         };
       }
 
+      const droppedNote = droppedCount > 0
+        ? ` ${droppedCount} proposed edit${droppedCount === 1 ? ' was' : 's were'} rejected in review.`
+        : '';
+      const scopeNote = outOfScopeCount > 0
+        ? ` ${outOfScopeCount} edit${outOfScopeCount === 1 ? ' was' : 's were'} outside the selected paragraphs (${describeParagraphScope(paragraphScope)}) and rejected.`
+        : '';
+      const storyNote = unmappedStoryCount > 0
+        ? ` ${unmappedStoryCount} edit${unmappedStoryCount === 1 ? '' : 's'} named an unknown header, footer or note.`
+        : '';
       return {
-        message: `Successfully applied ${changesApplied} edits${redlineEnabled ? ' with redlines' : ' without redlines'}.`,
+        message: `Successfully applied ${changesApplied} edits${redlineEnabled ? ' with redlines' : ' without redlines'}.${droppedNote}${scopeNote}${storyNote}${partsNote}`,
         showToUser: true
       };
     }
@@ -194,11 +471,7 @@ Return ONLY the JSON array, nothing else:`;
   }
 }
 // Helper for the Diff generation (specialized prompt)
-async function callGeminiForDiffs(prompt) {
-  const geminiApiKey = loadApiKey();
-  const geminiModel = loadModel();
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
-
+async function callModelForDiffs(prompt) {
   const jsonSchema = {
     type: "ARRAY",
     items: {
@@ -206,6 +479,7 @@ async function callGeminiForDiffs(prompt) {
       properties: {
         "paragraphIndex": { "type": "INTEGER", "description": "The paragraph number (1-based)" },
         "endParagraphIndex": { "type": "INTEGER", "description": "Only for replace_range: the end paragraph number (inclusive)" },
+        "story": { "type": "STRING", "description": "Only for headers, footers and notes: the story id (e.g. H1, F2, FN4, EN1)" },
         "operation": {
           "type": "STRING",
           "enum": ["edit_paragraph", "replace_paragraph", "modify_text", "replace_range"],
@@ -231,7 +505,6 @@ async function callGeminiForDiffs(prompt) {
   const payload = {
     contents: [{ parts: [{ text: prompt }] }],
     systemInstruction: systemInstruction,
-    safetySettings: SAFETY_SETTINGS_BLOCK_NONE,
     generationConfig: {
       temperature: 0.1,
       maxOutputTokens: API_LIMITS.MAX_OUTPUT_TOKENS,
@@ -241,18 +514,7 @@ async function callGeminiForDiffs(prompt) {
   };
 
   try {
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const err = await response.text();
-      throw new Error(`API failed: ${err}`);
-    }
-
-    const result = await response.json();
+    const result = await callModel(payload);
     console.log("Gemini diff raw result:", JSON.stringify(result, null, 2));
 
     if (!result.candidates || !Array.isArray(result.candidates) || result.candidates.length === 0) {
@@ -266,7 +528,7 @@ async function callGeminiForDiffs(prompt) {
       throw new Error("Gemini diff response was missing content.parts (possibly blocked by safety settings).");
     }
 
-    const jsonText = candidate.content.parts[0].text;
+    const jsonText = getResponseText(result);
     console.log("Gemini diff JSON text:", jsonText);
     return JSON.parse(jsonText);
   } catch (error) {
@@ -278,45 +540,47 @@ async function callGeminiForDiffs(prompt) {
  * Agentic Tool: Inserts comments based on an instruction using Structural Anchoring.
  */
 async function executeComment(instruction, fullDocumentText) {
-  const geminiApiKey = loadApiKey();
-  if (!geminiApiKey) {
-    return "Error: Please set your Gemini API key in the Settings.";
+  if (!isProviderConfigured(loadProviderSettings())) {
+    return "Error: Please set up your AI provider in the Settings.";
   }
 
   try {
-    const fullPrompt = `You are an expert legal editor. Review the document content (provided with [P#] anchors) based on the user's instruction.
+    const buildPrompt = (documentText, partNote) => `You are an expert legal editor. Review the document content (provided with [P#] anchors) based on the user's instruction.
 Generate a JSON array of comments to be inserted, referencing the paragraph numbers.
 
 Each item must be an object with:
 - "paragraphIndex": The integer number of the paragraph to comment on (e.g., 1 for [P1]).
+${STORY_FIELD_PROMPT} Word does not allow comments in headers or footers, only in body paragraphs and notes.
 - "textToFind": The specific text snippet within the paragraph to attach the comment to. Must match EXACTLY. CRITICAL: Keep this VERY SHORT - maximum 50 characters or 5-8 words. Use a unique phrase that identifies the location.
 - "commentContent": The text of the comment.
 
-USER INSTRUCTION:
+${partNote}USER INSTRUCTION:
 "${instruction}"
 
 DOCUMENT CONTENT:
-"""${fullDocumentText}"""
+"""${documentText}"""
 
 JSON ARRAY OF COMMENTS:`;
 
-    const aiComments = await callGeminiForJSON(fullPrompt, {
+    const { items: aiComments, partsReport } = await requestDocumentItems(fullDocumentText, buildPrompt, (prompt) => callModelForJSON(prompt, {
       type: "ARRAY",
       items: {
         type: "OBJECT",
         properties: {
           "paragraphIndex": { "type": "INTEGER" },
+          "story": { "type": "STRING" },
           "textToFind": { "type": "STRING" },
           "commentContent": { "type": "STRING" }
         },
         required: ["paragraphIndex", "textToFind", "commentContent"]
       }
-    });
+    }));
     console.log("AI Suggested Comments:", aiComments);
+    const partsNote = partsReport ? ` ${partsReport}` : "";
 
     if (!aiComments || !Array.isArray(aiComments) || aiComments.length === 0) {
       return {
-        message: "AI had no comments to suggest.",
+        message: `AI had no comments to suggest.${partsNote}`,
         showToUser: false  // Silent - let the model try again or respond
       };
     }
@@ -333,11 +597,26 @@ JSON ARRAY OF COMMENTS:`;
         paragraphs.load("items/text, items/style");
         await context.sync();
 
+        const paragraphScope = loadParagraphScope ? loadParagraphScope() : null;
+        const storyCache = {};
         for (const item of aiComments) {
+          const target = await resolveItemParagraphs(context, item, paragraphs, storyCache);
+          if (target.error) {
+            console.warn(`[Comment/Shared] ${target.error}; skipped.`);
+            continue;
+          }
+          if (target.kind === "header" || target.kind === "footer") {
+            console.warn(`[Comment/Shared] Word does not allow comments in headers or footers (${target.label}); skipped.`);
+            continue;
+          }
           const pIndex = item.paragraphIndex - 1;
-          if (pIndex < 0 || pIndex >= paragraphs.items.length) continue;
+          if (pIndex < 0 || pIndex >= target.paragraphs.items.length) continue;
+          if (target.kind ? paragraphScope : !isParagraphInScope(paragraphScope, item.paragraphIndex)) {
+            console.warn(`[Comment/Shared] ${target.label} is outside the selected paragraphs (${describeParagraphScope(paragraphScope)}); rejected.`);
+            continue;
+          }
 
-          const targetParagraph = paragraphs.items[pIndex];
+          const targetParagraph = target.paragraphs.items[pIndex];
           try {
             const applied = await applySharedOperationToWordParagraph({
               context,
@@ -356,12 +635,12 @@ JSON ARRAY OF COMMENTS:`;
 
             if (applied) {
               commentsApplied += 1;
-              console.log(`[Comment/Shared] Applied comment via shared engine in P${item.paragraphIndex}`);
+              console.log(`[Comment/Shared] Applied comment via shared engine in ${target.label}`);
             } else {
-              console.warn(`[Comment/Shared] No changes produced for P${item.paragraphIndex}`);
+              console.warn(`[Comment/Shared] No changes produced for ${target.label}`);
             }
           } catch (sharedError) {
-            console.warn(`[Comment/Shared] Failed in P${item.paragraphIndex} (no fallback):`, sharedError?.message || sharedError);
+            console.warn(`[Comment/Shared] Failed in ${target.label} (no fallback):`, sharedError?.message || sharedError);
           }
         }
       } finally {
@@ -369,7 +648,8 @@ JSON ARRAY OF COMMENTS:`;
       }
     });
 
-    return createToolResult(commentsApplied, 'comments', "Inserted 0 comments. The AI's suggestions could not be mapped to the document content.");
+    const result = createToolResult(commentsApplied, 'comments', "Inserted 0 comments. The AI's suggestions could not be mapped to the document content.");
+    return { ...result, message: `${result.message}${partsNote}` };
 
   } catch (error) {
     console.error("Error in executeComment:", error);
@@ -386,46 +666,48 @@ JSON ARRAY OF COMMENTS:`;
  * @param {string} highlightColor - The default highlight color (default: "Yellow")
  */
 async function executeHighlight(instruction, fullDocumentText, highlightColor = "Yellow") {
-  const geminiApiKey = loadApiKey();
-  if (!geminiApiKey) {
-    return "Error: Please set your Gemini API key in the Settings.";
+  if (!isProviderConfigured(loadProviderSettings())) {
+    return "Error: Please set up your AI provider in the Settings.";
   }
 
   // Normalize color to proper case for Word API
   const normalizedColor = highlightColor.charAt(0).toUpperCase() + highlightColor.slice(1).toLowerCase();
 
   try {
-    const fullPrompt = `You are an expert legal editor. Review the document content (provided with [P#] anchors) based on the user's instruction.
+    const buildPrompt = (documentText, partNote) => `You are an expert legal editor. Review the document content (provided with [P#] anchors) based on the user's instruction.
 Generate a JSON array of highlights to be applied, referencing the paragraph numbers.
 
 Each item must be an object with:
 - "paragraphIndex": The integer number of the paragraph (e.g., 1 for [P1]).
+${STORY_FIELD_PROMPT}
 - "textToFind": The specific text snippet within the paragraph to highlight. Must match EXACTLY. CRITICAL: Keep this VERY SHORT - maximum 50 characters or 5-8 words. Use a unique phrase that identifies the location.
 
-USER INSTRUCTION:
+${partNote}USER INSTRUCTION:
 "${instruction}"
 
 DOCUMENT CONTENT:
-"""${fullDocumentText}"""
+"""${documentText}"""
 
 JSON ARRAY OF HIGHLIGHTS:`;
 
-    const aiHighlights = await callGeminiForJSON(fullPrompt, {
+    const { items: aiHighlights, partsReport } = await requestDocumentItems(fullDocumentText, buildPrompt, (prompt) => callModelForJSON(prompt, {
       type: "ARRAY",
       items: {
         type: "OBJECT",
         properties: {
           "paragraphIndex": { "type": "INTEGER" },
+          "story": { "type": "STRING" },
           "textToFind": { "type": "STRING" }
         },
         required: ["paragraphIndex", "textToFind"]
       }
-    });
+    }));
     console.log("AI Suggested Highlights:", aiHighlights);
+    const partsNote = partsReport ? ` ${partsReport}` : "";
 
     if (!aiHighlights || !Array.isArray(aiHighlights) || aiHighlights.length === 0) {
       return {
-        message: "AI had no highlights to suggest.",
+        message: `AI had no highlights to suggest.${partsNote}`,
         showToUser: false  // Silent - let the model try again or respond
       };
     }
@@ -447,11 +729,22 @@ JSON ARRAY OF HIGHLIGHTS:`;
         paragraphs.load("items/text, items/style");
         await context.sync();
 
+        const paragraphScope = loadParagraphScope ? loadParagraphScope() : null;
+        const storyCache = {};
         for (const item of aiHighlights) {
+          const target = await resolveItemParagraphs(context, item, paragraphs, storyCache);
+          if (target.error) {
+            console.warn(`[Highlight/Shared] ${target.error}; skipped.`);
+            continue;
+          }
           const pIndex = item.paragraphIndex - 1;
-          if (pIndex < 0 || pIndex >= paragraphs.items.length) continue;
+          if (pIndex < 0 || pIndex >= target.paragraphs.items.length) continue;
+          if (target.kind ? paragraphScope : !isParagraphInScope(paragraphScope, item.paragraphIndex)) {
+            console.warn(`[Highlight/Shared] ${target.label} is outside the selected paragraphs (${describeParagraphScope(paragraphScope)}); rejected.`);
+            continue;
+          }
 
-          const targetParagraph = paragraphs.items[pIndex];
+          const targetParagraph = target.paragraphs.items[pIndex];
           try {
             const applied = await applySharedOperationToWordParagraph({
               context,
@@ -470,12 +763,12 @@ JSON ARRAY OF HIGHLIGHTS:`;
 
             if (applied) {
               highlightsApplied++;
-              console.log(`[Highlight/Shared] Applied ${normalizedColor} highlight to "${item.textToFind}" in P${item.paragraphIndex}`);
+              console.log(`[Highlight/Shared] Applied ${normalizedColor} highlight to "${item.textToFind}" in ${target.label}`);
             } else {
-              console.warn(`[Highlight/Shared] No changes produced for P${item.paragraphIndex}`);
+              console.warn(`[Highlight/Shared] No changes produced for ${target.label}`);
             }
           } catch (sharedError) {
-            console.warn(`[Highlight/Shared] Failed in P${item.paragraphIndex} (no fallback):`, sharedError?.message || sharedError);
+            console.warn(`[Highlight/Shared] Failed in ${target.label} (no fallback):`, sharedError?.message || sharedError);
           }
         }
       } finally {
@@ -483,7 +776,8 @@ JSON ARRAY OF HIGHLIGHTS:`;
       }
     });
 
-    return createToolResult(highlightsApplied, 'highlights', "Highlighted 0 items. The AI's suggestions could not be mapped to the document content.");
+    const result = createToolResult(highlightsApplied, 'highlights', "Highlighted 0 items. The AI's suggestions could not be mapped to the document content.");
+    return { ...result, message: `${result.message}${partsNote}` };
 
   } catch (error) {
     console.error("Error in executeHighlight:", error);
@@ -493,13 +787,33 @@ JSON ARRAY OF HIGHLIGHTS:`;
     };
   }
 }
+
+/**
+ * Selects a body paragraph, which scrolls Word to it.
+ * @param {Word.RequestContext} context
+ * @param {number} paragraphIndex - 1-based
+ * @throws {Error} When the document has no such paragraph
+ */
+async function selectBodyParagraph(context, paragraphIndex) {
+  const paragraphs = context.document.body.paragraphs;
+  paragraphs.load("items");
+  await context.sync();
+
+  const pIndex = paragraphIndex - 1;
+  if (!Number.isInteger(pIndex) || pIndex < 0 || pIndex >= paragraphs.items.length) {
+    throw new Error(`Invalid paragraph index: ${paragraphIndex}`);
+  }
+
+  paragraphs.items[pIndex].select();
+  await context.sync();
+}
+
 /**
  * Agentic Tool: Navigates to and selects a specific section of the document.
  */
 async function executeNavigate(instruction, fullDocumentText) {
-  const geminiApiKey = loadApiKey();
-  if (!geminiApiKey) {
-    return "Error: Please set your Gemini API key in the Settings.";
+  if (!isProviderConfigured(loadProviderSettings())) {
+    return "Error: Please set up your AI provider in the Settings.";
   }
 
   try {
@@ -518,7 +832,7 @@ DOCUMENT CONTENT:
 
 JSON RESPONSE:`;
 
-    const navigationResult = await callGeminiForJSON(fullPrompt, {
+    const navigationResult = await callModelForJSON(fullPrompt, {
       type: "OBJECT",
       properties: {
         "paragraphIndex": { "type": "INTEGER" },
@@ -536,20 +850,7 @@ JSON RESPONSE:`;
     }
 
     await Word.run(async (context) => {
-      const paragraphs = context.document.body.paragraphs;
-      paragraphs.load("items/text");
-      await context.sync();
-
-      const pIndex = navigationResult.paragraphIndex - 1;
-      if (pIndex < 0 || pIndex >= paragraphs.items.length) {
-        throw new Error(`Invalid paragraph index: ${navigationResult.paragraphIndex}`);
-      }
-
-      const targetParagraph = paragraphs.items[pIndex];
-
-      // Select the paragraph to navigate to it
-      targetParagraph.select();
-      await context.sync();
+      await selectBodyParagraph(context, navigationResult.paragraphIndex);
     });
 
     const description = navigationResult.navigationDescription || `Navigated to paragraph ${navigationResult.paragraphIndex}`;
@@ -592,11 +893,7 @@ function createToolResult(count, itemType, zeroMessage) {
 }
 
 // Generic helper for JSON responses
-async function callGeminiForJSON(prompt, schema) {
-  const geminiApiKey = loadApiKey();
-  const geminiModel = loadModel();
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
-
+async function callModelForJSON(prompt, schema) {
   const systemInstruction = {
     parts: [{ text: loadSystemMessage() }]
   };
@@ -604,7 +901,6 @@ async function callGeminiForJSON(prompt, schema) {
   const payload = {
     contents: [{ parts: [{ text: prompt }] }],
     systemInstruction: systemInstruction,
-    safetySettings: SAFETY_SETTINGS_BLOCK_NONE,
     generationConfig: {
       temperature: 0.2,
       maxOutputTokens: 48000,
@@ -614,68 +910,41 @@ async function callGeminiForJSON(prompt, schema) {
   };
 
   try {
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const err = await response.text();
-      throw new Error(`API failed: ${err}`);
-    }
-
-    const result = await response.json();
+    const result = await callModel(payload);
     if (!result.candidates || result.candidates.length === 0) throw new Error("No candidates");
     const candidate = result.candidates[0];
     if (!candidate.content || !candidate.content.parts) throw new Error("No content");
 
-    const jsonText = candidate.content.parts[0].text;
+    const jsonText = getResponseText(result);
     return JSON.parse(jsonText);
   } catch (error) {
-    console.error("Error calling Gemini for JSON:", error);
+    console.error("Error calling model for JSON:", error);
     return null;
   }
 }
 
 
 async function executeResearch(query) {
-  const geminiApiKey = loadApiKey();
-  const geminiModel = loadModel();
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
+  const settings = loadProviderSettings();
+  if (!getProvider(settings.provider).supportsWebSearch) {
+    return `Error performing research: web search is not available with the ${getProvider(settings.provider).label} provider. Answer from your own knowledge and say that the answer was not checked against the web.`;
+  }
 
   const tools = [{ google_search: {} }];
 
   const payload = {
     contents: [{ parts: [{ text: query }] }],
-    tools: tools,
-    safetySettings: [
-      { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
-    ]
+    tools: tools
   };
 
   try {
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const err = await response.text();
-      throw new Error(`Research API failed: ${err}`);
-    }
-
-    const result = await response.json();
+    const result = await callModel(payload);
     if (!result.candidates || result.candidates.length === 0) return "No results found.";
 
     const candidate = result.candidates[0];
     if (!candidate.content || !candidate.content.parts) return "No content returned.";
 
-    return candidate.content.parts[0].text;
+    return getResponseText(result) || "No content returned.";
   } catch (error) {
     console.error("Error in executeResearch:", error);
     return `Error performing research: ${error.message}`;
@@ -1568,16 +1837,816 @@ async function executeEditSection(sectionHeaderIndex, newHeaderText, newBodyPara
   }
 }
 
+/**
+ * Flattens tracked changes loaded per paragraph (see collectParagraphTrackedChanges). A revision
+ * that crosses a paragraph mark is reported by both paragraphs; look-alike pairs are compared by
+ * range to keep it once.
+ * @param {Array<{ paragraphIndex: number, trackedChanges: Word.TrackedChangeCollection }>} scanned - Loaded, in document order
+ */
+async function collectLoadedTrackedChanges(context, scanned) {
+  const loaded = scanned.map(({ paragraphIndex, trackedChanges }) => ({ paragraphIndex, items: trackedChanges.items }));
+  const comparisons = findCrossParagraphCandidates(loaded).map(({ trackedChange, previous }) => ({
+    trackedChange,
+    relation: trackedChange.getRange("Whole").compareLocationWith(previous.getRange("Whole"))
+  }));
+
+  const repeated = new Set();
+  if (comparisons.length > 0) {
+    try {
+      await context.sync();
+      comparisons.forEach(({ trackedChange, relation }) => {
+        if (isSameRevisionLocation(relation.value)) repeated.add(trackedChange);
+      });
+    } catch (error) {
+      console.warn("Could not compare revisions that span paragraphs; listing them per paragraph.", error);
+    }
+  }
+  return collectParagraphTrackedChanges(loaded, repeated);
+}
+
+/**
+ * Agentic Tool: Lists, accepts or rejects tracked changes filtered by author,
+ * paragraph range, section number and/or change type.
+ * @param {string} action - "list", "accept" or "reject"
+ * @param {Object} filterArgs - See normalizeTrackedChangeFilter
+ */
+async function executeManageTrackedChanges(action, filterArgs = {}) {
+  const normalizedAction = String(action || "").toLowerCase();
+  if (!["list", "accept", "reject"].includes(normalizedAction)) {
+    return {
+      success: false,
+      message: `Unknown action "${action}". Use "list", "accept" or "reject".`
+    };
+  }
+
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.6")) {
+    return {
+      success: false,
+      message: "Managing tracked changes requires Word API 1.6, which this version of Word does not support."
+    };
+  }
+
+  const filter = normalizeTrackedChangeFilter(filterArgs);
+
+  try {
+    return await Word.run(async (context) => {
+      const paragraphs = context.document.body.paragraphs;
+      paragraphs.load("items");
+      await context.sync();
+
+      let sectionParagraphs = null;
+      if (filter.sectionNumber) {
+        const enhancedContext = await extractEnhancedDocumentContext(context);
+        const indices = resolveSectionParagraphIndices(enhancedContext.paragraphs, filter.sectionNumber);
+        if (indices.length === 0) {
+          return {
+            success: false,
+            message: `Section ${filter.sectionNumber} was not found. Use the section numbers shown by the § markers.`
+          };
+        }
+        sectionParagraphs = new Set(indices);
+      }
+
+      // Only query paragraphs that can satisfy the range/section filter
+      const scanned = [];
+      paragraphs.items.forEach((paragraph, i) => {
+        const paragraphIndex = i + 1;
+        if (filter.startParagraph !== null && (paragraphIndex < filter.startParagraph || paragraphIndex > filter.endParagraph)) return;
+        if (sectionParagraphs && !sectionParagraphs.has(paragraphIndex)) return;
+
+        const trackedChanges = paragraph.getTrackedChanges();
+        trackedChanges.load("items/type, items/author, items/date, items/text");
+        scanned.push({ paragraphIndex, trackedChanges });
+      });
+      await context.sync();
+
+      const matches = (await collectLoadedTrackedChanges(context, scanned))
+        .filter(change => matchesTrackedChangeFilter(change, filter, sectionParagraphs));
+
+      if (matches.length === 0) {
+        return {
+          success: normalizedAction === "list",
+          message: "No tracked changes match the given filters."
+        };
+      }
+
+      if (normalizedAction === "list") {
+        return {
+          success: true,
+          message: `Found ${matches.length} tracked change${matches.length === 1 ? "" : "s"}:\n${formatTrackedChangeList(matches)}`
+        };
+      }
+
+      for (const match of matches) {
+        if (normalizedAction === "accept") {
+          match.trackedChange.accept();
+        } else {
+          match.trackedChange.reject();
+        }
+      }
+      await context.sync();
+
+      const verb = normalizedAction === "accept" ? "Accepted" : "Rejected";
+      return {
+        success: true,
+        message: `${verb} ${matches.length} tracked change${matches.length === 1 ? "" : "s"}.`
+      };
+    });
+  } catch (error) {
+    console.error("Error in executeManageTrackedChanges:", error);
+    return {
+      success: false,
+      message: `Failed to ${normalizedAction} tracked changes: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Loads the body's comment threads (WordApi 1.4), each anchored to the first paragraph it covers,
+ * with its anchor text and replies.
+ * @param {Word.RequestContext} context
+ * @returns {Promise<Array<Object>>} See collectParagraphCommentThreads; thread.comment is the Word.Comment
+ */
+async function loadParagraphCommentThreads(context) {
+  const paragraphs = context.document.body.paragraphs;
+  paragraphs.load("items");
+  await context.sync();
+
+  const scanned = paragraphs.items.map((paragraph, i) => {
+    const comments = paragraph.getComments();
+    comments.load("items/id, items/content, items/authorName, items/creationDate, items/resolved");
+    return { paragraphIndex: i + 1, comments };
+  });
+  await context.sync();
+
+  const threads = collectParagraphCommentThreads(
+    scanned.map(({ paragraphIndex, comments }) => ({ paragraphIndex, items: comments.items }))
+  );
+  if (threads.length === 0) return threads;
+
+  const details = threads.map(thread => {
+    const anchor = thread.comment.getRange();
+    anchor.load("text");
+    thread.comment.replies.load("items/content, items/authorName, items/creationDate");
+    return { thread, anchor };
+  });
+  await context.sync();
+
+  for (const { thread, anchor } of details) {
+    thread.anchorText = anchor.text || "";
+    thread.replies = thread.comment.replies.items.map(reply => ({
+      content: reply.content,
+      authorName: reply.authorName,
+      creationDate: reply.creationDate
+    }));
+  }
+  return threads;
+}
+
+/**
+ * Agentic Tool: Replies to, resolves, reopens or deletes existing comments by id.
+ * Replies are attributed to the signed-in Word user.
+ * @param {Array<{ commentId: string, action: string, text?: string }>} operations
+ */
+async function executeManageComments(operations) {
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    return {
+      success: false,
+      message: "Managing comments requires Word API 1.4, which this version of Word does not support."
+    };
+  }
+
+  const normalized = normalizeCommentOperations(operations);
+  if (normalized.operations.length === 0) {
+    return {
+      success: false,
+      message: `No valid comment operations. ${normalized.errors.join(" ")}`.trim()
+    };
+  }
+
+  const paragraphScope = loadParagraphScope ? loadParagraphScope() : null;
+
+  try {
+    return await Word.run(async (context) => {
+      const threads = await loadParagraphCommentThreads(context);
+      const threadsById = new Map(threads.map(thread => [thread.id, thread]));
+
+      const errors = [...normalized.errors];
+      const counts = { reply: 0, resolve: 0, reopen: 0, delete: 0 };
+      for (const operation of normalized.operations) {
+        const thread = threadsById.get(operation.commentId);
+        if (!thread) {
+          errors.push(`Comment ${operation.commentId} was not found.`);
+          continue;
+        }
+        if (!isParagraphInScope(paragraphScope, thread.paragraphIndex)) {
+          errors.push(`Comment ${operation.commentId} is on P${thread.paragraphIndex}, outside the selected paragraphs (${describeParagraphScope(paragraphScope)}).`);
+          continue;
+        }
+
+        if (operation.action === "reply") {
+          thread.comment.reply(operation.text);
+        } else if (operation.action === "resolve") {
+          thread.comment.resolved = true;
+        } else if (operation.action === "reopen") {
+          thread.comment.resolved = false;
+        } else {
+          thread.comment.delete();
+          // Later operations on a deleted comment would fail the whole batch
+          threadsById.delete(operation.commentId);
+        }
+        counts[operation.action]++;
+      }
+
+      const applied = counts.reply + counts.resolve + counts.reopen + counts.delete;
+      if (applied > 0) {
+        await context.sync();
+      }
+
+      const summary = [
+        counts.reply > 0 ? `replied to ${counts.reply}` : "",
+        counts.resolve > 0 ? `resolved ${counts.resolve}` : "",
+        counts.reopen > 0 ? `reopened ${counts.reopen}` : "",
+        counts.delete > 0 ? `deleted ${counts.delete}` : ""
+      ].filter(Boolean).join(", ");
+      const message = applied > 0
+        ? `Comments: ${summary}.${errors.length > 0 ? ` Skipped: ${errors.join(" ")}` : ""}`
+        : `No comments were changed. ${errors.join(" ")}`;
+
+      return { success: applied > 0, message };
+    });
+  } catch (error) {
+    console.error("Error in executeManageComments:", error);
+    return {
+      success: false,
+      message: `Failed to update comments: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Agentic Tool: Inserts a saved library clause before or after a paragraph, adapting
+ * defined terms and party names first. The stored OOXML is used so list numbering and
+ * formatting survive; with redlines on, the clause is marked as an insertion by the
+ * redline author.
+ * @param {number} clauseId - Library clause id (the number in [C#])
+ * @param {number} paragraphIndex - 1-based anchor paragraph
+ * @param {string} position - "after" (default) or "before"
+ * @param {Array<{ from: string, to: string }>} replacements - Terms to adapt
+ */
+async function executeInsertLibraryClause(clauseId, paragraphIndex, position = "after", replacements = []) {
+  const insertLocation = String(position || "after").toLowerCase() === "before" ? "Before" : "After";
+
+  let clause = null;
+  try {
+    clause = await loadClause(Number(clauseId));
+  } catch (error) {
+    console.error("[executeInsertLibraryClause] Could not load clause:", error);
+  }
+  if (!clause) {
+    return {
+      success: false,
+      message: `Clause C${clauseId} was not found in the clause library.`
+    };
+  }
+
+  const normalizedReplacements = normalizeClauseReplacements(replacements);
+  const adapted = adaptClauseOoxml(clause.ooxml, normalizedReplacements);
+  const redlineEnabled = loadRedlineSetting();
+  const payload = redlineEnabled ? markOoxmlAsInserted(adapted.ooxml, loadRedlineAuthor()) : adapted.ooxml;
+
+  try {
+    const documentText = await Word.run(async (context) => {
+      const paragraphs = context.document.body.paragraphs;
+      paragraphs.load("items/text");
+      await context.sync();
+
+      const paraIdx = paragraphIndex - 1;
+      if (paraIdx < 0 || paraIdx >= paragraphs.items.length) {
+        throw new Error(`Paragraph index ${paragraphIndex} out of range (1-${paragraphs.items.length})`);
+      }
+
+      // The payload already carries its own w:ins markup, so native tracking must not add a second layer
+      const trackingState = await setChangeTrackingForAi(context, false, "executeInsertLibraryClause");
+      try {
+        await insertOoxmlWithRangeFallback(paragraphs.items[paraIdx], payload, insertLocation, context, "InsertLibraryClause");
+      } finally {
+        await restoreChangeTracking(context, trackingState, "executeInsertLibraryClause");
+      }
+
+      return paragraphs.items.map(paragraph => paragraph.text).join("\n");
+    });
+
+    const adaptedTerms = normalizedReplacements
+      .filter(({ from }) => adapted.counts[from] > 0)
+      .map(({ from, to }) => `"${from}" → "${to}"`);
+    const unusedTerms = normalizedReplacements
+      .filter(({ from }) => !adapted.counts[from])
+      .map(({ from }) => `"${from}"`);
+    const unadaptedTerms = (clause.definedTerms || [])
+      .filter(term => !normalizedReplacements.some(({ from }) => from === term))
+      .filter(term => !documentText.includes(term))
+      .map(term => `"${term}"`);
+
+    let message = `Inserted clause "${clause.title}" ${insertLocation.toLowerCase()} P${paragraphIndex}.`;
+    if (adaptedTerms.length > 0) message += ` Adapted ${adaptedTerms.join(", ")}.`;
+    if (unusedTerms.length > 0) message += ` Not found in the clause: ${unusedTerms.join(", ")}.`;
+    if (unadaptedTerms.length > 0) {
+      message += ` The clause defines ${unadaptedTerms.join(", ")}, which the document does not otherwise use; consider adapting with apply_redlines.`;
+    }
+
+    return { success: true, message };
+  } catch (error) {
+    console.error("[executeInsertLibraryClause] Error:", error);
+    return {
+      success: false,
+      message: `Failed to insert clause: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Agentic Tool: Analyzes defined terms and lists, comments on or redlines the issues.
+ * Only capitalization issues can be redlined; the other issue types need a human
+ * decision, so they are commented on instead.
+ * @param {string} action - "list", "comment" or "redline"
+ * @param {Object} [options]
+ * @param {string[]} [options.issueTypes] - Any of "undefined", "unused", "capitalization", "duplicate"
+ * @param {string[]} [options.terms] - Only issues for these terms (case-insensitive)
+ */
+async function executeCheckDefinedTerms(action, options = {}) {
+  const normalizedAction = String(action || "list").toLowerCase();
+  if (!["list", "comment", "redline"].includes(normalizedAction)) {
+    return {
+      success: false,
+      message: `Unknown action "${action}". Use "list", "comment" or "redline".`
+    };
+  }
+
+  const issueTypes = Array.isArray(options.issueTypes) && options.issueTypes.length > 0
+    ? new Set(options.issueTypes.map(type => String(type).toLowerCase()))
+    : null;
+  const terms = Array.isArray(options.terms) && options.terms.length > 0
+    ? new Set(options.terms.map(term => String(term).toLowerCase()))
+    : null;
+
+  try {
+    return await Word.run(async (context) => {
+      const paragraphs = context.document.body.paragraphs;
+      paragraphs.load("items/text");
+      await context.sync();
+
+      const analysis = analyzeDefinedTerms(paragraphs.items.map((paragraph, i) => ({ index: i + 1, text: paragraph.text })));
+      // Listing is read-only; comments and redlines stay inside the selection scope
+      const paragraphScope = normalizedAction === "list" || !loadParagraphScope ? null : loadParagraphScope();
+      const issues = analysis.issues
+        .filter(issue => !issueTypes || issueTypes.has(issue.type))
+        .filter(issue => !terms || terms.has(issue.term.toLowerCase()))
+        .filter(issue => isParagraphInScope(paragraphScope, issue.paragraphIndex));
+
+      if (normalizedAction === "list") {
+        return {
+          success: true,
+          message: formatDefinedTermReport({ terms: analysis.terms, issues })
+        };
+      }
+
+      if (issues.length === 0) {
+        return {
+          success: true,
+          message: "No defined-term issues match the given filters."
+        };
+      }
+
+      const redlineEnabled = loadRedlineSetting();
+      const redlineAuthor = loadRedlineAuthor();
+
+      if (normalizedAction === "comment") {
+        let commentsApplied = 0;
+        const trackingState = await setChangeTrackingForAi(context, false, "executeCheckDefinedTerms");
+        try {
+          for (const issue of issues) {
+            const targetParagraph = paragraphs.items[issue.paragraphIndex - 1];
+            if (!targetParagraph) continue;
+            try {
+              const applied = await applySharedOperationToWordParagraph({
+                context,
+                targetParagraph,
+                operation: {
+                  type: "comment",
+                  targetRef: "P1",
+                  target: targetParagraph.text || issue.occurrence,
+                  textToComment: issue.occurrence,
+                  commentContent: describeDefinedTermIssue(issue)
+                },
+                author: redlineAuthor,
+                generateRedlines: redlineEnabled,
+                logPrefix: "DefinedTerms/Comment"
+              });
+              if (applied) commentsApplied++;
+            } catch (commentError) {
+              console.warn(`[DefinedTerms/Comment] Failed in P${issue.paragraphIndex}:`, commentError?.message || commentError);
+            }
+          }
+        } finally {
+          await restoreChangeTracking(context, trackingState, "executeCheckDefinedTerms");
+        }
+
+        return {
+          success: commentsApplied > 0,
+          message: `Inserted ${commentsApplied} of ${issues.length} defined-term comment${issues.length === 1 ? "" : "s"}.`
+        };
+      }
+
+      // Redline: rewrite each paragraph with all of its capitalization fixes in one edit
+      const capitalizationIssues = issues.filter(issue => issue.type === "capitalization");
+      const otherCount = issues.length - capitalizationIssues.length;
+      const skippedNote = otherCount > 0
+        ? ` ${otherCount} issue${otherCount === 1 ? "" : "s"} (undefined, unused or duplicate terms) cannot be redlined automatically; use the "comment" action for those.`
+        : "";
+
+      const byParagraph = new Map();
+      capitalizationIssues.forEach(issue => {
+        if (!byParagraph.has(issue.paragraphIndex)) byParagraph.set(issue.paragraphIndex, []);
+        byParagraph.get(issue.paragraphIndex).push(issue);
+      });
+      const changes = [...byParagraph.entries()]
+        .map(([paragraphIndex, paragraphIssues]) => ({
+          paragraphIndex,
+          operation: "edit_paragraph",
+          newContent: fixTermCapitalization(paragraphs.items[paragraphIndex - 1].text, paragraphIssues)
+        }))
+        .sort((a, b) => b.paragraphIndex - a.paragraphIndex);
+
+      if (changes.length === 0) {
+        return {
+          success: false,
+          message: `No capitalization issues to redline.${skippedNote}`
+        };
+      }
+
+      let changesApplied = 0;
+      const trackingState = await setChangeTrackingForAi(context, redlineEnabled, "executeCheckDefinedTerms");
+      try {
+        context.document.load("changeTrackingMode");
+        await context.sync();
+        const result = await applyRedlineChangesToWordContext(context, changes, {
+          author: redlineAuthor,
+          generateRedlines: redlineEnabled,
+          disableNativeTracking: redlineEnabled,
+          baseTrackingMode: context.document.changeTrackingMode,
+          paragraphScope,
+          logPrefix: "DefinedTerms/Redline"
+        });
+        changesApplied = result.changesApplied;
+      } finally {
+        await restoreChangeTracking(context, trackingState, "executeCheckDefinedTerms");
+      }
+
+      return {
+        success: changesApplied > 0,
+        message: `Fixed defined-term capitalization in ${changesApplied} paragraph${changesApplied === 1 ? "" : "s"}.${skippedNote}`
+      };
+    });
+  } catch (error) {
+    console.error("Error in executeCheckDefinedTerms:", error);
+    return {
+      success: false,
+      message: `Failed to check defined terms: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Agentic Tool: Finds and replaces text across the body, headers, footers and notes locally,
+ * without a model call. Each changed paragraph is redlined through the shared engine.
+ * @param {Object} options
+ * @param {string} options.find - Literal text, or a regular expression when useRegex is set
+ * @param {string} options.replace - Replacement ($1 / $<name> references with useRegex)
+ * @param {boolean} [options.useRegex]
+ * @param {boolean} [options.matchCase]
+ * @param {boolean} [options.wholeWord]
+ * @param {boolean} [options.skipDefinitions] - Leave quoted definitions such as (the "Lessor") alone
+ */
+async function executeFindReplace(options = {}) {
+  let pattern;
+  try {
+    pattern = buildFindPattern(options);
+  } catch (patternError) {
+    return { success: false, message: patternError.message };
+  }
+
+  const replaceOptions = { useRegex: !!options.useRegex, skipDefinitions: !!options.skipDefinitions };
+  const paragraphScope = loadParagraphScope ? loadParagraphScope() : null;
+  const redlineEnabled = loadRedlineSetting();
+  const redlineAuthor = loadRedlineAuthor();
+
+  try {
+    return await Word.run(async (context) => {
+      const bodyParagraphs = context.document.body.paragraphs;
+      bodyParagraphs.load("items/text");
+      await context.sync();
+
+      // Headers, footers and notes are never part of a selection scope
+      const targets = [{ storyId: null, paragraphs: bodyParagraphs }];
+      if (!paragraphScope) {
+        (await loadDocumentStories(context)).forEach(story => {
+          targets.push({ storyId: story.id, paragraphs: story.paragraphCollection });
+        });
+      }
+
+      let matchCount = 0;
+      let skippedDefinitions = 0;
+      for (const target of targets) {
+        target.changes = [];
+        target.paragraphs.items.forEach((paragraph, i) => {
+          if (!target.storyId && !isParagraphInScope(paragraphScope, i + 1)) return;
+          const result = replaceInText(paragraph.text, pattern, options.replace, replaceOptions);
+          skippedDefinitions += result.skippedDefinitions;
+          if (result.replaced === 0) return;
+          matchCount += result.replaced;
+          target.changes.push({ paragraphIndex: i + 1, operation: "edit_paragraph", newContent: result.text, replaced: result.replaced });
+        });
+        // Later paragraphs first, so earlier indices stay valid
+        target.changes.sort((a, b) => b.paragraphIndex - a.paragraphIndex);
+      }
+
+      const skippedNote = skippedDefinitions > 0
+        ? ` Left ${skippedDefinitions} match${skippedDefinitions === 1 ? "" : "es"} inside definitions unchanged.`
+        : "";
+      const where = paragraphScope ? ` in the selected paragraphs (${describeParagraphScope(paragraphScope)})` : "";
+      if (matchCount === 0) {
+        return { success: false, message: `No matches for "${options.find}"${where}.${skippedNote}` };
+      }
+
+      let paragraphsChanged = 0;
+      let paragraphsFailed = 0;
+      let storyMatches = 0;
+      const trackingState = await setChangeTrackingForAi(context, redlineEnabled, "executeFindReplace");
+      try {
+        context.document.load("changeTrackingMode");
+        await context.sync();
+        for (const target of targets) {
+          if (target.changes.length === 0) continue;
+          const result = await applyRedlineChangesToWordContext(context, target.changes, {
+            author: redlineAuthor,
+            generateRedlines: redlineEnabled,
+            disableNativeTracking: redlineEnabled,
+            baseTrackingMode: context.document.changeTrackingMode,
+            paragraphs: target.storyId ? target.paragraphs : undefined,
+            paragraphScope: target.storyId ? null : paragraphScope,
+            logPrefix: `FindReplace/${target.storyId || "Body"}`
+          });
+          paragraphsChanged += result.changesApplied;
+          paragraphsFailed += target.changes.length - result.changesApplied;
+          if (target.storyId) {
+            storyMatches += target.changes.reduce((sum, change) => sum + change.replaced, 0);
+          }
+        }
+      } finally {
+        await restoreChangeTracking(context, trackingState, "executeFindReplace");
+      }
+
+      const storyNote = storyMatches > 0 ? ` (${storyMatches} in headers, footers or notes)` : "";
+      const failedNote = paragraphsFailed > 0
+        ? ` ${paragraphsFailed} paragraph${paragraphsFailed === 1 ? "" : "s"} could not be updated.`
+        : "";
+      return {
+        success: paragraphsChanged > 0,
+        message: `Replaced ${matchCount} match${matchCount === 1 ? "" : "es"} of "${options.find}" in ${paragraphsChanged} paragraph${paragraphsChanged === 1 ? "" : "s"}${storyNote}${where}${redlineEnabled ? " as tracked changes" : ""}.${failedNote}${skippedNote}`
+      };
+    });
+  } catch (error) {
+    console.error("Error in executeFindReplace:", error);
+    return {
+      success: false,
+      message: `Failed to find and replace: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Reviews the document body against a negotiation playbook: classifies how each clause type is handled
+ * (standard, fallback, deviation, red line or missing) and proposes fallback wording for the misses.
+ * Read-only; see executePlaybookActions for comments and redlines.
+ * @param {Array<Object>} playbookEntries - Clause types with preferred position, fallbacks and red lines
+ * @returns {Promise<{ success: boolean, message: string, rows?: Array<Object> }>} rows from normalizePlaybookReview
+ */
+async function executePlaybookReview(playbookEntries) {
+  if (!isProviderConfigured(loadProviderSettings())) {
+    return { success: false, message: "Please set up your AI provider in the Settings." };
+  }
+
+  const playbook = normalizePlaybook(playbookEntries);
+  if (playbook.length === 0) {
+    return { success: false, message: "The playbook is empty. Add at least one clause type." };
+  }
+
+  try {
+    const { formattedText, paragraphCount } = await Word.run(async (context) => {
+      const enhanced = await extractEnhancedDocumentContext(context);
+      return { formattedText: enhanced.formattedText, paragraphCount: enhanced.paragraphs.length };
+    });
+
+    const fullPrompt = `You are an expert contract negotiator. Review the document (provided with [P#] anchors; § markers show section structure) against our negotiation PLAYBOOK.
+
+For EVERY clause ID in the playbook, return one object with:
+- "clauseId": The clause ID from the playbook.
+- "status": "standard" (matches our preferred position), "fallback" (matches one of our acceptable fallbacks), "deviation" (worse than our fallbacks, but no red line is crossed), "red_line" (crosses a red line), or "missing" (the document has no such clause).
+- "paragraphIndices": The paragraph numbers of the clause (e.g., [12, 13] for [P12] and [P13]), the paragraph that states the position first. Empty when missing.
+- "summary": One sentence on how the document handles this clause compared with our position.
+- "comment": (deviation and red_line only) A short negotiation comment explaining what to change and why.
+- "anchorText": (deviation and red_line only) A short snippet (max 8 words) copied EXACTLY from the first paragraph of the clause, to attach the comment to.
+- "proposedText": (deviation and red_line only) The full new text of the FIRST paragraph in paragraphIndices, rewritten to our preferred position or, if more realistic, our closest fallback. Keep the document's defined terms and drafting style, and change only what the position requires.
+
+PLAYBOOK:
+${formatPlaybookForPrompt(playbook)}
+
+DOCUMENT CONTENT:
+"""${formattedText}"""
+
+JSON ARRAY OF CLAUSE RESULTS:`;
+
+    const results = await callModelForJSON(fullPrompt, {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          "clauseId": { "type": "STRING" },
+          "status": { "type": "STRING", "enum": ["standard", "fallback", "deviation", "red_line", "missing"] },
+          "paragraphIndices": { "type": "ARRAY", "items": { "type": "INTEGER" } },
+          "summary": { "type": "STRING" },
+          "comment": { "type": "STRING" },
+          "anchorText": { "type": "STRING" },
+          "proposedText": { "type": "STRING" }
+        },
+        required: ["clauseId", "status", "summary"]
+      }
+    });
+
+    if (!Array.isArray(results)) {
+      return { success: false, message: "The AI did not return a valid playbook review. Please try again." };
+    }
+
+    const rows = normalizePlaybookReview(results, playbook, paragraphCount);
+    const missCount = rows.filter(needsPlaybookAction).length;
+    return {
+      success: true,
+      rows,
+      message: `Reviewed ${rows.length} clause type${rows.length === 1 ? "" : "s"}; ${missCount} miss${missCount === 1 ? "es" : ""} the playbook.`
+    };
+  } catch (error) {
+    console.error("Error in executePlaybookReview:", error);
+    return { success: false, message: `Playbook review failed: ${error.message}` };
+  }
+}
+
+/**
+ * Acts on the clauses of a playbook review that miss the playbook, without another model call.
+ * @param {Array<Object>} rows - From executePlaybookReview
+ * @param {"comment"|"redline"} action - Comment on each clause, or redline it to the proposed fallback wording
+ * @param {{ startParagraphIndex: number, endParagraphIndex: number }|null} [paragraphScope] - In selection-only
+ *   mode, the paragraphs that may be changed; clauses reaching outside them are left alone
+ * @returns {Promise<{ success: boolean, message: string }>}
+ */
+async function executePlaybookActions(rows, action, paragraphScope = null) {
+  const allMisses = (rows || []).filter(needsPlaybookAction);
+  if (allMisses.length === 0) {
+    return { success: true, message: "Every clause meets the playbook; nothing to change." };
+  }
+  const misses = allMisses.filter(row => row.paragraphIndices.every(index => isParagraphInScope(paragraphScope, index)));
+  const outOfScopeCount = allMisses.length - misses.length;
+  const scopeNote = outOfScopeCount > 0
+    ? ` ${outOfScopeCount} clause${outOfScopeCount === 1 ? " is" : "s are"} outside the selected paragraphs (${describeParagraphScope(paragraphScope)}) and ${outOfScopeCount === 1 ? "was" : "were"} left alone.`
+    : "";
+  if (misses.length === 0) {
+    return { success: false, message: `None of the clauses that miss the playbook are in the selected paragraphs (${describeParagraphScope(paragraphScope)}).` };
+  }
+
+  const redlineEnabled = loadRedlineSetting();
+  const redlineAuthor = loadRedlineAuthor();
+
+  try {
+    if (action === "comment") {
+      return await Word.run(async (context) => {
+        const paragraphs = context.document.body.paragraphs;
+        paragraphs.load("items/text");
+        await context.sync();
+
+        let commentsApplied = 0;
+        const trackingState = await setChangeTrackingForAi(context, false, "executePlaybookActions");
+        try {
+          for (const row of misses) {
+            const targetParagraph = paragraphs.items[row.paragraphIndices[0] - 1];
+            if (!targetParagraph) continue;
+            try {
+              const applied = await applySharedOperationToWordParagraph({
+                context,
+                targetParagraph,
+                operation: {
+                  type: "comment",
+                  targetRef: "P1",
+                  target: targetParagraph.text,
+                  textToComment: row.anchorText || targetParagraph.text,
+                  commentContent: formatPlaybookComment(row)
+                },
+                author: redlineAuthor,
+                generateRedlines: redlineEnabled,
+                logPrefix: "Playbook/Comment"
+              });
+              if (applied) commentsApplied++;
+            } catch (commentError) {
+              console.warn(`[Playbook/Comment] Failed in P${row.paragraphIndices[0]}:`, commentError?.message || commentError);
+            }
+          }
+        } finally {
+          await restoreChangeTracking(context, trackingState, "executePlaybookActions");
+        }
+
+        return {
+          success: commentsApplied > 0,
+          message: `Inserted ${commentsApplied} of ${misses.length} playbook comment${misses.length === 1 ? "" : "s"}.${scopeNote}`
+        };
+      });
+    }
+
+    let { changes, skipped } = buildPlaybookRedlineChanges(misses);
+    if (changes.length === 0) {
+      return { success: false, message: "The review proposed no fallback wording to redline. Insert comments instead." };
+    }
+
+    // Same optional review step as apply_redlines
+    let droppedCount = 0;
+    if (loadRedlineReviewSetting && loadRedlineReviewSetting() && reviewRedlineChanges) {
+      const paragraphTexts = await Word.run(async (context) => {
+        const paragraphs = context.document.body.paragraphs;
+        paragraphs.load("items/text");
+        await context.sync();
+        return paragraphs.items.map(p => p.text);
+      });
+      const stagedChanges = buildStagedRedlineChanges(changes, paragraphTexts);
+      const approvedIds = await reviewRedlineChanges(stagedChanges);
+      const proposedCount = changes.length;
+      changes = selectApprovedChanges(stagedChanges, approvedIds);
+      droppedCount = proposedCount - changes.length;
+      if (changes.length === 0) {
+        return { success: false, message: `All ${proposedCount} fallback redlines were rejected in review.` };
+      }
+    }
+
+    let changesApplied = 0;
+    await Word.run(async (context) => {
+      const trackingState = await setChangeTrackingForAi(context, redlineEnabled, "executePlaybookActions");
+      try {
+        context.document.load("changeTrackingMode");
+        await context.sync();
+        const result = await applyRedlineChangesToWordContext(context, changes, {
+          author: redlineAuthor,
+          generateRedlines: redlineEnabled,
+          disableNativeTracking: redlineEnabled,
+          baseTrackingMode: context.document.changeTrackingMode,
+          paragraphScope,
+          logPrefix: "Playbook/Redline"
+        });
+        changesApplied = result.changesApplied;
+      } finally {
+        await restoreChangeTracking(context, trackingState, "executePlaybookActions");
+      }
+    });
+
+    const droppedNote = droppedCount > 0 ? ` ${droppedCount} ${droppedCount === 1 ? "was" : "were"} rejected in review.` : "";
+    const skippedNote = skipped > 0 ? ` ${skipped} clause${skipped === 1 ? " has" : "s have"} no proposed wording; comment on ${skipped === 1 ? "it" : "them"} instead.` : "";
+    return {
+      success: changesApplied > 0,
+      message: `Redlined ${changesApplied} clause${changesApplied === 1 ? "" : "s"} to the playbook position.${droppedNote}${skippedNote}${scopeNote}`
+    };
+  } catch (error) {
+    console.error("Error in executePlaybookActions:", error);
+    return { success: false, message: `Failed to apply playbook ${action === "comment" ? "comments" : "redlines"}: ${error.message}` };
+  }
+}
+
 export {
   initAgenticTools,
   executeRedline,
   executeComment,
   executeHighlight,
   executeNavigate,
+  selectBodyParagraph,
   executeResearch,
   executeInsertListItem,
   executeEditList,
   executeConvertHeadersToList,
   executeEditTable,
-  executeEditSection
+  executeEditSection,
+  executeManageTrackedChanges,
+  collectLoadedTrackedChanges,
+  loadParagraphCommentThreads,
+  executeManageComments,
+  loadDocumentStories,
+  executeInsertLibraryClause,
+  executeCheckDefinedTerms,
+  executeFindReplace,
+  executePlaybookReview,
+  executePlaybookActions
 };
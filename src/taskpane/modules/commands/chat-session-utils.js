@@ -0,0 +1,171 @@
+// Longest conversation title kept; a longer first question is cut at a word boundary
+const MAX_SESSION_TITLE_LENGTH = 60;
+
+// Chat messages kept per stored conversation; the oldest are dropped beyond it
+const MAX_SESSION_MESSAGES = 300;
+
+const SESSION_SENDERS = new Set(["User", "Gemini", "System", "Error"]);
+
+// Result text kept per tool call of a turn (the chat shows less)
+const MAX_STORED_ACTIVITY_RESULT_LENGTH = 500;
+
+/**
+ * Cleans a conversation title typed by the user.
+ * @returns {string} The title on a single line and cut to the maximum length; "" when nothing is left
+ */
+export function normalizeSessionTitle(value) {
+  const title = typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+  return title.substring(0, MAX_SESSION_TITLE_LENGTH).trim();
+}
+
+/**
+ * Names a new conversation after its first question.
+ * @param {string} question
+ * @returns {string}
+ */
+export function createSessionTitle(question) {
+  const text = typeof question === "string" ? question.replace(/\s+/g, " ").trim() : "";
+  if (!text) return "Untitled conversation";
+  if (text.length <= MAX_SESSION_TITLE_LENGTH) return text;
+
+  const cut = text.substring(0, MAX_SESSION_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > MAX_SESSION_TITLE_LENGTH / 2 ? cut.substring(0, lastSpace) : cut).trim()}…`;
+}
+
+function isCheckpointId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validates the tool calls listed under a status message; calls without a checkpoint are dropped.
+ * @param {Array<{ name: string, label?: string, result?: string, success?: boolean, checkpointId: number, undone?: boolean }>} activity
+ * @returns {Array<{ name: string, label: string, result: string, success: boolean, checkpointId: number, undone: boolean }>}
+ */
+export function normalizeToolActivity(activity) {
+  return (Array.isArray(activity) ? activity : [])
+    .filter(entry => entry && typeof entry.name === "string" && entry.name && isCheckpointId(entry.checkpointId))
+    .map(entry => ({
+      name: entry.name,
+      label: typeof entry.label === "string" && entry.label.trim() ? entry.label : entry.name,
+      result: typeof entry.result === "string" ? entry.result.substring(0, MAX_STORED_ACTIVITY_RESULT_LENGTH) : "",
+      success: !!entry.success,
+      checkpointId: entry.checkpointId,
+      undone: !!entry.undone
+    }));
+}
+
+/**
+ * Validates the chat transcript of a stored conversation: unknown senders and empty messages are
+ * dropped, missing checkpoint links become -1 (no Revert button), and only the latest messages are kept.
+ * A user message keeps the position of its turn in the stored chat history when it has one and the
+ * conversation memory from when it was sent, and a status message the tool calls of its turn. A
+ * message whose changes were taken back by undoing an earlier tool call stays marked as undone.
+ *
+ * @param {Array<{ sender: string, text: string, checkpointId?: number, historyIndex?: number, memory?: string, activity?: Array<Object>, undone?: boolean }>} messages
+ * @returns {Array<{ sender: string, text: string, checkpointId: number, historyIndex?: number, memory?: string, activity?: ReturnType<typeof normalizeToolActivity>, undone?: true }>}
+ */
+export function normalizeSessionMessages(messages) {
+  return (Array.isArray(messages) ? messages : [])
+    .filter(message => message && SESSION_SENDERS.has(message.sender) && typeof message.text === "string" && message.text.trim())
+    .map(message => {
+      const activity = message.sender === "System" ? normalizeToolActivity(message.activity) : [];
+      return {
+        sender: message.sender,
+        text: message.text,
+        checkpointId: isCheckpointId(message.checkpointId) ? message.checkpointId : -1,
+        ...(message.sender === "User" && Number.isInteger(message.historyIndex) && message.historyIndex >= 0
+          ? { historyIndex: message.historyIndex }
+          : {}),
+        ...(message.sender === "User" && typeof message.memory === "string" ? { memory: message.memory } : {}),
+        ...(activity.length > 0 ? { activity } : {}),
+        ...(message.undone === true ? { undone: true } : {})
+      };
+    })
+    .slice(-MAX_SESSION_MESSAGES);
+}
+
+/**
+ * @returns {boolean} Whether the transcript holds a question worth storing as a conversation
+ */
+export function hasSessionContent(messages) {
+  return (messages || []).some(message => message && message.sender === "User");
+}
+
+/**
+ * Picks the conversations to delete so that at most `maxCount` remain (least recently used go first).
+ * @param {Array<{ id: number, updatedAt: number }>} sessions
+ * @param {number} maxCount
+ * @param {number|null} [keepId] - Conversation that is never pruned (the open one)
+ * @returns {number[]} ids to delete
+ */
+export function selectSessionsToPrune(sessions, maxCount, keepId = null) {
+  const candidates = (Array.isArray(sessions) ? sessions : [])
+    .filter(session => session.id !== keepId)
+    .sort((a, b) => (a.updatedAt - b.updatedAt) || (a.id - b.id));
+  const kept = keepId !== null && (sessions || []).some(session => session.id === keepId) ? 1 : 0;
+  const excess = candidates.length + kept - Math.max(kept, maxCount);
+  return excess > 0 ? candidates.slice(0, excess).map(session => session.id) : [];
+}
+
+/**
+ * Finds the checkpoint that brings the document back to how it was when a message was sent: the
+ * first one taken after it (checkpoints are taken just before a change).
+ * @param {Array<{ checkpointId: number }>} messages - Chat transcript, oldest first
+ * @param {number} index - Position of the message in the transcript
+ * @returns {number} Checkpoint id; -1 when the document has not been changed since the message
+ */
+export function findBranchCheckpoint(messages, index) {
+  const later = (messages || []).slice(index + 1).find(message => message && message.checkpointId > 0);
+  return later ? later.checkpointId : -1;
+}
+
+/**
+ * Names a branch after the conversation it was started from.
+ * @param {string} parentTitle
+ * @param {number} branchNumber - 1-based count of branches of that conversation
+ * @returns {string}
+ */
+export function createBranchTitle(parentTitle, branchNumber) {
+  const suffix = ` (branch ${branchNumber})`;
+  const base = normalizeSessionTitle(parentTitle).substring(0, MAX_SESSION_TITLE_LENGTH - suffix.length).trim();
+  return `${base || "Untitled conversation"}${suffix}`.substring(0, MAX_SESSION_TITLE_LENGTH);
+}
+
+/**
+ * Orders conversations as a tree: conversations that were not branched off another one, most
+ * recently used first, each followed by its branches (oldest first, at any depth). A branch whose
+ * conversation was deleted becomes a top-level conversation.
+ * @param {Array<{ id: number, parentId?: number|null, createdAt: number, updatedAt: number }>} sessions - Most recently used first
+ * @returns {Array<Object>} The sessions with a `depth` (0 for top level)
+ */
+export function orderSessionTree(sessions) {
+  const list = Array.isArray(sessions) ? sessions : [];
+  const ids = new Set(list.map(session => session.id));
+  const children = new Map();
+  const roots = [];
+  list.forEach(session => {
+    const parentId = session.parentId ?? null;
+    if (parentId !== null && parentId !== session.id && ids.has(parentId)) {
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(session);
+    } else {
+      roots.push(session);
+    }
+  });
+
+  const ordered = [];
+  const visited = new Set();
+  const visit = (session, depth) => {
+    if (visited.has(session.id)) return;
+    visited.add(session.id);
+    ordered.push({ ...session, depth });
+    (children.get(session.id) || [])
+      .sort((a, b) => (a.createdAt - b.createdAt) || (a.id - b.id))
+      .forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(session => visit(session, 0));
+  // Branches caught in a parent loop have no root; list them rather than lose them
+  list.forEach(session => visit(session, 0));
+  return ordered;
+}
@@ -0,0 +1,239 @@
+import { createParser, createSerializer } from '@ansonlai/docx-redline-js/adapters/xml-adapter.js';
+import { createTrackChange } from '@ansonlai/docx-redline-js/engine/run-builders.js';
+import { extractDefinedTerms } from './defined-terms-utils.js';
+
+// Budget for the clause listing that is added to every chat request
+const CLAUSE_CONTEXT_MAX_CHARS = 6000;
+const CLAUSE_PREVIEW_MAX_CHARS = 600;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Splits user-entered tags ("nda, Confidentiality;term") into a lowercase, de-duplicated list.
+ * @param {string|string[]} input
+ * @returns {string[]}
+ */
+export function normalizeClauseTags(input) {
+  const parts = Array.isArray(input) ? input : String(input || "").split(/[,;\n]/);
+  const tags = parts
+    .map(tag => String(tag || "").trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Filters clauses by a free-text query matched against title, tags and text.
+ * Every whitespace-separated word of the query must match.
+ * @param {Array<{ title: string, tags: string[], text: string }>} clauses
+ * @param {string} query
+ * @returns {Array<Object>}
+ */
+export function filterClauses(clauses, query) {
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return clauses || [];
+
+  return (clauses || []).filter(clause => {
+    const haystack = [clause.title, ...(clause.tags || []), clause.text].join(" ").toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
+
+/**
+ * Validates the replacements passed to insert_library_clause. Longer terms are applied
+ * first so "Disclosing Party" is adapted before "Party".
+ * @param {Array<{ from: string, to: string }>} replacements
+ * @returns {Array<{ from: string, to: string }>}
+ */
+export function normalizeClauseReplacements(replacements) {
+  if (!Array.isArray(replacements)) return [];
+  const seen = new Set();
+  return replacements
+    .map(item => ({
+      from: typeof item?.from === "string" ? item.from.trim() : "",
+      to: typeof item?.to === "string" ? item.to.trim() : ""
+    }))
+    .filter(item => item.from && item.from !== item.to)
+    .filter(item => {
+      if (seen.has(item.from)) return false;
+      seen.add(item.from);
+      return true;
+    })
+    .sort((a, b) => b.from.length - a.from.length);
+}
+
+function buildReplacementPattern(from) {
+  // Whole-word match that still works for terms starting/ending with punctuation
+  const start = /^\w/.test(from) ? "(?<![\\w])" : "";
+  const end = /\w$/.test(from) ? "(?![\\w])" : "";
+  return new RegExp(`${start}${escapeRegExp(from)}${end}`, "g");
+}
+
+/**
+ * Applies term replacements to plain clause text.
+ * @param {string} text
+ * @param {Array<{ from: string, to: string }>} replacements - Normalized replacements
+ * @returns {{ text: string, counts: Object<string, number> }}
+ */
+export function adaptClauseText(text, replacements) {
+  const counts = {};
+  let adapted = String(text || "");
+  for (const { from, to } of replacements) {
+    const pattern = buildReplacementPattern(from);
+    counts[from] = (adapted.match(pattern) || []).length;
+    adapted = adapted.replace(pattern, () => to);
+  }
+  return { text: adapted, counts };
+}
+
+// Replaces matches in a paragraph whose text may be split across several w:t nodes.
+// The replacement goes into the node where the match starts, keeping that run's formatting.
+function replaceAcrossTextNodes(textNodes, pattern, to) {
+  const joined = textNodes.map(node => node.textContent || "").join("");
+  const matches = [...joined.matchAll(pattern)];
+  if (matches.length === 0) return 0;
+
+  const nodeTexts = textNodes.map(node => node.textContent || "");
+  const nodeStarts = [];
+  let offset = 0;
+  nodeTexts.forEach(text => {
+    nodeStarts.push(offset);
+    offset += text.length;
+  });
+
+  // Right to left so earlier offsets stay valid
+  for (const match of matches.reverse()) {
+    const matchStart = match.index;
+    const matchEnd = match.index + match[0].length;
+
+    for (let i = nodeTexts.length - 1; i >= 0; i--) {
+      const nodeStart = nodeStarts[i];
+      const nodeEnd = nodeStart + textNodes[i].textContent.length;
+      if (nodeEnd <= matchStart || nodeStart >= matchEnd) continue;
+
+      const text = nodeTexts[i];
+      const localStart = Math.max(0, matchStart - nodeStart);
+      const localEnd = Math.min(text.length, matchEnd - nodeStart);
+      const insert = nodeStart <= matchStart ? to : "";
+      nodeTexts[i] = text.slice(0, localStart) + insert + text.slice(localEnd);
+    }
+  }
+
+  textNodes.forEach((node, i) => {
+    node.textContent = nodeTexts[i];
+    if (/^\s|\s$/.test(nodeTexts[i])) node.setAttribute("xml:space", "preserve");
+  });
+  return matches.length;
+}
+
+/**
+ * Applies term replacements to stored clause OOXML, paragraph by paragraph, so numbering
+ * and run formatting survive. Text inside tracked deletions is left alone.
+ * @param {string} ooxml
+ * @param {Array<{ from: string, to: string }>} replacements - Normalized replacements
+ * @returns {{ ooxml: string, counts: Object<string, number> }}
+ */
+export function adaptClauseOoxml(ooxml, replacements) {
+  const counts = {};
+  if (replacements.length === 0) return { ooxml, counts };
+
+  const xmlDoc = createParser().parseFromString(String(ooxml || ""), "text/xml");
+  const paragraphs = Array.from(xmlDoc.getElementsByTagName("w:p"));
+
+  for (const { from, to } of replacements) {
+    const pattern = buildReplacementPattern(from);
+    counts[from] = 0;
+    for (const paragraph of paragraphs) {
+      const textNodes = Array.from(paragraph.getElementsByTagName("w:t"))
+        .filter(node => {
+          for (let parent = node.parentNode; parent && parent !== paragraph; parent = parent.parentNode) {
+            if (parent.nodeName === "w:p") return false; // nested (text box) paragraph, handled on its own
+          }
+          return true;
+        });
+      counts[from] += replaceAcrossTextNodes(textNodes, pattern, to);
+    }
+  }
+
+  return { ooxml: createSerializer().serializeToString(xmlDoc), counts };
+}
+
+// Run containers that already carry revision markup
+const REVISION_PARENTS = new Set(["w:ins", "w:del", "w:moveFrom", "w:moveTo"]);
+
+/**
+ * Marks every run and paragraph mark in the OOXML as a tracked insertion by `author`,
+ * so the clause can be inserted with native tracking off and still appear as a redline
+ * attributed to the configured redline author.
+ * @param {string} ooxml
+ * @param {string} author
+ * @returns {string}
+ */
+export function markOoxmlAsInserted(ooxml, author) {
+  const xmlDoc = createParser().parseFromString(String(ooxml || ""), "text/xml");
+
+  for (const run of Array.from(xmlDoc.getElementsByTagName("w:r"))) {
+    const parent = run.parentNode;
+    if (!parent || REVISION_PARENTS.has(parent.nodeName)) continue;
+    const wrapper = createTrackChange(xmlDoc, "ins", null, author);
+    parent.insertBefore(wrapper, run);
+    wrapper.appendChild(run);
+  }
+
+  for (const paragraph of Array.from(xmlDoc.getElementsByTagName("w:p"))) {
+    let pPr = Array.from(paragraph.childNodes).find(node => node.nodeName === "w:pPr");
+    if (!pPr) {
+      pPr = xmlDoc.createElement("w:pPr");
+      paragraph.insertBefore(pPr, paragraph.firstChild);
+    }
+    let rPr = Array.from(pPr.childNodes).find(node => node.nodeName === "w:rPr");
+    if (!rPr) {
+      rPr = xmlDoc.createElement("w:rPr");
+      const after = Array.from(pPr.childNodes).find(node => node.nodeName === "w:sectPr" || node.nodeName === "w:pPrChange");
+      pPr.insertBefore(rPr, after || null);
+    }
+    if (!Array.from(rPr.childNodes).some(node => node.nodeName === "w:ins")) {
+      rPr.insertBefore(createTrackChange(xmlDoc, "ins", null, author), rPr.firstChild);
+    }
+  }
+
+  return createSerializer().serializeToString(xmlDoc);
+}
+
+/**
+ * Builds the CLAUSE LIBRARY block for the chat context: id, title, tags, the terms each
+ * clause defines and a preview of its text, within a fixed character budget.
+ * @param {Array<{ id: number, title: string, tags: string[], text: string, definedTerms?: string[] }>} clauses
+ * @param {number} [maxChars]
+ * @returns {string[]} Lines, or an empty array when the library is empty
+ */
+export function buildClauseLibraryContextLines(clauses, maxChars = CLAUSE_CONTEXT_MAX_CHARS) {
+  const list = Array.isArray(clauses) ? clauses : [];
+  if (list.length === 0) return [];
+
+  const lines = ["CLAUSE LIBRARY (saved clauses that can be inserted with insert_library_clause):"];
+  let usedChars = 0;
+  let included = 0;
+
+  for (const clause of list) {
+    const terms = clause.definedTerms || extractDefinedTerms(clause.text);
+    const text = String(clause.text || "").replace(/\s+/g, " ").trim();
+    const preview = text.length > CLAUSE_PREVIEW_MAX_CHARS ? `${text.slice(0, CLAUSE_PREVIEW_MAX_CHARS)}...` : text;
+    const entry = [
+      `[C${clause.id}] ${clause.title}${clause.tags && clause.tags.length ? ` (tags: ${clause.tags.join(", ")})` : ""}`,
+      ...(terms.length ? [`Defines: ${terms.map(term => `"${term}"`).join(", ")}`] : []),
+      preview
+    ];
+    const entryLength = entry.join("\n").length;
+    if (included > 0 && usedChars + entryLength > maxChars) {
+      lines.push(`[${list.length - included} more clause(s) not shown]`);
+      break;
+    }
+    lines.push(...entry);
+    usedChars += entryLength;
+    included++;
+  }
+
+  return lines;
+}
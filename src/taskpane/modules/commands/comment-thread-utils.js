@@ -0,0 +1,103 @@
+const COMMENT_ACTIONS = new Set(["reply", "resolve", "reopen", "delete"]);
+
+function formatCommentDate(value) {
+  if (!value) return "";
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+}
+
+function compactText(text, maxLength) {
+  const compact = String(text || "").replace(/\s+/g, " ").trim();
+  return compact.length > maxLength ? `${compact.substring(0, maxLength)}...` : compact;
+}
+
+/**
+ * Flattens the comments loaded per paragraph into threads anchored to the first paragraph they
+ * cover (a comment whose anchor spans paragraphs is reported by each of them).
+ *
+ * @param {Array<{ paragraphIndex: number, items: Array<{ id: string, content: string, authorName: string, creationDate: *, resolved: boolean }> }>} scanned
+ *   In document order
+ * @returns {Array<{ id: string, paragraphIndex: number, content: string, authorName: string, creationDate: *, resolved: boolean, anchorText: string, replies: Array<Object>, comment: Object }>}
+ *   anchorText and replies start empty and are filled in by the caller
+ */
+export function collectParagraphCommentThreads(scanned) {
+  const seen = new Set();
+  const threads = [];
+  for (const { paragraphIndex, items } of Array.isArray(scanned) ? scanned : []) {
+    for (const comment of items || []) {
+      const id = String(comment.id);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      threads.push({
+        id,
+        paragraphIndex,
+        content: comment.content,
+        authorName: comment.authorName,
+        creationDate: comment.creationDate,
+        resolved: !!comment.resolved,
+        anchorText: "",
+        replies: [],
+        comment
+      });
+    }
+  }
+  return threads;
+}
+
+/**
+ * Formats comment threads for the model, e.g.
+ * `[P4] Comment 12 by Jane Doe (2026-03-01, open) on "thirty (30) days": Why not 60?`
+ * followed by one indented line per reply.
+ *
+ * @param {ReturnType<typeof collectParagraphCommentThreads>} threads
+ * @param {number} [maxItems=50]
+ * @returns {string}
+ */
+export function formatCommentThreads(threads, maxItems = 50) {
+  const list = Array.isArray(threads) ? threads : [];
+  const lines = [];
+  for (const thread of list.slice(0, maxItems)) {
+    const date = formatCommentDate(thread.creationDate);
+    const status = thread.resolved ? "resolved" : "open";
+    const anchor = compactText(thread.anchorText, 80);
+    lines.push(`[P${thread.paragraphIndex}] Comment ${thread.id} by ${thread.authorName || "Unknown"} (${date ? `${date}, ` : ""}${status})${anchor ? ` on "${anchor}"` : ""}: ${compactText(thread.content, 500)}`);
+    for (const reply of thread.replies || []) {
+      const replyDate = formatCommentDate(reply.creationDate);
+      lines.push(`    Reply by ${reply.authorName || "Unknown"}${replyDate ? ` (${replyDate})` : ""}: ${compactText(reply.content, 500)}`);
+    }
+  }
+
+  if (list.length > maxItems) {
+    lines.push(`...and ${list.length - maxItems} more.`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Validates the operations of the manage_comments tool.
+ *
+ * @param {Array<{ commentId: string, action: string, text?: string }>} operations
+ * @returns {{ operations: Array<{ commentId: string, action: string, text: string }>, errors: string[] }}
+ */
+export function normalizeCommentOperations(operations) {
+  const valid = [];
+  const errors = [];
+  (Array.isArray(operations) ? operations : []).forEach((operation, i) => {
+    const commentId = operation && operation.commentId !== undefined && operation.commentId !== null
+      ? String(operation.commentId).trim()
+      : "";
+    const action = String(operation && operation.action || "").trim().toLowerCase();
+    const text = typeof (operation && operation.text) === "string" ? operation.text.trim() : "";
+
+    if (!commentId) {
+      errors.push(`Operation ${i + 1}: missing commentId.`);
+    } else if (!COMMENT_ACTIONS.has(action)) {
+      errors.push(`Comment ${commentId}: unknown action "${operation.action}". Use "reply", "resolve", "reopen" or "delete".`);
+    } else if (action === "reply" && !text) {
+      errors.push(`Comment ${commentId}: a reply needs text.`);
+    } else {
+      valid.push({ commentId, action, text });
+    }
+  });
+  return { operations: valid, errors };
+}
@@ -0,0 +1,233 @@
+const REFERENCE_KEYWORD = "(?:Sections?|Clauses?|Articles?|Paragraphs?|§§?)";
+// 4, 4.2, 4.2.1, 7(b), 7(b)(ii), 4.2(a)
+const REFERENCE_NUMBER = "\\d+(?:\\.\\d+)*\\.?(?:\\s?\\([a-zA-Z0-9]{1,4}\\))*";
+const REFERENCE_PATTERN = new RegExp(
+  `(?<![\\w])(${REFERENCE_KEYWORD})\\s*(${REFERENCE_NUMBER}(?:\\s*(?:,|and|or|and/or|through|to)\\s*${REFERENCE_NUMBER})*)`,
+  "gi"
+);
+const REFERENCE_NUMBER_PATTERN = new RegExp(REFERENCE_NUMBER, "g");
+
+// Manually numbered headings such as "4.2 Payment Terms" or "7. Term"
+const MANUAL_HEADING_PATTERN = /^\s*(\d+(?:\.\d+)*)\.?\s+\S/;
+
+const HEADING_KEY_LENGTH = 80;
+
+/**
+ * Normalizes a section number for comparison: "4.2." -> "4.2", "7 (b)" -> "7(b)", "7(B)" -> "7(b)".
+ * @param {string} number
+ * @returns {string}
+ */
+export function normalizeSectionNumber(number) {
+  return String(number || "")
+    .replace(/\s+/g, "")
+    .replace(/\.(?=\(|$)/g, "")
+    .toLowerCase();
+}
+
+// "4." / "(b)" / "b)" -> a label relative to the parent level; "4.2" / "4.2." -> an already complete number
+function parseListString(listString) {
+  const trimmed = String(listString || "").trim();
+  if (/^\d+(?:\.\d+)+\.?$/.test(trimmed)) {
+    return { label: trimmed.replace(/\.$/, ""), isFullNumber: true };
+  }
+  const match = trimmed.match(/^\(?([a-zA-Z0-9]{1,4})[.)]?$/);
+  return match ? { label: match[1], isFullNumber: false } : null;
+}
+
+// Identifies a heading across renumbering, so manual numbers are left out
+function headingKey(text) {
+  return String(text || "")
+    .replace(MANUAL_HEADING_PATTERN, match => match.slice(-1))
+    .replace(/\s+/g, " ")
+    .trim()
+    .substring(0, HEADING_KEY_LENGTH);
+}
+
+/**
+ * Computes the number each numbered paragraph is displayed with, from Word's list strings
+ * (level 0 "4." / level 1 "4.2" or "(b)") and manually numbered headings.
+ *
+ * @param {Array<{ index: number, text: string, isListItem?: boolean, listLevel?: number, listString?: string, isInTable?: boolean }>} paragraphs
+ * @returns {Map<string, { paragraphIndex: number, heading: string }>} normalized number -> heading
+ */
+export function buildSectionNumberMap(paragraphs) {
+  const sectionMap = new Map();
+  const levelNumbers = [];
+
+  for (const paragraph of paragraphs || []) {
+    if (paragraph.isInTable) continue;
+
+    let number = null;
+    if (paragraph.isListItem && paragraph.listString) {
+      const parsed = parseListString(paragraph.listString);
+      const level = Math.max(0, paragraph.listLevel || 0);
+      if (!parsed) continue;
+
+      if (parsed.isFullNumber || level === 0) {
+        number = parsed.label;
+      } else {
+        const parent = levelNumbers.slice(0, level).reverse().find(Boolean);
+        if (!parent) {
+          number = parsed.label;
+        } else {
+          number = /^\d+$/.test(parsed.label) && !parent.includes("(")
+            ? `${parent}.${parsed.label}`
+            : `${parent}(${parsed.label})`;
+        }
+      }
+      levelNumbers[level] = number;
+      levelNumbers.length = level + 1;
+    } else {
+      const manual = String(paragraph.text || "").match(MANUAL_HEADING_PATTERN);
+      if (manual) number = manual[1];
+    }
+
+    if (number) {
+      const key = normalizeSectionNumber(number);
+      if (!sectionMap.has(key)) {
+        sectionMap.set(key, { paragraphIndex: paragraph.index, heading: headingKey(paragraph.text) });
+      }
+    }
+  }
+
+  return sectionMap;
+}
+
+/**
+ * Finds textual cross-references such as "Section 4.2", "clauses 7(b) and 9" or "§ 3".
+ * @param {Array<{ index: number, text: string }>} paragraphs
+ * @returns {Array<{ paragraphIndex: number, number: string, normalized: string, start: number, end: number }>}
+ *   start/end are offsets of the number within the paragraph text
+ */
+export function findCrossReferences(paragraphs) {
+  const references = [];
+  for (const paragraph of paragraphs || []) {
+    const text = String(paragraph.text || "");
+    for (const match of text.matchAll(REFERENCE_PATTERN)) {
+      const listStart = match.index + match[0].length - match[2].length;
+      for (const numberMatch of match[2].matchAll(REFERENCE_NUMBER_PATTERN)) {
+        const number = numberMatch[0].replace(/\.$/, "");
+        const start = listStart + numberMatch.index;
+        references.push({
+          paragraphIndex: paragraph.index,
+          number,
+          normalized: normalizeSectionNumber(number),
+          start,
+          end: start + number.length
+        });
+      }
+    }
+  }
+  return references;
+}
+
+// "4.2(a)" resolves to "4.2" (keeping "(a)" as suffix) when the map does not break 4.2 down into lettered parts
+function resolveReference(normalized, sectionMap) {
+  if (sectionMap.has(normalized)) return { entry: sectionMap.get(normalized), suffix: "" };
+  const base = normalized.replace(/\(.*$/, "");
+  if (base !== normalized && sectionMap.has(base)) {
+    const hasParts = [...sectionMap.keys()].some(key => key.startsWith(`${base}(`));
+    if (!hasParts) return { entry: sectionMap.get(base), suffix: normalized.slice(base.length) };
+  }
+  return null;
+}
+
+/**
+ * Checks references against the current numbering. With a `previousMap` (numbering before an
+ * edit), a reference whose number now points at a different heading is reported as "shifted"
+ * along with the heading's new number; otherwise unresolvable references are "dangling".
+ *
+ * @param {Array<Object>} references - Output of findCrossReferences
+ * @param {Map<string, Object>} sectionMap - Output of buildSectionNumberMap for the current document
+ * @param {Map<string, Object>|null} [previousMap=null] - Numbering before the edit
+ * @returns {Array<{ type: 'dangling'|'shifted', paragraphIndex: number, number: string, start: number, end: number, suggestion: string|null, heading: string|null }>}
+ */
+export function validateCrossReferences(references, sectionMap, previousMap = null) {
+  const issues = [];
+  const numberByHeading = new Map();
+  for (const [number, entry] of sectionMap) {
+    if (!numberByHeading.has(entry.heading)) numberByHeading.set(entry.heading, number);
+  }
+
+  for (const reference of references || []) {
+    const current = resolveReference(reference.normalized, sectionMap);
+    const previous = previousMap ? resolveReference(reference.normalized, previousMap) : null;
+
+    if (previous && (!current || current.entry.heading !== previous.entry.heading)) {
+      const newNumber = numberByHeading.get(previous.entry.heading) || null;
+      issues.push({
+        type: newNumber ? "shifted" : "dangling",
+        paragraphIndex: reference.paragraphIndex,
+        number: reference.number,
+        start: reference.start,
+        end: reference.end,
+        suggestion: newNumber ? newNumber + previous.suffix : null,
+        heading: previous.entry.heading
+      });
+    } else if (!current && !previousMap) {
+      // After an edit (previousMap given) only report what the edit broke, not references that were already dangling
+      issues.push({
+        type: "dangling",
+        paragraphIndex: reference.paragraphIndex,
+        number: reference.number,
+        start: reference.start,
+        end: reference.end,
+        suggestion: null,
+        heading: null
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Builds edit_paragraph changes that rewrite shifted references to their new numbers.
+ * @param {Array<Object>} issues - Output of validateCrossReferences
+ * @param {Array<{ index: number, text: string }>} paragraphs - Current paragraph texts
+ * @returns {Array<{ paragraphIndex: number, operation: 'edit_paragraph', newContent: string }>} Bottom-up order
+ */
+export function buildCrossReferenceRepairs(issues, paragraphs) {
+  const textByIndex = new Map((paragraphs || []).map(paragraph => [paragraph.index, String(paragraph.text || "")]));
+  const byParagraph = new Map();
+  (issues || [])
+    .filter(issue => issue.type === "shifted" && issue.suggestion)
+    .forEach(issue => {
+      if (!byParagraph.has(issue.paragraphIndex)) byParagraph.set(issue.paragraphIndex, []);
+      byParagraph.get(issue.paragraphIndex).push(issue);
+    });
+
+  const changes = [];
+  for (const [paragraphIndex, paragraphIssues] of byParagraph) {
+    const original = textByIndex.get(paragraphIndex);
+    if (original === undefined) continue;
+
+    let text = original;
+    // Right to left so earlier offsets stay valid
+    [...paragraphIssues].sort((a, b) => b.start - a.start).forEach(issue => {
+      if (text.slice(issue.start, issue.end) !== issue.number) return;
+      text = text.slice(0, issue.start) + issue.suggestion + text.slice(issue.end);
+    });
+    if (text !== original) {
+      changes.push({ paragraphIndex, operation: "edit_paragraph", newContent: text });
+    }
+  }
+
+  return changes.sort((a, b) => b.paragraphIndex - a.paragraphIndex);
+}
+
+/**
+ * One line per issue for the chat, e.g. `Reference to 4.2 should now be 4.3 ("Payment Terms")`.
+ * @param {Array<Object>} issues
+ * @returns {string}
+ */
+export function formatCrossReferenceIssues(issues) {
+  return (issues || []).map(issue => {
+    if (issue.type === "shifted") {
+      return `Reference to ${issue.number} should now be ${issue.suggestion} ("${issue.heading}")`;
+    }
+    return issue.heading
+      ? `Reference to ${issue.number} is dangling: "${issue.heading}" no longer exists`
+      : `Reference to ${issue.number} does not match any section`;
+  }).join("\n");
+}
@@ -0,0 +1,228 @@
+const DEFINITION_PATTERNS = [
+  // (the "Company"), ("Confidential Information"), (each a "Party")
+  /\(\s*(?:(?:the|each|together|collectively|individually|hereinafter|a|an)\s+)*["“]([^"“”]{1,80})["”]/g,
+  // "Effective Date" means / shall mean / has the meaning
+  /["“]([^"“”]{1,80})["”]\s+(?:means|shall mean|has the meaning|shall have the meaning|refers to)/g
+];
+
+// Capitalized phrases after "the" that look like defined terms ("the Purchase Price")
+const CANDIDATE_TERM_PATTERN = /\b(?:the|this|such|each|any)\s+((?:[A-Z][a-z]+)(?:\s+[A-Z][a-z]+){0,3})\b/g;
+
+// Capitalized words that are structural references or ordinary proper nouns, not defined terms
+const NON_TERM_WORDS = new Set([
+  "Section", "Sections", "Clause", "Clauses", "Article", "Articles", "Schedule", "Schedules",
+  "Exhibit", "Exhibits", "Appendix", "Annex", "Paragraph", "Recital", "Recitals", "Table",
+  "January", "February", "March", "April", "May", "June", "July", "August", "September",
+  "October", "November", "December", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday",
+  "Saturday", "Sunday", "United", "States", "Kingdom", "Province", "State", "Court", "Courts"
+]);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termPattern(term, flags) {
+  const start = /^\w/.test(term) ? "(?<![\\w])" : "";
+  const end = /\w$/.test(term) ? "(?![\\w])" : "";
+  return new RegExp(`${start}${escapeRegExp(term)}${end}`, flags);
+}
+
+// Headings are often set in capitals; case differences there are not inconsistencies
+function isAllCaps(text) {
+  const letters = String(text || "").replace(/[^A-Za-z]/g, "");
+  return letters.length > 3 && letters === letters.toUpperCase();
+}
+
+/**
+ * Finds the quoted terms a piece of text defines, with their position.
+ * @param {string} text
+ * @returns {Array<{ term: string, start: number, end: number }>} In order of position
+ */
+export function findDefinitionSpans(text) {
+  const spans = [];
+  for (const pattern of DEFINITION_PATTERNS) {
+    for (const match of String(text || "").matchAll(pattern)) {
+      const term = match[1].trim();
+      if (!term) continue;
+      const start = match.index + match[0].indexOf(match[1]);
+      spans.push({ term, start, end: start + match[1].length });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Finds the terms a piece of text defines, e.g. (the "Supplier") or "Services" means ...
+ * @param {string} text
+ * @returns {string[]} Terms in order of first definition
+ */
+export function extractDefinedTerms(text) {
+  return [...new Set(findDefinitionSpans(text).map(span => span.term))];
+}
+
+/**
+ * Builds a defined-term index for the document and flags consistency problems:
+ * - "undefined": capitalized terms used like defined terms ("the Purchase Price") but never defined
+ * - "unused": terms defined but never used outside their definition
+ * - "capitalization": occurrences of a defined term with different capitalization
+ * - "duplicate": terms defined more than once
+ *
+ * @param {Array<{ index: number, text: string }>} paragraphs - 1-based paragraph indices
+ * @returns {{ terms: Array<{ term: string, definedIn: number[], usages: Array<{ paragraphIndex: number, count: number }>, usageCount: number }>, issues: Array<{ type: string, term: string, paragraphIndex: number|null, occurrence: string|null, expected: string|null, count: number }> }}
+ */
+export function analyzeDefinedTerms(paragraphs) {
+  const list = Array.isArray(paragraphs) ? paragraphs : [];
+  const termMap = new Map();
+  const definitionSpans = new Map();
+
+  for (const paragraph of list) {
+    const spans = findDefinitionSpans(paragraph.text);
+    definitionSpans.set(paragraph.index, spans);
+    for (const span of spans) {
+      if (!termMap.has(span.term)) {
+        termMap.set(span.term, { term: span.term, definedIn: [], usages: [], usageCount: 0 });
+      }
+      termMap.get(span.term).definedIn.push(paragraph.index);
+    }
+  }
+
+  const issues = [];
+  // Longer terms first, so uses of "Disclosing Party" are not also counted as uses of "Party"
+  const terms = [...termMap.values()].sort((a, b) => b.term.length - a.term.length);
+
+  for (const paragraph of list) {
+    const text = String(paragraph.text || "");
+    const claimed = definitionSpans.get(paragraph.index).map(span => [span.start, span.end]);
+    const overlapsClaimed = (start, end) => claimed.some(([s, e]) => start < e && end > s);
+
+    for (const entry of terms) {
+      let count = 0;
+      const mismatches = new Map();
+      for (const match of text.matchAll(termPattern(entry.term, "gi"))) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (overlapsClaimed(start, end)) continue;
+        claimed.push([start, end]);
+
+        if (match[0] === entry.term) {
+          count++;
+        } else if (!isAllCaps(text)) {
+          mismatches.set(match[0], (mismatches.get(match[0]) || 0) + 1);
+        }
+      }
+      if (count > 0) {
+        entry.usages.push({ paragraphIndex: paragraph.index, count });
+        entry.usageCount += count;
+      }
+      for (const [occurrence, mismatchCount] of mismatches) {
+        issues.push({ type: "capitalization", term: entry.term, paragraphIndex: paragraph.index, occurrence, expected: entry.term, count: mismatchCount });
+      }
+    }
+  }
+
+  for (const entry of termMap.values()) {
+    if (entry.definedIn.length > 1) {
+      issues.push({ type: "duplicate", term: entry.term, paragraphIndex: entry.definedIn[1], occurrence: entry.term, expected: null, count: entry.definedIn.length });
+    }
+    if (entry.usageCount === 0) {
+      issues.push({ type: "unused", term: entry.term, paragraphIndex: entry.definedIn[0], occurrence: entry.term, expected: null, count: 0 });
+    }
+  }
+
+  // Capitalized phrases used like defined terms but never defined
+  const definedLower = new Set([...termMap.keys()].map(term => term.toLowerCase()));
+  const candidates = new Map();
+  for (const paragraph of list) {
+    const text = String(paragraph.text || "");
+    if (isAllCaps(text)) continue;
+    for (const match of text.matchAll(CANDIDATE_TERM_PATTERN)) {
+      const phrase = match[1];
+      const words = phrase.split(/\s+/);
+      if (words.some(word => NON_TERM_WORDS.has(word))) continue;
+      if (definedLower.has(phrase.toLowerCase())) continue;
+      // Part of, or an extension of, a defined term ("the Receiving Party" when "Party" is defined)
+      if ([...definedLower].some(term => phrase.toLowerCase().includes(term) || term.includes(phrase.toLowerCase()))) continue;
+
+      if (!candidates.has(phrase)) candidates.set(phrase, []);
+      candidates.get(phrase).push(paragraph.index);
+    }
+  }
+  for (const [phrase, paragraphIndices] of candidates) {
+    issues.push({ type: "undefined", term: phrase, paragraphIndex: paragraphIndices[0], occurrence: phrase, expected: null, count: paragraphIndices.length });
+  }
+
+  const typeOrder = { undefined: 0, unused: 1, capitalization: 2, duplicate: 3 };
+  issues.sort((a, b) => (typeOrder[a.type] - typeOrder[b.type]) || ((a.paragraphIndex || 0) - (b.paragraphIndex || 0)));
+
+  return {
+    terms: [...termMap.values()].sort((a, b) => a.definedIn[0] - b.definedIn[0]),
+    issues
+  };
+}
+
+/**
+ * Describes an issue in one sentence (used for comments and the tool result).
+ * @param {{ type: string, term: string, occurrence: string|null, expected: string|null, count: number }} issue
+ * @returns {string}
+ */
+export function describeDefinedTermIssue(issue) {
+  switch (issue.type) {
+    case "undefined":
+      return `"${issue.term}" is capitalized like a defined term but is never defined.`;
+    case "unused":
+      return `"${issue.term}" is defined but never used.`;
+    case "capitalization":
+      return `"${issue.occurrence}" should match the defined term "${issue.expected}".`;
+    case "duplicate":
+      return `"${issue.term}" is defined ${issue.count} times.`;
+    default:
+      return `"${issue.term}": ${issue.type}`;
+  }
+}
+
+/**
+ * Replaces mis-capitalized occurrences of defined terms in a paragraph.
+ * @param {string} text
+ * @param {Array<{ occurrence: string, expected: string }>} issues - Capitalization issues for this paragraph
+ * @returns {string}
+ */
+export function fixTermCapitalization(text, issues) {
+  let fixed = String(text || "");
+  for (const issue of issues) {
+    fixed = fixed.replace(termPattern(issue.occurrence, "g"), () => issue.expected);
+  }
+  return fixed;
+}
+
+/**
+ * Formats the analysis for a tool result: defined terms with their use counts, then issues.
+ * @param {ReturnType<typeof analyzeDefinedTerms>} analysis
+ * @param {number} [maxItems=40] - Maximum issues listed
+ * @returns {string}
+ */
+export function formatDefinedTermReport(analysis, maxItems = 40) {
+  const lines = [];
+  if (analysis.terms.length === 0) {
+    lines.push("No defined terms found.");
+  } else {
+    lines.push(`Defined terms (${analysis.terms.length}):`);
+    analysis.terms.forEach(entry => {
+      lines.push(`- "${entry.term}" defined in P${entry.definedIn.join(", P")}, used ${entry.usageCount} time${entry.usageCount === 1 ? "" : "s"}`);
+    });
+  }
+
+  if (analysis.issues.length === 0) {
+    lines.push("No consistency issues found.");
+  } else {
+    lines.push(`Issues (${analysis.issues.length}):`);
+    analysis.issues.slice(0, maxItems).forEach(issue => {
+      const location = issue.paragraphIndex ? `[P${issue.paragraphIndex}] ` : "";
+      lines.push(`- ${location}${issue.type}: ${describeDefinedTermIssue(issue)}`);
+    });
+    if (analysis.issues.length > maxItems) {
+      lines.push(`... and ${analysis.issues.length - maxItems} more`);
+    }
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,285 @@
+// Heading sendChatMessage puts between the body paragraphs and the headers, footers and notes
+const STORY_CONTEXT_HEADING = "HEADERS, FOOTERS AND NOTES:";
+
+// [P12|ListNumber|L:0|§] ... -> index and metadata
+const PARAGRAPH_LINE = /^\[P(\d+)\|([^\]]*)\]/;
+const HEADING_STYLE = /^(Heading\s?\d*|Title)$/i;
+
+const OUTLINE_LINE_WORDS = 20;
+
+/**
+ * Counts the words of a document context, the way the document size limit is measured.
+ * @returns {number}
+ */
+export function countContextWords(text) {
+  const trimmed = String(text ?? "").trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+function splitStoryContext(text) {
+  const marker = `\n\n${STORY_CONTEXT_HEADING}\n`;
+  const position = text.indexOf(marker);
+  return position < 0
+    ? { bodyText: text, storyText: "" }
+    : { bodyText: text.slice(0, position), storyText: text.slice(position + 2) };
+}
+
+// Groups body lines into paragraphs; lines without a [P#] anchor continue the previous paragraph
+function parseContextParagraphs(bodyText) {
+  const paragraphs = [];
+  let sectionNumber = 0;
+  for (const line of bodyText.split("\n")) {
+    const match = PARAGRAPH_LINE.exec(line);
+    if (!match) {
+      if (paragraphs.length > 0) paragraphs[paragraphs.length - 1].lines.push(line);
+      continue;
+    }
+    const meta = match[2].split("|");
+    const isSectionHeader = meta.includes("§");
+    const startsSection = isSectionHeader && meta.includes("L:0");
+    if (startsSection) sectionNumber++;
+    paragraphs.push({
+      index: Number(match[1]),
+      lines: [line],
+      isSectionHeader,
+      startsSection,
+      isHeading: HEADING_STYLE.test(meta[0]),
+      sectionNumber: sectionNumber || null
+    });
+  }
+  paragraphs.forEach(paragraph => {
+    paragraph.words = countContextWords(paragraph.lines.join("\n"));
+  });
+  return paragraphs;
+}
+
+function createPart(paragraphs) {
+  const sections = [...new Set(paragraphs.map(p => p.sectionNumber).filter(Boolean))];
+  return {
+    firstParagraph: paragraphs[0].index,
+    lastParagraph: paragraphs[paragraphs.length - 1].index,
+    sections,
+    includesStories: false,
+    words: paragraphs.reduce((sum, p) => sum + p.words, 0),
+    text: paragraphs.map(p => p.lines.join("\n")).join("\n")
+  };
+}
+
+/**
+ * Splits a [P#] document context into parts of at most maxWords words for separate model calls.
+ * Parts break at top-level sections (the § headers of list level 0) and headings, so a section is
+ * only split when it alone exceeds maxWords; then it breaks between paragraphs (a part may run over
+ * by a section header, which stays with its first body paragraph). Headers, footers
+ * and notes join the last part when they fit, and form a part of their own otherwise.
+ *
+ * @param {string} text - Document context as built by sendChatMessage
+ * @param {number} maxWords
+ * @returns {Array<{ number: number, firstParagraph: number|null, lastParagraph: number|null, sections: number[], includesStories: boolean, words: number, text: string }>}
+ *   A single part holding the whole text when it has no [P#] paragraphs
+ */
+export function splitDocumentContext(text, maxWords) {
+  const source = String(text ?? "");
+  const { bodyText, storyText } = splitStoryContext(source);
+  const paragraphs = parseContextParagraphs(bodyText);
+  if (paragraphs.length === 0) {
+    return [{ number: 1, firstParagraph: null, lastParagraph: null, sections: [], includesStories: !!storyText, words: countContextWords(source), text: source }];
+  }
+
+  // Units start at each section or heading
+  const units = [];
+  paragraphs.forEach(paragraph => {
+    if (units.length === 0 || paragraph.startsSection || paragraph.isHeading) units.push([]);
+    units[units.length - 1].push(paragraph);
+  });
+
+  const parts = [];
+  let current = [];
+  let currentWords = 0;
+  const flush = () => {
+    if (current.length > 0) parts.push(createPart(current));
+    current = [];
+    currentWords = 0;
+  };
+  for (const unit of units) {
+    const unitWords = unit.reduce((sum, p) => sum + p.words, 0);
+    if (currentWords + unitWords <= maxWords) {
+      current.push(...unit);
+      currentWords += unitWords;
+      continue;
+    }
+    flush();
+    for (const paragraph of unit) {
+      // A section header stays with the start of its body
+      const onlyHeader = current.length === 1 && current[0].isSectionHeader;
+      if (current.length > 0 && !onlyHeader && currentWords + paragraph.words > maxWords) flush();
+      current.push(paragraph);
+      currentWords += paragraph.words;
+    }
+  }
+  flush();
+
+  if (storyText) {
+    const storyWords = countContextWords(storyText);
+    const last = parts[parts.length - 1];
+    if (last.words + storyWords <= maxWords) {
+      last.text += `\n\n${storyText}`;
+      last.words += storyWords;
+      last.includesStories = true;
+    } else {
+      parts.push({ firstParagraph: null, lastParagraph: null, sections: [], includesStories: true, words: storyWords, text: storyText });
+    }
+  }
+
+  return parts.map((part, i) => ({ number: i + 1, ...part }));
+}
+
+/**
+ * @returns {string} e.g. "P213–P480 (sections 4–7)" or "headers, footers and notes"
+ */
+export function describeDocumentPart(part) {
+  const labels = [];
+  if (part.firstParagraph !== null) {
+    const sections = part.sections.length === 0
+      ? ""
+      : part.sections.length === 1
+        ? ` (section ${part.sections[0]})`
+        : ` (sections ${part.sections[0]}–${part.sections[part.sections.length - 1]})`;
+    labels.push(`P${part.firstParagraph}–P${part.lastParagraph}${sections}`);
+  }
+  if (part.includesStories) labels.push("headers, footers and notes");
+  return labels.join(" and ") || "the whole document";
+}
+
+/**
+ * Builds the prompt note telling the model it sees one part of the document.
+ * @returns {string}
+ */
+export function formatDocumentPartNote(part, partCount) {
+  return `DOCUMENT PART ${part.number} OF ${partCount}: The document is too long to review at once, so only ${describeDocumentPart(part)} are shown below. Work only on this part and keep the [P#] numbers exactly as shown; return an empty array when nothing in this part matches the instruction.\n\n`;
+}
+
+function isItemInPart(item, part) {
+  if (!item || typeof item !== "object") return false;
+  if (item.story !== undefined && item.story !== null && String(item.story).trim() !== "") {
+    return part.includesStories;
+  }
+  if (part.firstParagraph === null) return true;
+  const inRange = (value) => Number.isInteger(value) && value >= part.firstParagraph && value <= part.lastParagraph;
+  return inRange(item.paragraphIndex) && (item.endParagraphIndex === undefined || inRange(item.endParagraphIndex));
+}
+
+/**
+ * Merges the items (edits, comments or highlights) returned for each document part. Paragraph
+ * indices are global, so items are kept as they are; items pointing outside the part they came
+ * from (a paragraph the model did not see) are dropped, and so are exact duplicates.
+ *
+ * @param {ReturnType<typeof splitDocumentContext>} parts
+ * @param {Array<Array<Object>|null>} partItems - Items per part, in part order; null for a failed part
+ * @returns {{ items: Array<Object>, failedParts: number[], droppedCount: number }}
+ */
+export function mergeDocumentPartItems(parts, partItems) {
+  const items = [];
+  const seen = new Set();
+  const failedParts = [];
+  let droppedCount = 0;
+
+  parts.forEach((part, i) => {
+    const result = partItems[i];
+    if (!Array.isArray(result)) {
+      failedParts.push(part.number);
+      return;
+    }
+    for (const item of result) {
+      if (!isItemInPart(item, part)) {
+        droppedCount++;
+        continue;
+      }
+      const key = JSON.stringify(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      items.push(item);
+    }
+  });
+
+  return { items, failedParts, droppedCount };
+}
+
+/**
+ * Describes which parts of the document were processed, for the chat.
+ * @param {ReturnType<typeof splitDocumentContext>} parts
+ * @param {ReturnType<typeof mergeDocumentPartItems>} merged
+ * @returns {string}
+ */
+export function formatDocumentPartsReport(parts, merged) {
+  const failed = new Set(merged.failedParts);
+  const processed = parts.filter(part => !failed.has(part.number));
+  let report = `Read the document in ${parts.length} parts: ${parts.map(describeDocumentPart).join("; ")}.`;
+  if (failed.size > 0) {
+    const failedLabels = parts.filter(part => failed.has(part.number)).map(describeDocumentPart);
+    report += ` ${processed.length} of ${parts.length} parts were processed; ${failedLabels.join("; ")} failed and ${failed.size === 1 ? "was" : "were"} skipped.`;
+  }
+  if (merged.droppedCount > 0) {
+    report += ` ${merged.droppedCount} suggestion${merged.droppedCount === 1 ? "" : "s"} pointed outside ${merged.droppedCount === 1 ? "its" : "their"} part and ${merged.droppedCount === 1 ? "was" : "were"} dropped.`;
+  }
+  return report;
+}
+
+/**
+ * Runs an async task for every item with at most `limit` running at once.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} task
+ * @returns {Promise<Array<{ value?: R, error?: Error }>>} Outcomes in item order; a failing task does not stop the others
+ */
+export async function runWithConcurrency(items, limit, task) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { value: await task(items[index], index) };
+      } catch (error) {
+        outcomes[index] = { error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return outcomes;
+}
+
+/**
+ * Builds an outline of a document context that is too long to show in full: its section headers
+ * and headings, each cut to a few words. Subsection headers are left out when the outline would
+ * exceed maxWords, and the outline is cut off if it still does.
+ * @param {string} text - Document context as built by sendChatMessage
+ * @param {number} maxWords
+ * @returns {string}
+ */
+export function buildDocumentOutline(text, maxWords) {
+  const { bodyText } = splitStoryContext(String(text ?? ""));
+  const paragraphs = parseContextParagraphs(bodyText);
+  const shorten = (line) => {
+    const words = line.split(/\s+/);
+    return words.length > OUTLINE_LINE_WORDS ? `${words.slice(0, OUTLINE_LINE_WORDS).join(" ")} …` : line;
+  };
+
+  let lines = paragraphs.filter(p => p.isSectionHeader || p.isHeading).map(p => ({ topLevel: p.startsSection || p.isHeading, line: shorten(p.lines[0]) }));
+  const wordsOf = (entries) => entries.reduce((sum, entry) => sum + countContextWords(entry.line), 0);
+  if (wordsOf(lines) > maxWords) {
+    lines = lines.filter(entry => entry.topLevel);
+  }
+
+  const kept = [];
+  let words = 0;
+  for (const entry of lines) {
+    words += countContextWords(entry.line);
+    if (words > maxWords) {
+      kept.push("[Outline cut off]");
+      break;
+    }
+    kept.push(entry.line);
+  }
+  return kept.join("\n");
+}
@@ -0,0 +1,137 @@
+// Non-body stories the model can address, by id prefix
+const STORY_KINDS = {
+  H: "header",
+  F: "footer",
+  FN: "footnote",
+  EN: "endnote"
+};
+
+const HEADER_TYPE_LABELS = {
+  Primary: "",
+  FirstPage: "first-page ",
+  EvenPages: "even-page "
+};
+
+/**
+ * Normalizes a story id such as "h1", "[FN4]" or "F2" to its canonical form.
+ * @returns {string|null} e.g. "FN4"; null when the value is not a story id
+ */
+export function normalizeStoryId(value) {
+  const match = /^\[?\s*(FN|EN|H|F)\s*(\d+)\s*\]?$/i.exec(String(value ?? "").trim());
+  if (!match || Number(match[2]) < 1) return null;
+  return `${match[1].toUpperCase()}${Number(match[2])}`;
+}
+
+/**
+ * @returns {string|null} "header", "footer", "footnote" or "endnote"
+ */
+export function getStoryKind(storyId) {
+  const normalized = normalizeStoryId(storyId);
+  return normalized ? STORY_KINDS[normalized.replace(/\d+$/, "")] : null;
+}
+
+function storyText(candidate) {
+  return (candidate.paragraphs || []).map(p => p.text || "").join("\n");
+}
+
+/**
+ * Assigns story ids to the headers, footers and notes of a document.
+ * Headers and footers are numbered per kind (H1, H2, ...; F1, ...) in the order given; notes keep
+ * their note number (FN4 is the fourth footnote). Empty stories are left out, and a header or
+ * footer linked to the same one of the previous section is folded into that entry, since editing
+ * it once changes both. An identical header or footer that is not linked is its own entry, so an
+ * edit reaches every section.
+ *
+ * @param {Array<{ kind: "H"|"F"|"FN"|"EN", sectionNumber?: number, headerType?: string, linkedToPrevious?: boolean, noteNumber?: number, paragraphs: Array<{ text: string, style?: string }> }>} candidates
+ *   Headers/footers in section order; extra properties (e.g. the Word paragraph collection) are kept
+ * @returns {Array<Object>} The kept candidates with id, label and alsoSections added
+ */
+export function buildStoryEntries(candidates) {
+  const entries = [];
+  const counters = { H: 0, F: 0 };
+  const previousByType = new Map();
+
+  for (const candidate of Array.isArray(candidates) ? candidates : []) {
+    const text = storyText(candidate);
+    if (!text.trim()) continue;
+
+    if (candidate.kind === "FN" || candidate.kind === "EN") {
+      entries.push({
+        ...candidate,
+        id: `${candidate.kind}${candidate.noteNumber}`,
+        label: `${candidate.kind === "FN" ? "Footnote" : "Endnote"} ${candidate.noteNumber}`,
+        alsoSections: []
+      });
+      continue;
+    }
+
+    const typeKey = `${candidate.kind}|${candidate.headerType}`;
+    const previous = previousByType.get(typeKey);
+    if (candidate.linkedToPrevious && previous && previous.text === text && previous.lastSection === candidate.sectionNumber - 1) {
+      previous.entry.alsoSections.push(candidate.sectionNumber);
+      previous.lastSection = candidate.sectionNumber;
+      continue;
+    }
+
+    counters[candidate.kind] += 1;
+    const entry = {
+      ...candidate,
+      id: `${candidate.kind}${counters[candidate.kind]}`,
+      label: `Section ${candidate.sectionNumber} ${HEADER_TYPE_LABELS[candidate.headerType] ?? ""}${STORY_KINDS[candidate.kind]}`,
+      alsoSections: []
+    };
+    entries.push(entry);
+    previousByType.set(typeKey, { entry, text, lastSection: candidate.sectionNumber });
+  }
+
+  return entries;
+}
+
+/**
+ * Formats story entries for the model, e.g.
+ *   [F1] Section 1 footer (also sections 2, 3)
+ *   [F1.P1|Footer] Confidential - Acme Corp
+ * @returns {string} Empty when there are no entries
+ */
+export function formatStoryContext(entries) {
+  const lines = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const also = entry.alsoSections && entry.alsoSections.length > 0
+      ? ` (also section${entry.alsoSections.length === 1 ? "" : "s"} ${entry.alsoSections.join(", ")})`
+      : "";
+    lines.push(`[${entry.id}] ${entry.label}${also}`);
+    entry.paragraphs.forEach((paragraph, i) => {
+      lines.push(`[${entry.id}.P${i + 1}|${paragraph.style || "Normal"}] ${paragraph.text || ""}`);
+    });
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Splits AI changes (redlines, comments, highlights) into body changes and changes per story.
+ * @param {Array<{ story?: string }>} changes
+ * @returns {{ bodyChanges: Object[], storyChanges: Map<string, Object[]>, invalidChanges: Object[] }}
+ *   invalidChanges have a story value that is not a story id
+ */
+export function splitChangesByStory(changes) {
+  const bodyChanges = [];
+  const storyChanges = new Map();
+  const invalidChanges = [];
+
+  for (const change of Array.isArray(changes) ? changes : []) {
+    const rawStory = change && change.story;
+    if (rawStory === undefined || rawStory === null || String(rawStory).trim() === "") {
+      bodyChanges.push(change);
+      continue;
+    }
+    const storyId = normalizeStoryId(rawStory);
+    if (!storyId) {
+      invalidChanges.push(change);
+      continue;
+    }
+    if (!storyChanges.has(storyId)) storyChanges.set(storyId, []);
+    storyChanges.get(storyId).push(change);
+  }
+
+  return { bodyChanges, storyChanges, invalidChanges };
+}
@@ -0,0 +1,93 @@
+import { findDefinitionSpans } from './defined-terms-utils.js';
+
+// Letters, digits and underscore in any script count as word characters for whole-word matching
+const WORD_BOUNDARY_BEFORE = "(?<![\\p{L}\\p{N}_])";
+const WORD_BOUNDARY_AFTER = "(?![\\p{L}\\p{N}_])";
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds the search pattern of a find/replace request.
+ *
+ * @param {Object} options
+ * @param {string} options.find - Literal text, or a regular expression when useRegex is set
+ * @param {boolean} [options.useRegex=false]
+ * @param {boolean} [options.matchCase=false]
+ * @param {boolean} [options.wholeWord=false] - Only match where the match is not part of a longer word
+ * @returns {RegExp} Global, unicode-aware pattern
+ * @throws {Error} When find is empty, is not a valid regular expression, or matches empty text
+ */
+export function buildFindPattern({ find, useRegex = false, matchCase = false, wholeWord = false } = {}) {
+  const needle = String(find ?? "");
+  if (!needle) {
+    throw new Error("Enter the text to find.");
+  }
+
+  let source = useRegex ? needle : escapeRegExp(needle);
+  if (wholeWord) {
+    source = `${WORD_BOUNDARY_BEFORE}(?:${source})${WORD_BOUNDARY_AFTER}`;
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(source, matchCase ? "gu" : "giu");
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+
+  // A pattern that matches nothing would insert the replacement between every character
+  if (pattern.test("")) {
+    throw new Error("The search pattern matches empty text.");
+  }
+  pattern.lastIndex = 0;
+  return pattern;
+}
+
+// Expands $&, $1..$99, $<name> and $$ in a regex replacement
+function expandReplacement(template, match, captures, groups) {
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, key, name) => {
+    if (key === "$") return "$";
+    if (key === "&") return match;
+    if (name !== undefined) return groups && groups[name] !== undefined ? groups[name] : "";
+    const capture = captures[Number(key) - 1];
+    return Number(key) >= 1 && Number(key) <= captures.length ? capture ?? "" : token;
+  });
+}
+
+/**
+ * Replaces every match of the pattern in one paragraph's text.
+ *
+ * @param {string} text
+ * @param {RegExp} pattern - From buildFindPattern
+ * @param {string} replacement - Inserted literally, or with $1 / $<name> / $& references when useRegex is set
+ * @param {{ useRegex?: boolean, skipDefinitions?: boolean }} [options]
+ *   skipDefinitions leaves matches inside a quoted definition such as (the "Lessor") alone
+ * @returns {{ text: string, replaced: number, skippedDefinitions: number }}
+ */
+export function replaceInText(text, pattern, replacement, { useRegex = false, skipDefinitions = false } = {}) {
+  const source = String(text ?? "");
+  const template = String(replacement ?? "");
+  const spans = skipDefinitions ? findDefinitionSpans(source) : [];
+  let replaced = 0;
+  let skippedDefinitions = 0;
+
+  pattern.lastIndex = 0;
+  const result = source.replace(pattern, (...args) => {
+    const match = args[0];
+    const hasGroups = typeof args[args.length - 1] === "object" && args[args.length - 1] !== null;
+    const offset = args[args.length - (hasGroups ? 3 : 2)];
+    const captures = args.slice(1, args.length - (hasGroups ? 3 : 2));
+
+    if (spans.some(span => offset < span.end && offset + match.length > span.start)) {
+      skippedDefinitions += 1;
+      return match;
+    }
+
+    replaced += 1;
+    return useRegex ? expandReplacement(template, match, captures, hasGroups ? args[args.length - 1] : null) : template;
+  });
+
+  return { text: result, replaced, skippedDefinitions };
+}
@@ -0,0 +1,212 @@
+const GLANCE_STATUSES = new Set(["green", "yellow", "red"]);
+const MAX_CITATIONS = 3;
+const MAX_EXCERPT_LENGTH = 120;
+
+function compactText(text, maxLength) {
+  const compact = String(text || "").replace(/\s+/g, " ").trim();
+  return compact.length > maxLength ? `${compact.substring(0, maxLength)}...` : compact;
+}
+
+/**
+ * Formats body paragraphs for the Glance prompt as `[P#] text` lines. Empty paragraphs are left out
+ * but keep their number, so indices still match the document.
+ * @param {string[]} paragraphTexts - Body paragraph texts in document order
+ * @returns {string}
+ */
+export function formatGlanceDocument(paragraphTexts) {
+  return (paragraphTexts || [])
+    .map((text, i) => (String(text || "").trim() ? `[P${i + 1}] ${text}` : null))
+    .filter(Boolean)
+    .join("\n");
+}
+
+function normalizeCitations(citations, paragraphTexts) {
+  const seen = new Set();
+  const result = [];
+  for (const citation of Array.isArray(citations) ? citations : []) {
+    const paragraphIndex = Number(citation && citation.paragraphIndex);
+    if (!Number.isInteger(paragraphIndex) || paragraphIndex < 1 || paragraphIndex > paragraphTexts.length) continue;
+    if (seen.has(paragraphIndex)) continue;
+    seen.add(paragraphIndex);
+    result.push({
+      paragraphIndex,
+      excerpt: compactText(citation.excerpt, MAX_EXCERPT_LENGTH) || compactText(paragraphTexts[paragraphIndex - 1], 60)
+    });
+    if (result.length === MAX_CITATIONS) break;
+  }
+  return result;
+}
+
+/**
+ * Parses the Glance model response: a JSON object keyed by check id. The JSON is taken from the
+ * first "{" to the last "}", so stray markdown fences or prose around it are ignored.
+ *
+ * @param {string} responseText
+ * @param {Array<{ id: string }>} settings - The Glance checks that were asked
+ * @param {string[]} paragraphTexts - Body paragraph texts, to check and fill in citations
+ * @returns {Object<string, { status: "green"|"yellow"|"red"|"gray", summary: string, citations: Array<{ paragraphIndex: number, excerpt: string }> }>}
+ *   Checks the model did not answer are left out
+ * @throws {SyntaxError} When the response holds no valid JSON
+ */
+export function parseGlanceResponse(responseText, settings, paragraphTexts) {
+  let text = String(responseText || "");
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    text = jsonMatch[0];
+  } else {
+    text = text.replace(/^```json\s*/, "").replace(/^```\s*/, "").replace(/```$/, "").trim();
+  }
+  const json = JSON.parse(text);
+  const texts = Array.isArray(paragraphTexts) ? paragraphTexts : [];
+
+  const results = {};
+  (settings || []).forEach(item => {
+    const answer = json && json[item.id];
+    if (!answer || typeof answer !== "object") return;
+    const status = String(answer.status || "").toLowerCase();
+    results[item.id] = {
+      status: GLANCE_STATUSES.has(status) ? status : "gray",
+      summary: String(answer.summary || ""),
+      citations: normalizeCitations(answer.citations, texts)
+    };
+  });
+  return results;
+}
+
+/**
+ * Builds the chat request that asks the agent to fix a Glance finding.
+ * @param {{ title: string, question: string }} check
+ * @param {ReturnType<typeof parseGlanceResponse>[string]} result
+ * @returns {string}
+ */
+export function buildGlanceFixMessage(check, result) {
+  const lines = [
+    `The Glance check "${check.title}" (${check.question}) found: ${(result.summary || "an issue").replace(/[.\s]+$/, "")}.`
+  ];
+  if (result.citations.length > 0) {
+    lines.push("It cited:");
+    result.citations.forEach(citation => lines.push(`- [P${citation.paragraphIndex}] "${citation.excerpt}"`));
+  }
+  lines.push("Please fix this in the document.");
+  return lines.join("\n");
+}
+
+/**
+ * Hashes a paragraph's text (FNV-1a over whitespace-normalized text) to detect edits between Glance runs.
+ * @param {string} text
+ * @returns {string} 8 hex characters
+ */
+export function hashParagraphText(text) {
+  const normalized = String(text || "").replace(/\s+/g, " ").trim();
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * Compares two paragraph hash snapshots. Paragraphs are matched by content, so moved
+ * paragraphs and index shifts from insertions do not count as changes.
+ *
+ * An edit leaves both an unmatched previous and an unmatched current paragraph. Unmatched
+ * paragraphs that follow the same unchanged paragraph are paired up as edits, so deletedCount
+ * only counts previous paragraphs that have no counterpart at all.
+ * @param {string[]} previousHashes
+ * @param {string[]} currentHashes
+ * @returns {{ changedIndices: number[], removedCount: number, deletedCount: number }} changedIndices are
+ *   1-based current indices of new or edited paragraphs; removedCount counts previous paragraphs that no
+ *   longer exist as they were; deletedCount counts the ones that were deleted rather than edited
+ */
+export function diffParagraphHashes(previousHashes, currentHashes) {
+  const previous = previousHashes || [];
+  const remaining = new Map();
+  previous.forEach((hash, i) => {
+    if (!remaining.has(hash)) remaining.set(hash, []);
+    remaining.get(hash).push(i);
+  });
+
+  // Unmatched paragraphs are grouped by the previous index of the unchanged paragraph before them
+  const addedPerAnchor = new Map();
+  const matchedPrevious = new Set();
+  const changedIndices = [];
+  let anchor = -1;
+  (currentHashes || []).forEach((hash, i) => {
+    const indices = remaining.get(hash);
+    if (indices && indices.length > 0) {
+      anchor = indices.shift();
+      matchedPrevious.add(anchor);
+    } else {
+      changedIndices.push(i + 1);
+      addedPerAnchor.set(anchor, (addedPerAnchor.get(anchor) || 0) + 1);
+    }
+  });
+
+  let removedCount = 0;
+  let deletedCount = 0;
+  anchor = -1;
+  previous.forEach((hash, i) => {
+    if (matchedPrevious.has(i)) {
+      anchor = i;
+      return;
+    }
+    removedCount++;
+    const added = addedPerAnchor.get(anchor) || 0;
+    if (added > 0) {
+      addedPerAnchor.set(anchor, added - 1);
+    } else {
+      deletedCount++;
+    }
+  });
+  return { changedIndices, removedCount, deletedCount };
+}
+
+/**
+ * Records the hash of each cited paragraph, so the citation can be followed when paragraphs move.
+ * @param {Array<{ paragraphIndex: number, excerpt: string }>} citations
+ * @param {string[]} paragraphHashes - Snapshot the result was computed against
+ * @returns {Array<{ paragraphIndex: number, excerpt: string, hash: string }>}
+ */
+export function attachCitationHashes(citations, paragraphHashes) {
+  return (citations || []).map(citation => ({ ...citation, hash: paragraphHashes[citation.paragraphIndex - 1] || "" }));
+}
+
+/**
+ * Moves citations to where their paragraphs are now.
+ * @param {ReturnType<typeof attachCitationHashes>} citations
+ * @param {string[]} currentHashes
+ * @returns {{ citations: ReturnType<typeof attachCitationHashes>, changedCount: number }}
+ *   Citations whose paragraph was edited or deleted keep their old index and are counted in changedCount
+ */
+export function relocateGlanceCitations(citations, currentHashes) {
+  const used = new Set();
+  let changedCount = 0;
+  const relocated = (citations || []).map(citation => {
+    let index = currentHashes[citation.paragraphIndex - 1] === citation.hash && !used.has(citation.paragraphIndex - 1)
+      ? citation.paragraphIndex - 1
+      : currentHashes.findIndex((hash, i) => hash === citation.hash && !used.has(i));
+    if (index < 0) {
+      changedCount++;
+      return citation;
+    }
+    used.add(index);
+    return { ...citation, paragraphIndex: index + 1 };
+  });
+  return { citations: relocated, changedCount };
+}
+
+/**
+ * Decides whether a Glance result has to be recomputed. A result with citations is stale when a cited
+ * paragraph was edited or deleted; a result about the whole document (no citations) when anything changed.
+ * @param {ReturnType<typeof attachCitationHashes>} citations - Already relocated
+ * @param {number} changedCitationCount - From relocateGlanceCitations
+ * @param {ReturnType<typeof diffParagraphHashes>} diff - Against the snapshot of the result
+ * @returns {boolean}
+ */
+export function isGlanceResultStale(citations, changedCitationCount, diff) {
+  if ((citations || []).length === 0) {
+    return diff.changedIndices.length > 0 || diff.removedCount > 0;
+  }
+  return changedCitationCount > 0;
+}
@@ -0,0 +1,154 @@
+// Longest plan the model may propose; larger restructurings are split into several plans
+const MAX_PLAN_STEPS = 20;
+const MAX_STEP_TEXT_LENGTH = 500;
+
+// Steps that are finished, one way or another, and are not run again on resume
+const FINISHED_STEP_STATUSES = new Set(["done", "no_changes", "failed", "skipped", "cancelled"]);
+
+function cleanText(value) {
+  return typeof value === "string" ? value.replace(/\s+/g, " ").trim().substring(0, MAX_STEP_TEXT_LENGTH) : "";
+}
+
+/**
+ * Describes the submit_plan tool the model calls in plan mode.
+ * @param {string[]} toolNames - Tools the steps may use
+ * @returns {Object} Function declaration
+ */
+export function buildPlanToolDeclaration(toolNames) {
+  return {
+    name: "submit_plan",
+    description: "Proposes a numbered plan for the user's request instead of changing the document. The user reviews and edits the plan before its steps are carried out one by one, each as a separate request.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        steps: {
+          type: "ARRAY",
+          description: `Steps in the order they should run (at most ${MAX_PLAN_STEPS}).`,
+          items: {
+            type: "OBJECT",
+            properties: {
+              tool: {
+                type: "STRING",
+                enum: toolNames,
+                description: "Tool the step will use."
+              },
+              target: {
+                type: "STRING",
+                description: "Where in the document the step works, in words the user understands (e.g. \"Section 4 Termination\", \"all footers\"). Never use [P#] markers."
+              },
+              intent: {
+                type: "STRING",
+                description: "What the step changes and why, in one or two sentences."
+              }
+            },
+            required: ["tool", "intent"]
+          }
+        }
+      },
+      required: ["steps"]
+    }
+  };
+}
+
+/**
+ * @returns {string} System instruction added to a request in plan mode
+ */
+export function buildPlanModeInstruction() {
+  return `\n\nPLAN MODE: The user wants to approve a plan before anything in the document changes. If the request needs changes to the document, do NOT change it now: call \`submit_plan\` once with the numbered steps (at most ${MAX_PLAN_STEPS}), each naming the tool it will use, its target and its intent. Prefer one step per section or structural change, in the order they should run; later steps must not rely on paragraph numbers that earlier steps change. If the request is only a question, answer it normally without a plan.`;
+}
+
+/**
+ * Validates the steps of a submitted plan. Steps without an intent are dropped, unknown tools are
+ * cleared (the step then lets the model pick the tool), and the plan is cut to the maximum length.
+ *
+ * @param {Array<{ tool?: string, target?: string, intent?: string }>} steps
+ * @param {string[]} toolNames - Tools the steps may use
+ * @returns {Array<{ id: string, tool: string, target: string, intent: string, included: boolean, status: string, checkpointId: number }>}
+ */
+export function normalizePlanSteps(steps, toolNames) {
+  const known = new Set(toolNames || []);
+  return (Array.isArray(steps) ? steps : [])
+    .filter(step => step && cleanText(step.intent))
+    .slice(0, MAX_PLAN_STEPS)
+    .map((step, i) => ({
+      id: `s${i + 1}`,
+      tool: known.has(step.tool) ? step.tool : "",
+      target: cleanText(step.target),
+      intent: cleanText(step.intent),
+      included: true,
+      status: "pending",
+      checkpointId: -1
+    }));
+}
+
+/**
+ * Lists a plan as numbered lines, for the chat history.
+ * @param {ReturnType<typeof normalizePlanSteps>} steps
+ * @returns {string}
+ */
+export function formatPlanSummary(steps) {
+  return (steps || []).map((step, i) => {
+    const tool = step.tool ? ` [${step.tool}]` : "";
+    const target = step.target ? ` ${step.target}:` : "";
+    return `${i + 1}.${tool}${target} ${step.intent}`;
+  }).join("\n");
+}
+
+/**
+ * Builds the chat message that carries out one step of an approved plan.
+ * @param {ReturnType<typeof normalizePlanSteps>} steps
+ * @param {number} index - Step to run
+ * @param {string} request - The user's original request
+ * @returns {string}
+ */
+export function formatPlanStepMessage(steps, index, request) {
+  const step = steps[index];
+  const runnable = steps.filter(s => s.included);
+  const position = runnable.indexOf(step) + 1;
+  const lines = [
+    `Carry out step ${position} of ${runnable.length} of the approved plan for: "${cleanText(request)}"`,
+    `Step: ${step.intent}`
+  ];
+  if (step.target) lines.push(`Target: ${step.target}`);
+  if (step.tool) lines.push(`Tool: \`${step.tool}\``);
+  lines.push("Only do this step; the other steps run as separate requests.");
+  return lines.join("\n");
+}
+
+/**
+ * @returns {number} Index of the next included step that has not run yet; -1 when there is none
+ */
+export function getNextPlanStep(steps) {
+  return (steps || []).findIndex(step => step.included && !FINISHED_STEP_STATUSES.has(step.status) && step.status !== "running");
+}
+
+/**
+ * Decides how a step went from the tools its request ran.
+ * @param {Array<{ success: boolean }>} executedTools - toolsExecutedInCurrentRequest after the step
+ * @param {"ok"|"error"|"cancelled"} [requestOutcome="ok"] - What sendChatMessage returned; a request
+ *   that ended in an error failed even when some of its tools ran
+ * @returns {"done"|"failed"|"no_changes"}
+ */
+export function classifyPlanStepOutcome(executedTools, requestOutcome = "ok") {
+  if (requestOutcome === "error") return "failed";
+  const tools = Array.isArray(executedTools) ? executedTools : [];
+  if (tools.some(tool => tool && tool.success)) return "done";
+  return tools.length > 0 ? "failed" : "no_changes";
+}
+
+/**
+ * Counts plan steps by outcome; steps the user left out count as skipped.
+ * @returns {{ total: number, done: number, noChanges: number, failed: number, skipped: number, pending: number }}
+ */
+export function summarizePlanProgress(steps) {
+  const summary = { total: 0, done: 0, noChanges: 0, failed: 0, skipped: 0, pending: 0 };
+  (steps || []).forEach(step => {
+    summary.total++;
+    if (!step.included || step.status === "skipped" || step.status === "cancelled") summary.skipped++;
+    else if (step.status === "done") summary.done++;
+    else if (step.status === "no_changes") summary.noChanges++;
+    else if (step.status === "failed") summary.failed++;
+    else summary.pending++;
+  });
+  return summary;
+}
@@ -0,0 +1,141 @@
+// Review outcomes, from best to worst
+const PLAYBOOK_STATUSES = ["standard", "fallback", "deviation", "red_line", "missing"];
+
+// Outcomes that miss the playbook and get a comment or fallback redline
+const ACTION_STATUSES = new Set(["deviation", "red_line"]);
+
+function cleanText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Drops playbook entries without a clause type and fills in missing fields.
+ * @param {Array<{ id: string, clauseType: string, preferred?: string, fallbacks?: string, redLines?: string }>} entries
+ * @returns {Array<{ id: string, clauseType: string, preferred: string, fallbacks: string, redLines: string }>}
+ */
+export function normalizePlaybook(entries) {
+  return (Array.isArray(entries) ? entries : [])
+    .filter(entry => entry && cleanText(entry.clauseType))
+    .map((entry, i) => ({
+      id: cleanText(String(entry.id ?? "")) || `pb${i + 1}`,
+      clauseType: cleanText(entry.clauseType),
+      preferred: cleanText(entry.preferred),
+      fallbacks: cleanText(entry.fallbacks),
+      redLines: cleanText(entry.redLines)
+    }));
+}
+
+/**
+ * Formats the playbook for the review prompt, one block per clause type.
+ * @param {ReturnType<typeof normalizePlaybook>} playbook
+ * @returns {string}
+ */
+export function formatPlaybookForPrompt(playbook) {
+  return (playbook || []).map(entry => [
+    `Clause ID "${entry.id}": ${entry.clauseType}`,
+    `  Preferred position: ${entry.preferred || "(not specified)"}`,
+    `  Acceptable fallbacks: ${entry.fallbacks || "(none)"}`,
+    `  Red lines (never acceptable): ${entry.redLines || "(none)"}`
+  ].join("\n")).join("\n\n");
+}
+
+function normalizeParagraphIndices(value, paragraphCount) {
+  const indices = (Array.isArray(value) ? value : [value])
+    .map(Number)
+    .filter(index => Number.isInteger(index) && index >= 1 && index <= paragraphCount);
+  return [...new Set(indices)].sort((a, b) => a - b);
+}
+
+/**
+ * Matches the model's review results to the playbook: one row per playbook entry, in playbook order.
+ * Entries the model did not report are "missing"; paragraph references outside the document are dropped,
+ * and so are proposals for clauses that do not need one.
+ *
+ * @param {Array<{ clauseId: string, status: string, paragraphIndices?: number[], summary?: string, comment?: string, anchorText?: string, proposedText?: string }>} results
+ * @param {ReturnType<typeof normalizePlaybook>} playbook
+ * @param {number} paragraphCount
+ * @returns {Array<{ clauseId: string, clauseType: string, status: string, paragraphIndices: number[], summary: string, comment: string, anchorText: string, proposedText: string }>}
+ */
+export function normalizePlaybookReview(results, playbook, paragraphCount) {
+  const byId = new Map();
+  for (const result of Array.isArray(results) ? results : []) {
+    const id = result && result.clauseId !== undefined ? String(result.clauseId).trim() : "";
+    if (id && !byId.has(id)) byId.set(id, result);
+  }
+
+  return (playbook || []).map(entry => {
+    const result = byId.get(entry.id);
+    const paragraphIndices = result ? normalizeParagraphIndices(result.paragraphIndices, paragraphCount) : [];
+    let status = result ? String(result.status || "").trim().toLowerCase().replace(/[\s-]+/g, "_") : "missing";
+    if (!PLAYBOOK_STATUSES.includes(status)) status = "deviation";
+    // A clause that was found must point somewhere
+    if (status !== "missing" && paragraphIndices.length === 0) status = "missing";
+
+    const needsAction = ACTION_STATUSES.has(status);
+    return {
+      clauseId: entry.id,
+      clauseType: entry.clauseType,
+      status,
+      paragraphIndices,
+      summary: cleanText(result && result.summary) || (status === "missing" ? "Not found in the document." : ""),
+      comment: needsAction ? cleanText(result.comment) : "",
+      anchorText: needsAction ? cleanText(result.anchorText) : "",
+      proposedText: needsAction ? cleanText(result.proposedText) : ""
+    };
+  });
+}
+
+/**
+ * @returns {boolean} Whether the row misses the playbook (a deviation or a red line)
+ */
+export function needsPlaybookAction(row) {
+  return !!row && ACTION_STATUSES.has(row.status);
+}
+
+/**
+ * Counts review rows by status.
+ * @returns {{ standard: number, fallback: number, deviation: number, red_line: number, missing: number }}
+ */
+export function summarizePlaybookReview(rows) {
+  const summary = Object.fromEntries(PLAYBOOK_STATUSES.map(status => [status, 0]));
+  (rows || []).forEach(row => {
+    summary[row.status] = (summary[row.status] || 0) + 1;
+  });
+  return summary;
+}
+
+/**
+ * Builds the comment text for a row that misses the playbook.
+ * @returns {string}
+ */
+export function formatPlaybookComment(row) {
+  const label = row.status === "red_line" ? "crosses a red line" : "deviates from our position";
+  const detail = row.comment || row.summary;
+  return `Playbook – ${row.clauseType} ${label}.${detail ? ` ${detail}` : ""}`;
+}
+
+/**
+ * Converts the fallback proposals of rows that miss the playbook into redline changes (same shape as
+ * the apply_redlines tool), each rewriting the first paragraph of its clause. When two clauses
+ * propose a rewrite of the same paragraph, the first one wins.
+ *
+ * @param {ReturnType<typeof normalizePlaybookReview>} rows
+ * @returns {{ changes: Array<{ paragraphIndex: number, operation: "edit_paragraph", newContent: string }>, skipped: number }}
+ *   Changes are ordered bottom-up; skipped counts rows that need action but have no usable proposal
+ */
+export function buildPlaybookRedlineChanges(rows) {
+  const byParagraph = new Map();
+  let skipped = 0;
+  for (const row of rows || []) {
+    if (!needsPlaybookAction(row)) continue;
+    const paragraphIndex = row.paragraphIndices[0];
+    if (!row.proposedText || !paragraphIndex || byParagraph.has(paragraphIndex)) {
+      skipped++;
+      continue;
+    }
+    byParagraph.set(paragraphIndex, { paragraphIndex, operation: "edit_paragraph", newContent: row.proposedText });
+  }
+
+  const changes = [...byParagraph.values()].sort((a, b) => b.paragraphIndex - a.paragraphIndex);
+  return { changes, skipped };
+}
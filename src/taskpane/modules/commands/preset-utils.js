@@ -0,0 +1,200 @@
+// Identifies an exported presets file and the version of its layout
+const PRESET_FILE_FORMAT = "gemini-office-presets";
+const PRESET_FILE_VERSION = 1;
+
+const MAX_PRESET_NAME_LENGTH = 60;
+const MAX_GLANCE_TITLE_LENGTH = 80;
+const MAX_GLANCE_QUESTION_LENGTH = 2000;
+const MAX_AUTHOR_LENGTH = 100;
+
+// Question ids end up in element ids, so imported ones are limited to these characters
+const SAFE_ID_PATTERN = /^[\w-]+$/;
+
+function cleanText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function presetError(position, detail) {
+  return new Error(`Preset ${position} ${detail}.`);
+}
+
+// Optional text settings must be text when present, and not longer than the add-in allows
+function checkOptionalText(value, maxLength, position, label) {
+  if (value === undefined || value === null) return;
+  if (typeof value !== "string") {
+    throw presetError(position, `has ${label} that is not text`);
+  }
+  if (value.trim().length > maxLength) {
+    throw presetError(position, `has ${label} longer than ${maxLength} characters`);
+  }
+}
+
+function normalizeGlanceQuestions(value, position) {
+  if (!Array.isArray(value)) {
+    throw presetError(position, "has no list of Glance questions");
+  }
+
+  const usedIds = new Set();
+  return value.map((item, i) => {
+    const question = item && cleanText(item.question);
+    if (!question) {
+      throw presetError(position, `has a Glance question (${i + 1}) without text`);
+    }
+    checkOptionalText(item.question, MAX_GLANCE_QUESTION_LENGTH, position, `a Glance question (${i + 1})`);
+    checkOptionalText(item.title, MAX_GLANCE_TITLE_LENGTH, position, `a Glance question (${i + 1}) title`);
+    // Keep the ids of an export, but never let two questions share one
+    let id = cleanText(item.id);
+    if (!SAFE_ID_PATTERN.test(id) || usedIds.has(id)) id = `q${i + 1}`;
+    while (usedIds.has(id)) id = `${id}_`;
+    usedIds.add(id);
+
+    return {
+      id,
+      title: cleanText(item.title) || `Question ${i + 1}`,
+      question,
+      autoRun: item.autoRun === true
+    };
+  });
+}
+
+/**
+ * Validates one preset and fills in missing optional settings. An empty redline author means the
+ * preset leaves each user's own author name in place. Text is kept as written (it is escaped where
+ * it is shown); question ids other than letters, digits, "_" and "-" are replaced.
+ *
+ * @param {{ name: string, glance: Array<{ id?: string, title?: string, question: string, autoRun?: boolean }>, systemMessage?: string, redline?: { enabled?: boolean, reviewEnabled?: boolean, author?: string } }} raw
+ * @param {number} [position=1] - 1-based position of the preset, used in error messages
+ * @returns {{ name: string, glance: Array<{ id: string, title: string, question: string, autoRun: boolean }>, systemMessage: string, redline: { enabled: boolean, reviewEnabled: boolean, author: string } }}
+ * @throws {Error} When the preset has no name, its Glance questions are missing or empty, or a text
+ *   setting is not text or too long
+ */
+export function normalizePreset(raw, position = 1) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw presetError(position, "is not an object");
+  }
+  const name = cleanText(raw.name);
+  if (!name) {
+    throw presetError(position, "has no name");
+  }
+  if (name.length > MAX_PRESET_NAME_LENGTH) {
+    throw presetError(position, `has a name longer than ${MAX_PRESET_NAME_LENGTH} characters`);
+  }
+  if (raw.systemMessage !== undefined && typeof raw.systemMessage !== "string") {
+    throw presetError(position, "has a system message that is not text");
+  }
+
+  const redline = raw.redline && typeof raw.redline === "object" ? raw.redline : {};
+  checkOptionalText(redline.author, MAX_AUTHOR_LENGTH, position, "a redline author");
+  return {
+    name,
+    glance: normalizeGlanceQuestions(raw.glance, position),
+    systemMessage: raw.systemMessage ? raw.systemMessage.trim() : "",
+    redline: {
+      enabled: redline.enabled !== false,
+      reviewEnabled: redline.reviewEnabled === true,
+      author: cleanText(redline.author)
+    }
+  };
+}
+
+/**
+ * Builds the contents of a presets export file.
+ * @param {Array<Object>} presets - Presets as stored (see normalizePreset)
+ * @param {string} [exportedAt] - ISO timestamp, recorded for reference only
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializePresets(presets, exportedAt = new Date().toISOString()) {
+  return JSON.stringify({
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    exportedAt,
+    presets: (presets || []).map((preset, i) => normalizePreset(preset, i + 1))
+  }, null, 2);
+}
+
+/**
+ * Reads and validates a presets export file.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Normalized presets, in file order
+ * @throws {Error} With a message for the user when the file is not a valid presets file, was
+ *   written by a newer version of the add-in, or has an invalid or repeated preset
+ */
+export function parsePresetsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text ?? ""));
+  } catch (error) {
+    throw new Error("This file is not valid JSON.");
+  }
+
+  if (!data || data.format !== PRESET_FILE_FORMAT) {
+    throw new Error("This file is not a presets export.");
+  }
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error("This presets file has no valid version.");
+  }
+  if (version > PRESET_FILE_VERSION) {
+    throw new Error(`This presets file uses a newer format (version ${version}). Update the add-in to import it.`);
+  }
+  if (!Array.isArray(data.presets) || data.presets.length === 0) {
+    throw new Error("This presets file contains no presets.");
+  }
+
+  const presets = data.presets.map((preset, i) => normalizePreset(preset, i + 1));
+  const names = new Set();
+  presets.forEach((preset, i) => {
+    const key = preset.name.toLowerCase();
+    if (names.has(key)) throw presetError(i + 1, `repeats the name "${preset.name}"`);
+    names.add(key);
+  });
+  return presets;
+}
+
+/**
+ * Adds imported presets to the stored ones; an imported preset replaces a stored one of the same
+ * name (ignoring case) in place.
+ * @returns {{ presets: Array<Object>, added: number, replaced: number }}
+ */
+export function mergePresets(existing, imported) {
+  const presets = [...(existing || [])];
+  let added = 0;
+  let replaced = 0;
+  for (const preset of imported || []) {
+    const index = presets.findIndex(p => p.name.toLowerCase() === preset.name.toLowerCase());
+    if (index >= 0) {
+      presets[index] = preset;
+      replaced++;
+    } else {
+      presets.push(preset);
+      added++;
+    }
+  }
+  return { presets, added, replaced };
+}
+
+/**
+ * Finds the preset whose settings equal the current ones, so the main view can show which preset
+ * is active. Question ids and surrounding whitespace are ignored, and so is the author when the preset has none.
+ * @param {Array<Object>} presets
+ * @param {{ glance: Array<Object>, systemMessage: string, redline: Object }} current - Same shape as a preset, without name
+ * @returns {Object|null}
+ */
+export function findMatchingPreset(presets, current) {
+  const fingerprint = (settings, author) => {
+    const redline = settings.redline || {};
+    return JSON.stringify([
+      (settings.glance || []).map(item => [cleanText(item.title), cleanText(item.question), item.autoRun === true]),
+      cleanText(settings.systemMessage),
+      redline.enabled !== false,
+      redline.reviewEnabled === true,
+      author
+    ]);
+  };
+  const currentSettings = current || {};
+  const currentAuthor = cleanText(currentSettings.redline && currentSettings.redline.author);
+  return (presets || []).find(preset => {
+    const presetAuthor = cleanText(preset.redline && preset.redline.author);
+    return fingerprint(preset, presetAuthor) === fingerprint(currentSettings, presetAuthor ? currentAuthor : "");
+  }) || null;
+}
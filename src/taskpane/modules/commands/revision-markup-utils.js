@@ -0,0 +1,119 @@
+// Revision wrappers and the segment type their runs get
+const REVISION_ELEMENTS = {
+  ins: "inserted",
+  moveTo: "inserted",
+  del: "deleted",
+  moveFrom: "deleted"
+};
+
+// Run content that stands for a character
+const CHARACTER_ELEMENTS = {
+  t: null,
+  delText: null,
+  tab: "\t",
+  br: " ",
+  cr: " ",
+  noBreakHyphen: "-",
+  softHyphen: ""
+};
+
+// Field codes are not document text
+const SKIPPED_ELEMENTS = new Set(["instrText", "delInstrText"]);
+
+function attributeOf(element, localName) {
+  const attributes = element.attributes || [];
+  for (let i = 0; i < attributes.length; i++) {
+    const attribute = attributes[i];
+    if ((attribute.localName || attribute.name) === localName || attribute.name === `w:${localName}`) {
+      return attribute.value;
+    }
+  }
+  return "";
+}
+
+function appendSegment(segments, type, text, revision) {
+  if (!text) return;
+  const author = revision ? revision.author : "";
+  const date = revision ? revision.date : "";
+  const last = segments[segments.length - 1];
+  if (last && last.type === type && last.author === author && last.date === date) {
+    last.text += text;
+  } else {
+    segments.push({ type, text, author, date });
+  }
+}
+
+function collectSegments(node, revision, segments) {
+  const children = node.childNodes || [];
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i];
+    if (child.nodeType !== 1) continue;
+    const name = child.localName || String(child.nodeName).replace(/^w:/, "");
+
+    // Property blocks (pPr, rPr, sdtPr, ...) hold formatting and paragraph-mark revisions, not text
+    if (name.endsWith("Pr") || SKIPPED_ELEMENTS.has(name)) continue;
+
+    if (REVISION_ELEMENTS[name]) {
+      collectSegments(child, {
+        type: REVISION_ELEMENTS[name],
+        author: attributeOf(child, "author"),
+        date: attributeOf(child, "date").slice(0, 10)
+      }, segments);
+    } else if (Object.prototype.hasOwnProperty.call(CHARACTER_ELEMENTS, name)) {
+      const text = CHARACTER_ELEMENTS[name] === null ? child.textContent : CHARACTER_ELEMENTS[name];
+      appendSegment(segments, revision ? revision.type : "text", text, revision);
+    } else {
+      collectSegments(child, revision, segments);
+    }
+  }
+}
+
+/**
+ * Splits the first body paragraph of an OOXML package (as returned by paragraph.getOoxml())
+ * into live text, tracked insertions and tracked deletions, in document order.
+ * Requires a global DOMParser.
+ *
+ * @param {string} paragraphOoxml
+ * @returns {Array<{ type: "text"|"inserted"|"deleted", text: string, author: string, date: string }>}
+ *   date is YYYY-MM-DD (empty when the revision has none); adjacent runs of the same revision are merged
+ */
+export function parseParagraphRevisionSegments(paragraphOoxml) {
+  if (!paragraphOoxml) return [];
+  const doc = new DOMParser().parseFromString(String(paragraphOoxml), "text/xml");
+  const bodies = doc.getElementsByTagName("w:body");
+  const root = bodies.length > 0 ? bodies[0] : doc;
+  const paragraph = root.getElementsByTagName("w:p")[0];
+  if (!paragraph) return [];
+
+  const segments = [];
+  collectSegments(paragraph, null, segments);
+  return segments;
+}
+
+/**
+ * @returns {boolean} Whether any segment is a tracked insertion or deletion
+ */
+export function hasRevisionSegments(segments) {
+  return (segments || []).some(segment => segment.type !== "text");
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats segments as paragraph text with inline revision marks, e.g.
+ * `Fees are <del by="A. Smith" date="2026-03-01">net 30</del><ins by="A. Smith" date="2026-03-01">net 60</ins>.`
+ *
+ * @param {ReturnType<typeof parseParagraphRevisionSegments>} segments
+ * @returns {string}
+ */
+export function formatRevisionMarkup(segments) {
+  return (segments || []).map(segment => {
+    if (segment.type === "text") return segment.text;
+    const tag = segment.type === "inserted" ? "ins" : "del";
+    const by = ` by="${escapeAttribute(segment.author || "Unknown")}"`;
+    const date = segment.date ? ` date="${escapeAttribute(segment.date)}"` : "";
+    return `<${tag}${by}${date}>${segment.text}</${tag}>`;
+  }).join("");
+}
@@ -0,0 +1,109 @@
+// Word.LocationRelation values for ranges that do not share any text with the selection
+const OUTSIDE_SELECTION_RELATIONS = new Set(["Unrelated", "Before", "After", "AdjacentBefore", "AdjacentAfter"]);
+
+// Tools that only read the document (or the web) and are always allowed
+const READ_ONLY_TOOLS = new Set(["perform_research", "navigate_to_section"]);
+
+/**
+ * @param {string} relation - Result of paragraphRange.compareLocationWith(selection)
+ * @returns {boolean} Whether the paragraph shares text with the selection (or holds the cursor)
+ */
+export function paragraphIntersectsSelection(relation) {
+  return !OUTSIDE_SELECTION_RELATIONS.has(String(relation || ""));
+}
+
+/**
+ * Builds the paragraph scope from the relation of every body paragraph to the selection.
+ * A selection is contiguous, so the scope is the range from the first to the last intersecting paragraph.
+ * @param {string[]} relations - One relation per body paragraph, in document order
+ * @returns {{ startParagraphIndex: number, endParagraphIndex: number }|null} 1-based, inclusive; null when nothing intersects
+ */
+export function createParagraphScope(relations) {
+  let start = null;
+  let end = null;
+  (relations || []).forEach((relation, i) => {
+    if (!paragraphIntersectsSelection(relation)) return;
+    if (start === null) start = i + 1;
+    end = i + 1;
+  });
+  return start === null ? null : { startParagraphIndex: start, endParagraphIndex: end };
+}
+
+/**
+ * @param {{ startParagraphIndex: number, endParagraphIndex: number }|null} scope
+ * @param {number} paragraphIndex - 1-based
+ * @returns {boolean} true when there is no scope
+ */
+export function isParagraphInScope(scope, paragraphIndex) {
+  if (!scope) return true;
+  const index = Number(paragraphIndex);
+  return Number.isInteger(index) && index >= scope.startParagraphIndex && index <= scope.endParagraphIndex;
+}
+
+/**
+ * @returns {string} e.g. "P12" or "P12-P15"
+ */
+export function describeParagraphScope(scope) {
+  if (!scope) return "the whole document";
+  return scope.startParagraphIndex === scope.endParagraphIndex
+    ? `P${scope.startParagraphIndex}`
+    : `P${scope.startParagraphIndex}-P${scope.endParagraphIndex}`;
+}
+
+function outOfScopeResult(scope, detail) {
+  return {
+    allowed: false,
+    reason: `Error: Selection-only mode is on, so only ${describeParagraphScope(scope)} may be changed (${detail}). Retarget the edit inside the selection, or ask the user to widen the selection or turn selection-only mode off.`
+  };
+}
+
+/**
+ * Checks a tool call against the selection scope before it runs. Tools that choose their own
+ * targets (apply_redlines, insert_comment, highlight_text, check_defined_terms, manage_comments,
+ * find_and_replace) are filtered further down, where their targets are known.
+ *
+ * @param {string} toolName
+ * @param {Object} args - Tool call arguments
+ * @param {{ startParagraphIndex: number, endParagraphIndex: number }|null} scope
+ * @returns {{ allowed: boolean, args?: Object, reason?: string }} args may be narrowed to the scope
+ */
+export function checkToolCallScope(toolName, args = {}, scope) {
+  if (!scope || READ_ONLY_TOOLS.has(toolName)) {
+    return { allowed: true, args };
+  }
+
+  const outside = (indices) => indices.filter(index => !isParagraphInScope(scope, index));
+
+  switch (toolName) {
+    case "edit_list": {
+      const bad = outside([args.startParagraphIndex, args.endParagraphIndex]);
+      return bad.length > 0 ? outOfScopeResult(scope, `list P${args.startParagraphIndex}-P${args.endParagraphIndex}`) : { allowed: true, args };
+    }
+    case "insert_list_item":
+      return isParagraphInScope(scope, args.afterParagraphIndex)
+        ? { allowed: true, args }
+        : outOfScopeResult(scope, `insertion after P${args.afterParagraphIndex}`);
+    case "edit_table":
+    case "insert_library_clause":
+      return isParagraphInScope(scope, args.paragraphIndex)
+        ? { allowed: true, args }
+        : outOfScopeResult(scope, `target P${args.paragraphIndex}`);
+    case "convert_headers_to_list": {
+      const bad = outside(Array.isArray(args.paragraphIndices) ? args.paragraphIndices : []);
+      return bad.length > 0 ? outOfScopeResult(scope, `P${bad.join(", P")}`) : { allowed: true, args };
+    }
+    case "edit_section":
+      // A section's body can extend past the selection
+      return outOfScopeResult(scope, "edit_section rewrites a whole section; use apply_redlines instead");
+    case "manage_tracked_changes": {
+      if (String(args.action || "").toLowerCase() === "list") return { allowed: true, args };
+      if (args.sectionNumber) return outOfScopeResult(scope, `section ${args.sectionNumber}`);
+      const start = Math.max(Number(args.startParagraphIndex) || scope.startParagraphIndex, scope.startParagraphIndex);
+      const end = Math.min(Number(args.endParagraphIndex) || scope.endParagraphIndex, scope.endParagraphIndex);
+      if (start > end) return outOfScopeResult(scope, `P${args.startParagraphIndex}-P${args.endParagraphIndex}`);
+      return { allowed: true, args: { ...args, startParagraphIndex: start, endParagraphIndex: end } };
+    }
+    default:
+      return { allowed: true, args };
+  }
+}
@@ -0,0 +1,153 @@
+import { diff_match_patch } from 'diff-match-patch';
+import { normalizeStoryId } from './document-story-utils.js';
+
+const dmp = new diff_match_patch();
+
+function toParagraphNumber(value) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+function getParagraphText(paragraphTexts, paragraphNumber) {
+  if (paragraphNumber === null || paragraphNumber < 1 || paragraphNumber > paragraphTexts.length) {
+    return null;
+  }
+  return String(paragraphTexts[paragraphNumber - 1] ?? '');
+}
+
+/**
+ * Resolves the before/after text an AI redline change would produce, without touching Word.
+ *
+ * `afterText` is `null` when the change cannot be previewed (unknown paragraph,
+ * or a modify_text snippet that is not present in its paragraph).
+ *
+ * @param {Object} change - Change object as returned by the redline diff prompt
+ * @param {string[]} paragraphTexts - Body paragraph texts in document order ([P1] at index 0)
+ * @returns {{ startParagraph: number|null, endParagraph: number|null, beforeText: string, afterText: string|null }}
+ */
+export function resolveStagedChangeText(change, paragraphTexts) {
+  const texts = Array.isArray(paragraphTexts) ? paragraphTexts : [];
+  const operation = change?.operation;
+  const startParagraph = toParagraphNumber(change?.paragraphIndex);
+  const beforeText = getParagraphText(texts, startParagraph);
+
+  if (operation === 'replace_range') {
+    const endParagraph = toParagraphNumber(change?.endParagraphIndex);
+    const content = String(change?.content ?? '');
+
+    // Insertion before the start paragraph is encoded as end = start - 1.
+    if (startParagraph !== null && endParagraph === startParagraph - 1) {
+      return { startParagraph, endParagraph, beforeText: '', afterText: content };
+    }
+
+    if (beforeText === null || endParagraph === null || endParagraph < startParagraph) {
+      return { startParagraph, endParagraph, beforeText: beforeText || '', afterText: null };
+    }
+
+    const rangeTexts = [];
+    for (let p = startParagraph; p <= Math.min(endParagraph, texts.length); p++) {
+      rangeTexts.push(getParagraphText(texts, p));
+    }
+    return { startParagraph, endParagraph, beforeText: rangeTexts.join('\n'), afterText: content };
+  }
+
+  if (beforeText === null) {
+    return { startParagraph, endParagraph: startParagraph, beforeText: '', afterText: null };
+  }
+
+  let afterText = null;
+  if (operation === 'edit_paragraph') {
+    afterText = String(change?.newContent ?? '');
+  } else if (operation === 'replace_paragraph') {
+    afterText = String(change?.content ?? '');
+  } else if (operation === 'modify_text') {
+    const originalText = String(change?.originalText ?? '');
+    if (originalText && beforeText.includes(originalText)) {
+      afterText = beforeText.replace(originalText, () => String(change?.replacementText ?? ''));
+    }
+  }
+
+  return { startParagraph, endParagraph: startParagraph, beforeText, afterText };
+}
+
+// Encodes each word/whitespace token as a single character so diff-match-patch
+// diffs whole words (same trick as its diff_linesToChars_).
+function wordsToChars(beforeText, afterText) {
+  const tokenArray = [''];
+  const tokenHash = new Map();
+
+  const encode = (text) => {
+    const tokens = text.match(/\s+|[^\s]+/g) || [];
+    let chars = '';
+    for (const token of tokens) {
+      if (!tokenHash.has(token)) {
+        tokenHash.set(token, tokenArray.length);
+        tokenArray.push(token);
+      }
+      chars += String.fromCharCode(tokenHash.get(token));
+    }
+    return chars;
+  };
+
+  return { chars1: encode(beforeText), chars2: encode(afterText), tokenArray };
+}
+
+/**
+ * Computes a human-readable word diff between two paragraph texts.
+ *
+ * @param {string} beforeText
+ * @param {string} afterText
+ * @returns {Array<{ type: 'equal'|'insert'|'delete', text: string }>}
+ */
+export function diffParagraphText(beforeText, afterText) {
+  const { chars1, chars2, tokenArray } = wordsToChars(String(beforeText ?? ''), String(afterText ?? ''));
+  const diffs = dmp.diff_main(chars1, chars2, false);
+  dmp.diff_charsToLines_(diffs, tokenArray);
+  dmp.diff_cleanupSemantic(diffs);
+
+  return diffs.map(([op, text]) => ({
+    type: op === 1 ? 'insert' : op === -1 ? 'delete' : 'equal',
+    text
+  }));
+}
+
+/**
+ * Builds the staged-change list shown in the redline review panel.
+ *
+ * @param {Object[]} aiChanges - Change objects as returned by the redline diff prompt
+ * @param {string[]} paragraphTexts - Body paragraph texts in document order
+ * @param {Object<string, string[]>} [storyParagraphTexts] - Paragraph texts of headers, footers and notes, by story id,
+ *   for changes that carry a `story`
+ * @returns {Array<{ id: number, change: Object, operation: string, story: string|null, startParagraph: number|null, endParagraph: number|null, beforeText: string, afterText: string|null, diff: Array<{ type: string, text: string }> }>}
+ */
+export function buildStagedRedlineChanges(aiChanges, paragraphTexts, storyParagraphTexts = {}) {
+  const changes = Array.isArray(aiChanges) ? aiChanges : [];
+
+  return changes.map((change, id) => {
+    const story = change?.story ? normalizeStoryId(change.story) : null;
+    const texts = story ? storyParagraphTexts[story] || [] : paragraphTexts;
+    const resolved = resolveStagedChangeText(change, texts);
+    return {
+      id,
+      change,
+      operation: String(change?.operation || ''),
+      story,
+      ...resolved,
+      diff: resolved.afterText === null ? [] : diffParagraphText(resolved.beforeText, resolved.afterText)
+    };
+  });
+}
+
+/**
+ * Returns the original change objects for the approved staged ids, preserving proposal order.
+ *
+ * @param {Array<{ id: number, change: Object }>} stagedChanges
+ * @param {Iterable<number>} approvedIds
+ * @returns {Object[]}
+ */
+export function selectApprovedChanges(stagedChanges, approvedIds) {
+  const approved = new Set(approvedIds || []);
+  return (Array.isArray(stagedChanges) ? stagedChanges : [])
+    .filter(staged => approved.has(staged.id))
+    .map(staged => staged.change);
+}
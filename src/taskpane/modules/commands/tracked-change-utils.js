@@ -0,0 +1,213 @@
+const CHANGE_TYPE_ALIASES = {
+  insertion: "added",
+  inserted: "added",
+  added: "added",
+  deletion: "deleted",
+  deleted: "deleted",
+  formatting: "formatted",
+  formatted: "formatted"
+};
+
+const CHANGE_TYPE_LABELS = {
+  added: "Insertion",
+  deleted: "Deletion",
+  formatted: "Formatting"
+};
+
+function normalizeTrackedChangeType(type) {
+  return CHANGE_TYPE_ALIASES[String(type || "").trim().toLowerCase()] || null;
+}
+
+/**
+ * Normalizes the filter arguments of the manage_tracked_changes tool.
+ *
+ * @param {Object} args
+ * @param {string} [args.author] - Revision author (case-insensitive exact match)
+ * @param {number} [args.startParagraphIndex] - 1-based first paragraph (inclusive)
+ * @param {number} [args.endParagraphIndex] - 1-based last paragraph (inclusive)
+ * @param {string|number} [args.sectionNumber] - Section id as shown by the § markers (e.g. "4" or "4.1")
+ * @param {string[]} [args.changeTypes] - "insertion", "deletion" and/or "formatting"
+ * @returns {{ author: string|null, startParagraph: number|null, endParagraph: number|null, sectionNumber: string|null, changeTypes: Set<string>|null }}
+ */
+export function normalizeTrackedChangeFilter(args = {}) {
+  const toIndex = (value) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+  };
+
+  const author = typeof args.author === "string" && args.author.trim() ? args.author.trim() : null;
+  let startParagraph = toIndex(args.startParagraphIndex);
+  let endParagraph = toIndex(args.endParagraphIndex);
+  if (startParagraph !== null && endParagraph === null) endParagraph = startParagraph;
+  if (endParagraph !== null && startParagraph === null) startParagraph = endParagraph;
+  if (startParagraph !== null && endParagraph < startParagraph) {
+    [startParagraph, endParagraph] = [endParagraph, startParagraph];
+  }
+
+  const rawSection = args.sectionNumber === undefined || args.sectionNumber === null
+    ? ""
+    : String(args.sectionNumber).trim().replace(/^§/, "").replace(/\.$/, "");
+
+  const types = (Array.isArray(args.changeTypes) ? args.changeTypes : [])
+    .map(normalizeTrackedChangeType)
+    .filter(Boolean);
+
+  return {
+    author,
+    startParagraph,
+    endParagraph,
+    sectionNumber: rawSection || null,
+    changeTypes: types.length > 0 ? new Set(types) : null
+  };
+}
+
+/**
+ * Resolves the 1-based paragraph indices that belong to a section of the enhanced context.
+ * A top-level section ("4") includes its header, body and subsections; a subsection
+ * ("4.1") includes only paragraphs inside that subsection.
+ *
+ * @param {Array<{ index: number, section: string|null, subSection: string|null }>} paragraphs
+ * @param {string} sectionNumber
+ * @returns {number[]}
+ */
+export function resolveSectionParagraphIndices(paragraphs, sectionNumber) {
+  const target = String(sectionNumber || "").trim();
+  if (!target) return [];
+  const isSubSection = target.includes(".");
+
+  return (Array.isArray(paragraphs) ? paragraphs : [])
+    .filter(p => {
+      if (isSubSection) {
+        const sub = p.subSection ? String(p.subSection) : "";
+        return sub === target || sub.startsWith(`${target}.`);
+      }
+      return p.section !== null && p.section !== undefined && String(p.section) === target;
+    })
+    .map(p => p.index);
+}
+
+/**
+ * Checks a tracked change (with its resolved paragraph index) against a normalized filter.
+ *
+ * @param {{ type: string, author: string, paragraphIndex: number }} change
+ * @param {ReturnType<typeof normalizeTrackedChangeFilter>} filter
+ * @param {Set<number>|null} [sectionParagraphs] - Paragraph indices resolved for filter.sectionNumber
+ * @returns {boolean}
+ */
+export function matchesTrackedChangeFilter(change, filter, sectionParagraphs = null) {
+  if (!change) return false;
+
+  if (filter.author && String(change.author || "").trim().toLowerCase() !== filter.author.toLowerCase()) {
+    return false;
+  }
+  if (filter.changeTypes && !filter.changeTypes.has(normalizeTrackedChangeType(change.type))) {
+    return false;
+  }
+  if (filter.startParagraph !== null
+    && (change.paragraphIndex < filter.startParagraph || change.paragraphIndex > filter.endParagraph)) {
+    return false;
+  }
+  if (sectionParagraphs && !sectionParagraphs.has(change.paragraphIndex)) {
+    return false;
+  }
+  return true;
+}
+
+// Word.LocationRelation values of two ranges that share no text
+const DISJOINT_RELATIONS = new Set(["Unrelated", "Before", "After", "AdjacentBefore", "AdjacentAfter"]);
+
+// Only a revision that crosses a paragraph mark (its text holds the break) is reported by more
+// than one paragraph, and then with the same type, author, date and text in each
+function getCrossParagraphKey(trackedChange) {
+  const text = String(trackedChange.text ?? "");
+  return /[\r\n]/.test(text)
+    ? `${trackedChange.type}|${trackedChange.author}|${trackedChange.date}|${text}`
+    : null;
+}
+
+/**
+ * Pairs each revision that looks like one of the paragraph before it with that revision. Word gives
+ * tracked changes no id, so whether a pair is one revision has to be decided from their ranges
+ * (see isSameRevisionLocation).
+ *
+ * @param {Array<{ paragraphIndex: number, items: Array<{ type: string, author: string, date: *, text: string }> }>} scanned
+ *   In document order
+ * @returns {Array<{ trackedChange: Object, previous: Object }>}
+ */
+export function findCrossParagraphCandidates(scanned) {
+  const candidates = [];
+  let previousByKey = new Map();
+  for (const { items } of Array.isArray(scanned) ? scanned : []) {
+    const currentByKey = new Map();
+    for (const trackedChange of items || []) {
+      const key = getCrossParagraphKey(trackedChange);
+      if (key === null) continue;
+      if (previousByKey.has(key)) {
+        candidates.push({ trackedChange, previous: previousByKey.get(key) });
+      }
+      if (!currentByKey.has(key)) currentByKey.set(key, trackedChange);
+    }
+    previousByKey = currentByKey;
+  }
+  return candidates;
+}
+
+/**
+ * @param {string} relation - Result of comparing the ranges of a candidate pair (see findCrossParagraphCandidates)
+ * @returns {boolean} Whether the two ranges share text, i.e. belong to the same revision
+ */
+export function isSameRevisionLocation(relation) {
+  return !DISJOINT_RELATIONS.has(String(relation || ""));
+}
+
+/**
+ * Flattens the tracked changes loaded per paragraph into one list with paragraph indices.
+ * A revision that spans a paragraph mark is reported by every paragraph it touches; the repeats
+ * (found with findCrossParagraphCandidates) are left out so it is listed and resolved once.
+ * Identical revisions that are separate changes (e.g. the same word deleted in two paragraphs) are all kept.
+ *
+ * @param {Array<{ paragraphIndex: number, items: Array<{ type: string, author: string, date: *, text: string }> }>} scanned
+ *   In document order
+ * @param {Set<Object>} [repeated] - Revisions that repeat one of the paragraph before
+ * @returns {Array<{ type: string, author: string, date: *, text: string, paragraphIndex: number, trackedChange: Object }>}
+ */
+export function collectParagraphTrackedChanges(scanned, repeated = new Set()) {
+  const changes = [];
+  for (const { paragraphIndex, items } of Array.isArray(scanned) ? scanned : []) {
+    for (const trackedChange of items || []) {
+      if (repeated.has(trackedChange)) continue;
+      changes.push({
+        type: trackedChange.type,
+        author: trackedChange.author,
+        date: trackedChange.date,
+        text: trackedChange.text,
+        paragraphIndex,
+        trackedChange
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Formats tracked changes for the model/user, e.g.
+ * `[P4] Deletion by Gemini AI: "one (1) copy"`.
+ *
+ * @param {Array<{ type: string, author: string, paragraphIndex: number, text: string }>} changes
+ * @param {number} [maxItems=50]
+ * @returns {string}
+ */
+export function formatTrackedChangeList(changes, maxItems = 50) {
+  const list = Array.isArray(changes) ? changes : [];
+  const lines = list.slice(0, maxItems).map(change => {
+    const label = CHANGE_TYPE_LABELS[normalizeTrackedChangeType(change.type)] || String(change.type || "Change");
+    const text = String(change.text || "").replace(/\s+/g, " ").trim();
+    const preview = text.length > 80 ? `${text.substring(0, 80)}...` : text;
+    return `[P${change.paragraphIndex}] ${label} by ${change.author || "Unknown"}${preview ? `: "${preview}"` : ""}`;
+  });
+
+  if (list.length > maxItems) {
+    lines.push(`...and ${list.length - maxItems} more.`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,125 @@
+/* global DecompressionStream, Blob, Response, TextDecoder */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const OFFICE_DOCUMENT_RELATIONSHIP = /\/officeDocument$/;
+const DEFAULT_MAIN_PART = "word/document.xml";
+
+function notADocx(detail) {
+  return new Error(`This file is not a Word document (.docx)${detail ? `: ${detail}` : ""}.`);
+}
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of up to 64 KB
+  const lowest = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+}
+
+/**
+ * Lists the files of a zip package from its central directory.
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, { name: string, method: number, compressedSize: number, localHeaderOffset: number }>}
+ * @throws {Error} When the buffer is not a zip package (or is a ZIP64 package)
+ */
+export function listZipEntries(buffer) {
+  const view = new DataView(buffer);
+  const endOffset = findEndOfCentralDirectory(view);
+  if (endOffset < 0) throw notADocx();
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  if (offset === 0xffffffff) throw notADocx("ZIP64 packages are not supported");
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw notADocx("the package is damaged");
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    if (offset + 46 + nameLength > view.byteLength) throw notADocx("the package is damaged");
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Reads one file of a zip package as UTF-8 text (stored or deflated entries).
+ * @param {ArrayBuffer} buffer
+ * @param {{ method: number, compressedSize: number, localHeaderOffset: number }} entry - From listZipEntries
+ * @returns {Promise<string>}
+ * @throws {Error} When the entry is truncated or its data cannot be decompressed
+ */
+export async function readZipEntryText(buffer, entry) {
+  const view = new DataView(buffer);
+  const headerOffset = entry.localHeaderOffset;
+  if (headerOffset + 30 > view.byteLength || view.getUint32(headerOffset, true) !== LOCAL_FILE_HEADER) {
+    throw notADocx("the package is damaged");
+  }
+  // Sizes in the local header may be zero (data descriptor), so the central directory size is used
+  const dataOffset = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+  if (dataOffset + entry.compressedSize > view.byteLength) {
+    throw notADocx("the package is damaged");
+  }
+  const data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+  if (entry.method !== 8) {
+    throw notADocx(`unsupported compression method ${entry.method}`);
+  }
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This environment cannot read .docx files (DecompressionStream unavailable).");
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  try {
+    return await new Response(stream).text();
+  } catch (error) {
+    throw notADocx("the package is damaged");
+  }
+}
+
+function resolveMainPartName(relationshipsXml) {
+  const relationships = String(relationshipsXml || "").match(/<Relationship\b[^>]*>/g) || [];
+  for (const relationship of relationships) {
+    const type = /\bType="([^"]*)"/.exec(relationship);
+    const target = /\bTarget="([^"]*)"/.exec(relationship);
+    if (type && target && OFFICE_DOCUMENT_RELATIONSHIP.test(type[1])) {
+      return target[1].replace(/^\//, "");
+    }
+  }
+  return DEFAULT_MAIN_PART;
+}
+
+/**
+ * Reads the main document part (document.xml) of a .docx file, e.g. an uploaded precedent.
+ * The result can be passed to extractParagraphModel.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<string>}
+ */
+export async function readDocxDocumentXml(buffer) {
+  const entries = listZipEntries(buffer);
+  const relationships = entries.get("_rels/.rels");
+  const mainPartName = relationships
+    ? resolveMainPartName(await readZipEntryText(buffer, relationships))
+    : DEFAULT_MAIN_PART;
+
+  const mainPart = entries.get(mainPartName);
+  if (!mainPart) throw notADocx("it has no main document part");
+  return readZipEntryText(buffer, mainPart);
+}
@@ -0,0 +1,251 @@
+import { diff_match_patch } from 'diff-match-patch';
+import { diffParagraphText } from '../commands/staged-redline-utils.js';
+
+const dmp = new diff_match_patch();
+
+// Minimum share of unchanged characters for a deleted/inserted pair to count as one modified paragraph
+const SIMILARITY_THRESHOLD = 0.5;
+
+function normalizeText(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function textSimilarity(beforeText, afterText) {
+  const a = normalizeText(beforeText);
+  const b = normalizeText(afterText);
+  if (!a && !b) return 1;
+  if (!a || !b) return 0;
+
+  const unchanged = diffParagraphText(a, b)
+    .filter(part => part.type === "equal")
+    .reduce((total, part) => total + part.text.length, 0);
+  return unchanged / Math.max(a.length, b.length);
+}
+
+function describeTableCell(table) {
+  return table ? `T${table.tableIndex + 1}:${table.row},${table.col}` : null;
+}
+
+function getStructuralChanges(before, after) {
+  const structuralChanges = [];
+  if (before.style !== after.style) {
+    structuralChanges.push({ kind: "style", from: before.style, to: after.style });
+  }
+  if (before.listLevel !== after.listLevel) {
+    structuralChanges.push({ kind: "listLevel", from: before.listLevel, to: after.listLevel });
+  }
+  const beforeCell = describeTableCell(before.table);
+  const afterCell = describeTableCell(after.table);
+  if (beforeCell !== afterCell) {
+    structuralChanges.push({ kind: "table", from: beforeCell, to: afterCell });
+  }
+  return structuralChanges;
+}
+
+function pairEntry(before, after) {
+  const textChanged = normalizeText(before.text) !== normalizeText(after.text);
+  const structuralChanges = getStructuralChanges(before, after);
+  return {
+    type: textChanged || structuralChanges.length > 0 ? "modified" : "equal",
+    beforeIndex: before.index,
+    afterIndex: after.index,
+    before,
+    after,
+    textChanged,
+    structuralChanges,
+    diff: textChanged ? diffParagraphText(before.text, after.text) : []
+  };
+}
+
+function deletedEntry(before) {
+  return { type: "deleted", beforeIndex: before.index, afterIndex: null, before, after: null, textChanged: true, structuralChanges: [], diff: [] };
+}
+
+function insertedEntry(after) {
+  return { type: "inserted", beforeIndex: null, afterIndex: after.index, before: null, after, textChanged: true, structuralChanges: [], diff: [] };
+}
+
+// Pairs a run of deleted paragraphs with the run of inserted paragraphs that replaced them.
+function pairReplacedRun(deleted, inserted) {
+  const entries = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < deleted.length && j < inserted.length) {
+    if (textSimilarity(deleted[i].text, inserted[j].text) >= SIMILARITY_THRESHOLD) {
+      entries.push(pairEntry(deleted[i++], inserted[j++]));
+    } else if (j + 1 < inserted.length && textSimilarity(deleted[i].text, inserted[j + 1].text) >= SIMILARITY_THRESHOLD) {
+      entries.push(insertedEntry(inserted[j++]));
+    } else {
+      entries.push(deletedEntry(deleted[i++]));
+    }
+  }
+  while (i < deleted.length) entries.push(deletedEntry(deleted[i++]));
+  while (j < inserted.length) entries.push(insertedEntry(inserted[j++]));
+
+  return entries;
+}
+
+/**
+ * Aligns two paragraph models (see extractParagraphModel) and reports per-paragraph
+ * text, style, list level and table cell changes in document order.
+ *
+ * @param {Array<Object>} beforeParagraphs
+ * @param {Array<Object>} afterParagraphs
+ * @returns {Array<{ type: 'equal'|'modified'|'inserted'|'deleted', beforeIndex: number|null, afterIndex: number|null, before: Object|null, after: Object|null, textChanged: boolean, structuralChanges: Array<{ kind: string, from: any, to: any }>, diff: Array<{ type: string, text: string }> }>}
+ */
+export function alignParagraphs(beforeParagraphs, afterParagraphs) {
+  const before = Array.isArray(beforeParagraphs) ? beforeParagraphs : [];
+  const after = Array.isArray(afterParagraphs) ? afterParagraphs : [];
+
+  // Encode each distinct paragraph text as one character so diff-match-patch aligns whole paragraphs
+  const codes = new Map();
+  const encode = paragraphs => paragraphs.map(paragraph => {
+    const key = normalizeText(paragraph.text);
+    if (!codes.has(key)) codes.set(key, String.fromCharCode(codes.size + 1));
+    return codes.get(key);
+  }).join("");
+
+  const diffs = dmp.diff_main(encode(before), encode(after), false);
+
+  const entries = [];
+  let beforePos = 0;
+  let afterPos = 0;
+  let pendingDeleted = [];
+  let pendingInserted = [];
+
+  const flush = () => {
+    entries.push(...pairReplacedRun(pendingDeleted, pendingInserted));
+    pendingDeleted = [];
+    pendingInserted = [];
+  };
+
+  for (const [op, chars] of diffs) {
+    if (op === 0) {
+      flush();
+      for (let k = 0; k < chars.length; k++) {
+        entries.push(pairEntry(before[beforePos++], after[afterPos++]));
+      }
+    } else if (op === -1) {
+      pendingDeleted.push(...before.slice(beforePos, beforePos + chars.length));
+      beforePos += chars.length;
+    } else {
+      pendingInserted.push(...after.slice(afterPos, afterPos + chars.length));
+      afterPos += chars.length;
+    }
+  }
+  flush();
+
+  return entries;
+}
+
+/**
+ * Counts aligned entries by type.
+ * @param {Array<{ type: string }>} entries
+ * @returns {{ equal: number, modified: number, inserted: number, deleted: number }}
+ */
+export function summarizeParagraphDiff(entries) {
+  const summary = { equal: 0, modified: 0, inserted: 0, deleted: 0 };
+  (entries || []).forEach(entry => {
+    summary[entry.type] = (summary[entry.type] || 0) + 1;
+  });
+  return summary;
+}
+
+/**
+ * Converts an alignment into redline changes (same shape as the apply_redlines tool)
+ * that turn the "before" document into the "after" text. Changes are ordered
+ * bottom-up so earlier paragraph indices stay valid while they are applied.
+ *
+ * Style/list-level-only differences are not converted, and inserted/deleted
+ * paragraphs inside tables are skipped (tables keep their structure).
+ *
+ * @param {Array<Object>} entries - Output of alignParagraphs
+ * @returns {{ changes: Array<Object>, skipped: number }}
+ */
+export function buildRedlineChangesFromDiff(entries) {
+  const changesByParagraph = new Map();
+  let skipped = 0;
+  let previousAnchor = null;
+  let pendingDeleted = [];
+  let pendingInserted = [];
+
+  const canAnchor = entry => entry && !entry.before.table && normalizeText(entry.before.text) !== "";
+
+  const flush = (nextAnchor) => {
+    const deleted = pendingDeleted;
+    const inserted = pendingInserted;
+    pendingDeleted = [];
+    pendingInserted = [];
+    if (deleted.length === 0 && inserted.length === 0) return;
+
+    const touchesTable = deleted.some(entry => entry.before.table) || inserted.some(entry => entry.after.table);
+    const insertedTexts = inserted.map(entry => entry.after.text);
+
+    if (touchesTable) {
+      skipped += deleted.length + inserted.length;
+    } else if (deleted.length > 0) {
+      if (normalizeText(deleted[0].before.text) === "") {
+        skipped += deleted.length + inserted.length;
+        return;
+      }
+      changesByParagraph.set(deleted[0].beforeIndex, {
+        paragraphIndex: deleted[0].beforeIndex,
+        endParagraphIndex: deleted[deleted.length - 1].beforeIndex,
+        operation: "replace_range",
+        content: insertedTexts.join("\n")
+      });
+    } else if (canAnchor(previousAnchor)) {
+      // Append the new paragraphs after the previous surviving paragraph (keeping any edit to it)
+      const existing = changesByParagraph.get(previousAnchor.beforeIndex);
+      if (existing && existing.operation === "replace_range") {
+        existing.content = [existing.content, ...insertedTexts].join("\n");
+      } else {
+        changesByParagraph.set(previousAnchor.beforeIndex, {
+          paragraphIndex: previousAnchor.beforeIndex,
+          endParagraphIndex: previousAnchor.beforeIndex,
+          operation: "replace_range",
+          content: [previousAnchor.after.text, ...insertedTexts].join("\n")
+        });
+      }
+    } else if (canAnchor(nextAnchor)) {
+      changesByParagraph.set(nextAnchor.beforeIndex, {
+        paragraphIndex: nextAnchor.beforeIndex,
+        endParagraphIndex: nextAnchor.beforeIndex,
+        operation: "replace_range",
+        content: [...insertedTexts, nextAnchor.after.text].join("\n")
+      });
+    } else {
+      skipped += inserted.length;
+    }
+  };
+
+  for (const entry of entries || []) {
+    if (entry.type === "deleted") {
+      pendingDeleted.push(entry);
+      continue;
+    }
+    if (entry.type === "inserted") {
+      pendingInserted.push(entry);
+      continue;
+    }
+
+    flush(entry);
+    if (entry.textChanged && !changesByParagraph.has(entry.beforeIndex)) {
+      if (normalizeText(entry.before.text) === "") {
+        skipped++;
+      } else {
+        changesByParagraph.set(entry.beforeIndex, {
+          paragraphIndex: entry.beforeIndex,
+          operation: "edit_paragraph",
+          newContent: entry.after.text
+        });
+      }
+    }
+    previousAnchor = entry;
+  }
+  flush(null);
+
+  const changes = [...changesByParagraph.values()].sort((a, b) => b.paragraphIndex - a.paragraphIndex);
+  return { changes, skipped };
+}
@@ -0,0 +1,103 @@
+import { createParser } from '@ansonlai/docx-redline-js/adapters/xml-adapter.js';
+
+// Run-level content that is not part of the accepted (visible) text
+const SKIPPED_INLINE_ELEMENTS = new Set(["pPr", "rPr", "del", "moveFrom", "delText", "instrText", "txbxContent"]);
+
+function childElements(node) {
+  const elements = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1) elements.push(child);
+  }
+  return elements;
+}
+
+function findChild(node, localName) {
+  return node ? childElements(node).find(child => child.localName === localName) || null : null;
+}
+
+function findDescendant(node, localName) {
+  for (const child of childElements(node)) {
+    if (child.localName === localName) return child;
+    const found = findDescendant(child, localName);
+    if (found) return found;
+  }
+  return null;
+}
+
+function getVal(node) {
+  return node ? node.getAttribute("w:val") : null;
+}
+
+function collectText(node) {
+  let text = "";
+  for (const child of childElements(node)) {
+    const name = child.localName;
+    if (SKIPPED_INLINE_ELEMENTS.has(name)) continue;
+    if (name === "t") {
+      text += child.textContent || "";
+    } else if (name === "tab") {
+      text += "\t";
+    } else if (name === "br" || name === "cr") {
+      text += "\n";
+    } else {
+      text += collectText(child);
+    }
+  }
+  return text;
+}
+
+function readParagraph(paragraph, table) {
+  const pPr = findChild(paragraph, "pPr");
+  const numPr = findChild(pPr, "numPr");
+  const numId = getVal(findChild(numPr, "numId"));
+  const isListItem = !!numPr && numId !== "0";
+
+  return {
+    text: collectText(paragraph),
+    style: getVal(findChild(pPr, "pStyle")) || "Normal",
+    listLevel: isListItem ? Number.parseInt(getVal(findChild(numPr, "ilvl")) || "0", 10) : -1,
+    numId: isListItem ? numId : null,
+    table
+  };
+}
+
+/**
+ * Extracts a flat, document-ordered paragraph model from body OOXML (flat package or
+ * bare document.xml). Order matches Word's `body.paragraphs`, so entry i is [P(i+1)].
+ * Paragraph text is the accepted view: tracked deletions are skipped, insertions kept.
+ *
+ * @param {string} ooxml
+ * @returns {Array<{ index: number, text: string, style: string, listLevel: number, numId: string|null, table: { tableIndex: number, row: number, col: number }|null }>}
+ */
+export function extractParagraphModel(ooxml) {
+  const xmlDoc = createParser().parseFromString(String(ooxml || ""), "text/xml");
+  const body = findDescendant(xmlDoc.documentElement, "body");
+  if (!body) return [];
+
+  const paragraphs = [];
+  let tableCounter = 0;
+
+  const walk = (node, table) => {
+    for (const child of childElements(node)) {
+      const name = child.localName;
+      if (name === "p") {
+        paragraphs.push({ index: paragraphs.length + 1, ...readParagraph(child, table) });
+      } else if (name === "tbl") {
+        const tableIndex = tableCounter++;
+        childElements(child)
+          .filter(row => row.localName === "tr")
+          .forEach((row, rowIndex) => {
+            childElements(row)
+              .filter(cell => cell.localName === "tc")
+              .forEach((cell, colIndex) => walk(cell, { tableIndex, row: rowIndex, col: colIndex }));
+          });
+      } else if (name !== "sectPr" && name !== "txbxContent") {
+        // Content controls, custom XML and similar wrappers
+        walk(child, table);
+      }
+    }
+  };
+
+  walk(body, null);
+  return paragraphs;
+}
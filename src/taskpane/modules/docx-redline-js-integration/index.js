@@ -24,6 +24,7 @@ export {
 } from './word-operation-runner.js';
 export {
     applyRedlineChangesToWordContext,
-    findNearbyParagraphIndexForModifyText
+    findNearbyParagraphIndexForModifyText,
+    isOutsideParagraphScope
 } from './word-redline-runner.js';
 
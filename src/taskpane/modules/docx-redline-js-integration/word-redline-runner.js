@@ -66,6 +66,25 @@ function parseParagraphIndex(value) {
     return Number.isInteger(parsed) ? parsed - 1 : null;
 }
 
+/**
+ * Whether a 0-based paragraph span falls (partly) outside a 1-based inclusive paragraph scope.
+ *
+ * @param {{ startParagraphIndex: number, endParagraphIndex: number }|null|undefined} paragraphScope
+ * @param {number} startIndex - 0-based
+ * @param {number} [endIndex=startIndex] - 0-based, inclusive
+ * @returns {boolean}
+ */
+export function isOutsideParagraphScope(paragraphScope, startIndex, endIndex = startIndex) {
+    if (!paragraphScope) return false;
+    return startIndex + 1 < paragraphScope.startParagraphIndex || endIndex + 1 > paragraphScope.endParagraphIndex;
+}
+
+/**
+ * Applies AI paragraph changes (edit_paragraph, replace_paragraph, modify_text, replace_range).
+ * With `options.paragraphScope`, changes that touch paragraphs outside the scope are rejected.
+ * `options.paragraphs` targets another story (a header, footer or note body's paragraphs)
+ * instead of the document body; paragraph indices then count inside that story.
+ */
 export async function applyRedlineChangesToWordContext(context, aiChanges, options = {}) {
     const changes = Array.isArray(aiChanges) ? aiChanges : [];
     const logPrefix = options.logPrefix || 'Redline/Shared';
@@ -77,6 +96,7 @@ export async function applyRedlineChangesToWordContext(context, aiChanges, optio
         : message => console.warn(`[${logPrefix}] ${message}`);
 
     let changesApplied = 0;
+    let changesRejected = 0;
 
     for (const change of changes) {
         try {
@@ -87,7 +107,7 @@ export async function applyRedlineChangesToWordContext(context, aiChanges, optio
                 continue;
             }
 
-            const paragraphs = context.document.body.paragraphs;
+            const paragraphs = options.paragraphs || context.document.body.paragraphs;
             paragraphs.load('items/text');
             await context.sync();
 
@@ -131,6 +151,12 @@ export async function applyRedlineChangesToWordContext(context, aiChanges, optio
                 }
             }
 
+            if (isOutsideParagraphScope(options.paragraphScope, effectiveStartIndex, endIndex)) {
+                onWarn(`Out-of-scope target P${effectiveStartIndex + 1}..P${endIndex + 1} (allowed P${options.paragraphScope.startParagraphIndex}..P${options.paragraphScope.endParagraphIndex}); rejected.`);
+                changesRejected += 1;
+                continue;
+            }
+
             const startParagraph = paragraphs.items[effectiveStartIndex];
             const scopeParagraphCount = insertionBeforeStart
                 ? 1
@@ -174,5 +200,5 @@ export async function applyRedlineChangesToWordContext(context, aiChanges, optio
     }
 
     onInfo(`Total changes applied: ${changesApplied}`);
-    return { changesApplied };
+    return { changesApplied, changesRejected };
 }
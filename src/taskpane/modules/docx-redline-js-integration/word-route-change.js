@@ -14,6 +14,7 @@ import {
     RoutePlanKind
 } from '@ansonlai/docx-redline-js';
 import { applyStructuredListDirectOoxml } from './word-structured-list.js';
+import { isOutsideParagraphScope } from './word-redline-runner.js';
 import {
     getParagraphOoxmlWithFallback,
     insertOoxmlWithRangeFallback,
@@ -28,6 +29,8 @@ import {
  * @param {Word.RequestContext} context - Word request context
  * @param {Object} [options={}] - Route options
  * @param {boolean} [options.propertiesPreloaded=false] - Whether required paragraph properties are preloaded
+ * @param {number} [options.paragraphIndex] - 1-based index of targetParagraph, checked against paragraphScope
+ * @param {{ startParagraphIndex: number, endParagraphIndex: number }} [options.paragraphScope] - Paragraphs that may be changed
  * @param {Object} options.services - Runtime service callbacks
  * @param {() => boolean} options.services.loadRedlineSetting - Redline enabled provider
  * @param {() => string} options.services.loadRedlineAuthor - Redline author provider
@@ -40,9 +43,20 @@ import {
 export async function routeWordParagraphChange(change, targetParagraph, context, options = {}) {
     const {
         propertiesPreloaded = false,
+        paragraphIndex,
+        paragraphScope = null,
         services = {}
     } = options;
 
+    if (paragraphScope) {
+        if (!Number.isInteger(paragraphIndex)) {
+            throw new Error('[routeWordParagraphChange] paragraphIndex is required when a paragraphScope is given.');
+        }
+        if (isOutsideParagraphScope(paragraphScope, paragraphIndex - 1)) {
+            throw new Error(`[routeWordParagraphChange] P${paragraphIndex} is outside the allowed paragraphs P${paragraphScope.startParagraphIndex}..P${paragraphScope.endParagraphIndex}.`);
+        }
+    }
+
     const {
         loadRedlineSetting,
         loadRedlineAuthor,
@@ -0,0 +1,126 @@
+import { readSseStream } from './sse.js';
+
+const GEMINI_DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+// Safety settings for Gemini API (disable all safety blocks)
+const SAFETY_SETTINGS_BLOCK_NONE = [
+  { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
+];
+
+/**
+ * Builds the HTTP request for a Gemini model. Requests are already in Gemini's
+ * generateContent shape; only the safety settings are added.
+ */
+function buildGeminiHttpRequest(request, { baseUrl, apiKey }, model, stream) {
+  const root = (baseUrl || GEMINI_DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const method = stream ? "streamGenerateContent?alt=sse&" : "generateContent?";
+  return {
+    url: `${root}/models/${model}:${method}key=${encodeURIComponent(apiKey || "")}`,
+    headers: { "Content-Type": "application/json" },
+    body: { ...request, safetySettings: request.safetySettings || SAFETY_SETTINGS_BLOCK_NONE }
+  };
+}
+
+function createStreamResponse() {
+  return {
+    candidates: [{ content: { role: "model", parts: [] } }]
+  };
+}
+
+/**
+ * Merges one streamGenerateContent chunk into the accumulated response, so that the result has
+ * the same shape as a generateContent response. Consecutive text parts of the same kind
+ * (answer or thought summary) are concatenated; function calls arrive whole and are appended.
+ * Thought signatures are kept on the part they arrived with.
+ */
+function mergeStreamChunk(accumulated, chunk) {
+  if (chunk.error) {
+    throw new Error(`API failed: ${JSON.stringify(chunk.error)}`);
+  }
+
+  const target = accumulated.candidates[0];
+  const source = chunk.candidates && chunk.candidates[0];
+
+  if (source) {
+    const parts = (source.content && source.content.parts) || [];
+    for (const part of parts) {
+      const last = target.content.parts[target.content.parts.length - 1];
+      const isText = typeof part.text === "string" && !part.functionCall;
+      const lastIsText = last && typeof last.text === "string" && !last.functionCall;
+
+      if (isText && lastIsText && Boolean(part.thought) === Boolean(last.thought) && !last.thoughtSignature) {
+        last.text += part.text;
+        if (part.thoughtSignature) last.thoughtSignature = part.thoughtSignature;
+      } else {
+        target.content.parts.push({ ...part });
+      }
+    }
+
+    ["finishReason", "finishMessage", "safetyRatings", "citationMetadata"].forEach(key => {
+      if (source[key] !== undefined) target[key] = source[key];
+    });
+  }
+
+  if (chunk.usageMetadata) accumulated.usageMetadata = chunk.usageMetadata;
+  if (chunk.promptFeedback) accumulated.promptFeedback = chunk.promptFeedback;
+  if (chunk.modelVersion) accumulated.modelVersion = chunk.modelVersion;
+
+  return accumulated;
+}
+
+/**
+ * Reads a streamGenerateContent (alt=sse) response to the end.
+ * @param {Response} response - A successful fetch response
+ * @param {(accumulated: Object) => void} [onUpdate] - Called after every chunk with the response so far
+ * @returns {Promise<Object>} The accumulated response, shaped like a generateContent response
+ */
+async function readGeminiStream(response, onUpdate = null) {
+  const accumulated = createStreamResponse();
+
+  await readSseStream(response, (events) => {
+    events.forEach(event => mergeStreamChunk(accumulated, event));
+    if (onUpdate) onUpdate(accumulated);
+  });
+
+  const parts = accumulated.candidates[0].content.parts;
+  if (parts.length === 0) {
+    // Keep the "missing content.parts" diagnostics of non-streamed responses
+    delete accumulated.candidates[0].content;
+  }
+  return accumulated;
+}
+
+/**
+ * Summarizes a partial response for display while it streams.
+ * @returns {{ text: string, thought: string, functionCalls: Array<Object> }}
+ *   thought is the heading of the latest thought summary (or its last sentence when it has none)
+ */
+function describeStreamProgress(accumulated) {
+  const candidate = accumulated && accumulated.candidates && accumulated.candidates[0];
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+
+  const text = parts.filter(p => p.text && !p.thought).map(p => p.text).join("");
+  const functionCalls = parts.filter(p => p.functionCall).map(p => p.functionCall);
+
+  const thoughtText = parts.filter(p => p.text && p.thought).map(p => p.text).join("");
+  const headings = [...thoughtText.matchAll(/\*\*([^*\n]+)\*\*/g)].map(match => match[1].trim());
+  let thought = headings.length > 0 ? headings[headings.length - 1] : "";
+  if (!thought && thoughtText.trim()) {
+    const sentences = thoughtText.trim().split(/(?<=[.!?])\s+/);
+    thought = sentences[sentences.length - 1];
+  }
+
+  return { text, thought, functionCalls };
+}
+
+export {
+  GEMINI_DEFAULT_BASE_URL,
+  SAFETY_SETTINGS_BLOCK_NONE,
+  buildGeminiHttpRequest,
+  mergeStreamChunk,
+  readGeminiStream,
+  describeStreamProgress
+};
@@ -0,0 +1,85 @@
+import { buildGeminiHttpRequest, readGeminiStream } from './gemini-adapter.js';
+import { buildOpenAiHttpRequest, fromOpenAiResponse, readOpenAiStream } from './openai-adapter.js';
+
+/**
+ * Supported providers. Requests and responses use Gemini's generateContent shape throughout the
+ * add-in; the adapters translate for other providers.
+ */
+const PROVIDERS = {
+  gemini: { label: "Google Gemini", requiresBaseUrl: false, requiresApiKey: true, supportsWebSearch: true },
+  openai: { label: "OpenAI-compatible (OpenAI, llama.cpp, vLLM, Ollama)", requiresBaseUrl: true, requiresApiKey: false, supportsWebSearch: false },
+  azure: { label: "Azure OpenAI", requiresBaseUrl: true, requiresApiKey: true, supportsWebSearch: false }
+};
+
+const DEFAULT_PROVIDER = "gemini";
+
+function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * @param {{ provider: string, baseUrl: string, apiKey: string }} settings
+ * @returns {boolean} Whether the provider has what it needs to send a request
+ */
+function isProviderConfigured(settings) {
+  if (!settings) return false;
+  const provider = getProvider(settings.provider);
+  if (provider.requiresApiKey && !settings.apiKey) return false;
+  if (provider.requiresBaseUrl && !settings.baseUrl) return false;
+  return true;
+}
+
+/**
+ * Sends one request to the configured provider (no retries).
+ * @param {Object} request - Gemini generateContent body: contents, systemInstruction, tools, generationConfig
+ * @param {{ settings: Object, model: string, signal?: AbortSignal, onStreamUpdate?: (partial: Object) => void }} options
+ *   Passing onStreamUpdate streams the response and reports the accumulated response after every chunk
+ * @returns {Promise<Object>} Response in Gemini's shape ({ candidates: [{ content: { parts }, finishReason }] })
+ */
+async function generateContent(request, { settings, model, signal, onStreamUpdate = null }) {
+  const stream = typeof onStreamUpdate === "function";
+  const isGemini = !settings.provider || settings.provider === "gemini";
+  const httpRequest = isGemini
+    ? buildGeminiHttpRequest(request, settings, model, stream)
+    : buildOpenAiHttpRequest(request, settings, model, stream);
+
+  const response = await fetch(httpRequest.url, {
+    method: "POST",
+    headers: httpRequest.headers,
+    body: JSON.stringify(httpRequest.body),
+    signal
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(`API failed: ${text}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  if (isGemini) {
+    return stream ? readGeminiStream(response, onStreamUpdate) : response.json();
+  }
+  const options = { unwrapSchema: httpRequest.unwrapSchema };
+  return stream ? readOpenAiStream(response, onStreamUpdate, options) : fromOpenAiResponse(await response.json(), options);
+}
+
+/**
+ * Answer text of a response, without thought summaries.
+ * @returns {string|null} null when the response has no text
+ */
+function getResponseText(result) {
+  const candidate = result && result.candidates && result.candidates[0];
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  const textParts = parts.filter(part => typeof part.text === "string" && !part.thought);
+  return textParts.length > 0 ? textParts.map(part => part.text).join("") : null;
+}
+
+export {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  getProvider,
+  isProviderConfigured,
+  generateContent,
+  getResponseText
+};
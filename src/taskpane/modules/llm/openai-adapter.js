@@ -0,0 +1,341 @@
+import { readSseStream } from './sse.js';
+
+const AZURE_DEFAULT_API_VERSION = "2024-10-21";
+
+// Structured outputs need an object at the root; other schemas (e.g. the ARRAY of edits) are
+// wrapped in an object under this key and unwrapped from the response
+const WRAPPED_SCHEMA_KEY = "items";
+
+const FINISH_REASONS = {
+  stop: "STOP",
+  tool_calls: "STOP",
+  function_call: "STOP",
+  length: "MAX_TOKENS",
+  content_filter: "SAFETY"
+};
+
+/**
+ * Converts a Gemini schema ("OBJECT", "STRING", ...) to JSON Schema ("object", "string", ...).
+ */
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "type" && typeof value === "string") {
+      converted.type = value.toLowerCase();
+    } else if (key === "properties") {
+      converted.properties = Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, toJsonSchema(prop)]));
+    } else if (key === "items") {
+      converted.items = toJsonSchema(value);
+    } else if (key !== "nullable" && key !== "propertyOrdering") {
+      converted[key] = value;
+    }
+  }
+  if (schema.nullable && converted.type) {
+    converted.type = [converted.type, "null"];
+  }
+  return converted;
+}
+
+/**
+ * @returns {boolean} Whether a response schema has to be wrapped for structured outputs (see WRAPPED_SCHEMA_KEY)
+ */
+function needsWrappedSchema(schema) {
+  return !!schema && String(schema.type || "").toLowerCase() !== "object";
+}
+
+function toResponseFormat(schema) {
+  if (!schema) return { type: "json_object" };
+  const jsonSchema = needsWrappedSchema(schema)
+    ? { type: "object", properties: { [WRAPPED_SCHEMA_KEY]: toJsonSchema(schema) }, required: [WRAPPED_SCHEMA_KEY] }
+    : toJsonSchema(schema);
+  return { type: "json_schema", json_schema: { name: "response", schema: jsonSchema } };
+}
+
+// Turns a wrapped structured output back into the value the schema describes
+function unwrapResponseText(text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed) && WRAPPED_SCHEMA_KEY in parsed) {
+      return JSON.stringify(parsed[WRAPPED_SCHEMA_KEY]);
+    }
+  } catch (error) {
+    // Not (yet) complete JSON: leave it as it is
+  }
+  return text;
+}
+
+function textOf(parts, { thoughts = false } = {}) {
+  return (parts || [])
+    .filter(part => typeof part.text === "string" && Boolean(part.thought) === thoughts)
+    .map(part => part.text)
+    .join("");
+}
+
+function functionResponseContent(response) {
+  if (response && Array.isArray(response.content)) {
+    return response.content.map(item => item.text || "").join("\n");
+  }
+  return JSON.stringify(response ?? {});
+}
+
+/**
+ * Converts Gemini contents to chat-completions messages. Gemini pairs function calls and
+ * responses by position, so calls without an id get one here and responses are matched to
+ * the earliest open call of the same name.
+ */
+function toOpenAiMessages(contents, systemInstruction) {
+  const messages = [];
+  const systemText = systemInstruction ? textOf(systemInstruction.parts) : "";
+  if (systemText) {
+    messages.push({ role: "system", content: systemText });
+  }
+
+  let openCalls = [];
+  (contents || []).forEach((turn, turnIndex) => {
+    const parts = turn.parts || [];
+
+    if (turn.role === "model") {
+      const toolCalls = parts
+        .filter(part => part.functionCall)
+        .map((part, callIndex) => ({
+          id: part.functionCall.id || `call_${turnIndex}_${callIndex}`,
+          type: "function",
+          function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+        }));
+      const message = { role: "assistant", content: textOf(parts) || null };
+      if (toolCalls.length > 0) message.tool_calls = toolCalls;
+      messages.push(message);
+      openCalls = toolCalls.map(call => ({ id: call.id, name: call.function.name }));
+      return;
+    }
+
+    parts.filter(part => part.functionResponse).forEach(part => {
+      const { name, response, id } = part.functionResponse;
+      const callIndex = id ? openCalls.findIndex(call => call.id === id) : openCalls.findIndex(call => call.name === name);
+      const call = callIndex >= 0 ? openCalls.splice(callIndex, 1)[0] : openCalls.shift();
+      messages.push({ role: "tool", tool_call_id: call ? call.id : `call_${turnIndex}`, content: functionResponseContent(response) });
+    });
+
+    const text = textOf(parts);
+    if (text) {
+      messages.push({ role: "user", content: text });
+    }
+  });
+
+  return messages;
+}
+
+/**
+ * Converts a Gemini generateContent request to an OpenAI chat-completions request.
+ * - function_declarations become function tools; built-in Gemini tools (google_search) are dropped
+ * - responseMimeType/responseSchema become a json_schema response_format; a schema without an object
+ *   root is wrapped (see WRAPPED_SCHEMA_KEY), so the response must be read with `unwrapSchema`
+ * - maxOutputTokens is not sent: the Gemini budget exceeds many models' limits, and servers default to the model maximum
+ * - thinkingConfig is not sent: reasoning models think by default and their reasoning comes back as thought parts
+ */
+function toOpenAiRequest(request, model, stream = false) {
+  const body = {
+    model,
+    messages: toOpenAiMessages(request.contents, request.systemInstruction)
+  };
+
+  const declarations = (request.tools || []).flatMap(tool => tool.function_declarations || tool.functionDeclarations || []);
+  if (declarations.length > 0) {
+    body.tools = declarations.map(declaration => ({
+      type: "function",
+      function: {
+        name: declaration.name,
+        description: declaration.description || "",
+        parameters: toJsonSchema(declaration.parameters || { type: "OBJECT", properties: {} })
+      }
+    }));
+  }
+
+  const config = request.generationConfig || {};
+  if (typeof config.temperature === "number") {
+    body.temperature = config.temperature;
+  }
+  if (config.responseMimeType === "application/json") {
+    body.response_format = toResponseFormat(config.responseSchema);
+  }
+  if (stream) {
+    body.stream = true;
+  }
+
+  return body;
+}
+
+/**
+ * Converts a chat-completions response to Gemini's response shape, so callers read one format.
+ * Reasoning text (reasoning_content / reasoning) becomes a thought part; a tool call whose
+ * arguments are not valid JSON is reported as MALFORMED_FUNCTION_CALL.
+ * @param {Object} result - Chat-completions response
+ * @param {{ unwrapSchema?: boolean }} [options] - unwrapSchema: the request's response schema was wrapped
+ */
+function fromOpenAiResponse(result, { unwrapSchema = false } = {}) {
+  const choice = result && result.choices && result.choices[0];
+  if (!choice) {
+    return { candidates: [] };
+  }
+
+  const message = choice.message || {};
+  const parts = [];
+  const reasoning = message.reasoning_content || message.reasoning;
+  if (typeof reasoning === "string" && reasoning) {
+    parts.push({ text: reasoning, thought: true });
+  }
+  if (typeof message.content === "string" && message.content) {
+    parts.push({ text: unwrapSchema ? unwrapResponseText(message.content) : message.content });
+  }
+
+  let finishReason = FINISH_REASONS[choice.finish_reason] || (choice.finish_reason ? String(choice.finish_reason).toUpperCase() : undefined);
+  let finishMessage;
+  for (const call of message.tool_calls || []) {
+    try {
+      parts.push({ functionCall: { id: call.id, name: call.function.name, args: JSON.parse(call.function.arguments || "{}") } });
+    } catch (error) {
+      finishReason = "MALFORMED_FUNCTION_CALL";
+      finishMessage = `Malformed function call: ${call.function.name}(${call.function.arguments})`;
+    }
+  }
+
+  const candidate = { finishReason };
+  if (finishMessage) candidate.finishMessage = finishMessage;
+  if (parts.length > 0) candidate.content = { role: "model", parts };
+
+  const converted = { candidates: [candidate] };
+  if (result.usage) {
+    converted.usageMetadata = {
+      promptTokenCount: result.usage.prompt_tokens,
+      candidatesTokenCount: result.usage.completion_tokens,
+      totalTokenCount: result.usage.total_tokens
+    };
+  }
+  return converted;
+}
+
+function createOpenAiStreamState() {
+  return { content: "", reasoning: "", toolCalls: [], finishReason: null, usage: null };
+}
+
+/**
+ * Merges one streamed chat-completions chunk. Tool call arguments arrive as string fragments
+ * keyed by index and are concatenated.
+ */
+function mergeOpenAiStreamChunk(state, chunk) {
+  if (chunk.error) {
+    throw new Error(`API failed: ${JSON.stringify(chunk.error)}`);
+  }
+  if (chunk.usage) state.usage = chunk.usage;
+
+  const choice = chunk.choices && chunk.choices[0];
+  if (!choice) return state;
+
+  const delta = choice.delta || {};
+  if (typeof delta.content === "string") state.content += delta.content;
+  const reasoning = delta.reasoning_content ?? delta.reasoning;
+  if (typeof reasoning === "string") state.reasoning += reasoning;
+
+  for (const fragment of delta.tool_calls || []) {
+    const index = typeof fragment.index === "number" ? fragment.index : state.toolCalls.length;
+    if (!state.toolCalls[index]) {
+      state.toolCalls[index] = { id: "", type: "function", function: { name: "", arguments: "" } };
+    }
+    const call = state.toolCalls[index];
+    if (fragment.id) call.id = fragment.id;
+    if (fragment.function && fragment.function.name) call.function.name += fragment.function.name;
+    if (fragment.function && fragment.function.arguments) call.function.arguments += fragment.function.arguments;
+  }
+
+  if (choice.finish_reason) state.finishReason = choice.finish_reason;
+  return state;
+}
+
+/**
+ * Converts the stream state to Gemini's response shape. While streaming (`partial`), tool calls
+ * whose arguments are still incomplete are left out instead of being reported as malformed.
+ */
+function openAiStreamStateToResponse(state, partial = false, options = {}) {
+  const toolCalls = state.toolCalls.filter(Boolean).filter(call => {
+    if (!partial) return true;
+    try {
+      JSON.parse(call.function.arguments || "{}");
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  return fromOpenAiResponse({
+    choices: [{
+      message: {
+        content: state.content,
+        reasoning_content: state.reasoning,
+        tool_calls: toolCalls
+      },
+      finish_reason: state.finishReason
+    }],
+    usage: state.usage
+  }, options);
+}
+
+/**
+ * Reads a streamed chat-completions response to the end.
+ * @param {Response} response - A successful fetch response
+ * @param {(accumulated: Object) => void} [onUpdate] - Called with the response so far, in Gemini's shape
+ * @param {{ unwrapSchema?: boolean }} [options] - See fromOpenAiResponse
+ * @returns {Promise<Object>} The full response, in Gemini's shape
+ */
+async function readOpenAiStream(response, onUpdate = null, options = {}) {
+  const state = createOpenAiStreamState();
+
+  await readSseStream(response, (events) => {
+    events.forEach(event => mergeOpenAiStreamChunk(state, event));
+    if (onUpdate) onUpdate(openAiStreamStateToResponse(state, true, options));
+  });
+
+  return openAiStreamStateToResponse(state, false, options);
+}
+
+/**
+ * Builds the HTTP request for an OpenAI-compatible server (provider "openai") or an Azure
+ * OpenAI resource (provider "azure", where the model is the deployment name).
+ * @returns {{ url: string, headers: Object, body: Object, unwrapSchema: boolean }} unwrapSchema is passed on
+ *   when reading the response
+ */
+function buildOpenAiHttpRequest(request, { provider, baseUrl, apiKey, apiVersion }, model, stream) {
+  const root = String(baseUrl || "").replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  let url;
+
+  if (provider === "azure") {
+    url = `${root}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(apiVersion || AZURE_DEFAULT_API_VERSION)}`;
+    headers["api-key"] = apiKey || "";
+  } else {
+    url = `${root}/chat/completions`;
+    // Local servers usually run without a key
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const config = request.generationConfig || {};
+  return {
+    url,
+    headers,
+    body: toOpenAiRequest(request, model, stream),
+    unwrapSchema: config.responseMimeType === "application/json" && needsWrappedSchema(config.responseSchema)
+  };
+}
+
+export {
+  AZURE_DEFAULT_API_VERSION,
+  toJsonSchema,
+  toOpenAiMessages,
+  toOpenAiRequest,
+  fromOpenAiResponse,
+  mergeOpenAiStreamChunk,
+  readOpenAiStream,
+  buildOpenAiHttpRequest
+};
@@ -0,0 +1,54 @@
+/* global TextDecoder */
+
+/**
+ * Splits buffered server-sent-event text into complete events.
+ * Returns the parsed JSON payload of each complete event and the unterminated remainder,
+ * which should be prepended to the next chunk read from the stream.
+ */
+function parseSseBuffer(buffer) {
+  const normalized = buffer.replace(/\r\n/g, "\n");
+  const blocks = normalized.split("\n\n");
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    const data = block
+      .split("\n")
+      .filter(line => line.startsWith("data:"))
+      .map(line => line.slice(5).trimStart())
+      .join("\n");
+    if (!data || data === "[DONE]") continue;
+    events.push(JSON.parse(data));
+  }
+
+  return { events, rest };
+}
+
+/**
+ * Reads a server-sent-event response to the end.
+ * @param {Response} response - A successful fetch response
+ * @param {(events: Array<Object>) => void} onEvents - Called with the events parsed from each network read
+ */
+async function readSseStream(response, onEvents) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let done = false;
+
+  while (!done) {
+    const chunk = await reader.read();
+    done = chunk.done;
+    buffer += done ? decoder.decode() + "\n\n" : decoder.decode(chunk.value, { stream: true });
+
+    const parsed = parseSseBuffer(buffer);
+    buffer = parsed.rest;
+    if (parsed.events.length > 0) {
+      onEvents(parsed.events);
+    }
+  }
+}
+
+export {
+  parseSseBuffer,
+  readSseStream
+};
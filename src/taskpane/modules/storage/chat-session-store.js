@@ -0,0 +1,127 @@
+import { withStore, requestToPromise } from "./indexed-db.js";
+import { compressText, decompressText } from "./text-compression.js";
+import { normalizeSessionMessages, normalizeSessionTitle, selectSessionsToPrune } from "../commands/chat-session-utils.js";
+
+const STORE_NAME = "chatSessions";
+const MAX_SESSIONS_PER_DOCUMENT = 30;
+
+function toMetadata(record) {
+  return {
+    id: record.id,
+    documentId: record.documentId,
+    title: record.title,
+    parentId: record.parentId ?? null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    messageCount: record.messageCount
+  };
+}
+
+async function getDocumentRecords(documentId) {
+  return withStore(STORE_NAME, "readonly", (store) =>
+    requestToPromise(store.index("documentId").getAll(documentId))
+  );
+}
+
+/**
+ * Stores a conversation of a document. The chat history (which carries document text) and the
+ * transcript are compressed together.
+ * @param {Object} session
+ * @param {number} [session.id] - Existing conversation to overwrite; a new one is added without it
+ * @param {string} session.documentId - See getDocumentId()
+ * @param {string} session.title
+ * @param {number} [session.createdAt]
+ * @param {number|null} [session.parentId] - Conversation this one was branched off
+ * @param {Array<Object>} session.history - Chat history sent to the model
+ * @param {string} [session.memory] - Conversation memory (see updateConversationMemory)
+ * @param {Array<{ sender: string, text: string, checkpointId: number, activity?: Array<Object> }>} session.messages - Chat transcript with
+ *   checkpoint links and the tool calls of each turn
+ * @returns {Promise<number>} The conversation id
+ */
+async function saveChatSession({ id, documentId, title, createdAt, parentId = null, history = [], memory = "", messages = [] }) {
+  const transcript = normalizeSessionMessages(messages);
+  const payload = await compressText(JSON.stringify({ history, memory, messages: transcript }));
+  const now = Date.now();
+  const record = {
+    documentId,
+    title: normalizeSessionTitle(title) || "Untitled conversation",
+    parentId,
+    createdAt: createdAt || now,
+    updatedAt: now,
+    messageCount: transcript.length,
+    encoding: payload.encoding,
+    data: payload.data
+  };
+  if (id) record.id = id;
+
+  const savedId = await withStore(STORE_NAME, "readwrite", (store) => requestToPromise(store.put(record)));
+
+  const pruneIds = selectSessionsToPrune(await getDocumentRecords(documentId), MAX_SESSIONS_PER_DOCUMENT, savedId);
+  if (pruneIds.length > 0) {
+    await withStore(STORE_NAME, "readwrite", (store) => {
+      pruneIds.forEach(pruneId => store.delete(pruneId));
+    });
+    console.log(`[ChatSessions] Pruned ${pruneIds.length} conversation(s) beyond the per-document limit.`);
+  }
+  return savedId;
+}
+
+/**
+ * Lists the conversations of a document, most recently used first (payloads are not returned).
+ * @param {string} documentId
+ */
+async function listChatSessions(documentId) {
+  const records = await getDocumentRecords(documentId);
+  return records
+    .sort((a, b) => (b.updatedAt - a.updatedAt) || (b.id - a.id))
+    .map(toMetadata);
+}
+
+/**
+ * Loads a conversation with its chat history, memory and transcript.
+ * @param {number} id
+ * @returns {Promise<({ history: Array<Object>, memory: string, messages: Array<Object> } & ReturnType<typeof toMetadata>)|null>}
+ */
+async function loadChatSession(id) {
+  const record = await withStore(STORE_NAME, "readonly", (store) => requestToPromise(store.get(id)));
+  if (!record) return null;
+
+  const content = JSON.parse(await decompressText({ encoding: record.encoding, data: record.data }));
+  return {
+    ...toMetadata(record),
+    history: Array.isArray(content.history) ? content.history : [],
+    memory: typeof content.memory === "string" ? content.memory : "",
+    messages: normalizeSessionMessages(content.messages)
+  };
+}
+
+/**
+ * Renames a conversation without touching when it was last used.
+ * @returns {Promise<boolean>} False when the conversation no longer exists or the title is empty
+ */
+async function renameChatSession(id, title) {
+  const cleanTitle = normalizeSessionTitle(title);
+  if (!cleanTitle) return false;
+
+  return withStore(STORE_NAME, "readwrite", async (store) => {
+    const record = await requestToPromise(store.get(id));
+    if (!record) return false;
+    record.title = cleanTitle;
+    await requestToPromise(store.put(record));
+    return true;
+  });
+}
+
+async function deleteChatSession(id) {
+  await withStore(STORE_NAME, "readwrite", (store) => {
+    store.delete(id);
+  });
+}
+
+export {
+  saveChatSession,
+  listChatSessions,
+  loadChatSession,
+  renameChatSession,
+  deleteChatSession
+};
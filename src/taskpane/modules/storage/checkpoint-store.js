@@ -0,0 +1,146 @@
+import { withStore, requestToPromise } from "./indexed-db.js";
+import { compressText, decompressText } from "./text-compression.js";
+
+const STORE_NAME = "checkpoints";
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Picks the checkpoints to delete so that at most `maxCount` remain (oldest go first).
+ * @param {Array<{ id: number, createdAt: number }>} records
+ * @param {number} maxCount
+ * @returns {number[]} ids to delete
+ */
+function selectCheckpointsToPrune(records, maxCount) {
+  const sorted = [...(Array.isArray(records) ? records : [])]
+    .sort((a, b) => (a.createdAt - b.createdAt) || (a.id - b.id));
+  const excess = sorted.length - Math.max(0, maxCount);
+  return excess > 0 ? sorted.slice(0, excess).map(record => record.id) : [];
+}
+
+function toMetadata(record) {
+  return {
+    id: record.id,
+    documentId: record.documentId,
+    createdAt: record.createdAt,
+    message: record.message,
+    toolNames: record.toolNames,
+    size: record.size
+  };
+}
+
+async function getDocumentRecords(documentId) {
+  return withStore(STORE_NAME, "readonly", (store) =>
+    requestToPromise(store.index("documentId").getAll(documentId))
+  );
+}
+
+async function deleteCheckpoints(ids) {
+  if (!ids || ids.length === 0) return;
+  await withStore(STORE_NAME, "readwrite", (store) => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+async function pruneCheckpoints(documentId, maxCount) {
+  const records = await getDocumentRecords(documentId);
+  const ids = selectCheckpointsToPrune(records, maxCount);
+  await deleteCheckpoints(ids);
+  return ids.length;
+}
+
+/**
+ * Stores a compressed snapshot of the document body and its headers and footers.
+ * @param {Object} checkpoint
+ * @param {string} checkpoint.documentId - See getDocumentId()
+ * @param {string} checkpoint.ooxml - Body OOXML (as returned by body.getOoxml())
+ * @param {Array<{ sectionIndex: number, kind: "header"|"footer", type: string, ooxml: string }>} [checkpoint.stories] -
+ *   OOXML of the headers and footers that had content
+ * @param {string} [checkpoint.message] - Chat message that triggered the change
+ * @param {string[]} [checkpoint.toolNames] - Tools about to run against this snapshot
+ * @param {number} maxPerDocument - Oldest checkpoints beyond this count are pruned
+ * @returns {Promise<number>} The new checkpoint id
+ */
+async function saveCheckpoint({ documentId, ooxml, stories = [], message = "", toolNames = [] }, maxPerDocument) {
+  const payload = await compressText(ooxml);
+  const record = {
+    documentId,
+    createdAt: Date.now(),
+    message: String(message || "").substring(0, MAX_MESSAGE_LENGTH),
+    toolNames: Array.isArray(toolNames) ? toolNames : [],
+    size: String(ooxml || "").length + stories.reduce((sum, story) => sum + story.ooxml.length, 0),
+    encoding: payload.encoding,
+    data: payload.data
+  };
+  if (stories.length > 0) {
+    const storiesPayload = await compressText(JSON.stringify(stories));
+    record.storiesEncoding = storiesPayload.encoding;
+    record.storiesData = storiesPayload.data;
+  }
+
+  const addRecord = () => withStore(STORE_NAME, "readwrite", (store) => requestToPromise(store.add(record)));
+
+  let id;
+  try {
+    id = await addRecord();
+  } catch (error) {
+    if (error?.name !== "QuotaExceededError") throw error;
+
+    // Out of space: drop the older half of this document's history and retry once
+    const existing = await getDocumentRecords(documentId);
+    const removed = await pruneCheckpoints(documentId, Math.floor(existing.length / 2));
+    console.warn(`[Checkpoints] Storage quota exceeded. Removed ${removed} oldest checkpoint(s).`);
+    id = await addRecord();
+  }
+
+  const pruned = await pruneCheckpoints(documentId, maxPerDocument);
+  if (pruned > 0) {
+    console.log(`[Checkpoints] Pruned ${pruned} checkpoint(s) beyond the per-document limit.`);
+  }
+  return id;
+}
+
+/**
+ * Lists checkpoint metadata for a document, newest first (payloads are not returned).
+ * @param {string} documentId
+ */
+async function listCheckpoints(documentId) {
+  const records = await getDocumentRecords(documentId);
+  return records
+    .sort((a, b) => (b.createdAt - a.createdAt) || (b.id - a.id))
+    .map(toMetadata);
+}
+
+/**
+ * Loads and decompresses a checkpoint. Checkpoints saved before headers and footers were
+ * captured have no stories.
+ * @param {number} id
+ * @returns {Promise<({ ooxml: string, stories: Array<Object> } & ReturnType<typeof toMetadata>)|null>}
+ */
+async function loadCheckpoint(id) {
+  const record = await withStore(STORE_NAME, "readonly", (store) => requestToPromise(store.get(id)));
+  if (!record) return null;
+
+  const ooxml = await decompressText({ encoding: record.encoding, data: record.data });
+  const stories = record.storiesData
+    ? JSON.parse(await decompressText({ encoding: record.storiesEncoding, data: record.storiesData }))
+    : [];
+  return { ...toMetadata(record), ooxml, stories };
+}
+
+async function deleteCheckpoint(id) {
+  await deleteCheckpoints([id]);
+}
+
+async function clearCheckpoints(documentId) {
+  const records = await getDocumentRecords(documentId);
+  await deleteCheckpoints(records.map(record => record.id));
+}
+
+export {
+  selectCheckpointsToPrune,
+  saveCheckpoint,
+  listCheckpoints,
+  loadCheckpoint,
+  deleteCheckpoint,
+  clearCheckpoints
+};
@@ -0,0 +1,84 @@
+import { withStore, requestToPromise } from "./indexed-db.js";
+import { compressText, decompressText } from "./text-compression.js";
+import { normalizeClauseTags } from "../commands/clause-library-utils.js";
+import { extractDefinedTerms } from "../commands/defined-terms-utils.js";
+
+const STORE_NAME = "clauses";
+const MAX_TITLE_LENGTH = 120;
+
+function toMetadata(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    tags: record.tags,
+    text: record.text,
+    definedTerms: record.definedTerms,
+    paragraphCount: record.paragraphCount,
+    sourceDocumentId: record.sourceDocumentId,
+    createdAt: record.createdAt
+  };
+}
+
+/**
+ * Saves a clause to the library. The library is shared across documents.
+ * @param {Object} clause
+ * @param {string} clause.title
+ * @param {string|string[]} [clause.tags] - Comma-separated string or list
+ * @param {string} clause.text - Plain text of the saved paragraphs
+ * @param {string} clause.ooxml - OOXML of the saved range (keeps numbering and formatting)
+ * @param {string} [clause.sourceDocumentId] - Document the clause was taken from
+ * @returns {Promise<number>} The new clause id
+ */
+async function saveClause({ title, tags = [], text, ooxml, sourceDocumentId = null }) {
+  const payload = await compressText(ooxml);
+  const plainText = String(text || "").trim();
+  const record = {
+    title: String(title || "").trim().substring(0, MAX_TITLE_LENGTH) || plainText.substring(0, 60),
+    tags: normalizeClauseTags(tags),
+    text: plainText,
+    definedTerms: extractDefinedTerms(plainText),
+    paragraphCount: plainText ? plainText.split(/\r\n|\r|\n/).filter(line => line.trim()).length : 0,
+    sourceDocumentId,
+    createdAt: Date.now(),
+    encoding: payload.encoding,
+    data: payload.data
+  };
+
+  return withStore(STORE_NAME, "readwrite", (store) => requestToPromise(store.add(record)));
+}
+
+/**
+ * Lists clause metadata and text (without OOXML), newest first.
+ */
+async function listClauses() {
+  const records = await withStore(STORE_NAME, "readonly", (store) => requestToPromise(store.getAll()));
+  return records
+    .sort((a, b) => (b.createdAt - a.createdAt) || (b.id - a.id))
+    .map(toMetadata);
+}
+
+/**
+ * Loads a clause including its decompressed OOXML.
+ * @param {number} id
+ * @returns {Promise<({ ooxml: string } & ReturnType<typeof toMetadata>)|null>}
+ */
+async function loadClause(id) {
+  const record = await withStore(STORE_NAME, "readonly", (store) => requestToPromise(store.get(id)));
+  if (!record) return null;
+
+  const ooxml = await decompressText({ encoding: record.encoding, data: record.data });
+  return { ...toMetadata(record), ooxml };
+}
+
+async function deleteClause(id) {
+  await withStore(STORE_NAME, "readwrite", (store) => {
+    store.delete(id);
+  });
+}
+
+export {
+  saveClause,
+  listClauses,
+  loadClause,
+  deleteClause
+};
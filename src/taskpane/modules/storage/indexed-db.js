@@ -0,0 +1,114 @@
+/* global indexedDB */
+
+const DB_NAME = "geminiWordAddin";
+const DB_VERSION = 3;
+
+/**
+ * Object stores owned by the add-in. Bump DB_VERSION when adding a store;
+ * the upgrade handler creates any store (and index) that does not exist yet.
+ */
+const STORE_DEFINITIONS = {
+  checkpoints: {
+    options: { keyPath: "id", autoIncrement: true },
+    indexes: [{ name: "documentId", keyPath: "documentId" }]
+  },
+  clauses: {
+    options: { keyPath: "id", autoIncrement: true },
+    indexes: [{ name: "tags", keyPath: "tags", options: { multiEntry: true } }]
+  },
+  chatSessions: {
+    options: { keyPath: "id", autoIncrement: true },
+    indexes: [{ name: "documentId", keyPath: "documentId" }]
+  }
+};
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openAddinDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available in this environment."));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const transaction = request.transaction;
+
+      for (const [storeName, definition] of Object.entries(STORE_DEFINITIONS)) {
+        const store = db.objectStoreNames.contains(storeName)
+          ? transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, definition.options);
+
+        for (const index of definition.indexes || []) {
+          if (!store.indexNames.contains(index.name)) {
+            store.createIndex(index.name, index.keyPath, index.options || {});
+          }
+        }
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema: drop our handle so the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Runs `callback(store)` inside a transaction and resolves with its result once
+ * the transaction has completed. The callback must only await IndexedDB requests
+ * (see requestToPromise); awaiting anything else lets the transaction auto-commit.
+ * @param {string} storeName
+ * @param {"readonly"|"readwrite"} mode
+ * @param {(store: IDBObjectStore) => any} callback - May return a value or a Promise
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openAddinDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    let result;
+
+    Promise.resolve(callback(store))
+      .then((value) => {
+        result = value;
+      })
+      .catch((error) => {
+        transaction.abort();
+        reject(error);
+      });
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+export {
+  openAddinDatabase,
+  requestToPromise,
+  withStore
+};
@@ -0,0 +1,44 @@
+/* global CompressionStream, DecompressionStream, Blob, Response */
+
+function isCompressionSupported() {
+  return typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+}
+
+/**
+ * Gzips a string when the runtime supports CompressionStream; otherwise stores it as-is.
+ * @param {string} text
+ * @returns {Promise<{ encoding: "gzip"|"none", data: ArrayBuffer|string }>}
+ */
+async function compressText(text) {
+  const value = String(text ?? "");
+  if (!isCompressionSupported()) {
+    return { encoding: "none", data: value };
+  }
+
+  const stream = new Blob([value]).stream().pipeThrough(new CompressionStream("gzip"));
+  const data = await new Response(stream).arrayBuffer();
+  return { encoding: "gzip", data };
+}
+
+/**
+ * Reverses compressText.
+ * @param {{ encoding: "gzip"|"none", data: ArrayBuffer|string }} payload
+ * @returns {Promise<string>}
+ */
+async function decompressText(payload) {
+  if (!payload) return "";
+  if (payload.encoding !== "gzip") {
+    return String(payload.data ?? "");
+  }
+  if (!isCompressionSupported()) {
+    throw new Error("This environment cannot decompress stored data (DecompressionStream unavailable).");
+  }
+
+  const stream = new Blob([payload.data]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Response(stream).text();
+}
+
+export {
+  compressText,
+  decompressText
+};
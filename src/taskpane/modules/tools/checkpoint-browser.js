@@ -0,0 +1,92 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+
+const TOOL_LABELS = {
+  apply_redlines: "Edits",
+  insert_comment: "Comments",
+  highlight_text: "Highlights",
+  edit_list: "List edit",
+  insert_list_item: "List item",
+  edit_table: "Table edit",
+  edit_section: "Section edit",
+  convert_headers_to_list: "Headers to list",
+  manage_tracked_changes: "Tracked changes",
+  manage_comments: "Comment threads",
+  compare_checkpoints: "Compare",
+  compare_precedent: "Precedent compare",
+  insert_library_clause: "Library clause",
+  check_defined_terms: "Defined terms",
+  find_and_replace: "Find & replace",
+  playbook_review: "Playbook",
+  repair_cross_references: "Cross-references"
+};
+
+/**
+ * @returns {string} Short name of a tool, as shown in the checkpoint list and the chat
+ */
+function getToolLabel(name) {
+  return TOOL_LABELS[name] || name;
+}
+
+function formatCheckpointTime(timestamp) {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  const time = date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  return isToday ? time : `${date.toLocaleDateString()} ${time}`;
+}
+
+function formatSize(length) {
+  if (!length) return "";
+  return length >= 1024 * 1024
+    ? `${(length / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(length / 1024))} KB`;
+}
+
+/**
+ * Renders the checkpoint list in the Tools view.
+ * @param {HTMLElement} container
+ * @param {Array<Object>} checkpoints - Metadata from listCheckpoints(), newest first
+ * @param {{ onRestore: (id: number) => void, onDelete: (id: number) => void }} handlers
+ */
+function renderCheckpointList(container, checkpoints, handlers = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  if (!checkpoints || checkpoints.length === 0) {
+    container.innerHTML = `<p class="settings-hint">No checkpoints yet. One is saved automatically before each AI edit.</p>`;
+    return;
+  }
+
+  checkpoints.forEach((checkpoint) => {
+    const tools = (checkpoint.toolNames || []).map(getToolLabel).join(", ");
+    const item = document.createElement("div");
+    item.className = "checkpoint-item";
+    item.innerHTML = `
+      <div class="checkpoint-item-header">
+        <span class="checkpoint-time">${escapeHtml(formatCheckpointTime(checkpoint.createdAt))}</span>
+        ${tools ? `<span class="checkpoint-tools">Before: ${escapeHtml(tools)}</span>` : ""}
+      </div>
+      ${checkpoint.message ? `<div class="checkpoint-message">${escapeHtml(checkpoint.message)}</div>` : ""}
+      <div class="checkpoint-actions">
+        <span class="checkpoint-size">${escapeHtml(formatSize(checkpoint.size))}</span>
+        <button class="revert-checkpoint-btn checkpoint-restore-btn" title="Restore the document to this point"><span>&#8634;</span> Restore</button>
+        <button class="checkpoint-delete-btn" title="Delete checkpoint">&times;</button>
+      </div>
+    `;
+
+    item.querySelector(".checkpoint-restore-btn").onclick = () => {
+      if (handlers.onRestore) handlers.onRestore(checkpoint.id);
+    };
+    item.querySelector(".checkpoint-delete-btn").onclick = () => {
+      if (handlers.onDelete) handlers.onDelete(checkpoint.id);
+    };
+
+    container.appendChild(item);
+  });
+}
+
+export {
+  getToolLabel,
+  renderCheckpointList
+};
@@ -0,0 +1,52 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+
+/**
+ * Renders the clause library list in the Tools view.
+ * @param {HTMLElement} container
+ * @param {Array<Object>} clauses - Output of listClauses(), already filtered
+ * @param {{ onDelete: (id: number) => void }} handlers
+ * @param {boolean} [isFiltered=false] - Whether a filter query hid some clauses
+ */
+function renderClauseList(container, clauses, handlers = {}, isFiltered = false) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  if (!clauses || clauses.length === 0) {
+    const hint = isFiltered
+      ? "No clauses match this filter."
+      : "No clauses saved yet. Select paragraphs in the document and click Save Selection.";
+    container.innerHTML = `<p class="settings-hint">${hint}</p>`;
+    return;
+  }
+
+  clauses.forEach((clause) => {
+    const tagsHtml = (clause.tags || [])
+      .map(tag => `<span class="clause-tag">${escapeHtml(tag)}</span>`)
+      .join("");
+    const terms = (clause.definedTerms || []).map(term => `"${term}"`).join(", ");
+
+    const item = document.createElement("div");
+    item.className = "clause-item";
+    item.innerHTML = `
+      <div class="clause-item-header">
+        <span class="clause-title">C${clause.id} · ${escapeHtml(clause.title)}</span>
+        <button class="checkpoint-delete-btn clause-delete-btn" title="Delete clause">&times;</button>
+      </div>
+      ${tagsHtml ? `<div class="clause-tags">${tagsHtml}</div>` : ""}
+      <div class="clause-preview">${escapeHtml(clause.text)}</div>
+      ${terms ? `<div class="clause-terms">Defines ${escapeHtml(terms)}</div>` : ""}
+    `;
+
+    item.querySelector(".clause-delete-btn").onclick = () => {
+      if (handlers.onDelete) handlers.onDelete(clause.id);
+    };
+
+    container.appendChild(item);
+  });
+}
+
+export {
+  renderClauseList
+};
@@ -0,0 +1,117 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+import { summarizeParagraphDiff } from '../compare/paragraph-diff.js';
+
+const LIVE_DOCUMENT_VALUE = "live";
+
+const STRUCTURAL_LABELS = {
+  style: "Style",
+  listLevel: "List level",
+  table: "Table cell"
+};
+
+function formatStructuralValue(kind, value) {
+  if (kind === "listLevel") return value < 0 ? "not a list" : String(value);
+  return value === null || value === undefined ? "none" : String(value);
+}
+
+function describeCheckpoint(checkpoint) {
+  const time = new Date(checkpoint.createdAt).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+  const message = checkpoint.message ? ` - ${checkpoint.message}` : "";
+  const label = `${time}${message}`;
+  return label.length > 60 ? `${label.substring(0, 57)}...` : label;
+}
+
+/**
+ * Fills the From/To selects. "From" lists checkpoints only (it is the base that can be
+ * restored when applying); "To" also offers the live document.
+ * @param {HTMLSelectElement} fromSelect
+ * @param {HTMLSelectElement} toSelect
+ * @param {Array<Object>} checkpoints - Metadata from listCheckpoints(), newest first
+ */
+function populateCompareSources(fromSelect, toSelect, checkpoints) {
+  if (!fromSelect || !toSelect) return;
+  const previousFrom = fromSelect.value;
+  const previousTo = toSelect.value;
+
+  const options = (checkpoints || [])
+    .map(checkpoint => `<option value="${checkpoint.id}">${escapeHtml(describeCheckpoint(checkpoint))}</option>`)
+    .join("");
+
+  fromSelect.innerHTML = options || `<option value="" disabled selected>No checkpoints yet</option>`;
+  toSelect.innerHTML = `<option value="${LIVE_DOCUMENT_VALUE}">Live document</option>${options}`;
+
+  if (previousFrom && fromSelect.querySelector(`option[value="${previousFrom}"]`)) fromSelect.value = previousFrom;
+  if (previousTo && toSelect.querySelector(`option[value="${previousTo}"]`)) toSelect.value = previousTo;
+}
+
+function renderEntry(entry, labels) {
+  const element = document.createElement("div");
+  element.className = `compare-entry ${entry.type}`;
+
+  let header;
+  let body;
+  if (entry.type === "inserted") {
+    header = `${labels.inserted} P${entry.afterIndex}`;
+    body = `<ins>${escapeHtml(entry.after.text)}</ins>`;
+  } else if (entry.type === "deleted") {
+    header = `${labels.deleted} P${entry.beforeIndex}`;
+    body = `<del>${escapeHtml(entry.before.text)}</del>`;
+  } else {
+    header = entry.beforeIndex === entry.afterIndex
+      ? `P${entry.beforeIndex}`
+      : `P${entry.beforeIndex} → P${entry.afterIndex}`;
+    body = entry.textChanged
+      ? entry.diff.map(part => {
+        const text = escapeHtml(part.text);
+        if (part.type === "insert") return `<ins>${text}</ins>`;
+        if (part.type === "delete") return `<del>${text}</del>`;
+        return `<span>${text}</span>`;
+      }).join("")
+      : escapeHtml(entry.after.text);
+  }
+
+  const meta = entry.structuralChanges
+    .map(change => `${STRUCTURAL_LABELS[change.kind] || change.kind}: ${formatStructuralValue(change.kind, change.from)} → ${formatStructuralValue(change.kind, change.to)}`)
+    .join("; ");
+
+  element.innerHTML = `
+    <div class="compare-entry-header">${escapeHtml(header)}</div>
+    <div>${body}</div>
+    ${meta ? `<div class="compare-entry-meta">${escapeHtml(meta)}</div>` : ""}
+  `;
+  return element;
+}
+
+/**
+ * Renders the changed paragraphs of an alignment (unchanged paragraphs are omitted).
+ * @param {HTMLElement} container
+ * @param {Array<Object>} entries - Output of alignParagraphs
+ * @param {{ insertedLabel?: string, deletedLabel?: string }} [options] - Headings of inserted/deleted paragraphs
+ */
+function renderParagraphDiff(container, entries, { insertedLabel = "Inserted as", deletedLabel = "Deleted" } = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  const summary = summarizeParagraphDiff(entries);
+  const summaryElement = document.createElement("div");
+  summaryElement.className = "compare-summary";
+  summaryElement.textContent = `${summary.modified} modified, ${summary.inserted} inserted, ${summary.deleted} deleted, ${summary.equal} unchanged.`;
+  container.appendChild(summaryElement);
+
+  entries
+    .filter(entry => entry.type !== "equal")
+    .forEach(entry => container.appendChild(renderEntry(entry, { inserted: insertedLabel, deleted: deletedLabel })));
+}
+
+export {
+  LIVE_DOCUMENT_VALUE,
+  populateCompareSources,
+  renderParagraphDiff
+};
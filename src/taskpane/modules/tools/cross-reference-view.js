@@ -0,0 +1,40 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+import { formatCrossReferenceIssues } from '../commands/cross-reference-utils.js';
+
+/**
+ * Renders the result of a full cross-reference check in the Tools view.
+ * @param {HTMLElement} container
+ * @param {Array<Object>} issues - Output of validateCrossReferences
+ * @param {{ onSelectParagraph: (paragraphIndex: number) => void }} handlers
+ */
+function renderCrossReferenceIssues(container, issues, handlers = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  if (!issues || issues.length === 0) {
+    container.innerHTML = `<p class="settings-hint">All cross-references match a numbered section.</p>`;
+    return;
+  }
+
+  const summary = document.createElement("div");
+  summary.className = "compare-summary";
+  summary.textContent = `${issues.length} reference${issues.length === 1 ? "" : "s"} do not match any section.`;
+  container.appendChild(summary);
+
+  issues.forEach((issue) => {
+    const item = document.createElement("div");
+    item.className = `cross-reference-issue ${issue.type}`;
+    item.innerHTML = escapeHtml(formatCrossReferenceIssues([issue]));
+    if (handlers.onSelectParagraph) {
+      item.title = "Show in document";
+      item.onclick = () => handlers.onSelectParagraph(issue.paragraphIndex);
+    }
+    container.appendChild(item);
+  });
+}
+
+export {
+  renderCrossReferenceIssues
+};
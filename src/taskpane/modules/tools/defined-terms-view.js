@@ -0,0 +1,54 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+import { describeDefinedTermIssue } from '../commands/defined-terms-utils.js';
+
+const ISSUE_LABELS = {
+  undefined: "Not defined",
+  unused: "Unused",
+  capitalization: "Capitalization",
+  duplicate: "Defined twice"
+};
+
+/**
+ * Renders the defined-term index and its issues in the Tools view.
+ * @param {HTMLElement} container
+ * @param {ReturnType<import('../commands/defined-terms-utils.js').analyzeDefinedTerms>} analysis
+ * @param {{ onSelectParagraph: (paragraphIndex: number) => void }} handlers
+ */
+function renderDefinedTermsAnalysis(container, analysis, handlers = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  const summary = document.createElement("div");
+  summary.className = "compare-summary";
+  summary.textContent = `${analysis.terms.length} defined term${analysis.terms.length === 1 ? "" : "s"}, ${analysis.issues.length} issue${analysis.issues.length === 1 ? "" : "s"}.`;
+  container.appendChild(summary);
+
+  analysis.issues.forEach((issue) => {
+    const item = document.createElement("div");
+    item.className = `defined-term-issue ${issue.type}`;
+    item.innerHTML = `
+      <span class="defined-term-issue-type">${escapeHtml(ISSUE_LABELS[issue.type] || issue.type)}</span>
+      <span>${escapeHtml(describeDefinedTermIssue(issue))}</span>
+    `;
+    if (issue.paragraphIndex && handlers.onSelectParagraph) {
+      item.title = "Show in document";
+      item.onclick = () => handlers.onSelectParagraph(issue.paragraphIndex);
+    }
+    container.appendChild(item);
+  });
+
+  if (analysis.terms.length > 0) {
+    const index = document.createElement("div");
+    index.className = "defined-term-index";
+    index.innerHTML = analysis.terms
+      .map(entry => `<span class="clause-tag" title="Used ${entry.usageCount} time${entry.usageCount === 1 ? "" : "s"}">${escapeHtml(entry.term)} (${entry.usageCount})</span>`)
+      .join("");
+    container.appendChild(index);
+  }
+}
+
+export {
+  renderDefinedTermsAnalysis
+};
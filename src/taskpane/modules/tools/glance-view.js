@@ -0,0 +1,38 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+
+/**
+ * Renders the paragraphs a Glance result cites, plus a "Fix this" button for findings that are not green.
+ * @param {HTMLElement} container - The finding area under a Glance item
+ * @param {{ status: string, citations: Array<{ paragraphIndex: number, excerpt: string }> }} result
+ * @param {{ onSelectParagraph: (paragraphIndex: number) => void, onFix: () => void }} handlers
+ */
+function renderGlanceFindings(container, result, handlers = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  (result.citations || []).forEach((citation) => {
+    const link = document.createElement("button");
+    link.className = "glance-citation";
+    link.title = "Show in document";
+    link.innerHTML = `<span class="glance-citation-index">¶${citation.paragraphIndex}</span> ${escapeHtml(citation.excerpt)}`;
+    link.onclick = () => {
+      if (handlers.onSelectParagraph) handlers.onSelectParagraph(citation.paragraphIndex);
+    };
+    container.appendChild(link);
+  });
+
+  if ((result.status === "yellow" || result.status === "red") && handlers.onFix) {
+    const fixButton = document.createElement("button");
+    fixButton.className = "glance-fix-button";
+    fixButton.textContent = "Fix this";
+    fixButton.title = "Ask the assistant to fix this finding";
+    fixButton.onclick = handlers.onFix;
+    container.appendChild(fixButton);
+  }
+}
+
+export {
+  renderGlanceFindings
+};
@@ -0,0 +1,108 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+import { summarizePlaybookReview } from '../commands/playbook-utils.js';
+
+const STATUS_LABELS = {
+  standard: "Standard",
+  fallback: "Fallback",
+  deviation: "Deviation",
+  red_line: "Red line",
+  missing: "Missing"
+};
+
+const PLAYBOOK_FIELDS = [
+  { key: "preferred", placeholder: "Preferred position (e.g. Liability capped at 12 months' fees)" },
+  { key: "fallbacks", placeholder: "Acceptable fallbacks (e.g. Cap up to 24 months' fees)" },
+  { key: "redLines", placeholder: "Red lines (e.g. Uncapped liability for indirect damages)" }
+];
+
+/**
+ * Renders the playbook editor in the Tools view, one card per clause type.
+ * @param {HTMLElement} container
+ * @param {Array<{ id: string, clauseType: string, preferred: string, fallbacks: string, redLines: string }>} playbook
+ * @param {{ onChange: (index: number, field: string, value: string) => void, onDelete: (index: number) => void }} handlers
+ */
+function renderPlaybookEditor(container, playbook, handlers = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  if (!playbook || playbook.length === 0) {
+    container.innerHTML = `<p class="settings-hint">No clause types yet. Add one for each clause you negotiate (e.g. Limitation of Liability, Governing Law).</p>`;
+    return;
+  }
+
+  playbook.forEach((entry, index) => {
+    const card = document.createElement("div");
+    card.className = "playbook-card";
+    card.innerHTML = `
+      <div class="glance-card-header-row">
+        <input type="text" class="ms-TextField-field playbook-clause-input" placeholder="Clause type" value="${escapeHtml(entry.clauseType || "")}">
+        <button class="delete-card-btn" title="Delete">✕</button>
+      </div>
+      ${PLAYBOOK_FIELDS.map(field => `<textarea class="ms-TextField-field" data-field="${field.key}" rows="2" placeholder="${escapeHtml(field.placeholder)}">${escapeHtml(entry[field.key] || "")}</textarea>`).join("")}
+    `;
+
+    card.querySelector(".delete-card-btn").onclick = () => {
+      if (handlers.onDelete) handlers.onDelete(index);
+    };
+    card.querySelector(".playbook-clause-input").onchange = (e) => {
+      if (handlers.onChange) handlers.onChange(index, "clauseType", e.target.value);
+    };
+    card.querySelectorAll("textarea[data-field]").forEach((textarea) => {
+      textarea.onchange = (e) => {
+        if (handlers.onChange) handlers.onChange(index, textarea.dataset.field, e.target.value);
+      };
+    });
+
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Renders the per-clause deviation table of a playbook review.
+ * @param {HTMLElement} container
+ * @param {Array<Object>} rows - From normalizePlaybookReview
+ * @param {{ onSelectParagraph: (paragraphIndex: number) => void }} handlers
+ */
+function renderPlaybookReview(container, rows, handlers = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  const summary = summarizePlaybookReview(rows);
+  const summaryElement = document.createElement("div");
+  summaryElement.className = "compare-summary";
+  summaryElement.textContent = `${summary.standard} standard, ${summary.fallback} fallback, ${summary.deviation} deviation${summary.deviation === 1 ? "" : "s"}, ${summary.red_line} red line${summary.red_line === 1 ? "" : "s"}, ${summary.missing} missing.`;
+  container.appendChild(summaryElement);
+
+  const table = document.createElement("table");
+  table.className = "playbook-table";
+  table.innerHTML = `<thead><tr><th>Clause</th><th>Status</th><th>Where</th><th>Notes</th></tr></thead>`;
+  const body = document.createElement("tbody");
+
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.className = `playbook-row ${row.status}`;
+    const where = row.paragraphIndices.map(index => `P${index}`).join(", ");
+    const notes = row.comment && row.comment !== row.summary ? `${row.summary} ${row.comment}` : row.summary;
+    tr.innerHTML = `
+      <td>${escapeHtml(row.clauseType)}</td>
+      <td><span class="playbook-status ${row.status}">${escapeHtml(STATUS_LABELS[row.status] || row.status)}</span></td>
+      <td>${escapeHtml(where || "-")}</td>
+      <td>${escapeHtml(notes)}</td>
+    `;
+    if (row.paragraphIndices.length > 0 && handlers.onSelectParagraph) {
+      tr.title = "Show in document";
+      tr.onclick = () => handlers.onSelectParagraph(row.paragraphIndices[0]);
+    }
+    body.appendChild(tr);
+  });
+
+  table.appendChild(body);
+  container.appendChild(table);
+}
+
+export {
+  renderPlaybookEditor,
+  renderPlaybookReview
+};
@@ -0,0 +1,60 @@
+/* global document */
+
+import { escapeHtml } from '../utils/markdown-utils.js';
+
+/**
+ * Renders the saved presets in the Settings view.
+ * @param {HTMLElement} container
+ * @param {Array<{ name: string, glance: Array<Object>, redline: { author: string } }>} presets
+ * @param {string|null} activeName - Name of the preset matching the current settings
+ * @param {{ onDelete: (index: number) => void }} handlers
+ */
+function renderPresetList(container, presets, activeName, handlers = {}) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  if (!presets || presets.length === 0) {
+    container.innerHTML = `<p class="settings-hint">No presets yet. Name the current settings and save them, or import a presets file from your team.</p>`;
+    return;
+  }
+
+  presets.forEach((preset, index) => {
+    const row = document.createElement("div");
+    row.className = `preset-row${preset.name === activeName ? " active" : ""}`;
+    const questionCount = preset.glance.length;
+    const details = [
+      `${questionCount} Glance question${questionCount === 1 ? "" : "s"}`,
+      preset.redline.author ? `author ${preset.redline.author}` : ""
+    ].filter(Boolean).join(", ");
+    row.innerHTML = `
+      <div class="preset-info">
+        <span class="preset-name">${escapeHtml(preset.name)}${preset.name === activeName ? " (active)" : ""}</span>
+        <span class="preset-details">${escapeHtml(details)}</span>
+      </div>
+      <button class="delete-card-btn" title="Delete">✕</button>
+    `;
+    row.querySelector(".delete-card-btn").onclick = () => {
+      if (handlers.onDelete) handlers.onDelete(index);
+    };
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Fills the preset switcher of the main view; it is hidden while there are no presets.
+ * @param {HTMLSelectElement} select
+ * @param {Array<{ name: string }>} presets
+ * @param {string|null} activeName - Selected preset; "Custom settings" when null
+ */
+function renderPresetSelect(select, presets, activeName) {
+  if (!select) return;
+  select.style.display = presets && presets.length > 0 ? "" : "none";
+  select.innerHTML = `<option value="">Custom settings</option>` +
+    (presets || []).map(preset => `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.name)}</option>`).join("");
+  select.value = activeName || "";
+}
+
+export {
+  renderPresetList,
+  renderPresetSelect
+};
@@ -0,0 +1,51 @@
+/* global Office */
+
+const DOCUMENT_ID_SETTING = "geminiDocumentId";
+
+let cachedDocumentId = null;
+
+function generateDocumentId() {
+  const random = Math.random().toString(36).slice(2, 10);
+  return `doc-${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * Returns a stable identifier for the open document.
+ *
+ * The id is stored in the document's own add-in settings so it travels with the
+ * file (renames, moves, copies sent by email). Hosts without settings support fall
+ * back to the document URL.
+ *
+ * @returns {Promise<string>}
+ */
+async function getDocumentId() {
+  if (cachedDocumentId) return cachedDocumentId;
+
+  const officeDocument = Office.context.document;
+  const settings = officeDocument && officeDocument.settings;
+
+  if (settings) {
+    let documentId = settings.get(DOCUMENT_ID_SETTING);
+    if (!documentId) {
+      documentId = generateDocumentId();
+      settings.set(DOCUMENT_ID_SETTING, documentId);
+      await new Promise((resolve) => {
+        settings.saveAsync((result) => {
+          if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.warn("[DocumentIdentity] Could not persist document id:", result.error);
+          }
+          resolve();
+        });
+      });
+    }
+    cachedDocumentId = documentId;
+    return cachedDocumentId;
+  }
+
+  cachedDocumentId = (officeDocument && officeDocument.url) || "untitled-document";
+  return cachedDocumentId;
+}
+
+export {
+  getDocumentId
+};
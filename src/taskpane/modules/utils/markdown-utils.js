@@ -376,11 +376,12 @@ export {
   applyFormatHintsToRanges,
   applyFormatRemovalToRanges,
   parseMarkdownList,
-  normalizeContentEscapes
+  normalizeContentEscapes,
+  escapeHtml
 };
 
 function escapeHtml(text) {
-  return text
+  return String(text ?? '')
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
@@ -5,7 +5,7 @@
  * Description: Word add-in integrating Google Gemini AI for document editing and analysis
  */
 
-/* global document, Office, Word, localStorage */
+/* global document, Office, Word, localStorage, Blob, URL */
 
 import { marked } from 'marked';
 import { diff_match_patch } from 'diff-match-patch';
@@ -18,29 +18,166 @@ import {
   shakeInput,
   addMessageToChat,
   updateSystemMessage,
+  updateChatMessage,
   addRetryButton,
+  addActionButton,
+  addToolActivity,
+  markToolActivityUndone,
+  clearChatMessages,
+  linkMessageToHistoryTurn,
+  setMessageBranchContext,
+  getChatTranscript,
+  getMessageTranscriptIndex,
+  renderChatTranscript,
+  renderChatSessionSelect,
   hideAllRetryButtons,
   removeMessage
 } from './modules/chat/chat-ui.js';
 import {
-  maintainHistoryWindow,
   validateHistoryPairs,
   sanitizeHistory,
   removeAllFunctionPairs,
-  createFreshStartWithContext
+  createFreshStartWithContext,
+  splitHistoryWindow,
+  updateConversationMemory,
+  formatMemoryForPrompt
 } from './modules/chat/chat-history.js';
+import { describeStreamProgress } from './modules/llm/gemini-adapter.js';
+import {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  getProvider,
+  isProviderConfigured,
+  generateContent,
+  getResponseText
+} from './modules/llm/llm-client.js';
+import { showRedlineReviewPanel } from './modules/chat/redline-review-ui.js';
+import { showPlanPanel, renderPlanPanel } from './modules/chat/plan-ui.js';
+import {
+  saveCheckpoint,
+  listCheckpoints,
+  loadCheckpoint,
+  deleteCheckpoint,
+  clearCheckpoints
+} from './modules/storage/checkpoint-store.js';
+import {
+  saveClause,
+  listClauses,
+  deleteClause
+} from './modules/storage/clause-store.js';
+import {
+  saveChatSession,
+  listChatSessions,
+  loadChatSession,
+  renameChatSession,
+  deleteChatSession
+} from './modules/storage/chat-session-store.js';
+import { getToolLabel, renderCheckpointList } from './modules/tools/checkpoint-browser.js';
+import { renderClauseList } from './modules/tools/clause-library-view.js';
+import { renderDefinedTermsAnalysis } from './modules/tools/defined-terms-view.js';
+import { renderCrossReferenceIssues } from './modules/tools/cross-reference-view.js';
+import { renderPlaybookEditor, renderPlaybookReview } from './modules/tools/playbook-view.js';
+import { renderPresetList, renderPresetSelect } from './modules/tools/preset-view.js';
+import { renderGlanceFindings } from './modules/tools/glance-view.js';
+import {
+  formatGlanceDocument,
+  parseGlanceResponse,
+  buildGlanceFixMessage,
+  hashParagraphText,
+  diffParagraphHashes,
+  attachCitationHashes,
+  relocateGlanceCitations,
+  isGlanceResultStale
+} from './modules/commands/glance-utils.js';
+import { needsPlaybookAction } from './modules/commands/playbook-utils.js';
+import { countContextWords, buildDocumentOutline } from './modules/commands/document-chunk-utils.js';
+import {
+  normalizePreset,
+  serializePresets,
+  parsePresetsFile,
+  mergePresets,
+  findMatchingPreset
+} from './modules/commands/preset-utils.js';
+import {
+  normalizeSessionTitle,
+  createSessionTitle,
+  hasSessionContent,
+  findBranchCheckpoint,
+  createBranchTitle
+} from './modules/commands/chat-session-utils.js';
+import {
+  buildPlanToolDeclaration,
+  buildPlanModeInstruction,
+  normalizePlanSteps,
+  formatPlanSummary,
+  formatPlanStepMessage,
+  getNextPlanStep,
+  classifyPlanStepOutcome
+} from './modules/commands/plan-utils.js';
+import {
+  LIVE_DOCUMENT_VALUE,
+  populateCompareSources,
+  renderParagraphDiff
+} from './modules/tools/compare-view.js';
+import { extractParagraphModel } from './modules/compare/paragraph-model.js';
+import { readDocxDocumentXml } from './modules/compare/docx-package.js';
+import {
+  alignParagraphs,
+  summarizeParagraphDiff,
+  buildRedlineChangesFromDiff
+} from './modules/compare/paragraph-diff.js';
+import {
+  filterClauses,
+  buildClauseLibraryContextLines
+} from './modules/commands/clause-library-utils.js';
+import { analyzeDefinedTerms } from './modules/commands/defined-terms-utils.js';
+import {
+  buildSectionNumberMap,
+  findCrossReferences,
+  validateCrossReferences,
+  buildCrossReferenceRepairs,
+  formatCrossReferenceIssues
+} from './modules/commands/cross-reference-utils.js';
+import {
+  createParagraphScope,
+  isParagraphInScope,
+  describeParagraphScope,
+  checkToolCallScope
+} from './modules/commands/selection-scope-utils.js';
+import { formatTrackedChangeList } from './modules/commands/tracked-change-utils.js';
+import { formatCommentThreads } from './modules/commands/comment-thread-utils.js';
+import { formatStoryContext } from './modules/commands/document-story-utils.js';
+import {
+  parseParagraphRevisionSegments,
+  hasRevisionSegments,
+  formatRevisionMarkup
+} from './modules/commands/revision-markup-utils.js';
+import { applyRedlineChangesToWordContext } from './modules/docx-redline-js-integration/index.js';
+import { getDocumentId } from './modules/utils/document-identity.js';
+import { escapeHtml } from './modules/utils/markdown-utils.js';
 import {
   initAgenticTools,
   executeRedline,
   executeComment,
   executeHighlight,
   executeNavigate,
+  selectBodyParagraph,
   executeResearch,
   executeInsertListItem,
   executeEditList,
   executeConvertHeadersToList,
   executeEditTable,
-  executeEditSection
+  executeEditSection,
+  executeManageTrackedChanges,
+  collectLoadedTrackedChanges,
+  loadParagraphCommentThreads,
+  executeManageComments,
+  loadDocumentStories,
+  executeInsertLibraryClause,
+  executeCheckDefinedTerms,
+  executeFindReplace,
+  executePlaybookReview,
+  executePlaybookActions
 } from './modules/commands/agentic-tools.js';
 import { setPlatform } from '@ansonlai/docx-redline-js';
 
@@ -54,14 +191,10 @@ marked.setOptions({
 
 const DEFAULT_AUTHOR = "Gemini AI";
 const GLANCE_COLLAPSED_STORAGE_KEY = "glanceCollapsed";
-
-// Safety settings for Gemini API (disable all safety blocks)
-const SAFETY_SETTINGS_BLOCK_NONE = [
-  { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-  { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-  { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-  { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
-];
+// Quiet period after the last paragraph edit before automatic Glance checks re-run
+const GLANCE_AUTO_RUN_DELAY_MS = 5000;
+const PLAYBOOK_STORAGE_KEY = "negotiationPlaybook";
+const PRESETS_STORAGE_KEY = "settingsPresets";
 
 // Search and text limits
 const SEARCH_LIMITS = {
@@ -74,15 +207,17 @@ const SEARCH_LIMITS = {
 // Document processing limits
 const DOCUMENT_LIMITS = {
   MAX_WORDS: 30000,          // Approx 40 pages, ~40k tokens
+  MAX_CHUNKED_WORDS: 300000, // Longer documents are processed in parts, up to this size
+  CHUNK_WORDS: 15000,        // Words per part of a long document
+  CHUNK_CONCURRENCY: 3,      // Parts sent to the model at once
   MAX_LOOPS: 6,              // Maximum tool execution loops
   MAX_NO_PROGRESS_TOOL_LOOPS: 2, // Stop when the same mutation tool cycle keeps applying 0 changes
   TOKEN_MULTIPLIER: 1.33     // Words to tokens conversion factor
 };
 
-// Storage quotas
-const STORAGE_LIMITS = {
-  SAFE_LIMIT: 4500000,       // ~4.5MB safe limit for localStorage
-  MIN_PRUNE_COUNT: 5         // Minimum checkpoints to prune when quota exceeded
+// Checkpoint storage (IndexedDB, scoped per document)
+const CHECKPOINT_LIMITS = {
+  MAX_PER_DOCUMENT: 50       // Oldest checkpoints beyond this are pruned
 };
 
 // API generation limits
@@ -92,12 +227,22 @@ const API_LIMITS = {
 
 // Timeout limits for API calls
 const TIMEOUT_LIMITS = {
-  FETCH_TIMEOUT_MS: 60000,        // 60s timeout per individual API call
+  FETCH_TIMEOUT_MS: 60000,        // 60s without data from an individual API call
   TOTAL_REQUEST_TIMEOUT_MS: 180000 // 3 min total timeout for entire request (including tool loops)
 };
 
 // Global abort controller for cancelling requests
 let currentRequestController = null;
+// Time spent waiting on the user (e.g. redline review) - excluded from the total request timeout
+let currentRequestPausedMs = 0;
+// Selection-only mode: the model sees and may change only the paragraphs the selection touches
+let selectionScopeEnabled = false;
+// Paragraph scope of the request in flight (null = whole document)
+let currentParagraphScope = null;
+// Plan mode: the model first proposes a plan that the user reviews, then it runs step by step
+let planModeEnabled = false;
+// Plan waiting for review or being run (see runPlan)
+let activePlan = null;
 /**
  * Extracts enhanced document context with rich formatting metadata.
  * Returns an object with enhanced paragraph notation and section mapping.
@@ -109,8 +254,13 @@ let currentRequestController = null;
  *   [P3|ListNumber|L1:0|§] 1. Section header (starts section 1)
  *   [P4|Normal|§1] Body text belonging to section 1
  *   [P5|Normal|T:1,2] Table cell at row 1, column 2
+ *   [P6|Normal|Rev] Fees are <del by="A. Smith" date="2026-03-01">net 30</del><ins by="A. Smith" date="2026-03-01">net 60</ins>.
+ *
+ * With includeRevisions, paragraphs containing tracked insertions/deletions show them inline
+ * (para.text mixes both into one string) and trackedChanges lists every revision with its
+ * paragraph; otherwise trackedChanges is null.
  */
-async function extractEnhancedDocumentContext(context) {
+async function extractEnhancedDocumentContext(context, { includeRevisions = false } = {}) {
   const body = context.document.body;
   const paragraphs = body.paragraphs;
 
@@ -136,6 +286,15 @@ async function extractEnhancedDocumentContext(context) {
 
   await context.sync();
 
+  let revisions = null;
+  if (includeRevisions && Office.context.requirements.isSetSupported("WordApi", "1.6")) {
+    try {
+      revisions = await loadParagraphRevisions(context, paragraphs.items);
+    } catch (revisionError) {
+      console.warn("Could not read tracked changes per paragraph, showing plain text:", revisionError);
+    }
+  }
+
   // Build enhanced paragraph data
   const enhancedParagraphs = [];
   let currentSection = null;      // Current section number (e.g., "1", "2")
@@ -228,9 +387,14 @@ async function extractEnhancedDocumentContext(context) {
       metaParts.push(`§${belongsTo}`);
     }
 
+    const revisionText = revisions ? revisions.markup.get(i + 1) || null : null;
+    if (revisionText) {
+      metaParts.push("Rev");
+    }
+
     // Build the enhanced notation
     const metaString = metaParts.join("|");
-    const enhancedLine = `[P${i + 1}|${metaString}] ${text}`;
+    const enhancedLine = `[P${i + 1}|${metaString}] ${revisionText || text}`;
 
     enhancedParagraphs.push({
       index: i + 1,
@@ -238,10 +402,12 @@ async function extractEnhancedDocumentContext(context) {
       style: style,
       isListItem: isListItem,
       listLevel: listLevel,
+      listString: listString,
       isInTable: isInTable,
       section: currentSection,
       subSection: currentSubSection,
       isSectionHeader: sectionMarker === "§",
+      revisionText: revisionText,
       enhancedLine: enhancedLine
     });
   }
@@ -249,11 +415,57 @@ async function extractEnhancedDocumentContext(context) {
   return {
     paragraphs: enhancedParagraphs,
     formattedText: enhancedParagraphs.map(p => p.enhancedLine).join("\n"),
-    sectionCount: sectionCounter
+    sectionCount: sectionCounter,
+    trackedChanges: revisions ? revisions.trackedChanges : null
+  };
+}
+
+/**
+ * Loads the tracked changes of every paragraph (WordApi 1.6), and the inline revision markup of
+ * paragraphs with tracked insertions or deletions.
+ * @returns {Promise<{ markup: Map<number, string>, trackedChanges: Array<Object> }>} markup is keyed by 1-based paragraph index
+ */
+async function loadParagraphRevisions(context, paragraphItems) {
+  const scanned = paragraphItems.map((paragraph, i) => {
+    const trackedChanges = paragraph.getTrackedChanges();
+    trackedChanges.load("items/type, items/author, items/date, items/text");
+    return { paragraphIndex: i + 1, trackedChanges };
+  });
+  await context.sync();
+
+  // Formatting changes leave the text alone; only paragraphs with text revisions need their OOXML
+  const ooxmlResults = scanned
+    .filter(({ trackedChanges }) => trackedChanges.items.some(tc => tc.type === "Added" || tc.type === "Deleted"))
+    .map(({ paragraphIndex }) => ({ paragraphIndex, ooxml: paragraphItems[paragraphIndex - 1].getOoxml() }));
+  if (ooxmlResults.length > 0) {
+    await context.sync();
+  }
+
+  const trackedChanges = await collectLoadedTrackedChanges(context, scanned);
+
+  const markup = new Map();
+  for (const { paragraphIndex, ooxml } of ooxmlResults) {
+    const segments = parseParagraphRevisionSegments(ooxml.value);
+    if (hasRevisionSegments(segments)) {
+      markup.set(paragraphIndex, formatRevisionMarkup(segments));
+    }
+  }
+
+  return {
+    markup,
+    trackedChanges
   };
 }
 
 let chatHistory = [];
+// Summary of the turns that fell out of chatHistory, sent with every request (see updateConversationMemory)
+let conversationMemory = "";
+let conversationMemoryUpdate = Promise.resolve();
+let conversationMemoryGeneration = 0;  // Bumped when the chat is cleared, so late summaries are discarded
+// Stored conversation shown in the chat; id stays null until a new conversation is first saved
+let currentChatSession = createChatSessionState();
+let chatSessionSave = Promise.resolve();
+let pendingBranchMessage = null;  // Earlier user message being edited; sending it starts a branch
 let toolsExecutedInCurrentRequest = [];  // Track successful tool executions for recovery
 
 Office.onReady((info) => {
@@ -269,6 +481,18 @@ Office.onReady((info) => {
     // Add event listener for the THINK button (Slow)
     document.getElementById("think-button").onclick = () => sendChatMessage('slow');
 
+    // Selection-only mode toggle (applies from the next request)
+    document.getElementById("selection-scope-toggle").onchange = (e) => {
+      selectionScopeEnabled = e.target.checked;
+      document.getElementById("chat-input").placeholder = selectionScopeEnabled
+        ? "Ask Gemini about the selection..."
+        : "Ask Gemini...";
+    };
+    // Plan mode toggle (applies from the next request)
+    document.getElementById("plan-mode-toggle").onchange = (e) => {
+      planModeEnabled = e.target.checked;
+    };
+
     // Add Enter key support for chat (Shift+Enter for new line)
     document.getElementById("chat-input").addEventListener("keydown", (e) => {
       if (e.key === "Enter") {
@@ -290,13 +514,69 @@ Office.onReady((info) => {
     // Add event listeners for settings UI
     document.getElementById("settings-button").onclick = showSettingsView;
     document.getElementById("save-api-key").onclick = saveApiKey;
+    document.getElementById("provider-select").onchange = (e) => populateProviderSettings(e.target.value);
     document.getElementById("back-to-main").onclick = showMainView;
 
+    // Add event listeners for tools UI
+    document.getElementById("tools-button").onclick = showToolsView;
+    document.getElementById("tools-back-button").onclick = showMainView;
+    document.getElementById("refresh-checkpoints-button").onclick = refreshCheckpointList;
+    document.getElementById("clear-checkpoints-button").onclick = clearDocumentCheckpoints;
+    document.getElementById("run-compare-button").onclick = runCheckpointComparison;
+    document.getElementById("apply-compare-button").onclick = applyComparisonAsTrackedChanges;
+    document.getElementById("run-precedent-compare-button").onclick = runPrecedentComparison;
+    document.getElementById("apply-precedent-button").onclick = applyPrecedentAsTrackedChanges;
+    document.getElementById("precedent-file-input").onchange = () => {
+      lastPrecedentComparison = null;
+      document.getElementById("apply-precedent-button").disabled = true;
+      document.getElementById("precedent-compare-results").innerHTML = "";
+    };
+    document.getElementById("save-clause-button").onclick = saveSelectionAsClause;
+    document.getElementById("clause-filter-input").oninput = refreshClauseList;
+    document.getElementById("analyze-terms-button").onclick = analyzeDocumentDefinedTerms;
+    document.getElementById("comment-terms-button").onclick = () => resolveDefinedTermIssues("comment");
+    document.getElementById("fix-terms-button").onclick = () => resolveDefinedTermIssues("redline");
+    document.getElementById("check-references-button").onclick = checkDocumentCrossReferences;
+    document.getElementById("find-replace-button").onclick = replaceAllFromForm;
+    document.getElementById("add-playbook-clause-button").onclick = () => {
+      const playbook = loadPlaybook();
+      playbook.push({ id: 'pb' + Date.now(), clauseType: "", preferred: "", fallbacks: "", redLines: "" });
+      savePlaybook(playbook);
+      renderPlaybook();
+    };
+    document.getElementById("run-playbook-button").onclick = runPlaybookReview;
+    document.getElementById("playbook-comment-button").onclick = () => applyPlaybookActions("comment");
+    document.getElementById("playbook-redline-button").onclick = () => applyPlaybookActions("redline");
+    renderPlaybook();
+
     // Add event listener for refresh chat button
     document.getElementById("refresh-chat-button").onclick = refreshChat;
+    document.getElementById("chat-memory-input").oninput = (e) => {
+      conversationMemory = e.target.value;
+    };
+    document.getElementById("chat-memory-input").onchange = () => saveCurrentChatSession();
+    setConversationMemoryBusy(false);
+
+    // Conversations stored for this document
+    document.getElementById("chat-session-select").onchange = (e) => switchChatSession(e.target.value);
+    document.getElementById("new-chat-session-button").onclick = refreshChat;
+    document.getElementById("rename-chat-session-button").onclick = startChatSessionRename;
+    document.getElementById("delete-chat-session-button").onclick = deleteCurrentChatSession;
+    const sessionTitleInput = document.getElementById("chat-session-title-input");
+    sessionTitleInput.onkeydown = (e) => {
+      if (e.key === "Enter") finishChatSessionRename(true);
+      if (e.key === "Escape") finishChatSessionRename(false);
+    };
+    sessionTitleInput.onblur = () => finishChatSessionRename(true);
+    document.getElementById("cancel-message-edit-button").onclick = () => {
+      cancelMessageEdit();
+      document.getElementById("chat-input").value = "";
+    };
+    restoreLatestChatSession();
 
     // Add event listener for Glance refresh
-    document.getElementById("refresh-glance-button").onclick = runGlanceChecks;
+    document.getElementById("refresh-glance-button").onclick = () => runGlanceChecks();
+    document.getElementById("preset-select").onchange = (e) => switchPreset(e.target.value);
     document.getElementById("toggle-glance-button").onclick = () => {
       const container = document.getElementById("glance-container");
       if (!container) return;
@@ -317,18 +597,41 @@ Office.onReady((info) => {
       renderGlanceSettings();
     };
 
-    // Check for API key on load
-    if (!loadApiKey()) {
+    // Add event listeners for presets
+    document.getElementById("save-preset-button").onclick = saveCurrentAsPreset;
+    document.getElementById("export-presets-button").onclick = exportPresets;
+    document.getElementById("import-presets-button").onclick = () => document.getElementById("preset-file-input").click();
+    document.getElementById("preset-file-input").onchange = async (e) => {
+      await importPresets(e.target.files[0]);
+      e.target.value = "";
+    };
+    renderPresets();
+
+    // Check for provider settings on load
+    if (!isProviderConfigured(loadProviderSettings())) {
       showWelcomeScreen();
     } else {
       // Run Glance checks if key exists
       renderGlanceMain();
       runGlanceChecks();
     }
+    registerGlanceAutoRun();
 
     // Accordion Event Listeners
     setupAccordion("glance-settings-header", "glance-settings-content");
+    setupAccordion("presets-header", "presets-content");
     setupAccordion("advanced-settings-header", "advanced-settings-content");
+    setupAccordion("checkpoints-header", "checkpoints-content");
+    setupAccordion("compare-header", "compare-content");
+    setupAccordion("precedent-compare-header", "precedent-compare-content");
+    setupAccordion("clause-library-header", "clause-library-content");
+    setupAccordion("defined-terms-header", "defined-terms-content");
+    setupAccordion("cross-references-header", "cross-references-content");
+    setupAccordion("find-replace-header", "find-replace-content");
+    setupAccordion("playbook-header", "playbook-content");
+
+    // Checkpoints moved to IndexedDB; drop the legacy localStorage copy
+    localStorage.removeItem("docCheckpoints");
 
     // Scroll-to-bottom button setup
     setupScrollToBottom();
@@ -347,6 +650,10 @@ Office.onReady((info) => {
       saveRedlineSetting(e.target.checked);
     };
 
+    document.getElementById("redline-review-toggle").onchange = (e) => {
+      saveRedlineReviewSetting(e.target.checked);
+    };
+
     document.getElementById("redline-author-input").oninput = (e) => {
       saveRedlineAuthor(e.target.value);
     };
@@ -393,6 +700,7 @@ function showWelcomeScreen() {
     </div>
     <div class="welcome-note">
       <p style="text-align: right;">The free tier is <em>plenty</em> for personal use.</p>
+      <p style="text-align: right;">Using Azure OpenAI or a local model server instead? Choose it under <strong>AI Provider</strong> in Settings.</p>
     </div>
 
     <hr class="welcome-divider">
@@ -458,23 +766,14 @@ function switchView(hideId, showId) {
 function showSettingsView() {
   document.getElementById("settings-button").style.display = "none";
   document.getElementById("refresh-chat-button").style.display = "none";
+  document.getElementById("tools-button").style.display = "none";
 
   switchView("main-view", "settings-view");
 
-  // Load current key into input
-  const currentKey = loadApiKey();
-  if (currentKey) {
-    document.getElementById("api-key-input").value = currentKey;
-  }
-  // Load current models
-  const currentFastModel = loadModel('fast');
-  if (currentFastModel) {
-    document.getElementById("model-select-fast").value = currentFastModel;
-  }
-  const currentSlowModel = loadModel('slow');
-  if (currentSlowModel) {
-    document.getElementById("model-select-slow").value = currentSlowModel;
-  }
+  // Load current provider, key and models into inputs
+  const providerSelect = document.getElementById("provider-select");
+  providerSelect.value = loadProviderSettings().provider;
+  populateProviderSettings(providerSelect.value);
   // Load current system message
   const currentSystemMessage = loadSystemMessage();
   if (currentSystemMessage) {
@@ -487,18 +786,39 @@ function showSettingsView() {
   const redlineEnabled = loadRedlineSetting();
   document.getElementById("redline-toggle").checked = redlineEnabled;
 
+  // Load redline review setting
+  document.getElementById("redline-review-toggle").checked = loadRedlineReviewSetting();
+
   // Load redline author setting
   const redlineAuthor = loadRedlineAuthor();
   document.getElementById("redline-author-input").value = redlineAuthor;
+
+  setPresetStatus("");
+  renderPresets();
 }
 
 function showMainView() {
   document.getElementById("settings-button").style.display = "block";
   document.getElementById("refresh-chat-button").style.display = "block";
+  document.getElementById("tools-button").style.display = "block";
 
-  switchView("settings-view", "main-view");
+  const toolsView = document.getElementById("tools-view");
+  const fromViewId = toolsView && toolsView.style.display !== "none" ? "tools-view" : "settings-view";
+  switchView(fromViewId, "main-view");
 
   renderGlanceMain();
+  renderPresets();
+}
+
+function showToolsView() {
+  document.getElementById("settings-button").style.display = "none";
+  document.getElementById("refresh-chat-button").style.display = "none";
+  document.getElementById("tools-button").style.display = "none";
+
+  switchView("main-view", "tools-view");
+
+  refreshCheckpointList();
+  refreshClauseList();
 }
 
 
@@ -522,63 +842,135 @@ function refreshChat() {
   }
   if (sendButton) sendButton.disabled = false;
   if (thinkButton) thinkButton.disabled = false;
+  setChatSessionControlsDisabled(false);
 
-  // Clear chat history
-  chatHistory = [];
-
-  // Clear the chat messages UI
-  const chatMessages = document.getElementById("chat-messages");
-  chatMessages.innerHTML = "";
-
-  // Add the welcome message back
-  const welcomeMessage = document.createElement("div");
-  welcomeMessage.className = "chat-message system";
-  welcomeMessage.textContent = "Welcome! Ask me to assist you in editing this document.";
-  chatMessages.appendChild(welcomeMessage);
+  // Keep the finished conversation in the list, then clear the chat, its history and memory
+  saveCurrentChatSession();
+  startNewChatSession();
 
   // Add a system message confirming the refresh
-  addMessageToChat("System", "Chat history cleared. Starting new conversation.");
+  addMessageToChat("System", "Started a new conversation. Earlier conversations of this document stay in the conversation list.");
+}
+
+/**
+ * Fills the provider-specific settings inputs (key, base URL, models) with the values stored
+ * for `provider`, and shows only the inputs that provider uses.
+ */
+function populateProviderSettings(provider) {
+  const isGemini = provider === "gemini";
+  const settings = loadProviderSettings(provider);
+
+  document.getElementById("api-key-label").innerHTML = isGemini
+    ? 'Google Gemini <a href="https://aistudio.google.com/app/api-keys" target="_blank">API Key</a>:'
+    : `API Key${getProvider(provider).requiresApiKey ? "" : " (optional)"}:`;
+  document.getElementById("api-key-input").value = settings.apiKey;
+  document.getElementById("provider-base-url-input").value = settings.baseUrl;
+  document.getElementById("provider-base-url-input").placeholder = {
+    gemini: "Default (https://generativelanguage.googleapis.com/v1beta)",
+    openai: "e.g. http://localhost:8080/v1",
+    azure: "e.g. https://my-resource.openai.azure.com"
+  }[provider];
+  document.getElementById("provider-api-version-input").value = settings.apiVersion;
+  document.getElementById("provider-api-version-settings").style.display = provider === "azure" ? "block" : "none";
+
+  document.getElementById("gemini-model-settings").style.display = isGemini ? "block" : "none";
+  document.getElementById("custom-model-settings").style.display = isGemini ? "none" : "block";
+  document.getElementById("custom-model-fast-label").innerText = provider === "azure" ? "Fast Model (deployment name):" : "Fast Model:";
+  document.getElementById("custom-model-slow-label").innerText = provider === "azure" ? "Slow Model (deployment name):" : "Slow Model:";
+  if (isGemini) {
+    document.getElementById("model-select-fast").value = loadModel('fast', provider);
+    document.getElementById("model-select-slow").value = loadModel('slow', provider);
+  } else {
+    document.getElementById("model-input-fast").value = localStorage.getItem(`llmModelFast_${provider}`) || "";
+    document.getElementById("model-input-slow").value = localStorage.getItem(`llmModelSlow_${provider}`) || "";
+  }
 }
 
 function saveApiKey() {
-  const apiKey = document.getElementById("api-key-input").value;
-  const fastModel = document.getElementById("model-select-fast").value;
-  const slowModel = document.getElementById("model-select-slow").value;
+  const provider = document.getElementById("provider-select").value;
+  const apiKey = document.getElementById("api-key-input").value.trim();
+  const baseUrl = document.getElementById("provider-base-url-input").value.trim();
+  const apiVersion = document.getElementById("provider-api-version-input").value.trim();
+  const isGemini = provider === "gemini";
+  const fastModel = (isGemini ? document.getElementById("model-select-fast") : document.getElementById("model-input-fast")).value.trim();
+  const slowModel = (isGemini ? document.getElementById("model-select-slow") : document.getElementById("model-input-slow")).value.trim();
   const systemMessage = document.getElementById("system-message-input").value;
   const redlineEnabled = document.getElementById("redline-toggle").checked;
+  const redlineReviewEnabled = document.getElementById("redline-review-toggle").checked;
   const redlineAuthor = document.getElementById("redline-author-input").value;
 
-  if (apiKey && apiKey.trim() !== "") {
-    localStorage.setItem("geminiApiKey", apiKey);
-    localStorage.setItem("geminiModelFast", fastModel);
-    localStorage.setItem("geminiModelSlow", slowModel);
+  if (!isProviderConfigured({ provider, apiKey, baseUrl })) {
+    addMessageToChat("System", getProvider(provider).requiresBaseUrl && !baseUrl ? "Base URL cannot be empty." : "API Key cannot be empty.");
+  } else if (!isGemini && !fastModel) {
+    addMessageToChat("System", "Fast Model cannot be empty.");
+  } else {
+    saveProviderSettings({ provider, apiKey, baseUrl, apiVersion });
+    if (isGemini) {
+      localStorage.setItem("geminiModelFast", fastModel);
+      localStorage.setItem("geminiModelSlow", slowModel);
+    } else {
+      localStorage.setItem(`llmModelFast_${provider}`, fastModel);
+      localStorage.setItem(`llmModelSlow_${provider}`, slowModel);
+    }
     localStorage.setItem("geminiSystemMessage", systemMessage);
     saveRedlineSetting(redlineEnabled);
+    saveRedlineReviewSetting(redlineReviewEnabled);
     saveRedlineAuthor(redlineAuthor);
     // Glance settings are saved automatically on change
     showMainView();
     addMessageToChat("System", "Settings saved successfully.");
     // Re-run checks with new settings
     runGlanceChecks();
-  } else {
-    addMessageToChat("System", "API Key cannot be empty.");
   }
 }
 
-function loadApiKey() {
-  // First check localStorage (user-provided key takes precedence)
-  const storedKey = localStorage.getItem("geminiApiKey");
+// Gemini keeps its original storage keys; other providers store their settings per provider
+function providerStorageKey(name, provider) {
+  return provider === "gemini" ? `gemini${name}` : `llm${name}_${provider}`;
+}
+
+function loadApiKey(provider = loadProviderSettings().provider) {
+  const storedKey = localStorage.getItem(providerStorageKey("ApiKey", provider));
   if (storedKey && storedKey.trim() !== "") {
     return storedKey;
   }
+  return "";
+}
+
+/**
+ * Settings for the selected provider (or for `provider`, when given).
+ * @returns {{ provider: string, apiKey: string, baseUrl: string, apiVersion: string }}
+ */
+function loadProviderSettings(provider = null) {
+  const storedProvider = localStorage.getItem("llmProvider");
+  const selected = provider || (PROVIDERS[storedProvider] ? storedProvider : DEFAULT_PROVIDER);
+  return {
+    provider: selected,
+    apiKey: loadApiKey(selected),
+    baseUrl: localStorage.getItem(providerStorageKey("BaseUrl", selected)) || "",
+    apiVersion: localStorage.getItem("llmApiVersion_azure") || ""
+  };
+}
+
+function saveProviderSettings({ provider, apiKey, baseUrl, apiVersion }) {
+  localStorage.setItem("llmProvider", provider);
+  localStorage.setItem(providerStorageKey("ApiKey", provider), apiKey);
+  localStorage.setItem(providerStorageKey("BaseUrl", provider), baseUrl);
+  if (provider === "azure") {
+    localStorage.setItem("llmApiVersion_azure", apiVersion);
+  }
 }
 
-function loadModel(type = 'fast') {
-  const key = type === 'slow' ? "geminiModelSlow" : "geminiModelFast";
+function loadModel(type = 'fast', provider = loadProviderSettings().provider) {
+  const key = providerStorageKey(type === 'slow' ? "ModelSlow" : "ModelFast", provider);
   const storedModel = localStorage.getItem(key);
   if (storedModel && storedModel.trim() !== "") {
     return storedModel;
   }
+  if (provider !== "gemini") {
+    // The slow model is optional for other providers
+    return type === 'slow' ? loadModel('fast', provider) : "";
+  }
   // Defaults
   return type === 'slow' ? "gemini-2.5-pro" : "gemini-flash-latest";
 }
@@ -600,6 +992,29 @@ function saveRedlineSetting(enabled) {
   localStorage.setItem("redlineEnabled", enabled.toString());
 }
 
+function loadRedlineReviewSetting() {
+  return localStorage.getItem("redlineReviewEnabled") === "true"; // Default to false (apply immediately)
+}
+
+function saveRedlineReviewSetting(enabled) {
+  localStorage.setItem("redlineReviewEnabled", enabled.toString());
+}
+
+/**
+ * Shows proposed redlines for approval and resolves with the approved staged ids.
+ * Time spent waiting on the user does not count against the request timeout.
+ */
+async function reviewRedlineChanges(stagedChanges) {
+  const reviewStartTime = Date.now();
+  try {
+    return await showRedlineReviewPanel(stagedChanges, {
+      signal: currentRequestController ? currentRequestController.signal : undefined
+    });
+  } finally {
+    currentRequestPausedMs += Date.now() - reviewStartTime;
+  }
+}
+
 function loadRedlineAuthor() {
   const storedAuthor = localStorage.getItem("redlineAuthor");
   if (storedAuthor && storedAuthor.trim() !== "") {
@@ -654,18 +1069,47 @@ async function restoreChangeTracking(context, trackingState, sourceLabel = "AI")
 }
 
 initAgenticTools({
-  loadApiKey,
-  loadModel,
+  loadProviderSettings,
+  isProviderConfigured,
+  callModel,
   loadSystemMessage,
   loadRedlineSetting,
+  loadRedlineReviewSetting,
   loadRedlineAuthor,
+  reviewRedlineChanges,
+  loadParagraphScope: () => currentParagraphScope,
+  extractEnhancedDocumentContext,
   setChangeTrackingForAi,
   restoreChangeTracking,
   SEARCH_LIMITS,
-  SAFETY_SETTINGS_BLOCK_NONE,
-  API_LIMITS
+  API_LIMITS,
+  DOCUMENT_LIMITS
 });
 
+/**
+ * Finds the body paragraphs the current selection touches (a collapsed cursor counts as touching
+ * its paragraph).
+ * @returns {Promise<{ scope: Object|null, range: Word.Range|null }>} scope is null when the selection
+ *   is outside the body (e.g. in a header); range spans the scoped paragraphs
+ */
+async function resolveSelectionScope(context) {
+  const selection = context.document.getSelection();
+  const paragraphs = context.document.body.paragraphs;
+  paragraphs.load("items");
+  await context.sync();
+
+  const relations = paragraphs.items.map(p => p.getRange("Whole").compareLocationWith(selection));
+  await context.sync();
+
+  const scope = createParagraphScope(relations.map(relation => relation.value));
+  if (!scope) {
+    return { scope: null, range: null };
+  }
+  const range = paragraphs.items[scope.startParagraphIndex - 1].getRange("Whole")
+    .expandTo(paragraphs.items[scope.endParagraphIndex - 1].getRange("Whole"));
+  return { scope, range };
+}
+
 /**
  * Fetches the document's author from Word properties.
  */
@@ -768,11 +1212,14 @@ function renderGlanceMain() {
     div.innerHTML = `
       <div class="glance-header">
         <span id="glance-indicator-${item.id}" class="glance-indicator gray"></span>
-        <span class="glance-title">${item.title}</span>
+        <span class="glance-title">${escapeHtml(item.title)}</span>
+        <span id="glance-time-${item.id}" class="glance-time"></span>
       </div>
       <p id="glance-summary-${item.id}" class="glance-summary">Waiting for analysis...</p>
+      <div id="glance-findings-${item.id}" class="glance-findings"></div>
     `;
     list.appendChild(div);
+    renderGlanceResult(item);
   });
 }
 
@@ -790,11 +1237,15 @@ function renderGlanceSettings() {
     // Slimmer layout: Drag handle on left, inputs stacked but compact
     card.innerHTML = `
       <div class="glance-card-header-row">
-        <input type="text" class="ms-TextField-field glance-title-input" value="${item.title}" placeholder="Title">
+        <input type="text" class="ms-TextField-field glance-title-input" value="${escapeHtml(item.title)}" placeholder="Title">
         <span class="drag-handle" title="Drag to reorder">☰</span>
         <button class="delete-card-btn" title="Delete">✕</button>
       </div>
-      <textarea class="ms-TextField-field glance-question-input" placeholder="Question (e.g. Is the grammar correct?)" rows="2">${item.question}</textarea>
+      <textarea class="ms-TextField-field glance-question-input" placeholder="Question (e.g. Is the grammar correct?)" rows="2">${escapeHtml(item.question)}</textarea>
+      <label class="glance-auto-label">
+        <input type="checkbox" class="glance-auto-input" ${item.autoRun ? "checked" : ""}>
+        Re-run automatically when the document changes
+      </label>
     `;
 
     // Event Listeners
@@ -816,6 +1267,11 @@ function renderGlanceSettings() {
       saveGlanceSettings(settings);
     };
 
+    card.querySelector(".glance-auto-input").onchange = (e) => {
+      settings[index].autoRun = e.target.checked;
+      saveGlanceSettings(settings);
+    };
+
     // Drag Events - Attach start/end to HANDLE only
     const handle = card.querySelector('.drag-handle');
     handle.draggable = true;
@@ -895,32 +1351,115 @@ function handleDragEnd(e) {
   });
 }
 
-async function runGlanceChecks() {
-  const geminiApiKey = loadApiKey();
-  if (!geminiApiKey) return;
-
-  const settings = loadGlanceSettings();
-  if (settings.length === 0) return;
+// Per-check Glance results: { result, computedAt, paragraphHashes } (the snapshot the result was computed against)
+const glanceResults = new Map();
+let glanceRunInProgress = false;
+let glanceAutoRunTimer = null;
+
+const GLANCE_ANSWER_FORMAT = `Return the result as a JSON object where keys are the Question IDs (e.g., "q1", "q2").
+For each question, provide:
+- "status": "green" (no issues/good), "yellow" (minor issues/caution), or "red" (major issues/bad).
+- "summary": A very brief summary (max 10 words).
+- "citations": Up to 3 paragraphs that support the answer, most important first, each as
+  {"paragraphIndex": 4 for [P4], "excerpt": a short quote (max 12 words) copied from that paragraph}.
+  Use an empty array when the answer concerns the document as a whole.
+
+IMPORTANT: Return ONLY the JSON object. Do not include any markdown formatting (like \`\`\`json), conversational text, or explanations.`;
+
+async function loadGlanceParagraphTexts() {
+  return Word.run(async (context) => {
+    const paragraphs = context.document.body.paragraphs;
+    paragraphs.load("items/text");
+    await context.sync();
+    return paragraphs.items.map(p => p.text);
+  });
+}
 
-  // Update UI to showing loading
-  settings.forEach(item => {
+function setGlanceChecking(items, message) {
+  items.forEach(item => {
     const indicator = document.getElementById(`glance-indicator-${item.id}`);
     const summary = document.getElementById(`glance-summary-${item.id}`);
     if (indicator) indicator.className = "glance-indicator gray";
-    if (summary) summary.innerText = "Checking...";
+    if (summary) summary.innerText = message;
   });
+}
 
-  try {
-    let docText = "";
-    await Word.run(async (context) => {
-      const body = context.document.body;
-      body.load("text");
-      await context.sync();
-      docText = body.text;
+/**
+ * Sends a Glance prompt and stores and renders the answers of the given checks.
+ */
+async function requestGlanceAnswers(prompt, items, paragraphTexts) {
+  // Use fast model for glance checks; search grounding is skipped by providers without it
+  const result = await callModel({
+    contents: [{ parts: [{ text: prompt }] }],
+    tools: [{ google_search: {} }]
+  }, { modelType: 'fast' });
+
+  const text = getResponseText(result);
+  if (text === null) throw new Error("Glance response contained no text.");
+
+  const results = parseGlanceResponse(text, items, paragraphTexts);
+  const paragraphHashes = paragraphTexts.map(hashParagraphText);
+  items.forEach(item => {
+    const res = results[item.id];
+    if (!res) {
+      const summary = document.getElementById(`glance-summary-${item.id}`);
+      if (summary) summary.innerText = "No answer returned.";
+      return;
+    }
+    glanceResults.set(item.id, {
+      result: { ...res, citations: attachCitationHashes(res.citations, paragraphHashes) },
+      computedAt: Date.now(),
+      paragraphHashes
     });
+    renderGlanceResult(item, true);
+  });
+}
+
+/**
+ * Shows the stored result of a Glance check in its item.
+ * @param {boolean} [animate=false] - Pulse the indicator for a fresh result
+ */
+function renderGlanceResult(item, animate = false) {
+  const entry = glanceResults.get(item.id);
+  if (!entry) return;
+
+  const indicator = document.getElementById(`glance-indicator-${item.id}`);
+  const summary = document.getElementById(`glance-summary-${item.id}`);
+  const time = document.getElementById(`glance-time-${item.id}`);
+  if (indicator) {
+    indicator.className = `glance-indicator ${entry.result.status}`;
+    if (animate) {
+      indicator.classList.add("pulse");
+      setTimeout(() => indicator.classList.remove("pulse"), 500);
+    }
+  }
+  if (summary) summary.innerText = entry.result.summary;
+  if (time) {
+    time.textContent = new Date(entry.computedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    time.title = `Last checked ${new Date(entry.computedAt).toLocaleString()}`;
+  }
+  renderGlanceFindings(document.getElementById(`glance-findings-${item.id}`), entry.result, {
+    onSelectParagraph: selectParagraph,
+    onFix: () => fixGlanceFinding(item, entry.result)
+  });
+}
+
+/**
+ * Runs Glance checks against the whole document.
+ * @param {Array<Object>} [items] - Checks to run; all of them by default
+ */
+async function runGlanceChecks(items = null) {
+  if (!isProviderConfigured(loadProviderSettings())) return;
+
+  const settings = items || loadGlanceSettings();
+  if (settings.length === 0) return;
+
+  // Update UI to showing loading
+  setGlanceChecking(settings, "Checking...");
+  glanceRunInProgress = true;
 
-    const model = loadModel('fast'); // Use fast model for glance checks
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
+  try {
+    const paragraphTexts = await loadGlanceParagraphTexts();
 
     // Prepare prompt for dynamic checks
     let questionsPrompt = "";
@@ -930,166 +1469,222 @@ async function runGlanceChecks() {
 
     const prompt = `
       Analyze the following document text and answer the following questions.
-      Return the result as a JSON object where keys are the Question IDs (e.g., "q1", "q2").
-      For each question, provide:
-      - "status": "green" (no issues/good), "yellow" (minor issues/caution), or "red" (major issues/bad).
-      - "summary": A very brief summary (max 10 words).
-
-      IMPORTANT: Return ONLY the JSON object. Do not include any markdown formatting (like \`\`\`json), conversational text, or explanations.
+      ${GLANCE_ANSWER_FORMAT}
 
       Questions:
       ${questionsPrompt}
 
-      Document Text:
-      """${docText}""" 
+      Document Text (paragraphs are marked [P#]):
+      """${formatGlanceDocument(paragraphTexts)}""" 
     `;
 
-    const payload = {
-      contents: [{ parts: [{ text: prompt }] }],
-      tools: [{ google_search: {} }],
-      safetySettings: SAFETY_SETTINGS_BLOCK_NONE
-    };
-
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    const result = await response.json();
-    const candidate = result.candidates[0];
-    let text = candidate.content.parts[0].text;
-
-    // Robust JSON Extraction: Find the first '{' and the last '}'
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      text = jsonMatch[0];
-    } else {
-      // Fallback cleanup if regex fails (though regex is preferred)
-      text = text.replace(/^```json\s*/, "").replace(/^```\s*/, "").replace(/```$/, "").trim();
-    }
-
-    const json = JSON.parse(text);
-
-    // Update UI
-    settings.forEach(item => {
-      const res = json[item.id];
-      if (res) {
-        const indicator = document.getElementById(`glance-indicator-${item.id}`);
-        const summary = document.getElementById(`glance-summary-${item.id}`);
-        if (indicator) {
-          indicator.className = `glance-indicator ${res.status}`;
-          // Add pulse animation
-          indicator.classList.add("pulse");
-          setTimeout(() => indicator.classList.remove("pulse"), 500);
-        }
-        if (summary) summary.innerText = res.summary;
-      }
-    });
-
-
+    await requestGlanceAnswers(prompt, settings, paragraphTexts);
   } catch (error) {
     console.error("Glance check failed:", error);
     settings.forEach(item => {
       const summary = document.getElementById(`glance-summary-${item.id}`);
       if (summary) summary.innerText = "Error running check.";
     });
+  } finally {
+    glanceRunInProgress = false;
   }
 }
 
-// --- Checkpoint Management ---
+/**
+ * Re-runs checks after an edit by sending only the new and edited paragraphs, with each check's
+ * previous answer, instead of the whole document.
+ */
+async function runGlanceDeltaChecks(items, paragraphTexts, changedIndices, deletedCount) {
+  setGlanceChecking(items, "Updating...");
+  glanceRunInProgress = true;
 
-function getCheckpoints() {
-  const checkpointsJson = localStorage.getItem("docCheckpoints");
-  return checkpointsJson ? JSON.parse(checkpointsJson) : [];
-}
+  try {
+    let questionsPrompt = "";
+    items.forEach((item, index) => {
+      const previous = glanceResults.get(item.id).result;
+      questionsPrompt += `Question ${index + 1} (ID: "${item.id}"): ${item.question}\n`;
+      questionsPrompt += `  Previous answer: ${previous.status} - ${previous.summary}\n`;
+      if (previous.citations.length > 0) {
+        questionsPrompt += `  Previously cited: ${previous.citations.map(c => `[P${c.paragraphIndex}] "${c.excerpt}"`).join("; ")}\n`;
+      }
+    });
 
-function saveCheckpoints(checkpoints) {
-  const MAX_RETRIES = 10; // Maximum number of retry attempts
+    const changedText = formatGlanceDocument(paragraphTexts.map((text, i) => (changedIndices.includes(i + 1) ? text : "")));
+    const deletedNote = deletedCount > 0 ? `\n${deletedCount} paragraph${deletedCount === 1 ? " was" : "s were"} deleted.` : "";
 
-  let retries = 0;
-  while (retries < MAX_RETRIES) {
-    try {
-      localStorage.setItem("docCheckpoints", JSON.stringify(checkpoints));
-      return true; // Success
-    } catch (error) {
-      if (error.name === 'QuotaExceededError' && checkpoints.length > 1) {
-        // Remove 50% of checkpoints (more aggressive pruning)
-        const toRemove = Math.max(1, Math.floor(checkpoints.length / 2));
-        checkpoints.splice(0, toRemove);
-        console.warn(`QuotaExceededError: Removed ${toRemove} oldest checkpoint(s), ${checkpoints.length} remaining. Retrying...`);
-        retries++;
-      } else if (error.name === 'QuotaExceededError' && checkpoints.length <= 1) {
-        // Can't prune anymore, clear all and give up gracefully
-        console.warn("Storage quota exceeded. Clearing all checkpoints.");
-        try {
-          localStorage.removeItem("docCheckpoints");
-        } catch (e) { /* ignore */ }
-        return false; // Silently fail rather than throw
-      } else {
-        // Not a quota error
-        console.error("Failed to save checkpoints:", error);
-        return false; // Silently fail rather than throw
-      }
-    }
-  }
+    const prompt = `
+      These questions were answered for a document that has since been edited. Update the answers.
+      Only the new and edited paragraphs are shown below, with their current [P#] numbers; every other
+      paragraph is unchanged. Keep a previous citation (with its current number) when it still applies.
+      ${GLANCE_ANSWER_FORMAT}
 
-  // If we've exhausted retries, fail gracefully
-  console.warn("Unable to save checkpoint after max retries. Clearing checkpoints.");
-  try {
-    localStorage.removeItem("docCheckpoints");
-  } catch (e) { /* ignore */ }
-  return false;
-}
+      Questions and previous answers:
+      ${questionsPrompt}
 
-// function updateCheckpointStatus() { ... } removed as UI is gone.
+      New and edited paragraphs:
+      """${changedText || "(none)"}"""${deletedNote}
+    `;
 
-async function createCheckpoint(silent = false) {
-  if (!silent) {
-    addMessageToChat("System", "Saving checkpoint...");
+    await requestGlanceAnswers(prompt, items, paragraphTexts);
+  } catch (error) {
+    console.error("Glance update failed:", error);
+    items.forEach(item => renderGlanceResult(item));
+  } finally {
+    glanceRunInProgress = false;
   }
+}
+
+/**
+ * Subscribes to paragraph edits (WordApi 1.6) so checks set to run automatically stay current.
+ */
+async function registerGlanceAutoRun() {
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.6")) return;
   try {
-    return await Word.run(async (context) => {
-      const ooxml = context.document.body.getOoxml();
+    await Word.run(async (context) => {
+      context.document.onParagraphChanged.add(scheduleGlanceAutoRun);
+      context.document.onParagraphAdded.add(scheduleGlanceAutoRun);
+      context.document.onParagraphDeleted.add(scheduleGlanceAutoRun);
       await context.sync();
+    });
+  } catch (error) {
+    console.warn("Glance auto-run is unavailable:", error);
+  }
+}
 
-      // 'ooxml.value' is a base64 string of the entire document body
-      const ooxmlLength = ooxml.value.length;
-      console.log(`Checkpoint OOXML length: ${ooxmlLength}`);
+function scheduleGlanceAutoRun() {
+  clearTimeout(glanceAutoRunTimer);
+  glanceAutoRunTimer = setTimeout(runGlanceAutoChecks, GLANCE_AUTO_RUN_DELAY_MS);
+}
 
-      const checkpoints = getCheckpoints();
+async function runGlanceAutoChecks() {
+  glanceAutoRunTimer = null;
+  if (!isProviderConfigured(loadProviderSettings())) return;
 
-      // Check for quota issues roughly (5MB limit usually)
-      let totalSize = 0;
-      checkpoints.forEach(c => totalSize += c.length);
-      console.log(`Current total checkpoints size: ${totalSize}`);
+  const autoItems = loadGlanceSettings().filter(item => item.autoRun);
+  if (autoItems.length === 0) return;
 
-      let prunedCount = 0;
+  // Wait for running checks and chat requests (whose edits fire more events anyway)
+  if (glanceRunInProgress || document.getElementById("send-button").disabled) {
+    scheduleGlanceAutoRun();
+    return;
+  }
 
-      // Prune at least MIN_PRUNE_COUNT checkpoints if we need to prune any, to create a buffer
-      while ((totalSize + ooxmlLength > STORAGE_LIMITS.SAFE_LIMIT || (prunedCount > 0 && prunedCount < STORAGE_LIMITS.MIN_PRUNE_COUNT)) && checkpoints.length > 0) {
-        const removed = checkpoints.shift(); // Remove oldest
-        totalSize -= removed.length;
-        prunedCount++;
+  try {
+    const paragraphTexts = await loadGlanceParagraphTexts();
+    const currentHashes = paragraphTexts.map(hashParagraphText);
+    const fullItems = [];
+    const deltaItems = [];
+    const changedIndices = new Set();
+    let deletedCount = 0;
+
+    autoItems.forEach(item => {
+      const entry = glanceResults.get(item.id);
+      if (!entry) {
+        fullItems.push(item);
+        return;
       }
 
-      if (prunedCount > 0) {
-        console.warn(`LocalStorage quota exceeded. Removed ${prunedCount} oldest checkpoint(s).`);
-        if (!silent) {
-          addMessageToChat("System", `Storage full. Removed ${prunedCount} old checkpoint(s) to make space.`);
-        }
+      const diff = diffParagraphHashes(entry.paragraphHashes, currentHashes);
+      const { citations, changedCount } = relocateGlanceCitations(entry.result.citations, currentHashes);
+      entry.result = { ...entry.result, citations };
+      if (!isGlanceResultStale(citations, changedCount, diff)) {
+        // Still valid; only follow paragraphs that moved
+        entry.paragraphHashes = currentHashes;
+        renderGlanceResult(item);
+        return;
       }
 
-      checkpoints.push(ooxml.value);
-      saveCheckpoints(checkpoints);
+      deltaItems.push(item);
+      diff.changedIndices.forEach(index => changedIndices.add(index));
+      deletedCount = Math.max(deletedCount, diff.deletedCount);
+    });
+
+    // A delta covering most of the document is no cheaper than a full run
+    if (changedIndices.size > paragraphTexts.length / 2) {
+      fullItems.push(...deltaItems.splice(0));
+    }
+
+    if (fullItems.length > 0) {
+      await runGlanceChecks(fullItems);
+    }
+    if (deltaItems.length > 0) {
+      await runGlanceDeltaChecks(deltaItems, paragraphTexts, [...changedIndices].sort((a, b) => a - b), deletedCount);
+    }
+  } catch (error) {
+    console.error("Glance auto-run failed:", error);
+  }
+}
+
+/**
+ * Hands a Glance finding to the chat agent as a new request.
+ */
+function fixGlanceFinding(item, result) {
+  if (document.getElementById("send-button").disabled) {
+    shakeInput();
+    return;
+  }
+  sendChatMessage('fast', buildGlanceFixMessage(item, result));
+}
+
+// --- Checkpoint Management ---
+
+const HEADER_FOOTER_TYPES = ["Primary", "FirstPage", "EvenPages"];
+
+/**
+ * Reads the OOXML of every header and footer of every section, empty ones included, so restoring
+ * a checkpoint also clears what was added to them (notes travel with the body OOXML). None are
+ * skipped for having no text: a header of only images or fields has none.
+ * @returns {Promise<Array<{ sectionIndex: number, kind: "header"|"footer", type: string, ooxml: string }>>}
+ */
+async function captureHeaderFooterOoxml(context) {
+  const sections = context.document.sections;
+  sections.load("items");
+  await context.sync();
 
-      if (!silent) {
-        addMessageToChat("System", `Checkpoint saved. Total: ${checkpoints.length}`);
+  const stories = [];
+  sections.items.forEach((section, sectionIndex) => {
+    for (const type of HEADER_FOOTER_TYPES) {
+      for (const kind of ["header", "footer"]) {
+        const body = kind === "header" ? section.getHeader(type) : section.getFooter(type);
+        stories.push({ sectionIndex, kind, type, ooxmlResult: body.getOoxml() });
       }
+    }
+  });
+  await context.sync();
+  return stories.map(({ sectionIndex, kind, type, ooxmlResult }) => ({ sectionIndex, kind, type, ooxml: ooxmlResult.value }));
+}
 
-      // Return the index of the newly created checkpoint (0-based)
-      return checkpoints.length - 1;
+/**
+ * Snapshots the document body and its headers and footers into the per-document checkpoint store.
+ * @param {boolean} silent - Suppress chat status messages
+ * @param {{ message?: string, toolNames?: string[] }} metadata - What triggered the checkpoint
+ * @returns {Promise<number>} Checkpoint id, or -1 if it could not be saved
+ */
+async function createCheckpoint(silent = false, metadata = {}) {
+  if (!silent) {
+    addMessageToChat("System", "Saving checkpoint...");
+  }
+  try {
+    const { ooxml, stories } = await Word.run(async (context) => {
+      const bodyOoxml = context.document.body.getOoxml();
+      await context.sync();
+      return { ooxml: bodyOoxml.value, stories: await captureHeaderFooterOoxml(context) };
     });
+    console.log(`Checkpoint OOXML length: ${ooxml.length} (${stories.length} headers/footers)`);
+
+    const documentId = await getDocumentId();
+    const checkpointId = await saveCheckpoint({
+      documentId,
+      ooxml,
+      stories,
+      message: metadata.message,
+      toolNames: metadata.toolNames
+    }, CHECKPOINT_LIMITS.MAX_PER_DOCUMENT);
+
+    if (!silent) {
+      addMessageToChat("System", "Checkpoint saved.");
+    }
+    return checkpointId;
   } catch (error) {
     console.error("Error saving checkpoint:", error);
     if (!silent) {
@@ -1100,61 +1695,1322 @@ async function createCheckpoint(silent = false) {
 }
 
 
-async function restoreCheckpoint(index) {
-  const checkpoints = getCheckpoints();
-  if (index < 0 || index >= checkpoints.length) {
-    addMessageToChat("Error", "Invalid checkpoint index.");
-    return;
+/**
+ * @returns {Promise<boolean>} Whether the document was reverted
+ */
+async function restoreCheckpoint(checkpointId) {
+  let checkpoint = null;
+  try {
+    checkpoint = await loadCheckpoint(checkpointId);
+  } catch (error) {
+    console.error("Error loading checkpoint:", error);
   }
 
-  const msgElement = addMessageToChat("System", `Reverting to checkpoint #${index + 1}...`);
+  const documentId = await getDocumentId();
+  if (!checkpoint || checkpoint.documentId !== documentId) {
+    addMessageToChat("Error", "This checkpoint is no longer available.");
+    return false;
+  }
 
-  const targetCheckpointOoxml = checkpoints[index];
+  const savedAt = new Date(checkpoint.createdAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  const msgElement = addMessageToChat("System", `Reverting to checkpoint from ${savedAt}...`);
 
   try {
     await Word.run(async (context) => {
-      // Disable Track Changes to avoid "Delete All + Insert All" redlines
-      const doc = context.document;
-      doc.load("changeTrackingMode");
-      await context.sync();
-
-      const originalMode = doc.changeTrackingMode;
-      if (originalMode !== Word.ChangeTrackingMode.off) {
-        doc.changeTrackingMode = Word.ChangeTrackingMode.off;
-        await context.sync();
-      }
+      await replaceDocumentBody(context, checkpoint.ooxml, checkpoint.stories);
+      updateSystemMessage(msgElement, "Reverted successfully.");
+    });
+    return true;
+  } catch (error) {
+    console.error("Error reverting checkpoint:", error);
+    updateSystemMessage(msgElement, "Error: Could not revert checkpoint.");
+    return false;
+  }
+}
+
+/**
+ * Undoes one tool call of a chat turn by restoring the checkpoint taken just before it. Everything
+ * changed after it, in the same turn and in later ones, is undone with it (the Undo button asks
+ * first); earlier tool calls are kept.
+ */
+async function undoToolCall(messageElement, index, checkpointId) {
+  if (currentRequestController) return;
+  const reverted = await restoreCheckpoint(checkpointId);
+  if (!reverted) return;
+  markToolActivityUndone(messageElement, index);
+  saveCurrentChatSession();
+}
+
+/**
+ * Replaces the whole body with the given OOXML with Track Changes temporarily off,
+ * so the swap does not show up as "Delete All + Insert All" redlines.
+ * @param {Array<Object>} [stories] - Headers and footers to restore as well (see captureHeaderFooterOoxml);
+ *   those of sections that no longer exist are skipped
+ */
+async function replaceDocumentBody(context, ooxml, stories = []) {
+  const doc = context.document;
+  doc.load("changeTrackingMode");
+  await context.sync();
+
+  const originalMode = doc.changeTrackingMode;
+  if (originalMode !== Word.ChangeTrackingMode.off) {
+    doc.changeTrackingMode = Word.ChangeTrackingMode.off;
+    await context.sync();
+  }
+
+  doc.body.clear();
+  doc.body.insertOoxml(ooxml, "Replace");
+  await context.sync();
+
+  if (stories.length > 0) {
+    const sections = doc.sections;
+    sections.load("items");
+    await context.sync();
+    for (const story of stories) {
+      const section = sections.items[story.sectionIndex];
+      if (!section) continue;
+      const body = story.kind === "header" ? section.getHeader(story.type) : section.getFooter(story.type);
+      body.clear();
+      body.insertOoxml(story.ooxml, "Replace");
+    }
+    await context.sync();
+  }
+
+  if (originalMode !== Word.ChangeTrackingMode.off) {
+    doc.changeTrackingMode = originalMode;
+    await context.sync();
+  }
+}
 
-      context.document.body.clear(); // Clear the current document body
-      context.document.body.insertOoxml(targetCheckpointOoxml, "Replace");
+async function refreshCheckpointList() {
+  const container = document.getElementById("checkpoint-list");
+  if (!container) return;
+
+  try {
+    const checkpoints = await listCheckpoints(await getDocumentId());
+    populateCompareSources(
+      document.getElementById("compare-from-select"),
+      document.getElementById("compare-to-select"),
+      checkpoints
+    );
+    renderCheckpointList(container, checkpoints, {
+      onRestore: async (checkpointId) => {
+        await restoreCheckpoint(checkpointId);
+        showMainView();
+      },
+      onDelete: async (checkpointId) => {
+        await deleteCheckpoint(checkpointId);
+        refreshCheckpointList();
+      }
+    });
+  } catch (error) {
+    console.error("Error listing checkpoints:", error);
+    container.innerHTML = `<p class="settings-hint">Checkpoints are unavailable: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+async function clearDocumentCheckpoints() {
+  try {
+    await clearCheckpoints(await getDocumentId());
+  } catch (error) {
+    console.error("Error clearing checkpoints:", error);
+  }
+  refreshCheckpointList();
+}
+
+// --- Checkpoint Comparison ---
+
+let lastComparison = null;
+
+async function getComparisonSourceOoxml(value) {
+  if (value === LIVE_DOCUMENT_VALUE) {
+    return Word.run(async (context) => {
+      const bodyOoxml = context.document.body.getOoxml();
       await context.sync();
+      return bodyOoxml.value;
+    });
+  }
+
+  const checkpoint = await loadCheckpoint(Number(value));
+  if (!checkpoint || checkpoint.documentId !== await getDocumentId()) {
+    throw new Error("This checkpoint is no longer available.");
+  }
+  return checkpoint.ooxml;
+}
+
+async function runCheckpointComparison() {
+  const fromValue = document.getElementById("compare-from-select").value;
+  const toValue = document.getElementById("compare-to-select").value;
+  const resultsContainer = document.getElementById("compare-results");
+  const applyButton = document.getElementById("apply-compare-button");
 
-      // Optionally restore track changes, but reverting usually implies going back to a state.
-      // If we restore it, we might want to do it cleanly.
-      if (originalMode !== Word.ChangeTrackingMode.off) {
-        doc.changeTrackingMode = originalMode;
+  lastComparison = null;
+  applyButton.disabled = true;
+
+  if (!fromValue || !toValue) {
+    resultsContainer.innerHTML = `<p class="settings-hint">Choose two versions to compare.</p>`;
+    return;
+  }
+  if (fromValue === toValue) {
+    resultsContainer.innerHTML = `<p class="settings-hint">Both sides are the same version.</p>`;
+    return;
+  }
+
+  resultsContainer.innerHTML = `<p class="settings-hint">Comparing...</p>`;
+  try {
+    const [fromOoxml, toOoxml] = await Promise.all([
+      getComparisonSourceOoxml(fromValue),
+      getComparisonSourceOoxml(toValue)
+    ]);
+    const entries = alignParagraphs(extractParagraphModel(fromOoxml), extractParagraphModel(toOoxml));
+    renderParagraphDiff(resultsContainer, entries);
+
+    const summary = summarizeParagraphDiff(entries);
+    if (summary.modified + summary.inserted + summary.deleted > 0) {
+      lastComparison = { fromId: Number(fromValue), entries };
+      applyButton.disabled = false;
+    }
+  } catch (error) {
+    console.error("Error comparing checkpoints:", error);
+    resultsContainer.innerHTML = `<p class="settings-hint">Comparison failed: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Restores the "From" checkpoint and re-applies the differences as tracked changes,
+ * so the user can review them with Word's own Accept/Reject controls.
+ */
+async function applyComparisonAsTrackedChanges() {
+  if (!lastComparison) return;
+
+  const { changes, skipped } = buildRedlineChangesFromDiff(lastComparison.entries);
+  if (changes.length === 0) {
+    addMessageToChat("System", "None of the differences can be applied as tracked changes (only formatting or table structure changed).");
+    showMainView();
+    return;
+  }
+
+  const applyButton = document.getElementById("apply-compare-button");
+  applyButton.disabled = true;
+
+  try {
+    const fromOoxml = await getComparisonSourceOoxml(String(lastComparison.fromId));
+    const checkpointId = await createCheckpoint(true, {
+      message: "Apply comparison as tracked changes",
+      toolNames: ["compare_checkpoints"]
+    });
+
+    let changesApplied = 0;
+    await Word.run(async (context) => {
+      await replaceDocumentBody(context, fromOoxml);
+
+      const trackingState = await setChangeTrackingForAi(context, true, "Compare");
+      try {
+        context.document.load("changeTrackingMode");
         await context.sync();
+        const result = await applyRedlineChangesToWordContext(context, changes, {
+          author: loadRedlineAuthor(),
+          generateRedlines: true,
+          disableNativeTracking: true,
+          baseTrackingMode: context.document.changeTrackingMode,
+          logPrefix: "Compare"
+        });
+        changesApplied = result.changesApplied;
+      } finally {
+        await restoreChangeTracking(context, trackingState, "Compare");
       }
+    });
 
-      updateSystemMessage(msgElement, "Reverted successfully.");
+    const skippedCount = skipped + (changes.length - changesApplied);
+    const skippedNote = skippedCount > 0 ? ` ${skippedCount} difference(s) could not be applied and were skipped.` : "";
+    addMessageToChat("System", `Applied ${changesApplied} difference(s) as tracked changes.${skippedNote}`, checkpointId);
+    lastComparison = null;
+    showMainView();
+  } catch (error) {
+    console.error("Error applying comparison:", error);
+    addMessageToChat("Error", `Could not apply the comparison. ${error.message}`);
+    applyButton.disabled = false;
+  }
+}
+
+// --- Precedent Comparison ---
+
+let lastPrecedentComparison = null;
+
+async function runPrecedentComparison() {
+  const file = document.getElementById("precedent-file-input").files[0];
+  const resultsContainer = document.getElementById("precedent-compare-results");
+  const applyButton = document.getElementById("apply-precedent-button");
+
+  lastPrecedentComparison = null;
+  applyButton.disabled = true;
+
+  if (!file) {
+    resultsContainer.innerHTML = `<p class="settings-hint">Choose a .docx file to compare with.</p>`;
+    return;
+  }
+
+  resultsContainer.innerHTML = `<p class="settings-hint">Comparing...</p>`;
+  try {
+    const precedentModel = extractParagraphModel(await readDocxDocumentXml(await file.arrayBuffer()));
+    const liveModel = extractParagraphModel(await getComparisonSourceOoxml(LIVE_DOCUMENT_VALUE));
+
+    // The precedent is the base, so the report reads as this document's departures from it
+    const entries = alignParagraphs(precedentModel, liveModel);
+    renderParagraphDiff(resultsContainer, entries, {
+      insertedLabel: "Only in this document:",
+      deletedLabel: "Only in the precedent:"
     });
+
+    const summary = summarizeParagraphDiff(entries);
+    if (summary.modified + summary.inserted + summary.deleted > 0) {
+      lastPrecedentComparison = { fileName: file.name, precedentModel };
+      applyButton.disabled = false;
+    }
   } catch (error) {
-    console.error("Error reverting checkpoint:", error);
-    updateSystemMessage(msgElement, "Error: Could not revert checkpoint.");
+    console.error("Error comparing with precedent:", error);
+    resultsContainer.innerHTML = `<p class="settings-hint">Comparison failed: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Redlines the live document toward the precedent's wording. The alignment is rebuilt
+ * from the current body so paragraph indices match even if the document changed since the report.
+ */
+async function applyPrecedentAsTrackedChanges() {
+  if (!lastPrecedentComparison) return;
+
+  const applyButton = document.getElementById("apply-precedent-button");
+  applyButton.disabled = true;
+
+  try {
+    const liveModel = extractParagraphModel(await getComparisonSourceOoxml(LIVE_DOCUMENT_VALUE));
+    const { changes, skipped } = buildRedlineChangesFromDiff(alignParagraphs(liveModel, lastPrecedentComparison.precedentModel));
+    if (changes.length === 0) {
+      addMessageToChat("System", "None of the differences can be applied as tracked changes (only formatting or table structure differs).");
+      showMainView();
+      return;
+    }
+
+    const checkpointId = await createCheckpoint(true, {
+      message: `Redline to match ${lastPrecedentComparison.fileName}`,
+      toolNames: ["compare_precedent"]
+    });
+
+    let changesApplied = 0;
+    await Word.run(async (context) => {
+      const trackingState = await setChangeTrackingForAi(context, true, "PrecedentCompare");
+      try {
+        context.document.load("changeTrackingMode");
+        await context.sync();
+        const result = await applyRedlineChangesToWordContext(context, changes, {
+          author: loadRedlineAuthor(),
+          generateRedlines: true,
+          disableNativeTracking: true,
+          baseTrackingMode: context.document.changeTrackingMode,
+          logPrefix: "PrecedentCompare"
+        });
+        changesApplied = result.changesApplied;
+      } finally {
+        await restoreChangeTracking(context, trackingState, "PrecedentCompare");
+      }
+    });
+
+    const skippedCount = skipped + (changes.length - changesApplied);
+    const skippedNote = skippedCount > 0 ? ` ${skippedCount} difference(s) could not be applied and were skipped.` : "";
+    addMessageToChat("System", `Applied ${changesApplied} difference(s) from ${lastPrecedentComparison.fileName} as tracked changes.${skippedNote}`, checkpointId);
+    lastPrecedentComparison = null;
+    showMainView();
+  } catch (error) {
+    console.error("Error applying precedent comparison:", error);
+    addMessageToChat("Error", `Could not apply the comparison. ${error.message}`);
+    applyButton.disabled = false;
+  }
+}
+
+// --- Clause Library ---
+
+async function saveSelectionAsClause() {
+  const titleInput = document.getElementById("clause-title-input");
+  const tagsInput = document.getElementById("clause-tags-input");
+  const saveButton = document.getElementById("save-clause-button");
+  const container = document.getElementById("clause-list");
+
+  saveButton.disabled = true;
+  try {
+    const selection = await Word.run(async (context) => {
+      const range = context.document.getSelection();
+      range.load("text");
+      const ooxml = range.getOoxml();
+      await context.sync();
+      return { text: range.text, ooxml: ooxml.value };
+    });
+
+    if (!selection.text || selection.text.trim() === "") {
+      container.insertAdjacentHTML("afterbegin", `<p class="settings-hint">Select the paragraphs to save first.</p>`);
+      return;
+    }
+
+    await saveClause({
+      title: titleInput.value,
+      tags: tagsInput.value,
+      text: selection.text,
+      ooxml: selection.ooxml,
+      sourceDocumentId: await getDocumentId()
+    });
+    titleInput.value = "";
+    tagsInput.value = "";
+    await refreshClauseList();
+  } catch (error) {
+    console.error("Error saving clause:", error);
+    container.innerHTML = `<p class="settings-hint">Could not save clause: ${escapeHtml(error.message)}</p>`;
+  } finally {
+    saveButton.disabled = false;
+  }
+}
+
+async function refreshClauseList() {
+  const container = document.getElementById("clause-list");
+  if (!container) return;
+
+  try {
+    const query = document.getElementById("clause-filter-input").value;
+    const clauses = filterClauses(await listClauses(), query);
+    renderClauseList(container, clauses, {
+      onDelete: async (clauseId) => {
+        await deleteClause(clauseId);
+        refreshClauseList();
+      }
+    }, query.trim() !== "");
+  } catch (error) {
+    console.error("Error listing clauses:", error);
+    container.innerHTML = `<p class="settings-hint">The clause library is unavailable: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// --- Negotiation Playbook ---
+
+let lastPlaybookReview = null;
+
+function loadPlaybook() {
+  const stored = localStorage.getItem(PLAYBOOK_STORAGE_KEY);
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (e) {
+      console.error("Error parsing playbook", e);
+    }
+  }
+  return [];
+}
+
+function savePlaybook(playbook) {
+  localStorage.setItem(PLAYBOOK_STORAGE_KEY, JSON.stringify(playbook));
+}
+
+function renderPlaybook() {
+  const playbook = loadPlaybook();
+  renderPlaybookEditor(document.getElementById("playbook-list"), playbook, {
+    onChange: (index, field, value) => {
+      playbook[index][field] = value;
+      savePlaybook(playbook);
+    },
+    onDelete: (index) => {
+      playbook.splice(index, 1);
+      savePlaybook(playbook);
+      renderPlaybook();
+    }
+  });
+}
+
+async function runPlaybookReview() {
+  const container = document.getElementById("playbook-results");
+  const runButton = document.getElementById("run-playbook-button");
+  const commentButton = document.getElementById("playbook-comment-button");
+  const redlineButton = document.getElementById("playbook-redline-button");
+
+  lastPlaybookReview = null;
+  commentButton.disabled = true;
+  redlineButton.disabled = true;
+  runButton.disabled = true;
+  container.innerHTML = `<p class="settings-hint">Reviewing against the playbook...</p>`;
+
+  try {
+    const result = await executePlaybookReview(loadPlaybook());
+    if (!result.success) {
+      container.innerHTML = `<p class="settings-hint">${escapeHtml(result.message)}</p>`;
+      return;
+    }
+
+    renderPlaybookReview(container, result.rows, { onSelectParagraph: selectParagraph });
+    lastPlaybookReview = result.rows;
+    const misses = result.rows.filter(needsPlaybookAction);
+    commentButton.disabled = misses.length === 0;
+    redlineButton.disabled = !misses.some(row => row.proposedText);
+  } finally {
+    runButton.disabled = false;
+  }
+}
+
+async function applyPlaybookActions(action) {
+  if (!lastPlaybookReview) return;
+
+  // Paragraph numbers can shift after edits, so the review has to be run again before acting twice
+  const rows = lastPlaybookReview;
+  lastPlaybookReview = null;
+  document.getElementById("playbook-comment-button").disabled = true;
+  document.getElementById("playbook-redline-button").disabled = true;
+
+  // Selection-only mode limits playbook fixes the same way it limits the chat's edits
+  let paragraphScope = null;
+  if (selectionScopeEnabled) {
+    paragraphScope = await Word.run(async (context) => (await resolveSelectionScope(context)).scope);
+    if (!paragraphScope) {
+      addMessageToChat("System", "Selection-only mode is on. Select the paragraphs to work on in the document body (or turn selection-only mode off), then run the review again.");
+      return;
+    }
+  }
+
+  const checkpointId = await createCheckpoint(true, {
+    message: action === "comment" ? "Comment on playbook deviations" : "Redline playbook deviations",
+    toolNames: ["playbook_review"]
+  });
+  const result = await executePlaybookActions(rows, action, paragraphScope);
+  addMessageToChat(result.success ? "System" : "Error", result.message, result.success ? checkpointId : -1);
+}
+
+// --- Presets ---
+
+function loadPresets() {
+  const stored = localStorage.getItem(PRESETS_STORAGE_KEY);
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (e) {
+      console.error("Error parsing presets", e);
+    }
+  }
+  return [];
+}
+
+function savePresets(presets) {
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ * The settings a preset covers, as currently stored (empty system message and author when unset).
+ */
+function loadCurrentPresetSettings() {
+  return {
+    glance: loadGlanceSettings(),
+    systemMessage: localStorage.getItem("geminiSystemMessage") || "",
+    redline: {
+      enabled: loadRedlineSetting(),
+      reviewEnabled: loadRedlineReviewSetting(),
+      author: localStorage.getItem("redlineAuthor") || ""
+    }
+  };
+}
+
+function getActivePresetName(presets = loadPresets()) {
+  const match = findMatchingPreset(presets, loadCurrentPresetSettings());
+  return match ? match.name : null;
+}
+
+function renderPresets() {
+  const presets = loadPresets();
+  const activeName = getActivePresetName(presets);
+  renderPresetList(document.getElementById("preset-list"), presets, activeName, {
+    onDelete: (index) => {
+      presets.splice(index, 1);
+      savePresets(presets);
+      renderPresets();
+    }
+  });
+  renderPresetSelect(document.getElementById("preset-select"), presets, activeName);
+}
+
+function setPresetStatus(message) {
+  document.getElementById("preset-status").textContent = message;
+}
+
+function saveCurrentAsPreset() {
+  const nameInput = document.getElementById("preset-name-input");
+  // The system message is otherwise only stored on Save; keep it in step with the preset
+  localStorage.setItem("geminiSystemMessage", document.getElementById("system-message-input").value);
+
+  let preset;
+  try {
+    preset = normalizePreset({ name: nameInput.value, ...loadCurrentPresetSettings() });
+  } catch (error) {
+    setPresetStatus(error.message.replace(/^Preset 1 /, "The preset "));
+    return;
+  }
+
+  const { presets, replaced } = mergePresets(loadPresets(), [preset]);
+  savePresets(presets);
+  nameInput.value = "";
+  setPresetStatus(`${replaced ? "Updated" : "Saved"} preset "${preset.name}".`);
+  renderPresets();
+}
+
+/**
+ * Makes a preset's Glance questions, system message and redline settings the current settings.
+ * An empty author keeps the user's own.
+ */
+function applyPreset(preset) {
+  saveGlanceSettings(preset.glance);
+  localStorage.setItem("geminiSystemMessage", preset.systemMessage);
+  saveRedlineSetting(preset.redline.enabled);
+  saveRedlineReviewSetting(preset.redline.reviewEnabled);
+  if (preset.redline.author) {
+    saveRedlineAuthor(preset.redline.author);
+  }
+  // Results belong to the previous questions
+  glanceResults.clear();
+}
+
+function switchPreset(name) {
+  const preset = loadPresets().find(p => p.name === name);
+  if (!preset) {
+    renderPresets();
+    return;
+  }
+  applyPreset(preset);
+  renderPresets();
+  renderGlanceMain();
+  addMessageToChat("System", `Switched to the "${preset.name}" preset.`);
+  runGlanceChecks();
+}
+
+function exportPresets() {
+  const presets = loadPresets();
+  if (presets.length === 0) {
+    setPresetStatus("Save a preset before exporting.");
+    return;
+  }
+
+  const blob = new Blob([serializePresets(presets)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "gemini-presets.json";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setPresetStatus(`Exported ${presets.length} preset${presets.length === 1 ? "" : "s"}.`);
+}
+
+async function importPresets(file) {
+  if (!file) return;
+  try {
+    const imported = parsePresetsFile(await file.text());
+    const { presets, added, replaced } = mergePresets(loadPresets(), imported);
+    savePresets(presets);
+    setPresetStatus(`Imported ${imported.length} preset${imported.length === 1 ? "" : "s"} (${added} new, ${replaced} replaced).`);
+    renderPresets();
+  } catch (error) {
+    console.error("Preset import failed:", error);
+    setPresetStatus(`Import failed: ${error.message}`);
+  }
+}
+
+// --- Defined Terms ---
+
+async function analyzeDocumentDefinedTerms() {
+  const container = document.getElementById("defined-terms-results");
+  const commentButton = document.getElementById("comment-terms-button");
+  const fixButton = document.getElementById("fix-terms-button");
+  commentButton.disabled = true;
+  fixButton.disabled = true;
+
+  try {
+    const paragraphTexts = await Word.run(async (context) => {
+      const paragraphs = context.document.body.paragraphs;
+      paragraphs.load("items/text");
+      await context.sync();
+      return paragraphs.items.map(paragraph => paragraph.text);
+    });
+
+    const analysis = analyzeDefinedTerms(paragraphTexts.map((text, i) => ({ index: i + 1, text })));
+    renderDefinedTermsAnalysis(container, analysis, { onSelectParagraph: selectParagraph });
+    commentButton.disabled = analysis.issues.length === 0;
+    fixButton.disabled = !analysis.issues.some(issue => issue.type === "capitalization");
+  } catch (error) {
+    console.error("Error analyzing defined terms:", error);
+    container.innerHTML = `<p class="settings-hint">Analysis failed: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+async function resolveDefinedTermIssues(action) {
+  const checkpointId = await createCheckpoint(true, {
+    message: action === "comment" ? "Comment on defined-term issues" : "Fix defined-term capitalization",
+    toolNames: ["check_defined_terms"]
+  });
+  const result = await executeCheckDefinedTerms(action, action === "redline" ? { issueTypes: ["capitalization"] } : {});
+  addMessageToChat(result.success ? "System" : "Error", result.message, result.success ? checkpointId : -1);
+  await analyzeDocumentDefinedTerms();
+}
+
+// --- Find & Replace ---
+
+async function replaceAllFromForm() {
+  const options = {
+    find: document.getElementById("find-input").value,
+    replace: document.getElementById("replace-input").value,
+    matchCase: document.getElementById("find-match-case").checked,
+    wholeWord: document.getElementById("find-whole-word").checked,
+    useRegex: document.getElementById("find-use-regex").checked,
+    skipDefinitions: document.getElementById("find-skip-definitions").checked
+  };
+  if (!options.find) {
+    addMessageToChat("Error", "Enter the text to find.");
+    return;
+  }
+
+  const button = document.getElementById("find-replace-button");
+  button.disabled = true;
+  try {
+    const checkpointId = await createCheckpoint(true, {
+      message: `Replace "${options.find}" with "${options.replace}"`,
+      toolNames: ["find_and_replace"]
+    });
+    const result = await executeFindReplace(options);
+    addMessageToChat(result.success ? "System" : "Error", result.message, result.success ? checkpointId : -1);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function selectParagraph(paragraphIndex) {
+  try {
+    await Word.run(async (context) => {
+      await selectBodyParagraph(context, paragraphIndex);
+    });
+  } catch (error) {
+    console.warn("Could not select paragraph:", error);
+  }
+}
+
+// --- Cross-References ---
+
+// Tools that can add, remove or renumber numbered paragraphs
+const CROSS_REFERENCE_CHECKED_TOOLS = new Set([
+  "apply_redlines",
+  "edit_list",
+  "insert_list_item",
+  "edit_section",
+  "convert_headers_to_list",
+  "manage_tracked_changes",
+  "insert_library_clause"
+]);
+
+async function readNumberedParagraphs() {
+  return Word.run(async (context) => {
+    const enhancedContext = await extractEnhancedDocumentContext(context);
+    return enhancedContext.paragraphs;
+  });
+}
+
+/**
+ * Records the section numbering before an AI edit. Returns null when it cannot be read,
+ * in which case the post-edit check is skipped.
+ */
+async function captureCrossReferenceBaseline() {
+  try {
+    return buildSectionNumberMap(await readNumberedParagraphs());
+  } catch (error) {
+    console.warn("[CrossReferences] Could not capture numbering:", error);
+    return null;
+  }
+}
+
+/**
+ * Compares the numbering after an AI edit with the baseline and reports references the edit
+ * shifted or left dangling, with a one-click repair for shifted ones.
+ * @returns {Promise<string>} Note to append to the tool result ("" when nothing changed)
+ */
+async function reportCrossReferenceChanges(baseline) {
+  try {
+    const paragraphs = await readNumberedParagraphs();
+    const issues = validateCrossReferences(findCrossReferences(paragraphs), buildSectionNumberMap(paragraphs), baseline);
+    if (issues.length === 0) return "";
+
+    const summary = `This edit affected ${issues.length} cross-reference${issues.length === 1 ? "" : "s"}:\n${formatCrossReferenceIssues(issues)}`;
+    const messageElement = addMessageToChat("System", summary);
+    if (issues.some(issue => issue.type === "shifted")) {
+      addActionButton(messageElement, "Repair references", () => repairCrossReferences(issues), "Redline the references to their new section numbers");
+    }
+    return `\n\nCross-reference check: ${summary}`;
+  } catch (error) {
+    console.warn("[CrossReferences] Check failed:", error);
+    return "";
+  }
+}
+
+async function repairCrossReferences(issues) {
+  const checkpointId = await createCheckpoint(true, {
+    message: "Repair cross-references",
+    toolNames: ["repair_cross_references"]
+  });
+
+  try {
+    let changesApplied = 0;
+    await Word.run(async (context) => {
+      const paragraphs = context.document.body.paragraphs;
+      paragraphs.load("items/text");
+      await context.sync();
+
+      // Offsets are re-verified against the current text, so edits made since the report are skipped
+      const changes = buildCrossReferenceRepairs(issues, paragraphs.items.map((paragraph, i) => ({ index: i + 1, text: paragraph.text })));
+      if (changes.length === 0) return;
+
+      const redlineEnabled = loadRedlineSetting();
+      const trackingState = await setChangeTrackingForAi(context, redlineEnabled, "CrossReferences");
+      try {
+        context.document.load("changeTrackingMode");
+        await context.sync();
+        const result = await applyRedlineChangesToWordContext(context, changes, {
+          author: loadRedlineAuthor(),
+          generateRedlines: redlineEnabled,
+          disableNativeTracking: redlineEnabled,
+          baseTrackingMode: context.document.changeTrackingMode,
+          logPrefix: "CrossReferences"
+        });
+        changesApplied = result.changesApplied;
+      } finally {
+        await restoreChangeTracking(context, trackingState, "CrossReferences");
+      }
+    });
+
+    if (changesApplied === 0) {
+      addMessageToChat("System", "The references could not be repaired; the paragraphs have changed since the check.");
+    } else {
+      addMessageToChat("System", `Repaired cross-references in ${changesApplied} paragraph${changesApplied === 1 ? "" : "s"}.`, checkpointId);
+    }
+  } catch (error) {
+    console.error("Error repairing cross-references:", error);
+    addMessageToChat("Error", `Could not repair cross-references. ${error.message}`);
+  }
+}
+
+async function checkDocumentCrossReferences() {
+  const container = document.getElementById("cross-references-results");
+  try {
+    const paragraphs = await readNumberedParagraphs();
+    const issues = validateCrossReferences(findCrossReferences(paragraphs), buildSectionNumberMap(paragraphs));
+    renderCrossReferenceIssues(container, issues, { onSelectParagraph: selectParagraph });
+  } catch (error) {
+    console.error("Error checking cross-references:", error);
+    container.innerHTML = `<p class="settings-hint">Check failed: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+registerChatUiHandlers({
+  onCancelRequest: () => {
+    if (currentRequestController) {
+      if (isPlanRunning()) activePlan.cancelRequested = true;
+      currentRequestController.abort();
+      console.log('User cancelled request');
+    }
+  },
+  onRestoreCheckpoint: restoreCheckpoint,
+  // Tools outside a chat request (e.g. applying a comparison) keep their Revert buttons across reloads
+  onCheckpointLinked: () => {
+    if (!currentRequestController) saveCurrentChatSession();
+  },
+  onEditMessage: startMessageEdit,
+  onUndoToolCall: undoToolCall
+});
+
+// --- Conversation Memory ---
+
+async function summarizeForMemory(prompt) {
+  const result = await callModel({
+    contents: [{ parts: [{ text: prompt }] }],
+    generationConfig: { temperature: 0.1 }
+  }, { modelType: 'fast' });
+  return getResponseText(result);
+}
+
+/**
+ * Folds turns that leave the chat history into the conversation memory, in the background.
+ * The next request waits for it (see sendChatMessage).
+ */
+function rememberEvictedTurns(turns) {
+  if (!turns || turns.length === 0) return;
+  const generation = conversationMemoryGeneration;
+  conversationMemoryUpdate = conversationMemoryUpdate.then(async () => {
+    if (generation !== conversationMemoryGeneration) return;
+    setConversationMemoryBusy(true);
+    try {
+      const memory = await updateConversationMemory(conversationMemory, turns, summarizeForMemory);
+      if (generation === conversationMemoryGeneration) {
+        conversationMemory = memory;
+        saveCurrentChatSession();
+      }
+    } catch (error) {
+      console.error("Could not update the conversation memory:", error);
+    } finally {
+      setConversationMemoryBusy(false);
+    }
+  });
+}
+
+/**
+ * Replaces the chat history; turns that are dropped are remembered first.
+ */
+function replaceChatHistory(nextHistory) {
+  const keptTurns = new Set(nextHistory);
+  const dropped = chatHistory.filter(msg => !keptTurns.has(msg));
+  chatHistory = nextHistory;
+  rememberEvictedTurns(dropped);
+}
+
+// Maintain rolling window - but ensure we don't break function call/response pairs
+function applyChatHistoryWindow() {
+  const { kept, evicted } = splitHistoryWindow(chatHistory, 10);
+  chatHistory = kept;
+  rememberEvictedTurns(evicted);
+}
+
+function setConversationMemoryBusy(isBusy) {
+  const input = document.getElementById("chat-memory-input");
+  const label = document.getElementById("chat-memory-label");
+  if (input) {
+    input.readOnly = isBusy;
+    if (!isBusy) input.value = conversationMemory;
+  }
+  if (label) {
+    label.textContent = isBusy
+      ? "Conversation memory (updating...)"
+      : `Conversation memory${conversationMemory ? "" : " (empty)"}`;
+  }
+}
+
+function clearConversationMemory() {
+  conversationMemoryGeneration++;
+  conversationMemory = "";
+  setConversationMemoryBusy(false);
+}
+
+// --- Chat Sessions ---
+
+function createChatSessionState() {
+  return { id: null, title: "", createdAt: null, parentId: null };
+}
+
+/**
+ * Queues a save of the open conversation (chat history, memory and transcript with checkpoint
+ * links). A new conversation is only stored once it has a question, and is named after it.
+ * @returns {Promise<void>}
+ */
+function saveCurrentChatSession() {
+  const session = currentChatSession;
+  const history = [...chatHistory];
+  const snapshot = {
+    history,
+    memory: conversationMemory,
+    // User messages are stored with the position of their turn, for branching after a reload;
+    // the turns before it only live for the session
+    messages: getChatTranscript().map(({ turn, ...message }) => {
+      delete message.earlierTurns;
+      return turn ? { ...message, historyIndex: history.indexOf(turn) } : message;
+    })
+  };
+  if (session.id === null && !hasSessionContent(snapshot.messages)) return chatSessionSave;
+
+  chatSessionSave = chatSessionSave.then(async () => {
+    try {
+      if (!session.title) {
+        session.title = createSessionTitle(snapshot.messages.find(message => message.sender === "User").text);
+      }
+      if (!session.createdAt) session.createdAt = Date.now();
+      session.id = await saveChatSession({
+        id: session.id,
+        documentId: await getDocumentId(),
+        title: session.title,
+        createdAt: session.createdAt,
+        parentId: session.parentId,
+        ...snapshot
+      });
+    } catch (error) {
+      console.error("Could not save the conversation:", error);
+    }
+  });
+  chatSessionSave.then(refreshChatSessionList);
+  return chatSessionSave;
+}
+
+async function refreshChatSessionList() {
+  const select = document.getElementById("chat-session-select");
+  if (!select) return;
+
+  try {
+    const sessions = await listChatSessions(await getDocumentId());
+    renderChatSessionSelect(select, sessions, currentChatSession.id);
+  } catch (error) {
+    console.error("Error listing conversations:", error);
+    document.getElementById("chat-session-bar").style.display = "none";
+  }
+}
+
+function setChatSessionControlsDisabled(isDisabled) {
+  ["chat-session-select", "new-chat-session-button", "rename-chat-session-button", "delete-chat-session-button"].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.disabled = isDisabled;
+  });
+}
+
+/**
+ * Shows a stored conversation in the chat and continues it from its history and memory.
+ */
+function showChatSession(session) {
+  cancelMessageEdit();
+  dropActivePlan();
+  clearConversationMemory();
+  conversationMemory = session.memory;
+  setConversationMemoryBusy(false);
+  chatHistory = session.history;
+  currentChatSession = { id: session.id, title: session.title, createdAt: session.createdAt, parentId: session.parentId };
+  renderChatTranscript(session.messages.map(message => (
+    message.historyIndex !== undefined && session.history[message.historyIndex]
+      ? { ...message, turn: session.history[message.historyIndex] }
+      : message
+  )));
+}
+
+/**
+ * Empties the chat for a conversation that is stored once it gets its first question.
+ */
+function startNewChatSession() {
+  cancelMessageEdit();
+  dropActivePlan();
+  chatHistory = [];
+  clearConversationMemory();
+  clearChatMessages();
+  currentChatSession = createChatSessionState();
+  refreshChatSessionList();
+}
+
+/**
+ * Reopens the most recently used conversation of the document when the task pane loads.
+ */
+async function restoreLatestChatSession() {
+  try {
+    const sessions = await listChatSessions(await getDocumentId());
+    const session = sessions.length > 0 ? await loadChatSession(sessions[0].id) : null;
+    // Leave the chat alone if the user started typing to it in the meantime
+    if (session && currentChatSession.id === null && chatHistory.length === 0) {
+      showChatSession(session);
+    }
+  } catch (error) {
+    console.error("Could not restore the last conversation:", error);
+  }
+  refreshChatSessionList();
+}
+
+async function switchChatSession(value) {
+  const id = Number(value);
+  if (!id || id === currentChatSession.id) return;
+
+  await saveCurrentChatSession();
+  let session = null;
+  try {
+    session = await loadChatSession(id);
+  } catch (error) {
+    console.error("Error loading conversation:", error);
+  }
+  if (!session) {
+    addMessageToChat("Error", "This conversation is no longer available.");
+    refreshChatSessionList();
+    return;
+  }
+  showChatSession(session);
+  refreshChatSessionList();
+}
+
+function startChatSessionRename() {
+  const input = document.getElementById("chat-session-title-input");
+  input.value = currentChatSession.title;
+  document.getElementById("chat-session-select").style.display = "none";
+  input.style.display = "";
+  input.focus();
+  input.select();
+}
+
+async function finishChatSessionRename(commit) {
+  const input = document.getElementById("chat-session-title-input");
+  if (input.style.display === "none") return;
+  input.style.display = "none";
+  document.getElementById("chat-session-select").style.display = "";
+
+  const title = normalizeSessionTitle(input.value);
+  if (!commit || !title) return;
+
+  const session = currentChatSession;
+  session.title = title;
+  // An unsaved conversation keeps the name for its first save
+  await chatSessionSave;
+  if (session.id !== null) {
+    try {
+      await renameChatSession(session.id, title);
+    } catch (error) {
+      console.error("Error renaming conversation:", error);
+    }
+  }
+  refreshChatSessionList();
+}
+
+async function deleteCurrentChatSession() {
+  await chatSessionSave;
+  const { id, title } = currentChatSession;
+  if (id !== null) {
+    try {
+      await deleteChatSession(id);
+    } catch (error) {
+      console.error("Error deleting conversation:", error);
+      addMessageToChat("Error", `Could not delete the conversation. ${error.message}`);
+      return;
+    }
+  }
+  startNewChatSession();
+  if (id !== null) {
+    addMessageToChat("System", `Deleted the conversation "${title}".`);
+  }
+}
+
+// --- Conversation Branches ---
+
+/**
+ * Puts an earlier user message back in the input; sending it branches the conversation there
+ * (see branchConversationAt).
+ */
+function startMessageEdit(messageElement, text) {
+  if (currentRequestController) return;
+
+  cancelMessageEdit();
+  pendingBranchMessage = messageElement;
+  messageElement.classList.add("editing");
+  const chatInput = document.getElementById("chat-input");
+  chatInput.value = text;
+  chatInput.focus();
+  document.getElementById("chat-edit-banner").style.display = "";
+}
+
+function cancelMessageEdit() {
+  if (pendingBranchMessage) pendingBranchMessage.classList.remove("editing");
+  pendingBranchMessage = null;
+  const banner = document.getElementById("chat-edit-banner");
+  if (banner) banner.style.display = "none";
+}
+
+/**
+ * Starts a new branch of the conversation just before an earlier user message: the document goes
+ * back to how it was when that message was sent, and the history is cut at its turn. The
+ * conversation being left stays in the conversation list, ending with a Revert button that brings
+ * the document back to where it left off.
+ * @param {HTMLElement} messageElement - The user message to re-run
+ * @returns {Promise<boolean>} False when the conversation was not branched
+ */
+async function branchConversationAt(messageElement) {
+  const index = getMessageTranscriptIndex(messageElement);
+  if (index < 0) return false;
+
+  // Let the memory catch up with the branch being left before it is saved
+  await conversationMemoryUpdate;
+  const transcript = getChatTranscript();
+  const restoreId = findBranchCheckpoint(transcript, index);
+
+  if (restoreId !== -1) {
+    const endCheckpointId = await createCheckpoint(true, { message: "End of a conversation branch" });
+    if (endCheckpointId === -1) {
+      addMessageToChat("Error", "Could not save the current document, so the conversation was not branched.");
+      return false;
+    }
+    const leftMessage = addMessageToChat("System", "Branched off at an earlier message. Revert to bring the document back to where this branch ended.", endCheckpointId);
+    await saveCurrentChatSession();
+    if (!await restoreCheckpoint(restoreId)) {
+      updateSystemMessage(leftMessage, "Could not return the document to the edited message, so the conversation was not branched.");
+      return false;
+    }
+  } else {
+    await saveCurrentChatSession();
+  }
+
+  const parent = currentChatSession;
+  let branchNumber = 1;
+  try {
+    const sessions = await listChatSessions(await getDocumentId());
+    branchNumber = sessions.filter(session => session.parentId === parent.id).length + 1;
+  } catch (error) {
+    console.error("Error listing conversations:", error);
+  }
+
+  // While the turn is in the window, the memory only holds older turns and is kept. Once it has
+  // left, the memory also covers the turns being abandoned, so the branch starts from the memory
+  // and window recorded when the message was sent.
+  const editedMessage = transcript[index];
+  const turnIndex = editedMessage.turn ? chatHistory.indexOf(editedMessage.turn) : -1;
+  let memory = conversationMemory;
+  if (turnIndex >= 0) {
+    chatHistory = chatHistory.slice(0, turnIndex);
+  } else {
+    chatHistory = editedMessage.earlierTurns ? [...editedMessage.earlierTurns] : [];
+    memory = typeof editedMessage.memory === "string" ? editedMessage.memory : "";
+  }
+  clearConversationMemory();
+  conversationMemory = memory;
+  setConversationMemoryBusy(false);
+
+  currentChatSession = {
+    ...createChatSessionState(),
+    title: createBranchTitle(parent.title, branchNumber),
+    parentId: parent.id
+  };
+  renderChatTranscript(transcript.slice(0, index));
+  addMessageToChat("System", restoreId !== -1
+    ? "New branch: the document is back to how it was when the edited message was first sent. The earlier branch stays in the conversation list."
+    : "New branch from the edited message. The earlier branch stays in the conversation list.");
+  refreshChatSessionList();
+  return true;
+}
+
+// --- Plan Mode ---
+
+/**
+ * Shows the plan the model submitted in plan mode and answers its call, so the history keeps a
+ * complete call/response pair followed by a model turn.
+ */
+function showSubmittedPlan(parts, functionCallParts, request, modelType, toolNames) {
+  const planCall = functionCallParts.find(part => part.functionCall.name === "submit_plan");
+  const steps = normalizePlanSteps(planCall && planCall.functionCall.args && planCall.functionCall.args.steps, toolNames);
+
+  chatHistory.push({ role: "model", parts: parts });
+  chatHistory.push({
+    role: "user",
+    parts: functionCallParts.map(part => ({
+      functionResponse: {
+        name: part.functionCall.name,
+        response: {
+          name: part.functionCall.name,
+          content: [{ text: part === planCall && steps.length > 0 ? "The plan is shown to the user for review." : "Not available in plan mode." }]
+        }
+      }
+    }))
+  });
+  chatHistory.push({
+    role: "model",
+    parts: [{ text: steps.length > 0 ? `Proposed plan:\n${formatPlanSummary(steps)}` : "I could not propose a plan for this request." }]
+  });
+
+  if (steps.length === 0) {
+    addMessageToChat("System", "No plan was proposed. Rephrase the request or turn off Plan first.");
+    return;
+  }
+  startPlanReview(steps, request, modelType);
+}
+
+function startPlanReview(steps, request, modelType) {
+  // A newer plan replaces one that is still waiting for review
+  if (activePlan && activePlan.state === "review") {
+    activePlan.state = "discarded";
+    activePlan.render();
+  }
+
+  const plan = { steps, request, modelType, state: "review", skipRequested: false, cancelRequested: false, panel: null };
+  const handlers = {
+    onChange: () => plan.render(),
+    onRun: () => runPlan(plan),
+    onPause: () => {
+      plan.state = "pausing";
+      plan.render();
+    },
+    onSkip: () => {
+      plan.skipRequested = true;
+      if (currentRequestController) currentRequestController.abort();
+    },
+    onDiscard: () => {
+      plan.state = "discarded";
+      plan.render();
+      if (activePlan === plan) activePlan = null;
+    },
+    onRevertStep: (step) => restoreCheckpoint(step.checkpointId)
+  };
+  plan.render = () => renderPlanPanel(plan.panel, plan, handlers);
+  plan.panel = showPlanPanel(plan, handlers);
+  activePlan = plan;
+}
+
+/**
+ * Runs the included steps of a plan one at a time, each as its own chat request after a
+ * checkpoint of the document, until the plan is finished, paused or discarded.
+ */
+async function runPlan(plan) {
+  if (currentRequestController) return;
+  activePlan = plan;
+  plan.state = "running";
+
+  let index = getNextPlanStep(plan.steps);
+  while (index !== -1 && plan.state === "running") {
+    const step = plan.steps[index];
+    step.status = "running";
+    plan.skipRequested = false;
+    plan.cancelRequested = false;
+    plan.render();
+
+    step.checkpointId = await createCheckpoint(true, {
+      message: `Plan step ${index + 1}: ${step.intent}`,
+      toolNames: step.tool ? [step.tool] : []
+    });
+    // Skipped before its request started
+    let requestOutcome = "ok";
+    if (!plan.skipRequested) {
+      requestOutcome = await sendChatMessage(plan.modelType, formatPlanStepMessage(plan.steps, index, plan.request));
+    }
+
+    if (plan.skipRequested) {
+      step.status = "skipped";
+    } else if (plan.cancelRequested) {
+      // Cancelling the request pauses the plan
+      step.status = "cancelled";
+      if (plan.state === "running") plan.state = "pausing";
+    } else {
+      step.status = classifyPlanStepOutcome(toolsExecutedInCurrentRequest, requestOutcome);
+      // Later steps may build on this one, so a request that failed pauses the plan
+      if (requestOutcome === "error" && plan.state === "running") plan.state = "pausing";
+    }
+    if (plan.state === "pausing") plan.state = "paused";
+    index = getNextPlanStep(plan.steps);
+  }
+
+  if (plan.state === "running" || (plan.state === "paused" && index === -1)) {
+    plan.state = "finished";
   }
+  if (plan.state === "finished" && activePlan === plan) activePlan = null;
+  plan.render();
 }
 
-registerChatUiHandlers({
-  onCancelRequest: () => {
-    if (currentRequestController) {
-      currentRequestController.abort();
-      console.log('User cancelled request');
-    }
-  },
-  onRestoreCheckpoint: restoreCheckpoint
-});
+function isPlanRunning() {
+  return !!activePlan && (activePlan.state === "running" || activePlan.state === "pausing");
+}
+
+// The chat the plan panel lived in is gone; a running plan stops after its current step
+function dropActivePlan() {
+  if (!activePlan) return;
+  activePlan.state = "discarded";
+  activePlan = null;
+}
 
 // --- Chat Feature ---
 
+/**
+ * Sends a chat message (or a plan step or Glance fix, as `messageOverride`) and runs the tools the
+ * model calls until it answers.
+ * @returns {Promise<"ok"|"error"|"cancelled">} "error" when the request could not be sent or ended
+ *   with an error message, so a plan does not count the step as having nothing to change
+ */
 async function sendChatMessage(modelType = 'fast', messageOverride = null) {
   const chatInput = document.getElementById("chat-input");
   const sendButton = document.getElementById("send-button");
@@ -1163,7 +3019,33 @@ async function sendChatMessage(modelType = 'fast', messageOverride = null) {
 
   if (userMessage.trim() === "") {
     shakeInput();
-    return;
+    return "error";
+  }
+
+  // While a plan runs, its steps are the only requests
+  if (isPlanRunning() && !messageOverride) {
+    shakeInput();
+    return "error";
+  }
+  // In plan mode the model proposes a plan instead of changing the document (plan steps are overrides)
+  const isPlanningRequest = planModeEnabled && !messageOverride;
+
+  // Sending an edited earlier message first branches the conversation at that message
+  if (pendingBranchMessage && !messageOverride) {
+    const messageElement = pendingBranchMessage;
+    cancelMessageEdit();
+    chatInput.disabled = true;
+    sendButton.disabled = true;
+    if (thinkButton) thinkButton.disabled = true;
+    let branched = false;
+    try {
+      branched = await branchConversationAt(messageElement);
+    } finally {
+      chatInput.disabled = false;
+      sendButton.disabled = false;
+      if (thinkButton) thinkButton.disabled = false;
+    }
+    if (!branched) return "error";
   }
 
   // Hide any existing retry buttons since conversation is continuing
@@ -1178,14 +3060,16 @@ async function sendChatMessage(modelType = 'fast', messageOverride = null) {
   // Set up abort controller for this request (allows user cancellation)
   currentRequestController = new AbortController();
   const requestStartTime = Date.now();
+  currentRequestPausedMs = 0;
 
   // Lock UI
   chatInput.disabled = true;
   sendButton.disabled = true;
   if (thinkButton) thinkButton.disabled = true;
+  setChatSessionControlsDisabled(true);
 
   // Display user message
-  addMessageToChat("User", userMessage);
+  const userMessageElement = addMessageToChat("User", userMessage);
   chatInput.value = "";
 
   // Show loading indicator with typing dots and cancel button (yellow for slow, teal for fast)
@@ -1195,35 +3079,67 @@ async function sendChatMessage(modelType = 'fast', messageOverride = null) {
   chatMessages.appendChild(loadingMsg);
   chatMessages.scrollTop = chatMessages.scrollHeight;
 
-
-
-
+  let requestOutcome = "ok";
   try {
     // --- Get Document Context ---
     let docText = "";
     let docComments = [];
     let docRedlines = [];
     let docSelection = "";
+    let docDefinedTerms = [];
+    // Tracked changes anchored to paragraphs; null when the enhanced context could not provide them
+    let anchoredRedlines = null;
+    currentParagraphScope = null;
 
     await Word.run(async (context) => {
       const body = context.document.body;
+      // Comments and redlines come from the scoped paragraphs in selection-only mode
+      let richDataSource = body;
 
       // --- STAGE 1: Critical Text Retrieval ---
       // Fetch current selection & basic text first
       const selection = context.document.getSelection();
       selection.load("text");
 
+      if (selectionScopeEnabled) {
+        const selectionScope = await resolveSelectionScope(context);
+        if (!selectionScope.scope) return;
+        currentParagraphScope = selectionScope.scope;
+        richDataSource = selectionScope.range;
+      }
+
       // We'll try enhanced extraction first as it's the gold standard
       try {
-        const enhancedContext = await extractEnhancedDocumentContext(context);
-        docText = enhancedContext.formattedText;
+        const enhancedContext = await extractEnhancedDocumentContext(context, { includeRevisions: true });
+        // In selection-only mode only the scoped paragraphs are shown; they keep their document P numbers
+        const visibleParagraphs = currentParagraphScope
+          ? enhancedContext.paragraphs.slice(currentParagraphScope.startParagraphIndex - 1, currentParagraphScope.endParagraphIndex)
+          : enhancedContext.paragraphs;
+        docText = visibleParagraphs.map(p => p.enhancedLine).join("\n");
+        docDefinedTerms = analyzeDefinedTerms(enhancedContext.paragraphs).terms;
+        if (enhancedContext.trackedChanges) {
+          anchoredRedlines = enhancedContext.trackedChanges
+            .filter(change => isParagraphInScope(currentParagraphScope, change.paragraphIndex));
+        }
         console.log(`Enhanced context extracted: ${enhancedContext.paragraphs.length} paragraphs`);
       } catch (enhancedError) {
         console.warn("Enhanced context failed, falling back to simple text", enhancedError);
         // Fallback
         body.load("text");
         await context.sync();
-        docText = body.text;
+        docText = currentParagraphScope ? selection.text : body.text;
+      }
+
+      // Headers, footers and notes follow the body (they are never part of a selection scope)
+      if (!currentParagraphScope) {
+        try {
+          const storyContext = formatStoryContext(await loadDocumentStories(context));
+          if (storyContext) {
+            docText += `\n\nHEADERS, FOOTERS AND NOTES:\n${storyContext}`;
+          }
+        } catch (storyError) {
+          console.warn("Could not read headers, footers or notes, proceeding with the body only:", storyError);
+        }
       }
 
       docSelection = selection.text;
@@ -1238,25 +3154,26 @@ async function sendChatMessage(modelType = 'fast', messageOverride = null) {
         const isWordApi16 = Office.context.requirements.isSetSupported("WordApi", "1.6");
 
         if (isWordApi14) {
-          const comments = context.document.comments;
-          comments.load("items/content, items/authorName, items/creationDate");
+          // Comment threads anchored to their paragraphs, with ids for manage_comments
+          const commentThreads = (await loadParagraphCommentThreads(context))
+            .filter(thread => isParagraphInScope(currentParagraphScope, thread.paragraphIndex));
+          docComments = commentThreads.length > 0 ? formatCommentThreads(commentThreads, 100).split("\n") : [];
 
           let trackedChanges = null;
-          if (isWordApi16) {
+          if (anchoredRedlines) {
+            docRedlines = anchoredRedlines.length > 0 ? formatTrackedChangeList(anchoredRedlines, 100).split("\n") : [];
+          } else if (isWordApi16) {
             try {
-              trackedChanges = body.getTrackedChanges();
+              trackedChanges = richDataSource.getTrackedChanges();
               trackedChanges.load("items/type, items/text, items/author, items/date");
             } catch (e) { console.warn("Tracked changes not supported (API available but failed)", e); }
           } else {
             console.log("Tracked changes not supported (WordApi 1.6 required)");
           }
 
-          await context.sync(); // syncing specifically for comments/redlines
+          await context.sync(); // syncing specifically for redlines
 
           // Process optional data
-          if (comments && comments.items) {
-            docComments = comments.items.map(c => `[Comment by ${c.authorName} on ${c.creationDate}]: ${c.content}`);
-          }
           if (trackedChanges && trackedChanges.items) {
             docRedlines = trackedChanges.items.map(tc => `[${tc.type} by ${tc.author} on ${tc.date}]: "${tc.text}"`);
           }
@@ -1273,11 +3190,19 @@ async function sendChatMessage(modelType = 'fast', messageOverride = null) {
       }
 
     });
+
+    if (selectionScopeEnabled && !currentParagraphScope) {
+      removeMessage(loadingMsg);
+      addMessageToChat("System", "Selection-only mode is on. Select the paragraphs to work on in the document body (or turn selection-only mode off) and try again.");
+      return "error";
+    }
+
     // --- Check Document Size ---
-    const wordCount = docText.split(/\s+/).length;
+    // Longer documents are shown to the chat as an outline; the edit, comment and highlight tools read them in parts
+    const wordCount = countContextWords(docText);
     const estimatedTokens = Math.ceil(wordCount * DOCUMENT_LIMITS.TOKEN_MULTIPLIER);
 
-    if (wordCount > DOCUMENT_LIMITS.MAX_WORDS) {
+    if (wordCount > DOCUMENT_LIMITS.MAX_CHUNKED_WORDS) {
       removeMessage(loadingMsg);
       addMessageToChat("System", `Document is too large to process (approx. ${estimatedTokens} tokens). Please reduce the document size or select a smaller section.`);
 
@@ -1285,46 +3210,59 @@ async function sendChatMessage(modelType = 'fast', messageOverride = null) {
       chatInput.disabled = false;
       sendButton.disabled = false;
       if (thinkButton) thinkButton.disabled = false;
+      setChatSessionControlsDisabled(false);
 
-      return;
+      return "error";
     }
 
-    // --- Call Gemini API ---
-    const geminiApiKey = loadApiKey();
-    if (!geminiApiKey) {
+    // --- Call the model ---
+    if (!isProviderConfigured(loadProviderSettings())) {
       removeMessage(loadingMsg);
-      addMessageToChat("Error", "Please set your Gemini API key in the Settings (click the \u2699 icon in the top right).");
-      return;
+      addMessageToChat("Error", "Please set up your AI provider and API key in the Settings (click the \u2699 icon in the top right).");
+      return "error";
     }
 
-    const geminiModel = loadModel(modelType);
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
-
     let contextString = "";
+    if (currentParagraphScope) {
+      contextString += `SELECTION-ONLY MODE: Only ${describeParagraphScope(currentParagraphScope)} (the paragraphs the user selected) are shown below and may be changed. Edits to any other paragraph will be rejected.\n\n`;
+    }
     if (docSelection && docSelection.trim() !== "") {
       contextString += `User Highlighted Text:\n"""${docSelection}"""\n\n`;
     }
-    if (docText) {
+    if (docText && wordCount > DOCUMENT_LIMITS.MAX_WORDS) {
+      contextString += `The current document is too long to show in full (approx. ${wordCount} words). Outline of its sections and headings:\n"""${buildDocumentOutline(docText, DOCUMENT_LIMITS.CHUNK_WORDS)}"""\n`;
+      contextString += `apply_redlines, insert_comment and highlight_text still read the whole document, in parts of about ${DOCUMENT_LIMITS.CHUNK_WORDS} words, so use them for changes anywhere in it. Other tools only know the paragraphs shown here.\n\n`;
+    } else if (docText) {
       contextString += `Context from the current document:\n"""${docText}"""\n\n`;
     }
+    if (docDefinedTerms.length > 0) {
+      contextString += `Defined terms in the document:\n${docDefinedTerms.map(entry => `"${entry.term}" (defined in P${entry.definedIn[0]})`).join(", ")}\n\n`;
+    }
     if (docComments.length > 0) {
-      contextString += `Comments in the document:\n${docComments.join("\n")}\n\n`;
+      contextString += `Comment threads in the document (use the comment ids with manage_comments):\n${docComments.join("\n")}\n\n`;
     }
     if (docRedlines.length > 0) {
       contextString += `Tracked Changes (Redlines) in the document:\n${docRedlines.join("\n")}\n\n`;
     }
+    try {
+      const clauseLibraryLines = buildClauseLibraryContextLines(await listClauses());
+      if (clauseLibraryLines.length > 0) {
+        contextString += `${clauseLibraryLines.join("\n")}\n\n`;
+      }
+    } catch (clauseLibraryError) {
+      console.warn("Could not load the clause library, proceeding without it:", clauseLibraryError);
+    }
 
     const prompt = contextString
       ? `${contextString}User Question:\n${userMessage}`
       : userMessage;
 
     // Add to history
-    chatHistory.push({ role: "user", parts: [{ text: prompt }] });
+    const userTurn = { role: "user", parts: [{ text: prompt }] };
+    chatHistory.push(userTurn);
+    linkMessageToHistoryTurn(userMessageElement, userTurn);
 
-    // Maintain rolling window - but ensure we don't break function call/response pairs
-    if (chatHistory.length > 10) {
-      chatHistory = maintainHistoryWindow(chatHistory, 10);
-    }
+    applyChatHistoryWindow();
 
     // Define tools
     const tools = [
@@ -1544,20 +3482,168 @@ async function sendChatMessage(modelType = 'fast', messageOverride = null) {
               required: ["paragraphIndices"],
             },
           },
+          {
+            name: "manage_tracked_changes",
+            description: `List, accept or reject existing tracked changes (insertions, deletions and formatting changes). Use this when the user asks to accept/reject revisions, e.g. 'reject all Gemini AI edits in section 4' or 'accept John's changes in paragraphs 10-15'. Filters can be combined; omit a filter to match everything. Edits made by this add-in are attributed to the author "${loadRedlineAuthor()}". NEVER say you have accepted or rejected changes unless you have successfully called this tool.`,
+            parameters: {
+              type: "OBJECT",
+              properties: {
+                action: {
+                  type: "STRING",
+                  enum: ["list", "accept", "reject"],
+                  description: "'list' to report matching changes, 'accept' or 'reject' to resolve them",
+                },
+                author: {
+                  type: "STRING",
+                  description: "Optional: only match changes by this author (exact name, case-insensitive)",
+                },
+                startParagraphIndex: {
+                  type: "INTEGER",
+                  description: "Optional: first paragraph of the range to match (e.g., 10 for [P10])",
+                },
+                endParagraphIndex: {
+                  type: "INTEGER",
+                  description: "Optional: last paragraph of the range to match (inclusive)",
+                },
+                sectionNumber: {
+                  type: "STRING",
+                  description: "Optional: only match changes in this section, using the § numbers from the context (e.g., '4' for the whole of section 4, '4.1' for a subsection)",
+                },
+                changeTypes: {
+                  type: "ARRAY",
+                  items: { type: "STRING", enum: ["insertion", "deletion", "formatting"] },
+                  description: "Optional: only match these kinds of change",
+                },
+              },
+              required: ["action"],
+            },
+          },
+          {
+            name: "manage_comments",
+            description: "Reply to, resolve, reopen or delete existing comments, identified by the comment ids listed under 'Comment threads in the document'. Use this when the user asks to answer, close or clean up comments, e.g. 'answer every open comment from opposing counsel'. Replies are posted as the signed-in Word user. To make the text changes a comment asks for, also call `apply_redlines`. NEVER say you have replied to, resolved or deleted a comment unless you have successfully called this tool.",
+            parameters: {
+              type: "OBJECT",
+              properties: {
+                operations: {
+                  type: "ARRAY",
+                  description: "One entry per comment to change",
+                  items: {
+                    type: "OBJECT",
+                    properties: {
+                      commentId: { type: "STRING", description: "The comment id from the context (e.g., '12' for 'Comment 12')" },
+                      action: {
+                        type: "STRING",
+                        enum: ["reply", "resolve", "reopen", "delete"],
+                        description: "'reply' adds a reply to the thread, 'resolve'/'reopen' mark it done or open again, 'delete' removes the whole thread",
+                      },
+                      text: { type: "STRING", description: "For 'reply' only: the reply text" },
+                    },
+                    required: ["commentId", "action"],
+                  },
+                },
+              },
+              required: ["operations"],
+            },
+          },
+          {
+            name: "find_and_replace",
+            description: "Replace every occurrence of a word or pattern across the document (body, headers, footers and notes) as tracked changes. Runs locally and deterministically, so prefer it over `apply_redlines` for mechanical global replacements such as renaming a party ('Lessor' to 'Landlord') or updating a date format. Use `apply_redlines` when the wording around each occurrence also needs to change. NEVER say you have replaced text unless you have successfully called this tool.",
+            parameters: {
+              type: "OBJECT",
+              properties: {
+                find: { type: "STRING", description: "The text to find, or a JavaScript regular expression when useRegex is true" },
+                replace: { type: "STRING", description: "The replacement text. With useRegex, $1 or $<name> insert captured groups" },
+                useRegex: { type: "BOOLEAN", description: "Treat 'find' as a regular expression (default false)" },
+                matchCase: { type: "BOOLEAN", description: "Only match the exact capitalization (default false)" },
+                wholeWord: { type: "BOOLEAN", description: "Only match whole words, so 'Lessor' does not match 'Lessors' (default false)" },
+                skipDefinitions: { type: "BOOLEAN", description: "Leave matches inside quoted definitions such as (the \"Lessor\") unchanged (default false)" },
+              },
+              required: ["find", "replace"],
+            },
+          },
+          {
+            name: "check_defined_terms",
+            description: "Analyze the document's defined terms (quoted definitions such as (the \"Supplier\") or \"Services\" means ...). Finds terms used but never defined, defined but never used, defined twice, or used with inconsistent capitalization. Use 'list' to report, 'comment' to insert a comment at each issue, or 'redline' to fix capitalization issues as tracked changes. NEVER say you have commented on or fixed terms unless you have successfully called this tool.",
+            parameters: {
+              type: "OBJECT",
+              properties: {
+                action: {
+                  type: "STRING",
+                  enum: ["list", "comment", "redline"],
+                  description: "'list' to report the index and issues, 'comment' to comment on issues, 'redline' to fix capitalization issues",
+                },
+                issueTypes: {
+                  type: "ARRAY",
+                  items: { type: "STRING", enum: ["undefined", "unused", "capitalization", "duplicate"] },
+                  description: "Optional: only act on these kinds of issue",
+                },
+                terms: {
+                  type: "ARRAY",
+                  items: { type: "STRING" },
+                  description: "Optional: only act on issues for these terms",
+                },
+              },
+              required: ["action"],
+            },
+          },
+          {
+            name: "insert_library_clause",
+            description: "Insert a saved clause from the CLAUSE LIBRARY (listed in the context as [C#]) before or after a paragraph. Before inserting, compare the clause's defined terms and party names with this document and pass replacements so the clause matches it (e.g. the clause says \"Supplier\" but this document defines the \"Vendor\"). List numbering and formatting of the saved clause are kept. NEVER say you have inserted a clause unless you have successfully called this tool.",
+            parameters: {
+              type: "OBJECT",
+              properties: {
+                clauseId: {
+                  type: "INTEGER",
+                  description: "The clause id from the library listing (e.g., 3 for [C3])",
+                },
+                paragraphIndex: {
+                  type: "INTEGER",
+                  description: "The paragraph to insert next to (e.g., 12 for [P12])",
+                },
+                position: {
+                  type: "STRING",
+                  enum: ["after", "before"],
+                  description: "Insert after (default) or before the paragraph",
+                },
+                replacements: {
+                  type: "ARRAY",
+                  items: {
+                    type: "OBJECT",
+                    properties: {
+                      from: { type: "STRING", description: "Exact text in the clause (defined term or party name)" },
+                      to: { type: "STRING", description: "The equivalent used in this document" },
+                    },
+                    required: ["from", "to"],
+                  },
+                  description: "Optional: defined terms and party names to adapt. Whole words, case-sensitive.",
+                },
+              },
+              required: ["clauseId", "paragraphIndex"],
+            },
+          },
         ],
       },
     ];
+    const planToolNames = tools[0].function_declarations.map(declaration => declaration.name);
+
+    // Earlier turns may still be being summarized
+    await conversationMemoryUpdate;
+    setMessageBranchContext(userMessageElement, conversationMemory, chatHistory.slice(0, chatHistory.indexOf(userTurn)));
 
     const systemInstruction = {
       parts: [
         {
-          text: loadSystemMessage() + `\\n\\nDOCUMENT CONTEXT FORMAT:
+          text: loadSystemMessage() + formatMemoryForPrompt(conversationMemory) + `\\n\\nDOCUMENT CONTEXT FORMAT:
 The document content uses enhanced paragraph markers with formatting metadata:
 - [P#|Style] - Normal paragraphs with their style (e.g., [P1|Normal], [P2|Heading1])
 - [P#|ListNumber|L:level|§] - Numbered list item at nesting level, § means it's a section header
 - [P#|ListBullet|L:level] - Bullet list item at nesting level
 - [P#|Normal|§N] - Normal paragraph belonging to section N (follows a section header)
 - [P#|Normal|T:row,col] - Paragraph inside a table cell at row,col position
+- [H#] / [F#] / [FN#] / [EN#] - A header, footer, footnote or endnote, listed after the body under HEADERS, FOOTERS AND NOTES; its paragraphs are [H1.P1|Style], [FN4.P1|Style], ...
+- [P#|Normal|Rev] - Paragraph with existing tracked changes, shown inline as <ins by="Author" date="YYYY-MM-DD">inserted text</ins> and <del by="Author" date="YYYY-MM-DD">deleted text</del>
+
+EXISTING TRACKED CHANGES: Text inside <del> tags is already deleted and is NOT live text; text inside <ins> tags is live (pending acceptance). Use the tags to tell the user who changed what (e.g., the counterparty's markup), but never quote <del> text as text to find or keep, and never write the tags into tool arguments.
 
 IMPORTANT: The [P#] tags, [T:row,col] tags, and other metadata are for YOUR internal reasoning and tool usage only. 
 NEVER reference "P14", "P15", "Paragraph 14", etc. in your response to the user. The user does not see these numbers and they will be confusing (especially for table cells which the user does not count as paragraphs).
@@ -1571,6 +3657,12 @@ TOOL SELECTION GUIDANCE:
 - For editing tables: prefer \`edit_table\` to preserve structure
 - For editing legal contract sections (numbered headers + body paragraphs): prefer \`edit_section\`
 - The § marker indicates section structure - paragraphs marked §N belong to section N
+- For accepting or rejecting existing tracked changes (by author, paragraph range or section): use \`manage_tracked_changes\`
+- For replying to, resolving, reopening or deleting existing comments: use \`manage_comments\` (new comments: \`insert_comment\`)
+- Headers, footers and notes can be changed with \`apply_redlines\` and \`highlight_text\`, and commented on with \`insert_comment\` (notes only; Word does not allow comments in headers or footers). Mention the header/footer/note in the instruction (e.g., "in every footer", "in footnote 4"). The other tools only work on body paragraphs.
+- For checking defined terms (undefined, unused or inconsistently capitalized terms): use \`check_defined_terms\`
+- For replacing the same word or pattern everywhere (e.g., renaming a party): use \`find_and_replace\` instead of one \`apply_redlines\` edit per paragraph
+- For inserting a saved clause from the CLAUSE LIBRARY: use \`insert_library_clause\` and adapt its defined terms and party names to this document
 
 IMPORTANT: You have access to tools. You can chat and respond normally to questions. However, when the user asks for an action that involves manipulating the document, you should HEAVILY FAVOR using the corresponding tool rather than just describing the action.
 
@@ -1589,7 +3681,7 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
  - Ordered: Use '1. ', 'a. ', 'i. ', etc.
  - Multi-level / Outlines: Use exact numbering like '1.1.', '1.1.1.' or '2.1. ' if that is the intent.
  - Indentation: Sub-items MUST be indented by 4 spaces.
- - Do NOT use generic bullets ('-') if you want specific numbering. The engine relies on your markers (e.g., '1.1.') to detect the list type.`,
+ - Do NOT use generic bullets ('-') if you want specific numbering. The engine relies on your markers (e.g., '1.1.') to detect the list type.` + (isPlanningRequest ? buildPlanModeInstruction() : ""),
         },
       ],
     };
@@ -1604,6 +3696,8 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
 
     while (keepLooping && loopCount < DOCUMENT_LIMITS.MAX_LOOPS) {
       loopCount++;
+      // Chat bubble the answer text of this iteration streams into (created on the first text chunk)
+      let streamedResponseMsg = null;
       console.log(`Starting chat loop iteration ${loopCount} (recovery tier: ${currentRecoveryTier})`);
 
       // Check for user cancellation
@@ -1611,12 +3705,13 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
         console.log('Request cancelled by user during loop');
         removeMessage(loadingMsg);
         addMessageToChat("System", "Request cancelled.");
+        requestOutcome = "cancelled";
         keepLooping = false;
         break;
       }
 
       // Check for overall timeout
-      const elapsedTime = Date.now() - requestStartTime;
+      const elapsedTime = Date.now() - requestStartTime - currentRequestPausedMs;
       if (elapsedTime > TIMEOUT_LIMITS.TOTAL_REQUEST_TIMEOUT_MS) {
         console.warn(`Overall request timeout exceeded: ${elapsedTime}ms`);
         removeMessage(loadingMsg);
@@ -1630,10 +3725,12 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             addMessageToChat("System", successMessage + "\n\n*(Request timed out after completing some changes)*" + throttleWarning);
           } else {
             addMessageToChat("Error", "Request timed out. Some changes may have been applied." + throttleWarning);
+            requestOutcome = "error";
           }
         } else {
           // Specific message for throttle/timeout
           addMessageToChat("Error", "If you're using Gemini 3, it is in preview and your access has likely been throttled. Please go into settings and revert to Gemini 2.5.");
+          requestOutcome = "error";
 
           // Discard the timed out request from history to allow user to continue clean
           // Remove the last user message we added for this request
@@ -1652,10 +3749,11 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
       const payload = {
         contents: chatHistory,
         systemInstruction: systemInstruction,
-        tools: tools,
-        safetySettings: SAFETY_SETTINGS_BLOCK_NONE,
+        // A plan request can only submit a plan; the steps run later with all tools
+        tools: isPlanningRequest ? [{ function_declarations: [buildPlanToolDeclaration(planToolNames)] }] : tools,
         generationConfig: {
-          maxOutputTokens: API_LIMITS.MAX_OUTPUT_TOKENS
+          maxOutputTokens: API_LIMITS.MAX_OUTPUT_TOKENS,
+          thinkingConfig: { includeThoughts: true }
         },
       };
 
@@ -1663,9 +3761,17 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
 
       let result;
       try {
-        result = await callGeminiWithRetry(apiUrl, payload);
+        result = await callModelWithRetry(payload, {
+          modelType,
+          onStreamUpdate: (partialResult) => {
+            streamedResponseMsg = renderStreamProgress(loadingMsg, streamedResponseMsg, partialResult);
+          }
+        });
       } catch (apiError) {
         console.error(`API Error on iteration ${loopCount}:`, apiError);
+        // Discard any partially streamed answer; the error (or the retried request) replaces it
+        removeMessage(streamedResponseMsg);
+        streamedResponseMsg = null;
 
         // Check if this is a function call/response mismatch error
         const isFunctionCallError = apiError.message && (
@@ -1681,21 +3787,21 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             // Tier 1: Validate and clean history pairs
             console.log("Tier 1: Validating history pairs...");
             const originalLength = chatHistory.length;
-            chatHistory = validateHistoryPairs(chatHistory);
+            replaceChatHistory(validateHistoryPairs(chatHistory));
             console.log(`History cleaned: ${originalLength} -> ${chatHistory.length} messages`);
             loopCount = 0;  // Reset to retry
             continue;
           } else if (currentRecoveryTier === 2) {
             // Tier 2: Remove ALL function pairs
             console.log("Tier 2: Removing all function call/response pairs...");
-            chatHistory = removeAllFunctionPairs(chatHistory);
+            replaceChatHistory(removeAllFunctionPairs(chatHistory));
             console.log(`History after removing function pairs: ${chatHistory.length} messages`);
             loopCount = 0;
             continue;
           } else if (currentRecoveryTier === 3) {
             // Tier 3: Fresh start with original context
             console.log("Tier 3: Creating fresh start with original context...");
-            chatHistory = createFreshStartWithContext(originalUserMessage);
+            replaceChatHistory(createFreshStartWithContext(originalUserMessage));
             console.log(`History reset to fresh start: ${chatHistory.length} messages`);
             loopCount = 0;
             continue;
@@ -1708,9 +3814,10 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             if (successMessage) {
               addMessageToChat("System", successMessage + "\n\n*(Conversation refreshed)*");
               // Reset history for next request
-              chatHistory = [];
+              replaceChatHistory([]);
             } else {
               addMessageToChat("Error", "I encountered an issue with the conversation. Please try again.");
+              requestOutcome = "error";
             }
             keepLooping = false;
             break;
@@ -1727,7 +3834,7 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             } else {
               addMessageToChat("System", successMessage + "\n\n*(Conversation refreshed)*");
             }
-            chatHistory = [];
+            replaceChatHistory([]);
           }
           keepLooping = false;
           break;
@@ -1764,7 +3871,12 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
           "insert_list_item",
           "edit_table",
           "edit_section",
-          "convert_headers_to_list"
+          "convert_headers_to_list",
+          "manage_tracked_changes",
+          "manage_comments",
+          "insert_library_clause",
+          "check_defined_terms",
+          "find_and_replace"
         ];
 
         const tryParseArgs = (rawArgs) => {
@@ -1990,6 +4102,13 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
       const functionCallParts = parts.filter((part) => part.functionCall);
 
       if (functionCallParts.length > 0) {
+        if (isPlanningRequest) {
+          removeMessage(loadingMsg);
+          showSubmittedPlan(parts, functionCallParts, userMessage, modelType, planToolNames);
+          keepLooping = false;
+          break;
+        }
+
         // If this is the first loop, remove the "Thinking..." message so we can show tool status
         // Keep loading message visible during tool execution
 
@@ -2004,7 +4123,12 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
           "insert_list_item",
           "edit_table",
           "edit_section",
-          "convert_headers_to_list"
+          "convert_headers_to_list",
+          "manage_tracked_changes",
+          "manage_comments",
+          "insert_library_clause",
+          "check_defined_terms",
+          "find_and_replace"
         ]);
         let attemptedMutatingToolsThisLoop = 0;
         let successfulMutatingToolsThisLoop = 0;
@@ -2012,8 +4136,14 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
 
         for (const functionCallPart of functionCallParts) {
           const functionCall = functionCallPart.functionCall;
-          const args = functionCall.args;
+          // In selection-only mode, targets outside the selected paragraphs are refused before the tool runs
+          const scopeCheck = checkToolCallScope(functionCall.name, functionCall.args, currentParagraphScope);
+          const args = scopeCheck.allowed ? scopeCheck.args : functionCall.args;
           const instruction = args.instruction;
+          const checkpointMetadata = { message: userMessage, toolNames: [functionCall.name] };
+          const crossReferenceBaseline = CROSS_REFERENCE_CHECKED_TOOLS.has(functionCall.name)
+            ? await captureCrossReferenceBaseline()
+            : null;
 
           // Update loading message status
           if (loadingMsg) {
@@ -2031,9 +4161,18 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
 
           let toolResult = "";
           let toolSucceeded = false;
+          // Taken just before the call changes the document, so each call can be undone on its own
+          let toolCheckpointId = -1;
+          const createToolCheckpoint = async () => {
+            toolCheckpointId = await createCheckpoint(true, checkpointMetadata);
+            return toolCheckpointId;
+          };
 
-          if (functionCall.name === "apply_redlines") {
-            const checkpointIndex = await createCheckpoint(true);
+          if (!scopeCheck.allowed) {
+            toolResult = scopeCheck.reason;
+            updateSystemMessage(loadingMsg, `Skipped ${functionCall.name}: target is outside the selection.`);
+          } else if (functionCall.name === "apply_redlines") {
+            const checkpointId = await createToolCheckpoint();
             const result = await executeRedline(instruction, docText);
             toolResult = result.message;
             toolSucceeded = !!result.showToUser;
@@ -2048,13 +4187,13 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
 
             // Only show to user if there were actual changes or a true error
             if (result.showToUser) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               console.log(`Fallback in progress (0 edits): ${toolResult}`);
             }
 
           } else if (functionCall.name === "insert_comment") {
-            const checkpointIndex = await createCheckpoint(true);
+            const checkpointId = await createToolCheckpoint();
             const result = await executeComment(instruction, docText);
             toolResult = result.message;
             toolSucceeded = !!result.showToUser;
@@ -2068,13 +4207,13 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             });
 
             if (result.showToUser) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               console.log(`Fallback in progress (0 comments): ${toolResult}`);
             }
 
           } else if (functionCall.name === "highlight_text") {
-            const checkpointIndex = await createCheckpoint(true);
+            const checkpointId = await createToolCheckpoint();
             const highlightColor = args.color || "yellow";
             const result = await executeHighlight(instruction, docText, highlightColor);
             toolResult = result.message;
@@ -2089,7 +4228,7 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             });
 
             if (result.showToUser) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               console.log(`Fallback in progress (0 highlights): ${toolResult}`);
             }
@@ -2123,7 +4262,7 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
 
             updateSystemMessage(loadingMsg, `Navigated to: "${instruction}"`);
           } else if (functionCall.name === "edit_list") {
-            const checkpointIndex = await createCheckpoint(true);
+            const checkpointId = await createToolCheckpoint();
             updateSystemMessage(loadingMsg, `Editing list from P${args.startParagraphIndex} to P${args.endParagraphIndex}...`);
 
             const result = await executeEditList(
@@ -2145,12 +4284,12 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             });
 
             if (result.success) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               updateSystemMessage(loadingMsg, toolResult);
             }
           } else if (functionCall.name === "insert_list_item") {
-            const checkpointIndex = await createCheckpoint(true);
+            const checkpointId = await createToolCheckpoint();
             updateSystemMessage(loadingMsg, `Inserting list item after P${args.afterParagraphIndex}...`);
 
             const result = await executeInsertListItem(
@@ -2170,12 +4309,12 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             });
 
             if (result.success) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               updateSystemMessage(loadingMsg, toolResult);
             }
           } else if (functionCall.name === "edit_table") {
-            const checkpointIndex = await createCheckpoint(true);
+            const checkpointId = await createToolCheckpoint();
             updateSystemMessage(loadingMsg, `Editing table (${args.action})...`);
 
             const result = await executeEditTable(
@@ -2197,12 +4336,12 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             });
 
             if (result.success) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               updateSystemMessage(loadingMsg, toolResult);
             }
           } else if (functionCall.name === "edit_section") {
-            const checkpointIndex = await createCheckpoint(true);
+            const checkpointId = await createToolCheckpoint();
             updateSystemMessage(loadingMsg, `Editing section at P${args.sectionHeaderIndex}...`);
 
             const result = await executeEditSection(
@@ -2223,12 +4362,12 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             });
 
             if (result.success) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               updateSystemMessage(loadingMsg, toolResult);
             }
           } else if (functionCall.name === "convert_headers_to_list") {
-            const checkpointIndex = await createCheckpoint(true);
+            const checkpointId = await createToolCheckpoint();
             updateSystemMessage(loadingMsg, `Converting ${args.paragraphIndices?.length || 0} headers to numbered list...`);
 
             const result = await executeConvertHeadersToList(
@@ -2248,12 +4387,148 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             });
 
             if (result.success) {
-              updateSystemMessage(loadingMsg, toolResult, checkpointIndex);
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
+            } else {
+              updateSystemMessage(loadingMsg, toolResult);
+            }
+          } else if (functionCall.name === "manage_tracked_changes") {
+            const isListOnly = String(args.action || "").toLowerCase() === "list";
+            const checkpointId = isListOnly ? -1 : await createToolCheckpoint();
+            updateSystemMessage(loadingMsg, isListOnly ? "Reviewing tracked changes..." : `Resolving tracked changes (${args.action})...`);
+
+            const result = await executeManageTrackedChanges(args.action, {
+              author: args.author,
+              startParagraphIndex: args.startParagraphIndex,
+              endParagraphIndex: args.endParagraphIndex,
+              sectionNumber: args.sectionNumber,
+              changeTypes: args.changeTypes
+            });
+            toolResult = result.message;
+            toolSucceeded = !!result.success;
+
+            // Track successful tool execution
+            toolsExecutedInCurrentRequest.push({
+              name: functionCall.name,
+              instruction: `manage_tracked_changes: ${args.action}`,
+              result: toolResult,
+              success: result.success
+            });
+
+            if (result.success) {
+              updateSystemMessage(loadingMsg, isListOnly ? "Reviewed tracked changes." : toolResult, checkpointId);
+            } else {
+              updateSystemMessage(loadingMsg, toolResult);
+            }
+          } else if (functionCall.name === "manage_comments") {
+            const checkpointId = await createToolCheckpoint();
+            const operationCount = Array.isArray(args.operations) ? args.operations.length : 0;
+            updateSystemMessage(loadingMsg, `Updating ${operationCount} comment${operationCount === 1 ? "" : "s"}...`);
+
+            const result = await executeManageComments(args.operations);
+            toolResult = result.message;
+            toolSucceeded = !!result.success;
+
+            // Track successful tool execution
+            toolsExecutedInCurrentRequest.push({
+              name: functionCall.name,
+              instruction: `manage_comments: ${operationCount} operation${operationCount === 1 ? "" : "s"}`,
+              result: toolResult,
+              success: result.success
+            });
+
+            if (result.success) {
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
+            } else {
+              updateSystemMessage(loadingMsg, toolResult);
+            }
+          } else if (functionCall.name === "find_and_replace") {
+            const checkpointId = await createToolCheckpoint();
+            updateSystemMessage(loadingMsg, `Replacing "${args.find}"...`);
+
+            const result = await executeFindReplace(args);
+            toolResult = result.message;
+            toolSucceeded = !!result.success;
+
+            // Track successful tool execution
+            toolsExecutedInCurrentRequest.push({
+              name: functionCall.name,
+              instruction: `find_and_replace: "${args.find}" -> "${args.replace}"`,
+              result: toolResult,
+              success: result.success
+            });
+
+            if (result.success) {
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
+            } else {
+              updateSystemMessage(loadingMsg, toolResult);
+            }
+          } else if (functionCall.name === "check_defined_terms") {
+            const isListOnly = String(args.action || "list").toLowerCase() === "list";
+            const checkpointId = isListOnly ? -1 : await createToolCheckpoint();
+            updateSystemMessage(loadingMsg, isListOnly ? "Checking defined terms..." : `Resolving defined-term issues (${args.action})...`);
+
+            const result = await executeCheckDefinedTerms(args.action, {
+              issueTypes: args.issueTypes,
+              terms: args.terms
+            });
+            toolResult = result.message;
+            toolSucceeded = !!result.success;
+
+            // Track successful tool execution
+            toolsExecutedInCurrentRequest.push({
+              name: functionCall.name,
+              instruction: `check_defined_terms: ${args.action}`,
+              result: toolResult,
+              success: result.success
+            });
+
+            if (result.success) {
+              updateSystemMessage(loadingMsg, isListOnly ? "Checked defined terms." : toolResult, checkpointId);
+            } else {
+              updateSystemMessage(loadingMsg, toolResult);
+            }
+          } else if (functionCall.name === "insert_library_clause") {
+            const checkpointId = await createToolCheckpoint();
+            updateSystemMessage(loadingMsg, `Inserting clause C${args.clauseId}...`);
+
+            const result = await executeInsertLibraryClause(
+              args.clauseId,
+              args.paragraphIndex,
+              args.position,
+              args.replacements
+            );
+            toolResult = result.message;
+            toolSucceeded = !!result.success;
+
+            // Track successful tool execution
+            toolsExecutedInCurrentRequest.push({
+              name: functionCall.name,
+              instruction: `insert_library_clause: C${args.clauseId}`,
+              result: toolResult,
+              success: result.success
+            });
+
+            if (result.success) {
+              updateSystemMessage(loadingMsg, toolResult, checkpointId);
             } else {
               updateSystemMessage(loadingMsg, toolResult);
             }
           }
 
+          if (crossReferenceBaseline && toolSucceeded) {
+            toolResult += await reportCrossReferenceChanges(crossReferenceBaseline);
+          }
+
+          if (loadingMsg && toolCheckpointId !== -1) {
+            addToolActivity(loadingMsg, {
+              name: functionCall.name,
+              label: getToolLabel(functionCall.name),
+              result: toolResult,
+              success: toolSucceeded,
+              checkpointId: toolCheckpointId
+            });
+          }
+
           const isMutatingTool = mutatingToolNames.has(functionCall.name);
           if (isMutatingTool) {
             attemptedMutatingToolsThisLoop++;
@@ -2333,7 +4608,7 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
             }
             // Reset conversation history to avoid carrying forward orphaned
             // function-call/function-response turns into the next request.
-            chatHistory = [];
+            replaceChatHistory([]);
             keepLooping = false;
             break;
           }
@@ -2357,15 +4632,16 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
         if (toolsExecutedInCurrentRequest.length === 0) {
           removeMessage(loadingMsg);
         }
-        addMessageToChat("Gemini", aiResponse);
+        if (streamedResponseMsg) {
+          updateChatMessage(streamedResponseMsg, "Gemini", aiResponse);
+        } else {
+          addMessageToChat("Gemini", aiResponse);
+        }
         keepLooping = false;
       }
     }
 
-    // Maintain rolling window - but ensure we don't break function call/response pairs
-    if (chatHistory.length > 10) {
-      chatHistory = maintainHistoryWindow(chatHistory, 10);
-    }
+    applyChatHistoryWindow();
 
   } catch (error) {
     console.error("Error calling Gemini API:", error);
@@ -2374,7 +4650,9 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
     if (error.message === 'Request cancelled by user') {
       removeMessage(loadingMsg);
       addMessageToChat("System", "Request cancelled.");
+      requestOutcome = "cancelled";
     } else {
+      requestOutcome = "error";
       // Only remove loadingMsg if no tools were executed (meaning it's still a "Thinking" message)
       if (toolsExecutedInCurrentRequest.length === 0) {
         removeMessage(loadingMsg);
@@ -2403,25 +4681,81 @@ CRITICAL: Do NOT use internal paragraph markers (like [P#] or P#) or internal ID
   } finally {
     // Clear the global abort controller
     currentRequestController = null;
+    currentParagraphScope = null;
+    // Status updates keep the cancel button; it has nothing left to cancel now
+    const leftoverCancelBtn = loadingMsg.querySelector(".cancel-request-btn");
+    if (leftoverCancelBtn) leftoverCancelBtn.remove();
 
     // Unlock UI
     chatInput.disabled = false;
     sendButton.disabled = false;
     if (thinkButton) thinkButton.disabled = false;
+    setChatSessionControlsDisabled(false);
     chatInput.focus();
+
+    saveCurrentChatSession();
+  }
+  return requestOutcome;
+}
+
+/**
+ * Shows a streaming response as it arrives: thought summaries and upcoming tool calls as status in
+ * the loading message, answer text in its own chat bubble.
+ * @returns {HTMLElement|null} The answer bubble, created on the first text chunk
+ */
+function renderStreamProgress(loadingMsg, responseMsg, partialResult) {
+  const progress = describeStreamProgress(partialResult);
+
+  if (progress.functionCalls.length > 0) {
+    const calls = progress.functionCalls.map(call => {
+      const instruction = call.args && call.args.instruction;
+      return instruction ? `${call.name} ("${instruction}")` : call.name;
+    });
+    updateSystemMessage(loadingMsg, `Preparing ${calls.join(", ")}...`);
+  } else if (progress.thought && !progress.text) {
+    updateSystemMessage(loadingMsg, `Thinking: ${progress.thought}`);
+  }
+
+  if (!progress.text.trim()) return responseMsg;
+  if (!responseMsg) {
+    return addMessageToChat("Gemini", progress.text);
   }
+  updateChatMessage(responseMsg, "Gemini", progress.text);
+  return responseMsg;
 }
 
-// Helper with retry logic and timeout support
-async function callGeminiWithRetry(url, payload, retries = 3, backoff = 1000) {
+/**
+ * Sends a request to the configured provider and model.
+ * @param {Object} request - Gemini generateContent body (see modules/llm/llm-client.js)
+ * @param {{ modelType?: 'fast'|'slow', signal?: AbortSignal, onStreamUpdate?: Function }} options
+ */
+function callModel(request, { modelType = 'fast', signal, onStreamUpdate = null } = {}) {
+  return generateContent(request, {
+    settings: loadProviderSettings(),
+    model: loadModel(modelType),
+    signal,
+    onStreamUpdate
+  });
+}
+
+// Helper with retry logic and timeout support.
+// The response is streamed: onStreamUpdate receives the response so far after every chunk,
+// and the timeout only fires when no data arrives for FETCH_TIMEOUT_MS.
+async function callModelWithRetry(request, { modelType = 'fast', retries = 3, backoff = 1000, onStreamUpdate = null } = {}) {
   for (let i = 0; i < retries; i++) {
     // Create abort controller for this specific fetch attempt
     const fetchController = new AbortController();
 
-    // Create timeout that will abort the fetch
-    const timeoutId = setTimeout(() => {
-      fetchController.abort();
-    }, TIMEOUT_LIMITS.FETCH_TIMEOUT_MS);
+    // Create timeout that will abort the fetch (re-armed on every streamed chunk)
+    let timeoutId = null;
+    const armTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        fetchController.abort();
+      }, TIMEOUT_LIMITS.FETCH_TIMEOUT_MS);
+    };
+    armTimeout();
+    let onGlobalAbort = null;
 
     try {
       // Also check if the global request controller was aborted (user cancelled)
@@ -2430,52 +4764,20 @@ async function callGeminiWithRetry(url, payload, retries = 3, backoff = 1000) {
       }
 
       // Listen for global cancellation
-      const onGlobalAbort = () => fetchController.abort();
+      onGlobalAbort = () => fetchController.abort();
       if (currentRequestController) {
         currentRequestController.signal.addEventListener('abort', onGlobalAbort);
       }
 
-      const response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-        signal: fetchController.signal
-      });
-
-      // Clean up listeners
-      clearTimeout(timeoutId);
-      if (currentRequestController) {
-        currentRequestController.signal.removeEventListener('abort', onGlobalAbort);
-      }
-
-      if (!response.ok) {
-        const text = await response.text();
-
-        // Check for the specific function call/response error (400 error)
-        const isFunctionCallError = response.status === 400 &&
-          text.includes("function response turn comes immediately after a function call turn");
-
-        if (isFunctionCallError) {
-          // Don't retry this error here - let the caller handle it
-          throw new Error(`API failed: ${text}`);
-        }
-
-        // Only retry on 5xx errors
-        if (response.status >= 500 && response.status < 600) {
-          console.warn(`Attempt ${i + 1} failed with ${response.status}: ${text}`);
-          if (i === retries - 1) throw new Error(`API failed after ${retries} attempts: ${text}`);
-          // Wait before retrying
-          await new Promise(r => setTimeout(r, backoff * Math.pow(2, i))); // Exponential backoff
-          continue;
+      return await callModel(request, {
+        modelType,
+        signal: fetchController.signal,
+        onStreamUpdate: (accumulated) => {
+          armTimeout();
+          if (onStreamUpdate) onStreamUpdate(accumulated);
         }
-
-        throw new Error(`API failed: ${text}`);
-      }
-
-      return await response.json();
+      });
     } catch (error) {
-      clearTimeout(timeoutId);
-
       // Check if this was a user cancellation
       if (error.name === 'AbortError' || error.message === 'Request cancelled by user') {
         if (currentRequestController && currentRequestController.signal.aborted) {
@@ -2490,14 +4792,22 @@ async function callGeminiWithRetry(url, payload, retries = 3, backoff = 1000) {
         continue;
       }
 
-      // If it's the function call error, throw immediately without retry
+      // If it's the function call error, throw immediately without retry - let the caller handle it
       if (error.message && error.message.includes("function response turn comes immediately after a function call turn")) {
         throw error;
       }
 
-      if (i === retries - 1) throw error;
+      if (i === retries - 1) {
+        throw error.status >= 500 ? new Error(`API failed after ${retries} attempts: ${error.message.replace(/^API failed: /, "")}`) : error;
+      }
       console.warn(`Attempt ${i + 1} failed: ${error.message}`);
-      await new Promise(r => setTimeout(r, backoff * Math.pow(2, i)));
+      await new Promise(r => setTimeout(r, backoff * Math.pow(2, i))); // Exponential backoff
+    } finally {
+      // Clean up listeners
+      clearTimeout(timeoutId);
+      if (currentRequestController && onGlobalAbort) {
+        currentRequestController.signal.removeEventListener('abort', onGlobalAbort);
+      }
     }
   }
 }
@@ -4,6 +4,7 @@ import assert from 'assert';
 import {
     applyWordOperation
 } from '../../src/taskpane/modules/docx-redline-js-integration/word-operation-runner.js';
+import { routeWordParagraphChange } from '../../src/taskpane/modules/docx-redline-js-integration/word-route-change.js';
 import {
     extractReplacementNodesFromOoxml,
     getParagraphText
@@ -421,6 +422,18 @@ async function testInsertionErrorsPropagateWithoutLegacyFallback() {
     );
 }
 
+async function testRouteRejectsParagraphsOutsideScope() {
+    const paragraphScope = { startParagraphIndex: 2, endParagraphIndex: 3 };
+    await assert.rejects(
+        routeWordParagraphChange({}, createMockParagraph(buildParagraphXml('Outside')), createMockContext(), { paragraphScope, paragraphIndex: 5 }),
+        /P5 is outside the allowed paragraphs P2\.\.P3/
+    );
+    await assert.rejects(
+        routeWordParagraphChange({}, createMockParagraph(buildParagraphXml('Unknown')), createMockContext(), { paragraphScope }),
+        /paragraphIndex is required/
+    );
+}
+
 async function run() {
     await testSingleParagraphRedlineApply();
     await testAdapterCallsRunnerAndNoOpsWithoutChanges();
@@ -431,6 +444,7 @@ async function run() {
     await testSingleParagraphHighlightApply();
     await testSingleParagraphCommentApply();
     await testInsertionErrorsPropagateWithoutLegacyFallback();
+    await testRouteRejectsParagraphsOutsideScope();
     console.log('PASS: word operation runner adapter tests');
 }
 
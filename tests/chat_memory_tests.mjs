@@ -0,0 +1,69 @@
+import assert from 'assert';
+import {
+    splitHistoryWindow,
+    formatTurnsForMemory,
+    buildMemoryUpdatePrompt,
+    appendTranscriptToMemory,
+    updateConversationMemory,
+    formatMemoryForPrompt
+} from '../src/taskpane/modules/chat/chat-history.js';
+
+const user = (text) => ({ role: 'user', parts: [{ text }] });
+const model = (text) => ({ role: 'model', parts: [{ text: 'thinking...', thought: true }, { text }] });
+const call = (name, args) => ({ role: 'model', parts: [{ functionCall: { name, args } }] });
+const response = (name, text) => ({ role: 'user', parts: [{ functionResponse: { name, response: { name, content: [{ text }] } } }] });
+
+async function run() {
+    const history = [
+        user('Context from the current document:\n"""[P1|Normal] Long text"""\n\nUser Question:\nShorten the notice period to 30 days'),
+        call('apply_redlines', { instruction: 'Change 60 days to 30 days in the Termination clause' }),
+        response('apply_redlines', 'Successfully applied 1 edits with redlines.'),
+        model('Done. The notice period is now 30 days.'),
+        user('User Question:\nKeep it, and flag the indemnity cap'),
+        model('Noted.')
+    ];
+
+    const { kept, evicted } = splitHistoryWindow(history, 3);
+    assert.deepStrictEqual(kept, history.slice(4), 'the newest turns are kept, starting with a user turn');
+    assert.deepStrictEqual(evicted, history.slice(0, 4), 'a call leaves with its response, and so does a dropped leading answer');
+    assert.deepStrictEqual(splitHistoryWindow(history, 10), { kept: history, evicted: [] });
+
+    const transcript = formatTurnsForMemory(evicted.slice(0, 3));
+    assert.strictEqual(transcript, [
+        'User: Shorten the notice period to 30 days',
+        'Tool call apply_redlines: {"instruction":"Change 60 days to 30 days in the Termination clause"}',
+        'Tool result apply_redlines: Successfully applied 1 edits with redlines.'
+    ].join('\n'), 'document context and thoughts are left out');
+    assert.ok(!formatTurnsForMemory([model('Noted.')]).includes('thinking'));
+    assert.strictEqual(formatTurnsForMemory([{ role: 'user', parts: [{ text: '  ' }] }]), '');
+
+    const prompt = buildMemoryUpdatePrompt('- Governing law stays New York', transcript);
+    assert.ok(prompt.includes('CURRENT MEMORY:\n- Governing law stays New York'));
+    assert.ok(prompt.endsWith(transcript));
+
+    let receivedPrompt = null;
+    const summarized = await updateConversationMemory('- Governing law stays New York', evicted, async (text) => {
+        receivedPrompt = text;
+        return '  - Governing law stays New York\n- Notice period changed to 30 days (redlined)  ';
+    });
+    assert.strictEqual(summarized, '- Governing law stays New York\n- Notice period changed to 30 days (redlined)');
+    assert.ok(receivedPrompt.includes('Tool result apply_redlines'));
+
+    const fallback = await updateConversationMemory('- Earlier decision', evicted, async () => { throw new Error('offline'); });
+    assert.ok(fallback.startsWith('- Earlier decision\n- User: Shorten the notice period'), 'a failed summary appends the transcript');
+    assert.strictEqual(await updateConversationMemory('- Same', [], async () => 'unused'), '- Same', 'nothing to remember leaves the memory alone');
+
+    const long = appendTranscriptToMemory('- oldest line', Array(200).fill('x'.repeat(40)).join('\n'));
+    assert.ok(long.length <= 4000);
+    assert.ok(!long.includes('oldest line'), 'the oldest lines go first');
+
+    assert.strictEqual(formatMemoryForPrompt('  '), '');
+    assert.ok(formatMemoryForPrompt('- Keep the 30-day notice').endsWith('\n- Keep the 30-day notice'));
+}
+
+run().then(() => {
+    console.log('PASS: chat memory tests');
+}).catch((error) => {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+});
@@ -0,0 +1,137 @@
+import assert from 'assert';
+import {
+    normalizeSessionTitle,
+    createSessionTitle,
+    normalizeSessionMessages,
+    normalizeToolActivity,
+    hasSessionContent,
+    selectSessionsToPrune,
+    findBranchCheckpoint,
+    createBranchTitle,
+    orderSessionTree
+} from '../src/taskpane/modules/commands/chat-session-utils.js';
+
+function run() {
+    assert.strictEqual(normalizeSessionTitle('  Indemnity\n review  '), 'Indemnity review');
+    assert.strictEqual(normalizeSessionTitle('   '), '');
+    assert.strictEqual(normalizeSessionTitle(null), '');
+    assert.strictEqual(normalizeSessionTitle('x'.repeat(80)).length, 60, 'titles are cut to the maximum length');
+
+    assert.strictEqual(createSessionTitle('Tighten the confidentiality clause'), 'Tighten the confidentiality clause');
+    assert.strictEqual(createSessionTitle('  '), 'Untitled conversation');
+    const longTitle = createSessionTitle('Please review the limitation of liability clause and propose a mutual cap of twelve months of fees');
+    assert.ok(longTitle.endsWith('…'), 'long questions are marked as cut');
+    assert.ok(longTitle.length <= 60);
+    assert.strictEqual(longTitle, 'Please review the limitation of liability clause and…', 'cut at a word boundary');
+
+    const messages = normalizeSessionMessages([
+        { sender: 'User', text: 'Fix the notice period' },
+        { sender: 'System', text: 'Applied 2 edits.', checkpointId: 7 },
+        { sender: 'System', text: 'Status', checkpointId: '7' },
+        { sender: 'Gemini', text: '   ' },
+        { sender: 'Robot', text: 'Unknown sender' },
+        null
+    ]);
+    assert.deepStrictEqual(messages, [
+        { sender: 'User', text: 'Fix the notice period', checkpointId: -1 },
+        { sender: 'System', text: 'Applied 2 edits.', checkpointId: 7 },
+        { sender: 'System', text: 'Status', checkpointId: -1 }
+    ]);
+    const many = Array.from({ length: 320 }, (_, i) => ({ sender: 'Gemini', text: `Reply ${i}` }));
+    const kept = normalizeSessionMessages(many);
+    assert.strictEqual(kept.length, 300, 'only the latest messages are kept');
+    assert.strictEqual(kept[0].text, 'Reply 20');
+    assert.deepStrictEqual(normalizeSessionMessages(undefined), []);
+    assert.deepStrictEqual(normalizeSessionMessages([
+        { sender: 'User', text: 'Shorten clause 4', historyIndex: 3 },
+        { sender: 'User', text: 'Evicted question', historyIndex: -1, memory: 'User asked about clause 2.' },
+        { sender: 'Gemini', text: 'Done.', historyIndex: 4, memory: 'Not kept' }
+    ]), [
+        { sender: 'User', text: 'Shorten clause 4', checkpointId: -1, historyIndex: 3 },
+        { sender: 'User', text: 'Evicted question', checkpointId: -1, memory: 'User asked about clause 2.' },
+        { sender: 'Gemini', text: 'Done.', checkpointId: -1 }
+    ], 'only user messages keep a history position and memory');
+    assert.deepStrictEqual(normalizeSessionMessages([
+        { sender: 'System', text: 'Applied 2 edits.', checkpointId: -1, undone: true },
+        { sender: 'System', text: 'Applied 1 edit.', checkpointId: 9, undone: 'yes' }
+    ]), [
+        { sender: 'System', text: 'Applied 2 edits.', checkpointId: -1, undone: true },
+        { sender: 'System', text: 'Applied 1 edit.', checkpointId: 9 }
+    ], 'messages taken back by a later undo stay marked');
+
+    const activity = normalizeToolActivity([
+        { name: 'apply_redlines', label: 'Edits', result: 'Applied 3 edits.', success: true, checkpointId: 11 },
+        { name: 'edit_list', result: 'x'.repeat(600), success: true, checkpointId: 12, undone: true },
+        { name: 'insert_comment', label: 'Comments', result: 'No comments inserted.', success: false, checkpointId: -1 },
+        { label: 'Nameless', checkpointId: 13 },
+        null
+    ]);
+    assert.deepStrictEqual(activity.map(entry => [entry.name, entry.label, entry.checkpointId, entry.undone]), [
+        ['apply_redlines', 'Edits', 11, false],
+        ['edit_list', 'edit_list', 12, true]
+    ], 'tool calls without a checkpoint or name are dropped; a missing label falls back to the name');
+    assert.strictEqual(activity[1].result.length, 500, 'long results are cut');
+    assert.deepStrictEqual(normalizeToolActivity(undefined), []);
+    assert.deepStrictEqual(normalizeSessionMessages([
+        { sender: 'System', text: 'Converted the list.', checkpointId: 11, activity },
+        { sender: 'System', text: 'Nothing changed.', checkpointId: -1, activity: [] },
+        { sender: 'Gemini', text: 'Done.', activity }
+    ]).map(message => message.activity && message.activity.length), [2, undefined, undefined],
+    'only status messages keep the tool calls of their turn');
+
+    assert.strictEqual(hasSessionContent(messages), true);
+    assert.strictEqual(hasSessionContent([{ sender: 'System', text: 'Started a new conversation.' }]), false);
+    assert.strictEqual(hasSessionContent(null), false);
+
+    const sessions = [
+        { id: 1, updatedAt: 100 },
+        { id: 2, updatedAt: 400 },
+        { id: 3, updatedAt: 200 },
+        { id: 4, updatedAt: 300 }
+    ];
+    assert.deepStrictEqual(selectSessionsToPrune(sessions, 2), [1, 3], 'least recently used conversations go first');
+    assert.deepStrictEqual(selectSessionsToPrune(sessions, 2, 1), [3, 4], 'the open conversation is never pruned');
+    assert.deepStrictEqual(selectSessionsToPrune(sessions, 10), []);
+    assert.deepStrictEqual(selectSessionsToPrune(null, 3), []);
+
+    const transcript = [
+        { sender: 'User', text: 'Fix the notice period', checkpointId: -1 },
+        { sender: 'Gemini', text: 'Which one?', checkpointId: -1 },
+        { sender: 'User', text: 'Clause 12', checkpointId: -1 },
+        { sender: 'System', text: 'Applied 1 edit.', checkpointId: 11 },
+        { sender: 'System', text: 'Added 2 comments.', checkpointId: 12 },
+        { sender: 'User', text: 'Thanks', checkpointId: -1 }
+    ];
+    assert.strictEqual(findBranchCheckpoint(transcript, 0), 11, 'the first checkpoint after the message restores its document state');
+    assert.strictEqual(findBranchCheckpoint(transcript, 2), 11);
+    assert.strictEqual(findBranchCheckpoint(transcript, 5), -1, 'the document was not changed after the last message');
+    assert.strictEqual(findBranchCheckpoint(null, 0), -1);
+
+    assert.strictEqual(createBranchTitle('Notice period', 2), 'Notice period (branch 2)');
+    assert.strictEqual(createBranchTitle('', 1), 'Untitled conversation (branch 1)');
+    const longBranch = createBranchTitle('x'.repeat(60), 3);
+    assert.strictEqual(longBranch.length, 60);
+    assert.ok(longBranch.endsWith(' (branch 3)'), 'the branch number survives long titles');
+
+    const tree = orderSessionTree([
+        { id: 5, parentId: 1, createdAt: 500, updatedAt: 900 },
+        { id: 2, parentId: null, createdAt: 200, updatedAt: 800 },
+        { id: 4, parentId: 1, createdAt: 400, updatedAt: 700 },
+        { id: 1, parentId: null, createdAt: 100, updatedAt: 600 },
+        { id: 6, parentId: 4, createdAt: 600, updatedAt: 650 },
+        { id: 7, parentId: 99, createdAt: 700, updatedAt: 300 }
+    ]);
+    assert.deepStrictEqual(tree.map(session => [session.id, session.depth]), [
+        [2, 0], [1, 0], [4, 1], [6, 2], [5, 1], [7, 0]
+    ], 'branches follow their conversation, oldest first; orphans become top level');
+    const loop = orderSessionTree([{ id: 1, parentId: 2 }, { id: 2, parentId: 1 }]);
+    assert.strictEqual(loop.length, 2, 'sessions in a parent loop are still listed');
+}
+
+try {
+    run();
+    console.log('PASS: chat session utils tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
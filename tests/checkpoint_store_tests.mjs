@@ -0,0 +1,31 @@
+import assert from 'assert';
+import { selectCheckpointsToPrune } from '../src/taskpane/modules/storage/checkpoint-store.js';
+import { compressText, decompressText } from '../src/taskpane/modules/storage/text-compression.js';
+
+async function run() {
+    const records = [
+        { id: 3, createdAt: 300 },
+        { id: 1, createdAt: 100 },
+        { id: 2, createdAt: 100 },
+        { id: 4, createdAt: 400 }
+    ];
+
+    assert.deepStrictEqual(selectCheckpointsToPrune(records, 2), [1, 2], 'oldest checkpoints should be pruned first');
+    assert.deepStrictEqual(selectCheckpointsToPrune(records, 10), [], 'nothing should be pruned under the limit');
+    assert.deepStrictEqual(selectCheckpointsToPrune(records, 0), [1, 2, 3, 4], 'a zero limit should prune everything');
+    assert.deepStrictEqual(selectCheckpointsToPrune(null, 5), [], 'missing records should be tolerated');
+
+    const ooxml = '<pkg:package>' + '<w:p><w:r><w:t>Confidential Information</w:t></w:r></w:p>'.repeat(200) + '</pkg:package>';
+    const payload = await compressText(ooxml);
+    assert.strictEqual(payload.encoding, 'gzip', 'payload should be gzipped when CompressionStream is available');
+    assert.ok(payload.data.byteLength < ooxml.length / 5, 'repetitive OOXML should compress well');
+    assert.strictEqual(await decompressText(payload), ooxml, 'compressed payload should round-trip');
+    assert.strictEqual(await decompressText({ encoding: 'none', data: 'plain' }), 'plain', 'uncompressed payloads should pass through');
+}
+
+run()
+    .then(() => console.log('PASS: checkpoint store tests'))
+    .catch((error) => {
+        console.error('FAIL:', error?.message || error);
+        process.exit(1);
+    });
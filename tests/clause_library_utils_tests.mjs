@@ -0,0 +1,79 @@
+import './setup-xml-provider.mjs';
+
+import assert from 'assert';
+import {
+    normalizeClauseTags,
+    filterClauses,
+    normalizeClauseReplacements,
+    adaptClauseText,
+    adaptClauseOoxml,
+    markOoxmlAsInserted,
+    buildClauseLibraryContextLines
+} from '../src/taskpane/modules/commands/clause-library-utils.js';
+import { extractDefinedTerms } from '../src/taskpane/modules/commands/defined-terms-utils.js';
+
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+function doc(bodyXml) {
+    return `<w:document ${W_NS}><w:body>${bodyXml}</w:body></w:document>`;
+}
+
+async function run() {
+    assert.deepStrictEqual(normalizeClauseTags(' NDA, confidentiality;nda ,, '), ['nda', 'confidentiality'], 'tags should be trimmed, lowercased and de-duplicated');
+
+    const clauses = [
+        { id: 1, title: 'Confidentiality', tags: ['nda'], text: 'The Recipient shall keep Confidential Information secret.' },
+        { id: 2, title: 'Governing Law', tags: ['boilerplate'], text: 'This Agreement is governed by the laws of Ontario.' }
+    ];
+    assert.deepStrictEqual(filterClauses(clauses, 'nda recipient').map(c => c.id), [1], 'every query word should match');
+    assert.strictEqual(filterClauses(clauses, '  ').length, 2, 'empty query should return all clauses');
+
+    const clauseText = 'ACME Corp. (the "Supplier") shall provide the Services to the Customer. "Services" means the work in Schedule A.';
+    assert.deepStrictEqual(extractDefinedTerms(clauseText), ['Supplier', 'Services'], 'should find parenthetical and "means" definitions');
+
+    const replacements = normalizeClauseReplacements([
+        { from: 'Party', to: 'Participant' },
+        { from: 'Disclosing Party', to: 'Discloser' },
+        { from: 'Party', to: 'ignored duplicate' },
+        { from: 'Same', to: 'Same' },
+        { from: '', to: 'x' }
+    ]);
+    assert.deepStrictEqual(replacements.map(r => r.from), ['Disclosing Party', 'Party'], 'longer terms should be applied first and no-ops dropped');
+
+    const adaptedText = adaptClauseText('The Disclosing Party and each Party; not Partyline.', replacements);
+    assert.strictEqual(adaptedText.text, 'The Discloser and each Participant; not Partyline.', 'replacements should match whole words only');
+    assert.deepStrictEqual(adaptedText.counts, { 'Disclosing Party': 1, Party: 1 });
+
+    const splitRuns = doc(
+        '<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="3"/></w:numPr></w:pPr>'
+        + '<w:r><w:rPr><w:b/></w:rPr><w:t>The Sup</w:t></w:r><w:r><w:t xml:space="preserve">plier shall notify the Supplier</w:t></w:r></w:p>'
+    );
+    const adaptedOoxml = adaptClauseOoxml(splitRuns, normalizeClauseReplacements([{ from: 'Supplier', to: 'Vendor' }]));
+    assert.strictEqual(adaptedOoxml.counts.Supplier, 2, 'should replace matches that span runs');
+    assert.ok(adaptedOoxml.ooxml.includes('<w:t>The Vendor</w:t>'), 'replacement should land in the run where the match starts');
+    assert.ok(adaptedOoxml.ooxml.includes('shall notify the Vendor</w:t>'), 'later matches in the paragraph should be replaced');
+    assert.ok(adaptedOoxml.ooxml.includes('<w:numId w:val="3"/>'), 'numbering should survive adaptation');
+
+    const marked = markOoxmlAsInserted(doc(
+        '<w:p><w:r><w:t>New clause</w:t></w:r><w:del w:id="1" w:author="A" w:date="2024-01-01T00:00:00Z"><w:r><w:delText>gone</w:delText></w:r></w:del></w:p>'
+    ), 'Gemini AI');
+    assert.strictEqual((marked.match(/<w:ins /g) || []).length, 2, 'the new run and the paragraph mark should be marked as inserted');
+    assert.ok(/<w:pPr><w:rPr><w:ins [^>]*w:author="Gemini AI"/.test(marked), 'paragraph mark insertion should use the given author');
+    assert.ok(marked.includes('<w:del w:id="1" w:author="A"'), 'existing revisions should be left alone');
+
+    const lines = buildClauseLibraryContextLines([{ id: 7, title: 'Supply', tags: ['commercial'], text: clauseText }]);
+    assert.ok(lines[1].startsWith('[C7] Supply (tags: commercial)'), 'clause header should include id, title and tags');
+    assert.strictEqual(lines[2], 'Defines: "Supplier", "Services"');
+    assert.deepStrictEqual(buildClauseLibraryContextLines([]), [], 'empty library should add no context');
+
+    const many = Array.from({ length: 30 }, (_, i) => ({ id: i + 1, title: `Clause ${i + 1}`, tags: [], text: 'x'.repeat(500) }));
+    const limited = buildClauseLibraryContextLines(many, 2000);
+    assert.ok(limited[limited.length - 1].includes('more clause(s) not shown'), 'listing should respect the character budget');
+}
+
+run()
+    .then(() => console.log('PASS: clause library utils tests'))
+    .catch((error) => {
+        console.error('FAIL:', error?.message || error);
+        process.exit(1);
+    });
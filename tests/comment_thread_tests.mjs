@@ -0,0 +1,52 @@
+import assert from 'assert';
+import {
+    collectParagraphCommentThreads,
+    formatCommentThreads,
+    normalizeCommentOperations
+} from '../src/taskpane/modules/commands/comment-thread-utils.js';
+
+function run() {
+    const spanning = { id: 12, content: 'Why not 60 days?', authorName: 'Jane Doe', creationDate: new Date('2026-03-01T10:00:00Z'), resolved: false };
+    const threads = collectParagraphCommentThreads([
+        { paragraphIndex: 4, items: [spanning] },
+        { paragraphIndex: 5, items: [spanning, { id: '13', content: 'Fine.', authorName: 'Bob', creationDate: '2026-03-02T08:00:00Z', resolved: true }] }
+    ]);
+    assert.deepStrictEqual(threads.map(t => `${t.id}@P${t.paragraphIndex}`), ['12@P4', '13@P5'], 'a comment should be anchored once, to its first paragraph');
+    assert.strictEqual(threads[0].comment, spanning, 'the Word comment should be kept for replies');
+
+    threads[0].anchorText = 'thirty (30)\ndays';
+    threads[0].replies = [{ content: 'Our standard is 30.', authorName: 'Gemini AI', creationDate: '2026-03-03T00:00:00Z' }];
+    assert.strictEqual(
+        formatCommentThreads(threads),
+        '[P4] Comment 12 by Jane Doe (2026-03-01, open) on "thirty (30) days": Why not 60 days?\n'
+        + '    Reply by Gemini AI (2026-03-03): Our standard is 30.\n'
+        + '[P5] Comment 13 by Bob (2026-03-02, resolved): Fine.'
+    );
+    assert.strictEqual(formatCommentThreads(threads, 1).split('\n').pop(), '...and 1 more.', 'the listing should be capped');
+
+    const normalized = normalizeCommentOperations([
+        { commentId: 12, action: 'Reply', text: '  Agreed, updated to 60.  ' },
+        { commentId: '13', action: 'resolve' },
+        { commentId: '14', action: 'reply' },
+        { commentId: '15', action: 'archive' },
+        { action: 'delete' }
+    ]);
+    assert.deepStrictEqual(normalized.operations, [
+        { commentId: '12', action: 'reply', text: 'Agreed, updated to 60.' },
+        { commentId: '13', action: 'resolve', text: '' }
+    ]);
+    assert.deepStrictEqual(normalized.errors, [
+        'Comment 14: a reply needs text.',
+        'Comment 15: unknown action "archive". Use "reply", "resolve", "reopen" or "delete".',
+        'Operation 5: missing commentId.'
+    ]);
+    assert.deepStrictEqual(normalizeCommentOperations(undefined), { operations: [], errors: [] });
+}
+
+try {
+    run();
+    console.log('PASS: comment thread tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,86 @@
+import assert from 'assert';
+import {
+    normalizeSectionNumber,
+    buildSectionNumberMap,
+    findCrossReferences,
+    validateCrossReferences,
+    buildCrossReferenceRepairs,
+    formatCrossReferenceIssues
+} from '../src/taskpane/modules/commands/cross-reference-utils.js';
+
+function listItem(index, text, listLevel, listString) {
+    return { index, text, isListItem: true, listLevel, listString, isInTable: false };
+}
+
+function body(index, text) {
+    return { index, text, isListItem: false, listLevel: -1, listString: '', isInTable: false };
+}
+
+function run() {
+    assert.strictEqual(normalizeSectionNumber('7 (B).'), '7(b)');
+    assert.strictEqual(normalizeSectionNumber('4.2.'), '4.2');
+
+    const before = [
+        listItem(1, 'Definitions', 0, '1.'),
+        listItem(2, 'Fees', 0, '2.'),
+        listItem(3, 'Invoices', 1, '2.1'),
+        listItem(4, 'Late payment', 2, '(a)'),
+        listItem(5, 'Term', 0, '3.'),
+        body(6, 'Subject to Section 2.1 and clause 3, fees under Sections 2(a) and 9 are payable.'),
+        body(7, '4.2 Manual Heading')
+    ];
+    const beforeMap = buildSectionNumberMap(before);
+    assert.deepStrictEqual([...beforeMap.keys()], ['1', '2', '2.1', '2.1(a)', '3', '4.2'], 'list strings and manual headings should be numbered');
+    assert.strictEqual(beforeMap.get('4.2').heading, 'Manual Heading', 'manual numbers should not be part of the heading key');
+
+    const references = findCrossReferences(before);
+    assert.deepStrictEqual(references.map(r => r.number), ['2.1', '3', '2(a)', '9'], 'should find single and listed references');
+    const text6 = before[5].text;
+    assert.strictEqual(text6.slice(references[0].start, references[0].end), '2.1', 'offsets should point at the number');
+
+    const dangling = validateCrossReferences(references, beforeMap);
+    assert.deepStrictEqual(dangling.map(i => `${i.type}:${i.number}`), ['dangling:9'], 'unknown sections should be dangling; 2(a) resolves to 2');
+
+    // A new section is inserted before "Fees", shifting everything after it
+    const after = [
+        listItem(1, 'Definitions', 0, '1.'),
+        listItem(2, 'Scope', 0, '2.'),
+        listItem(3, 'Fees', 0, '3.'),
+        listItem(4, 'Invoices', 1, '3.1'),
+        listItem(5, 'Late payment', 2, '(a)'),
+        listItem(6, 'Term', 0, '4.'),
+        body(7, text6)
+    ];
+    const afterMap = buildSectionNumberMap(after);
+    const afterReferences = findCrossReferences(after);
+    const shifted = validateCrossReferences(afterReferences, afterMap, beforeMap);
+    assert.deepStrictEqual(
+        shifted.map(i => `${i.type}:${i.number}->${i.suggestion}`),
+        ['shifted:2.1->3.1', 'shifted:3->4', 'shifted:2(a)->3(a)'],
+        'references should follow their headings; already-dangling references are not re-reported'
+    );
+
+    const repairs = buildCrossReferenceRepairs(shifted, after);
+    assert.deepStrictEqual(repairs, [{
+        paragraphIndex: 7,
+        operation: 'edit_paragraph',
+        newContent: 'Subject to Section 3.1 and clause 4, fees under Sections 3(a) and 9 are payable.'
+    }]);
+
+    const removed = validateCrossReferences(
+        findCrossReferences([body(1, 'See Section 3.')]),
+        buildSectionNumberMap([listItem(1, 'Definitions', 0, '1.'), listItem(2, 'Fees', 0, '2.')]),
+        beforeMap
+    );
+    assert.deepStrictEqual(removed.map(i => i.type), ['dangling'], 'a reference to a deleted heading should be dangling');
+    assert.strictEqual(formatCrossReferenceIssues(removed), 'Reference to 3 is dangling: "Term" no longer exists');
+    assert.deepStrictEqual(buildCrossReferenceRepairs(removed, []), [], 'dangling references have no automatic repair');
+}
+
+try {
+    run();
+    console.log('PASS: cross reference tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,68 @@
+import assert from 'assert';
+import {
+    extractDefinedTerms,
+    analyzeDefinedTerms,
+    describeDefinedTermIssue,
+    fixTermCapitalization,
+    formatDefinedTermReport
+} from '../src/taskpane/modules/commands/defined-terms-utils.js';
+
+function paragraphs(texts) {
+    return texts.map((text, i) => ({ index: i + 1, text }));
+}
+
+function run() {
+    assert.deepStrictEqual(
+        extractDefinedTerms('ACME Corp. (the "Supplier") shall provide the Services. “Services” means the work in Schedule A.'),
+        ['Supplier', 'Services'],
+        'should find parenthetical and "means" definitions, including curly quotes'
+    );
+
+    const analysis = analyzeDefinedTerms(paragraphs([
+        'MUTUAL NON-DISCLOSURE AGREEMENT',
+        'This agreement is between ACME Inc. (the "Disclosing Party") and Beta LLC (each a "Party").',
+        '"Confidential Information" means any non-public information disclosed under Section 2.',
+        'The Disclosing Party may share confidential information with the other Party.',
+        'The Receiving Party shall protect the Confidential Information until the Termination Date.',
+        '"Affiliate" means any entity controlling a Party.',
+        'Each Party acknowledges the Termination Date in Schedule A (each a "Party").'
+    ]));
+
+    const byTerm = Object.fromEntries(analysis.terms.map(entry => [entry.term, entry]));
+    assert.deepStrictEqual(Object.keys(byTerm).sort(), ['Affiliate', 'Confidential Information', 'Disclosing Party', 'Party']);
+    assert.deepStrictEqual(byTerm['Disclosing Party'].definedIn, [2]);
+    assert.strictEqual(byTerm['Disclosing Party'].usageCount, 1, 'the definition itself should not count as a use');
+    assert.strictEqual(byTerm.Party.usageCount, 4, 'uses inside a longer defined term should not count for the shorter term');
+
+    const issueKeys = analysis.issues.map(issue => `${issue.type}:${issue.term}:${issue.paragraphIndex}`);
+    assert.ok(issueKeys.includes('unused:Affiliate:6'), 'defined but unused terms should be flagged');
+    assert.ok(issueKeys.includes('capitalization:Confidential Information:4'), 'mis-capitalized uses should be flagged');
+    assert.ok(issueKeys.includes('undefined:Termination Date:5'), 'capitalized terms that are never defined should be flagged');
+    assert.ok(issueKeys.includes('duplicate:Party:7'), 'terms defined twice should be flagged');
+    assert.ok(!issueKeys.some(key => key.includes('Receiving Party')), 'extensions of a defined term should not be flagged as undefined');
+    assert.ok(!issueKeys.some(key => key.includes('Schedule')), 'structural references should not be flagged');
+    assert.ok(!issueKeys.some(key => key.endsWith(':1')), 'all-caps headings should be ignored');
+    assert.strictEqual(analysis.issues[0].type, 'undefined', 'issues should be ordered by type');
+
+    const capitalization = analysis.issues.find(issue => issue.type === 'capitalization');
+    assert.strictEqual(describeDefinedTermIssue(capitalization), '"confidential information" should match the defined term "Confidential Information".');
+    assert.strictEqual(
+        fixTermCapitalization('The Disclosing Party may share confidential information with the other Party.', [capitalization]),
+        'The Disclosing Party may share Confidential Information with the other Party.'
+    );
+
+    const report = formatDefinedTermReport(analysis, 2);
+    assert.ok(report.startsWith('Defined terms (4):'), 'report should list the defined terms first');
+    assert.ok(report.includes('- [P5] undefined: "Termination Date"'), 'report should include issue locations');
+    assert.ok(report.includes('more'), 'report should truncate long issue lists');
+
+    assert.strictEqual(formatDefinedTermReport(analyzeDefinedTerms([])), 'No defined terms found.\nNo consistency issues found.');
+}
+
+try {
+    run();
+    console.log('PASS: defined terms tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,100 @@
+import assert from 'assert';
+import {
+    countContextWords,
+    splitDocumentContext,
+    describeDocumentPart,
+    formatDocumentPartNote,
+    mergeDocumentPartItems,
+    formatDocumentPartsReport,
+    runWithConcurrency,
+    buildDocumentOutline
+} from '../src/taskpane/modules/commands/document-chunk-utils.js';
+
+const words = (count, word = 'term') => Array(count).fill(word).join(' ');
+
+// P1-P2 preamble, then sections 1-3 (each a level-0 header with body paragraphs)
+const context = [
+    `[P1|Title] Master Services Agreement`,
+    `[P2|Normal] ${words(20)}`,
+    `[P3|ListNumber|L:0|§] 1. Definitions`,
+    `[P4|Normal|§1] ${words(40)}`,
+    `[P5|ListNumber|L:1|§] 1.1 Interpretation`,
+    `[P6|Normal|§1.1] ${words(30)}`,
+    `[P7|ListNumber|L:0|§] 2. Services`,
+    `[P8|Normal|§2] ${words(30)}`,
+    `second line of P8`,
+    `[P9|ListNumber|L:0|§] 3. Fees`,
+    `[P10|Normal|§3] ${words(120)}`,
+    `[P11|Normal|§3] ${words(10)}`
+].join('\n') + '\n\nHEADERS, FOOTERS AND NOTES:\n[F1] Section 1 footer\n[F1.P1|Footer] Confidential';
+
+async function run() {
+    assert.strictEqual(countContextWords('  a b\nc  '), 3);
+    assert.strictEqual(countContextWords(''), 0);
+
+    const parts = splitDocumentContext(context, 100);
+    assert.deepStrictEqual(parts.map(p => [p.firstParagraph, p.lastParagraph]), [[1, 2], [3, 6], [7, 8], [9, 10], [11, 11]], 'parts break at sections and headings, and oversized sections between paragraphs');
+    assert.deepStrictEqual(parts[1].sections, [1]);
+    assert.deepStrictEqual(parts[0].sections, [], 'the preamble belongs to no section');
+    assert.ok(parts[2].text.includes('second line of P8'), 'continuation lines stay with their paragraph');
+    assert.strictEqual(parts[4].includesStories, true, 'headers and footers join the last part when they fit');
+    assert.ok(parts[4].text.endsWith('[F1.P1|Footer] Confidential'));
+    assert.strictEqual(describeDocumentPart(parts[0]), 'P1–P2');
+    assert.strictEqual(describeDocumentPart(parts[1]), 'P3–P6 (section 1)');
+    assert.strictEqual(describeDocumentPart(parts[4]), 'P11–P11 (section 3) and headers, footers and notes');
+    assert.ok(formatDocumentPartNote(parts[2], 5).startsWith('DOCUMENT PART 3 OF 5: '));
+
+    const whole = splitDocumentContext(context, 10000);
+    assert.strictEqual(whole.length, 1);
+    assert.deepStrictEqual(whole[0].sections, [1, 2, 3]);
+
+    const storyOnly = splitDocumentContext(context, 200);
+    assert.strictEqual(storyOnly[storyOnly.length - 1].includesStories, true);
+    assert.strictEqual(splitDocumentContext('plain text without anchors', 1).length, 1);
+
+    const merged = mergeDocumentPartItems(parts, [
+        [],
+        [{ paragraphIndex: 4, operation: 'edit_paragraph', newContent: 'x' }, { paragraphIndex: 8, operation: 'edit_paragraph', newContent: 'y' }],
+        null,
+        [{ paragraphIndex: 9, endParagraphIndex: 11, operation: 'replace_range', content: 'z' }, { paragraphIndex: 10, textToFind: 'term' }],
+        [{ paragraphIndex: 1, story: 'F1', textToFind: 'Confidential' }, { paragraphIndex: 11, textToFind: 'term' }, { paragraphIndex: 11, textToFind: 'term' }]
+    ]);
+    assert.deepStrictEqual(merged.items.map(item => item.paragraphIndex), [4, 10, 1, 11], 'out-of-part items and duplicates are dropped');
+    assert.deepStrictEqual(merged.failedParts, [3]);
+    assert.strictEqual(merged.droppedCount, 2);
+
+    const report = formatDocumentPartsReport(parts, merged);
+    assert.ok(report.startsWith('Read the document in 5 parts: P1–P2; P3–P6 (section 1); P7–P8 (section 2);'));
+    assert.ok(report.includes('4 of 5 parts were processed; P7–P8 (section 2) failed and was skipped.'));
+    assert.ok(report.endsWith('2 suggestions pointed outside their part and were dropped.'));
+
+    let running = 0;
+    let peak = 0;
+    const outcomes = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (value) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        if (value === 3) throw new Error('boom');
+        return value * 10;
+    });
+    assert.strictEqual(peak, 2, 'no more than the limit run at once');
+    assert.deepStrictEqual(outcomes.map(o => o.value ?? o.error.message), [10, 20, 'boom', 40, 50]);
+
+    assert.strictEqual(buildDocumentOutline(context, 1000), [
+        '[P1|Title] Master Services Agreement',
+        '[P3|ListNumber|L:0|§] 1. Definitions',
+        '[P5|ListNumber|L:1|§] 1.1 Interpretation',
+        '[P7|ListNumber|L:0|§] 2. Services',
+        '[P9|ListNumber|L:0|§] 3. Fees'
+    ].join('\n'));
+    assert.ok(!buildDocumentOutline(context, 12).includes('1.1 Interpretation'), 'subsections go first when the outline is too long');
+    assert.ok(buildDocumentOutline(context, 5).endsWith('[Outline cut off]'));
+}
+
+run().then(() => {
+    console.log('PASS: document chunk utils tests');
+}).catch((error) => {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+});
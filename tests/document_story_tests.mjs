@@ -0,0 +1,73 @@
+import assert from 'assert';
+import {
+    normalizeStoryId,
+    getStoryKind,
+    buildStoryEntries,
+    formatStoryContext,
+    splitChangesByStory
+} from '../src/taskpane/modules/commands/document-story-utils.js';
+
+function headerFooter(kind, sectionNumber, headerType, texts, linkedToPrevious = false) {
+    return { kind, sectionNumber, headerType, linkedToPrevious, paragraphs: texts.map(text => ({ text, style: kind === 'H' ? 'Header' : 'Footer' })) };
+}
+
+function run() {
+    assert.strictEqual(normalizeStoryId('[fn4]'), 'FN4');
+    assert.strictEqual(normalizeStoryId(' H01 '), 'H1');
+    assert.strictEqual(normalizeStoryId('P4'), null, 'body paragraphs are not stories');
+    assert.strictEqual(normalizeStoryId('F0'), null);
+    assert.strictEqual(getStoryKind('EN2'), 'endnote');
+    assert.strictEqual(getStoryKind('F3'), 'footer');
+
+    const marker = {};
+    const entries = buildStoryEntries([
+        headerFooter('H', 1, 'Primary', ['']),
+        headerFooter('F', 1, 'Primary', ['Confidential - Acme Corp']),
+        headerFooter('F', 1, 'FirstPage', ['Draft']),
+        headerFooter('F', 2, 'Primary', ['Confidential - Acme Corp'], true),
+        headerFooter('F', 2, 'FirstPage', ['Draft']),
+        headerFooter('F', 3, 'Primary', ['Confidential - Acme Corp'], true),
+        headerFooter('F', 4, 'Primary', ['Schedule footer']),
+        headerFooter('F', 5, 'Primary', ['Confidential - Acme Corp'], true),
+        { kind: 'FN', noteNumber: 1, paragraphs: [{ text: '', style: 'Footnote Text' }] },
+        { kind: 'FN', noteNumber: 2, paragraphs: [{ text: 'See Smith v. Jones.', style: 'Footnote Text' }], paragraphCollection: marker }
+    ]);
+
+    assert.deepStrictEqual(entries.map(e => e.id), ['F1', 'F2', 'F3', 'F4', 'F5', 'FN2'], 'empty stories should be left out and notes keep their number');
+    assert.deepStrictEqual(entries[0].alsoSections, [2, 3], 'linked footers of following sections are folded');
+    assert.deepStrictEqual([entries[2].label, entries[2].alsoSections], ['Section 2 first-page footer', []],
+        'an identical footer that is not linked is its own story, so edits reach it');
+    assert.deepStrictEqual(entries[4].alsoSections, [], 'a footer repeated after a different one is its own story');
+    assert.strictEqual(entries[5].paragraphCollection, marker, 'extra properties should be kept');
+
+    assert.strictEqual(
+        formatStoryContext(entries.slice(0, 2).concat(entries[5])),
+        '[F1] Section 1 footer (also sections 2, 3)\n'
+        + '[F1.P1|Footer] Confidential - Acme Corp\n'
+        + '[F2] Section 1 first-page footer\n'
+        + '[F2.P1|Footer] Draft\n'
+        + '[FN2] Footnote 2\n'
+        + '[FN2.P1|Footnote Text] See Smith v. Jones.'
+    );
+    assert.strictEqual(formatStoryContext([]), '');
+
+    const split = splitChangesByStory([
+        { paragraphIndex: 3 },
+        { paragraphIndex: 1, story: 'f1' },
+        { paragraphIndex: 2, story: 'F1' },
+        { paragraphIndex: 1, story: 'footer' },
+        { paragraphIndex: 4, story: '' }
+    ]);
+    assert.deepStrictEqual(split.bodyChanges.map(c => c.paragraphIndex), [3, 4]);
+    assert.deepStrictEqual([...split.storyChanges.keys()], ['F1']);
+    assert.strictEqual(split.storyChanges.get('F1').length, 2, 'changes should be grouped by normalized story id');
+    assert.strictEqual(split.invalidChanges.length, 1);
+}
+
+try {
+    run();
+    console.log('PASS: document story tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,89 @@
+import './setup-xml-provider.mjs';
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listZipEntries, readZipEntryText, readDocxDocumentXml } from '../src/taskpane/modules/compare/docx-package.js';
+import { extractParagraphModel } from '../src/taskpane/modules/compare/paragraph-model.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DOCX_PATH = path.join(__dirname, 'Sample NDA.docx');
+
+function toArrayBuffer(bytes) {
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+// Builds a zip with stored (uncompressed) entries
+function buildStoredZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, text] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const data = Buffer.from(text);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return toArrayBuffer(Buffer.concat([...locals, directory, end]));
+}
+
+async function run() {
+    const docx = toArrayBuffer(await fs.readFile(DOCX_PATH));
+    assert.ok(listZipEntries(docx).has('word/document.xml'));
+    const model = extractParagraphModel(await readDocxDocumentXml(docx));
+    assert.strictEqual(model[0].text, 'NON-DISCLOSURE AGREEMENT', 'deflated main part should parse into the paragraph model');
+
+    const body = '<w:document xmlns:w="w"><w:body><w:p><w:r><w:t>Custom part</w:t></w:r></w:p></w:body></w:document>';
+    const custom = buildStoredZip({
+        '_rels/.rels': '<Relationships><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="/word/main.xml"/></Relationships>',
+        'word/main.xml': body
+    });
+    assert.strictEqual(await readDocxDocumentXml(custom), body, 'the main part is found through the package relationships');
+
+    await assert.rejects(() => readDocxDocumentXml(buildStoredZip({ 'notes.txt': 'x' })), /no main document part/);
+    await assert.rejects(async () => readDocxDocumentXml(toArrayBuffer(Buffer.from('plain text, not a zip'))), /not a Word document/);
+
+    // Truncated entries: the central directory survives but the data it points to is cut off
+    const docxBytes = new Uint8Array(docx);
+    const mainPart = listZipEntries(docx).get('word/document.xml');
+    const cutData = new Uint8Array(docx.byteLength);
+    cutData.set(docxBytes);
+    cutData.fill(0, mainPart.localHeaderOffset + 40, mainPart.localHeaderOffset + 40 + Math.min(200, mainPart.compressedSize));
+    await assert.rejects(() => readZipEntryText(cutData.buffer, mainPart), /not a Word document.*damaged/, 'corrupt deflate data');
+    await assert.rejects(() => readZipEntryText(docx, { ...mainPart, compressedSize: docx.byteLength }), /not a Word document.*damaged/,
+        'an entry running past the end of the file');
+    await assert.rejects(() => readZipEntryText(docx, { ...mainPart, localHeaderOffset: docx.byteLength - 4 }), /not a Word document.*damaged/,
+        'a local header past the end of the file');
+    const truncated = buildStoredZip({ 'word/document.xml': body });
+    const view = new DataView(truncated);
+    const centralOffset = view.getUint32(truncated.byteLength - 6, true);
+    view.setUint32(centralOffset + 20, 10000, true);
+    await assert.rejects(() => readDocxDocumentXml(truncated), /not a Word document.*damaged/, 'a truncated stored entry');
+}
+
+run()
+    .then(() => console.log('PASS: docx package tests'))
+    .catch((error) => {
+        console.error('FAIL:', error?.message || error);
+        process.exit(1);
+    });
@@ -0,0 +1,46 @@
+import assert from 'assert';
+import { buildFindPattern, replaceInText } from '../src/taskpane/modules/commands/find-replace-utils.js';
+
+function run() {
+    const literal = buildFindPattern({ find: 'lessor' });
+    assert.deepStrictEqual(
+        replaceInText('The Lessor and the lessor.', literal, 'Landlord'),
+        { text: 'The Landlord and the Landlord.', replaced: 2, skippedDefinitions: 0 }
+    );
+    assert.strictEqual(replaceInText('Fee: $5 (a.b)', buildFindPattern({ find: '$5 (a.b)' }), '$$10').text, 'Fee: $$10', 'literal mode inserts the replacement as is');
+
+    const caseSensitive = buildFindPattern({ find: 'Lessor', matchCase: true });
+    assert.strictEqual(replaceInText('Lessor, lessor', caseSensitive, 'Landlord').text, 'Landlord, lessor');
+
+    const wholeWord = buildFindPattern({ find: 'Lessor', wholeWord: true });
+    const wordResult = replaceInText('Lessor, Lessors and Sub-Lessor', wholeWord, 'Landlord');
+    assert.strictEqual(wordResult.text, 'Landlord, Lessors and Sub-Landlord');
+    assert.strictEqual(wordResult.replaced, 2);
+    assert.strictEqual(replaceInText('Société SA', buildFindPattern({ find: 'Soci', wholeWord: true }), 'X').replaced, 0, 'accented letters are word characters');
+
+    const dates = buildFindPattern({ find: '(\\d{2})/(\\d{2})/(\\d{4})', useRegex: true });
+    assert.strictEqual(replaceInText('Due 03/15/2026.', dates, '$3-$1-$2', { useRegex: true }).text, 'Due 2026-03-15.');
+    const named = buildFindPattern({ find: '(?<n>\\d+) days', useRegex: true });
+    assert.strictEqual(replaceInText('within 30 days', named, '$<n> business days ($&)', { useRegex: true }).text, 'within 30 business days (30 days)');
+    assert.strictEqual(replaceInText('a|b', buildFindPattern({ find: 'a|b', useRegex: true, wholeWord: true }), 'x', { useRegex: true }).text, 'x|x', 'whole word wraps alternations');
+
+    assert.throws(() => buildFindPattern({ find: '' }), /Enter the text to find/);
+    assert.throws(() => buildFindPattern({ find: '(unclosed', useRegex: true }), /Invalid regular expression/);
+    assert.throws(() => buildFindPattern({ find: 'x*', useRegex: true }), /matches empty text/);
+
+    const definitions = replaceInText('Acme Corp (the "Lessor") leases to Tenant. The Lessor shall...', wholeWord, 'Landlord', { skipDefinitions: true });
+    assert.strictEqual(definitions.text, 'Acme Corp (the "Lessor") leases to Tenant. The Landlord shall...');
+    assert.deepStrictEqual([definitions.replaced, definitions.skippedDefinitions], [1, 1]);
+
+    // The pattern is reused across paragraphs
+    assert.strictEqual(replaceInText('Lessor', wholeWord, 'Landlord').replaced, 1);
+    assert.strictEqual(replaceInText('Lessor', wholeWord, 'Landlord').replaced, 1);
+}
+
+try {
+    run();
+    console.log('PASS: find and replace tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { parseSseBuffer } from '../src/taskpane/modules/llm/sse.js';
+import {
+    SAFETY_SETTINGS_BLOCK_NONE,
+    buildGeminiHttpRequest,
+    mergeStreamChunk,
+    readGeminiStream,
+    describeStreamProgress
+} from '../src/taskpane/modules/llm/gemini-adapter.js';
+
+function sse(chunks) {
+    return chunks.map(chunk => `data: ${JSON.stringify(chunk)}\r\n\r\n`).join('');
+}
+
+function streamResponse(text, pieceSize) {
+    const encoder = new TextEncoder();
+    const bytes = encoder.encode(text);
+    let offset = 0;
+    const body = new ReadableStream({
+        pull(controller) {
+            if (offset >= bytes.length) {
+                controller.close();
+                return;
+            }
+            controller.enqueue(bytes.slice(offset, offset + pieceSize));
+            offset += pieceSize;
+        }
+    });
+    return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+function chunk(parts, extra = {}) {
+    return { candidates: [{ content: { role: 'model', parts }, ...extra }] };
+}
+
+async function run() {
+    const request = { contents: [{ parts: [{ text: 'Hi' }] }] };
+    const streamed = buildGeminiHttpRequest(request, { apiKey: 'k/1' }, 'gemini-2.5-flash', true);
+    assert.strictEqual(streamed.url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse&key=k%2F1');
+    assert.strictEqual(streamed.body.safetySettings, SAFETY_SETTINGS_BLOCK_NONE, 'safety settings should be added for every Gemini request');
+    const proxied = buildGeminiHttpRequest(request, { apiKey: 'k', baseUrl: 'https://proxy.example/v1beta/' }, 'm', false);
+    assert.strictEqual(proxied.url, 'https://proxy.example/v1beta/models/m:generateContent?key=k', 'a custom base URL should replace the default');
+
+    const partial = parseSseBuffer('data: {"a":1}\n\ndata: {"b"');
+    assert.deepStrictEqual(partial.events, [{ a: 1 }], 'only complete events should be parsed');
+    assert.strictEqual(partial.rest, 'data: {"b"', 'the unterminated event should be kept for the next read');
+
+    const merged = { candidates: [{ content: { role: 'model', parts: [] } }] };
+    mergeStreamChunk(merged, chunk([{ text: '**Reading the clause**\n', thought: true }]));
+    mergeStreamChunk(merged, chunk([{ text: 'Checking numbering.', thought: true }]));
+    mergeStreamChunk(merged, chunk([{ text: 'Section 4 ' }]));
+    mergeStreamChunk(merged, chunk([{ text: 'is fine.' }, { text: '', thoughtSignature: 'sig-1' }]));
+    mergeStreamChunk(merged, chunk([{ functionCall: { name: 'apply_redlines', args: { instruction: 'Fix 4' } }, thoughtSignature: 'sig-2' }], { finishReason: 'STOP' }));
+    const parts = merged.candidates[0].content.parts;
+    assert.strictEqual(parts.length, 3, 'text of the same kind should be concatenated');
+    assert.strictEqual(parts[0].text, '**Reading the clause**\nChecking numbering.');
+    assert.strictEqual(parts[1].text, 'Section 4 is fine.');
+    assert.strictEqual(parts[1].thoughtSignature, 'sig-1', 'a trailing signature should stay with its text');
+    assert.strictEqual(parts[2].thoughtSignature, 'sig-2', 'function call signatures should be preserved');
+    assert.strictEqual(merged.candidates[0].finishReason, 'STOP');
+
+    const progress = describeStreamProgress(merged);
+    assert.strictEqual(progress.thought, 'Reading the clause', 'the latest thought heading should be shown');
+    assert.strictEqual(progress.text, 'Section 4 is fine.');
+    assert.deepStrictEqual(progress.functionCalls.map(call => call.name), ['apply_redlines']);
+
+    assert.throws(() => mergeStreamChunk(merged, { error: { code: 503, message: 'overloaded' } }), /API failed/, 'in-stream errors should surface');
+
+    const body = sse([
+        chunk([{ text: 'Hello, ' }]),
+        chunk([{ text: 'world' }]),
+        { ...chunk([{ text: '!' }], { finishReason: 'STOP' }), usageMetadata: { totalTokenCount: 12 } }
+    ]);
+    const updates = [];
+    const result = await readGeminiStream(streamResponse(body, 7), acc => updates.push(describeStreamProgress(acc).text));
+    assert.strictEqual(result.candidates[0].content.parts[0].text, 'Hello, world!', 'split network reads should reassemble');
+    assert.deepStrictEqual(updates, ['Hello, ', 'Hello, world', 'Hello, world!'], 'each event should produce one update');
+    assert.strictEqual(result.usageMetadata.totalTokenCount, 12);
+
+    const blocked = await readGeminiStream(streamResponse(sse([{ candidates: [{ finishReason: 'SAFETY' }] }]), 64));
+    assert.strictEqual(blocked.candidates[0].content, undefined, 'empty streams should look like responses without content');
+    assert.strictEqual(blocked.candidates[0].finishReason, 'SAFETY');
+}
+
+run()
+    .then(() => console.log('PASS: gemini adapter tests'))
+    .catch((error) => {
+        console.error('FAIL:', error?.message || error);
+        process.exit(1);
+    });
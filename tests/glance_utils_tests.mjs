@@ -0,0 +1,88 @@
+import assert from 'assert';
+import {
+    formatGlanceDocument,
+    parseGlanceResponse,
+    buildGlanceFixMessage,
+    hashParagraphText,
+    diffParagraphHashes,
+    attachCitationHashes,
+    relocateGlanceCitations,
+    isGlanceResultStale
+} from '../src/taskpane/modules/commands/glance-utils.js';
+
+function run() {
+    const paragraphs = ['NON-DISCLOSURE AGREEMENT', '', 'The Recipient shall keep the Information confidential.', 'Term: two years.'];
+    assert.strictEqual(
+        formatGlanceDocument(paragraphs),
+        '[P1] NON-DISCLOSURE AGREEMENT\n[P3] The Recipient shall keep the Information confidential.\n[P4] Term: two years.',
+        'empty paragraphs are skipped but keep their numbers'
+    );
+
+    const settings = [{ id: 'q1', title: 'Term', question: 'Is the term reasonable?' }, { id: 'q2' }, { id: 'q3' }];
+    const response = 'Here you go:\n```json\n' + JSON.stringify({
+        q1: {
+            status: 'RED',
+            summary: 'Term too short',
+            citations: [
+                { paragraphIndex: 4, excerpt: 'Term: two years.' },
+                { paragraphIndex: 4, excerpt: 'duplicate' },
+                { paragraphIndex: 9, excerpt: 'out of range' },
+                { paragraphIndex: 3 }
+            ]
+        },
+        q2: { status: 'purple', summary: 'Unclear' }
+    }) + '\n```';
+
+    const results = parseGlanceResponse(response, settings, paragraphs);
+    assert.deepStrictEqual(results.q1, {
+        status: 'red',
+        summary: 'Term too short',
+        citations: [
+            { paragraphIndex: 4, excerpt: 'Term: two years.' },
+            { paragraphIndex: 3, excerpt: 'The Recipient shall keep the Information confidential.' }
+        ]
+    });
+    assert.deepStrictEqual(results.q2, { status: 'gray', summary: 'Unclear', citations: [] }, 'unknown statuses and missing citations are tolerated');
+    assert.strictEqual(results.q3, undefined, 'unanswered checks are left out');
+    assert.throws(() => parseGlanceResponse('no json here', settings, paragraphs));
+
+    assert.strictEqual(
+        buildGlanceFixMessage(settings[0], results.q1),
+        'The Glance check "Term" (Is the term reasonable?) found: Term too short.\nIt cited:\n- [P4] "Term: two years."\n- [P3] "The Recipient shall keep the Information confidential."\nPlease fix this in the document.'
+    );
+
+    assert.strictEqual(hashParagraphText('Term:  two years. '), hashParagraphText('Term: two years.'), 'whitespace does not change the hash');
+    assert.notStrictEqual(hashParagraphText('Term: two years.'), hashParagraphText('Term: three years.'));
+
+    const before = paragraphs.map(hashParagraphText);
+    // A paragraph inserted at the top, P4 edited, the empty paragraph deleted
+    const edited = ['Preamble', 'NON-DISCLOSURE AGREEMENT', 'The Recipient shall keep the Information confidential.', 'Term: five years.'];
+    const after = edited.map(hashParagraphText);
+    assert.deepStrictEqual(diffParagraphHashes(before, after), { changedIndices: [1, 4], removedCount: 2, deletedCount: 1 });
+    assert.deepStrictEqual(diffParagraphHashes(before, before), { changedIndices: [], removedCount: 0, deletedCount: 0 });
+    // Edits are not reported as deletions; a removed paragraph is, even next to an edit
+    const reworded = paragraphs.map(text => `${text} (amended)`).map(hashParagraphText);
+    assert.deepStrictEqual(diffParagraphHashes(before, reworded), { changedIndices: [1, 2, 3, 4], removedCount: 4, deletedCount: 0 });
+    assert.deepStrictEqual(diffParagraphHashes(before, [before[0], hashParagraphText('Term: one year.')]), { changedIndices: [2], removedCount: 3, deletedCount: 2 });
+
+    const cited = attachCitationHashes(results.q1.citations, before);
+    assert.strictEqual(cited[1].hash, before[2]);
+    const relocated = relocateGlanceCitations(cited, after);
+    assert.strictEqual(relocated.changedCount, 1, 'the edited term paragraph no longer matches');
+    assert.deepStrictEqual(relocated.citations.map(c => c.paragraphIndex), [4, 3]);
+    assert.strictEqual(isGlanceResultStale(relocated.citations, relocated.changedCount, diffParagraphHashes(before, after)), true);
+
+    const moved = relocateGlanceCitations(attachCitationHashes([{ paragraphIndex: 3, excerpt: 'x' }], before), ['Preamble', ...paragraphs].map(hashParagraphText));
+    assert.deepStrictEqual([moved.citations[0].paragraphIndex, moved.changedCount], [4, 0], 'moved paragraphs are followed');
+    assert.strictEqual(isGlanceResultStale(moved.citations, 0, { changedIndices: [1], removedCount: 0 }), false, 'edits elsewhere leave a cited result alone');
+    assert.strictEqual(isGlanceResultStale([], 0, { changedIndices: [1], removedCount: 0 }), true, 'a whole-document result is stale after any edit');
+    assert.strictEqual(isGlanceResultStale([], 0, { changedIndices: [], removedCount: 0 }), false);
+}
+
+try {
+    run();
+    console.log('PASS: glance utils tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
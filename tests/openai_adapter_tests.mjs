@@ -0,0 +1,149 @@
+import assert from 'assert';
+import fs from 'fs';
+import {
+    toJsonSchema,
+    toOpenAiMessages,
+    toOpenAiRequest,
+    fromOpenAiResponse,
+    readOpenAiStream,
+    buildOpenAiHttpRequest
+} from '../src/taskpane/modules/llm/openai-adapter.js';
+import { getResponseText, isProviderConfigured } from '../src/taskpane/modules/llm/llm-client.js';
+
+// The response schema callModelForDiffs sends, read from its source
+function loadDiffResponseSchema() {
+    const source = fs.readFileSync('src/taskpane/modules/commands/agentic-tools.js', 'utf8');
+    const functionStart = source.indexOf('async function callModelForDiffs(');
+    assert.notStrictEqual(functionStart, -1, 'Missing function: callModelForDiffs');
+    const start = source.indexOf('{', source.indexOf('const jsonSchema =', functionStart));
+    let depth = 0;
+    for (let i = start; i < source.length; i += 1) {
+        if (source[i] === '{') depth += 1;
+        if (source[i] === '}') {
+            depth -= 1;
+            if (depth === 0) return new Function(`return (${source.slice(start, i + 1)});`)();
+        }
+    }
+    throw new Error('Missing closing brace for the callModelForDiffs schema');
+}
+
+// One network read per event
+function sseResponse(chunks) {
+    const encoder = new TextEncoder();
+    const reads = [...chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`), 'data: [DONE]\n\n'];
+    const body = new ReadableStream({
+        pull(controller) {
+            if (reads.length === 0) {
+                controller.close();
+                return;
+            }
+            controller.enqueue(encoder.encode(reads.shift()));
+        }
+    });
+    return new Response(body);
+}
+
+async function run() {
+    assert.deepStrictEqual(
+        toJsonSchema({ type: 'ARRAY', items: { type: 'OBJECT', properties: { n: { type: 'INTEGER', nullable: true } }, required: ['n'] } }),
+        { type: 'array', items: { type: 'object', properties: { n: { type: ['integer', 'null'] } }, required: ['n'] } },
+        'Gemini schema types should become JSON Schema types'
+    );
+
+    const history = [
+        { role: 'user', parts: [{ text: 'Fix section 2' }] },
+        { role: 'model', parts: [{ text: 'Planning', thought: true }, { functionCall: { name: 'apply_redlines', args: { instruction: 'Fix 2' } } }, { functionCall: { name: 'insert_comment', args: {} } }] },
+        { role: 'user', parts: [
+            { functionResponse: { name: 'insert_comment', response: { name: 'insert_comment', content: [{ text: 'Added 1 comment' }] } } },
+            { functionResponse: { name: 'apply_redlines', response: { name: 'apply_redlines', content: [{ text: 'Applied 2 edits' }] } } }
+        ] }
+    ];
+    const messages = toOpenAiMessages(history, { parts: [{ text: 'Be precise.' }] });
+    assert.deepStrictEqual(messages.map(m => m.role), ['system', 'user', 'assistant', 'tool', 'tool']);
+    assert.strictEqual(messages[2].content, null, 'thought summaries should not be sent back as content');
+    assert.deepStrictEqual(messages[2].tool_calls.map(c => c.id), ['call_1_0', 'call_1_1'], 'calls without ids should get stable ids');
+    assert.strictEqual(messages[3].tool_call_id, 'call_1_1', 'responses should be matched to their call by name');
+    assert.strictEqual(messages[4].content, 'Applied 2 edits');
+
+    const body = toOpenAiRequest({
+        contents: history.slice(0, 1),
+        tools: [{ function_declarations: [{ name: 'apply_redlines', description: 'Edit', parameters: { type: 'OBJECT', properties: { instruction: { type: 'STRING' } } } }] }, { google_search: {} }],
+        generationConfig: { temperature: 0.1, maxOutputTokens: 48000, responseMimeType: 'application/json', responseSchema: { type: 'OBJECT' }, thinkingConfig: { includeThoughts: true } }
+    }, 'local-model', true);
+    assert.strictEqual(body.tools.length, 1, 'built-in Gemini tools should be dropped');
+    assert.strictEqual(body.tools[0].function.parameters.properties.instruction.type, 'string');
+    assert.deepStrictEqual(body.response_format, { type: 'json_schema', json_schema: { name: 'response', schema: { type: 'object' } } });
+    assert.strictEqual(body.max_tokens, undefined, 'the Gemini output budget should not be forwarded');
+    assert.strictEqual(body.stream, true);
+
+    const diffSchema = loadDiffResponseSchema();
+    assert.strictEqual(diffSchema.type, 'ARRAY');
+    const diffRequest = buildOpenAiHttpRequest({
+        contents: [{ parts: [{ text: 'Fix section 2' }] }],
+        generationConfig: { responseMimeType: 'application/json', responseSchema: diffSchema }
+    }, { provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, 'local-model', false);
+    const wrappedSchema = diffRequest.body.response_format.json_schema.schema;
+    assert.strictEqual(wrappedSchema.type, 'object', 'structured outputs need an object at the root');
+    assert.deepStrictEqual(wrappedSchema.required, ['items']);
+    assert.deepStrictEqual(wrappedSchema.properties.items, toJsonSchema(diffSchema), 'the array schema should be kept under items');
+    assert.strictEqual(diffRequest.unwrapSchema, true);
+    assert.strictEqual(body.response_format.json_schema.schema.type, 'object', 'object schemas should not be wrapped');
+    assert.strictEqual(buildOpenAiHttpRequest({ contents: [], generationConfig: { responseMimeType: 'application/json', responseSchema: { type: 'OBJECT' } } },
+        { provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, 'local-model', false).unwrapSchema, false);
+
+    const edits = [{ paragraphIndex: 2, operation: 'modify_text', originalText: '30 days', replacementText: '60 days' }];
+    const unwrapped = fromOpenAiResponse(
+        { choices: [{ message: { content: JSON.stringify({ items: edits }) }, finish_reason: 'stop' }] },
+        { unwrapSchema: diffRequest.unwrapSchema }
+    );
+    assert.deepStrictEqual(JSON.parse(getResponseText(unwrapped)), edits, 'the wrapped array should be returned as the schema describes it');
+    const streamedItems = await readOpenAiStream(sseResponse([
+        { choices: [{ delta: { content: '{"items":' } }] },
+        { choices: [{ delta: { content: `${JSON.stringify(edits)}}` }, finish_reason: 'stop' }] }
+    ]), null, { unwrapSchema: true });
+    assert.deepStrictEqual(JSON.parse(getResponseText(streamedItems)), edits, 'streamed wrapped responses should be unwrapped too');
+
+    const converted = fromOpenAiResponse({
+        choices: [{
+            message: { content: 'Done.', reasoning_content: 'Thinking it over', tool_calls: [{ id: 'abc', function: { name: 'apply_redlines', arguments: '{"instruction":"x"}' } }] },
+            finish_reason: 'tool_calls'
+        }]
+    });
+    const parts = converted.candidates[0].content.parts;
+    assert.deepStrictEqual(parts[0], { text: 'Thinking it over', thought: true }, 'reasoning should become a thought part');
+    assert.deepStrictEqual(parts[2], { functionCall: { id: 'abc', name: 'apply_redlines', args: { instruction: 'x' } } });
+    assert.strictEqual(converted.candidates[0].finishReason, 'STOP');
+    assert.strictEqual(getResponseText(converted), 'Done.', 'response text should skip thoughts');
+
+    const malformed = fromOpenAiResponse({ choices: [{ message: { tool_calls: [{ id: 'a', function: { name: 'edit_list', arguments: '{"bad' } }] }, finish_reason: 'tool_calls' }] });
+    assert.strictEqual(malformed.candidates[0].finishReason, 'MALFORMED_FUNCTION_CALL');
+    assert.strictEqual(malformed.candidates[0].content, undefined);
+
+    const updates = [];
+    const streamed = await readOpenAiStream(sseResponse([
+        { choices: [{ delta: { reasoning_content: 'Hmm. ' } }] },
+        { choices: [{ delta: { content: 'Sure' } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'insert_comment', arguments: '{"instr' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'uction":"Flag risks"}' } }] }, finish_reason: 'tool_calls' }] }
+    ]), partial => updates.push(partial.candidates[0].content.parts.filter(p => p.functionCall).length));
+    assert.deepStrictEqual(updates, [0, 0, 0, 1], 'incomplete tool call arguments should not be shown while streaming');
+    assert.deepStrictEqual(streamed.candidates[0].content.parts[2].functionCall.args, { instruction: 'Flag risks' });
+
+    const azure = buildOpenAiHttpRequest({ contents: [] }, { provider: 'azure', baseUrl: 'https://res.openai.azure.com/', apiKey: 'secret' }, 'gpt-4o', false);
+    assert.strictEqual(azure.url, 'https://res.openai.azure.com/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21');
+    assert.strictEqual(azure.headers['api-key'], 'secret');
+    const local = buildOpenAiHttpRequest({ contents: [] }, { provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, 'llama', false);
+    assert.strictEqual(local.url, 'http://localhost:8080/v1/chat/completions');
+    assert.strictEqual(local.headers.Authorization, undefined, 'no key should mean no Authorization header');
+
+    assert.strictEqual(isProviderConfigured({ provider: 'openai', baseUrl: 'http://localhost:8080/v1', apiKey: '' }), true, 'local servers do not need a key');
+    assert.strictEqual(isProviderConfigured({ provider: 'azure', baseUrl: 'https://res.openai.azure.com', apiKey: '' }), false);
+    assert.strictEqual(isProviderConfigured({ provider: 'gemini', apiKey: 'AIza' }), true);
+}
+
+run()
+    .then(() => console.log('PASS: openai adapter tests'))
+    .catch((error) => {
+        console.error('FAIL:', error?.message || error);
+        process.exit(1);
+    });
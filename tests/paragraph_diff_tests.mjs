@@ -0,0 +1,92 @@
+import './setup-xml-provider.mjs';
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractParagraphModel } from '../src/taskpane/modules/compare/paragraph-model.js';
+import {
+    alignParagraphs,
+    summarizeParagraphDiff,
+    buildRedlineChangesFromDiff
+} from '../src/taskpane/modules/compare/paragraph-diff.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DOC_PATH = path.join(__dirname, 'sample_doc/word/document.xml');
+
+function para(index, text, extra = {}) {
+    return { index, text, style: 'Normal', listLevel: -1, numId: null, table: null, ...extra };
+}
+
+function reindex(paragraphs) {
+    return paragraphs.map((p, i) => ({ ...p, index: i + 1 }));
+}
+
+async function run() {
+    const sampleOoxml = await fs.readFile(DOC_PATH, 'utf-8');
+    const model = extractParagraphModel(sampleOoxml);
+    assert.strictEqual(model[0].text, 'NON-DISCLOSURE AGREEMENT', 'model should start with the title paragraph');
+    assert.ok(model.some(p => p.listLevel === 1), 'model should capture nested list levels');
+    assert.ok(model.some(p => p.table && p.table.row > 0), 'model should capture table cell coordinates');
+    assert.deepStrictEqual(model.map(p => p.index), model.map((_, i) => i + 1), 'indices should be 1-based and contiguous');
+
+    const tracked = extractParagraphModel(
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+        + '<w:p><w:r><w:t>keep </w:t></w:r><w:del><w:r><w:delText>old</w:delText></w:r></w:del><w:ins><w:r><w:t>new</w:t></w:r></w:ins></w:p>'
+        + '</w:body></w:document>'
+    );
+    assert.strictEqual(tracked[0].text, 'keep new', 'paragraph text should reflect the accepted view');
+
+    const before = [
+        para(1, 'NON-DISCLOSURE AGREEMENT'),
+        para(2, 'The Receiving Party may retain one (1) copy.'),
+        para(3, 'Obsolete clause that is removed.'),
+        para(4, 'Term', { style: 'Heading2' }),
+        para(5, 'Item one', { listLevel: 0, numId: '1' })
+    ];
+    const after = reindex([
+        before[0],
+        { ...before[1], text: 'The Receiving Party may retain two (2) copies.' },
+        { ...before[3], style: 'Heading1' },
+        { ...before[4], listLevel: 1 },
+        para(0, 'A brand new closing paragraph.')
+    ]);
+
+    const entries = alignParagraphs(before, after);
+    assert.deepStrictEqual(
+        entries.map(e => e.type),
+        ['equal', 'modified', 'deleted', 'modified', 'modified', 'inserted'],
+        'alignment should pair edited paragraphs and isolate insertions/deletions'
+    );
+    assert.ok(entries[1].textChanged && entries[1].diff.some(d => d.type === 'insert'), 'text edits should carry a word diff');
+    assert.deepStrictEqual(entries[3].structuralChanges, [{ kind: 'style', from: 'Heading2', to: 'Heading1' }], 'style changes should be reported');
+    assert.deepStrictEqual(entries[4].structuralChanges, [{ kind: 'listLevel', from: 0, to: 1 }], 'list level changes should be reported');
+    assert.deepStrictEqual(summarizeParagraphDiff(entries), { equal: 1, modified: 3, inserted: 1, deleted: 1 });
+
+    const { changes, skipped } = buildRedlineChangesFromDiff(entries);
+    assert.strictEqual(skipped, 0, 'no change should be skipped outside tables');
+    assert.deepStrictEqual(changes, [
+        { paragraphIndex: 5, endParagraphIndex: 5, operation: 'replace_range', content: 'Item one\nA brand new closing paragraph.' },
+        { paragraphIndex: 3, endParagraphIndex: 3, operation: 'replace_range', content: '' },
+        { paragraphIndex: 2, operation: 'edit_paragraph', newContent: 'The Receiving Party may retain two (2) copies.' }
+    ], 'redline changes should be ordered bottom-up and skip formatting-only differences');
+
+    const leadingInsert = buildRedlineChangesFromDiff(alignParagraphs(before.slice(0, 1), reindex([para(0, 'Preamble'), before[0]])));
+    assert.deepStrictEqual(leadingInsert.changes, [
+        { paragraphIndex: 1, endParagraphIndex: 1, operation: 'replace_range', content: 'Preamble\nNON-DISCLOSURE AGREEMENT' }
+    ], 'insertions at the start should anchor to the next paragraph');
+
+    const table = { tableIndex: 0, row: 1, col: 0 };
+    const tableChanges = buildRedlineChangesFromDiff(alignParagraphs(
+        [para(1, 'Intro'), para(2, 'Cell text', { table })],
+        [para(1, 'Intro'), para(2, 'Cell text', { table }), para(3, 'Extra cell line', { table })]
+    ));
+    assert.deepStrictEqual([tableChanges.changes.length, tableChanges.skipped], [0, 1], 'table paragraph insertions should be skipped');
+}
+
+run()
+    .then(() => console.log('PASS: paragraph diff tests'))
+    .catch((error) => {
+        console.error('FAIL:', error?.message || error);
+        process.exit(1);
+    });
@@ -0,0 +1,79 @@
+import assert from 'assert';
+import {
+    buildPlanToolDeclaration,
+    buildPlanModeInstruction,
+    normalizePlanSteps,
+    formatPlanSummary,
+    formatPlanStepMessage,
+    getNextPlanStep,
+    classifyPlanStepOutcome,
+    summarizePlanProgress
+} from '../src/taskpane/modules/commands/plan-utils.js';
+
+const TOOL_NAMES = ['apply_redlines', 'edit_section', 'insert_comment'];
+
+function run() {
+    const declaration = buildPlanToolDeclaration(TOOL_NAMES);
+    assert.strictEqual(declaration.name, 'submit_plan');
+    assert.deepStrictEqual(declaration.parameters.properties.steps.items.properties.tool.enum, TOOL_NAMES);
+    assert.ok(buildPlanModeInstruction().includes('submit_plan'));
+
+    const steps = normalizePlanSteps([
+        { tool: 'edit_section', target: ' Section 4  Termination ', intent: 'Add a 30-day cure period.' },
+        { tool: 'delete_everything', intent: 'Tidy up the definitions.' },
+        { tool: 'apply_redlines', target: 'Recitals' },
+        null,
+        { tool: 'insert_comment', intent: '  Flag the uncapped indemnity\nfor review. ' }
+    ], TOOL_NAMES);
+    assert.deepStrictEqual(steps.map(step => step.id), ['s1', 's2', 's3'], 'steps without an intent are dropped');
+    assert.deepStrictEqual(steps[0], {
+        id: 's1',
+        tool: 'edit_section',
+        target: 'Section 4 Termination',
+        intent: 'Add a 30-day cure period.',
+        included: true,
+        status: 'pending',
+        checkpointId: -1
+    });
+    assert.strictEqual(steps[1].tool, '', 'unknown tools are cleared');
+    assert.strictEqual(steps[2].intent, 'Flag the uncapped indemnity for review.');
+    assert.strictEqual(normalizePlanSteps(Array.from({ length: 30 }, () => ({ intent: 'x' })), TOOL_NAMES).length, 20, 'plans are capped');
+    assert.deepStrictEqual(normalizePlanSteps(undefined, TOOL_NAMES), []);
+
+    assert.strictEqual(formatPlanSummary(steps), [
+        '1. [edit_section] Section 4 Termination: Add a 30-day cure period.',
+        '2. Tidy up the definitions.',
+        '3. [insert_comment] Flag the uncapped indemnity for review.'
+    ].join('\n'));
+
+    steps[1].included = false;
+    const message = formatPlanStepMessage(steps, 2, 'Restructure the termination provisions');
+    assert.ok(message.startsWith('Carry out step 2 of 2 of the approved plan for: "Restructure the termination provisions"'), 'left-out steps are not counted');
+    assert.ok(message.includes('Tool: `insert_comment`'));
+    assert.ok(!message.includes('Target:'), 'no target line without a target');
+
+    assert.strictEqual(getNextPlanStep(steps), 0);
+    steps[0].status = 'running';
+    assert.strictEqual(getNextPlanStep(steps), 2, 'running and left-out steps are passed over');
+    steps[0].status = 'done';
+    steps[2].status = 'cancelled';
+    assert.strictEqual(getNextPlanStep(steps), -1);
+
+    assert.strictEqual(classifyPlanStepOutcome([{ success: false }, { success: true }]), 'done');
+    assert.strictEqual(classifyPlanStepOutcome([{ success: false }]), 'failed');
+    assert.strictEqual(classifyPlanStepOutcome([]), 'no_changes');
+    assert.strictEqual(classifyPlanStepOutcome(null), 'no_changes');
+    assert.strictEqual(classifyPlanStepOutcome([], 'error'), 'failed', 'a request that errored is not "no changes"');
+    assert.strictEqual(classifyPlanStepOutcome([{ success: true }], 'error'), 'failed');
+    assert.strictEqual(classifyPlanStepOutcome([{ success: true }], 'ok'), 'done');
+
+    assert.deepStrictEqual(summarizePlanProgress(steps), { total: 3, done: 1, noChanges: 0, failed: 0, skipped: 2, pending: 0 });
+}
+
+try {
+    run();
+    console.log('PASS: plan utils tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
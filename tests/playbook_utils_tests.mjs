@@ -0,0 +1,62 @@
+import assert from 'assert';
+import {
+    normalizePlaybook,
+    formatPlaybookForPrompt,
+    normalizePlaybookReview,
+    needsPlaybookAction,
+    summarizePlaybookReview,
+    formatPlaybookComment,
+    buildPlaybookRedlineChanges
+} from '../src/taskpane/modules/commands/playbook-utils.js';
+
+function run() {
+    const playbook = normalizePlaybook([
+        { id: 'pb1', clauseType: ' Limitation of Liability ', preferred: 'Cap at 12 months of fees', fallbacks: 'Cap at 24 months', redLines: 'Uncapped liability' },
+        { id: 'pb2', clauseType: 'Governing Law', preferred: 'New York' },
+        { id: 'pb3', clauseType: '   ' },
+        { id: 'pb4', clauseType: 'Non-Solicitation' },
+        { id: 'pb5', clauseType: 'Term' }
+    ]);
+    assert.deepStrictEqual(playbook.map(entry => entry.clauseType), ['Limitation of Liability', 'Governing Law', 'Non-Solicitation', 'Term'], 'entries without a clause type are dropped');
+    assert.strictEqual(playbook[1].fallbacks, '');
+
+    const prompt = formatPlaybookForPrompt(playbook);
+    assert.ok(prompt.includes('Clause ID "pb1": Limitation of Liability'));
+    assert.ok(prompt.includes('  Red lines (never acceptable): Uncapped liability'));
+    assert.ok(prompt.includes('  Acceptable fallbacks: (none)'));
+
+    const rows = normalizePlaybookReview([
+        { clauseId: 'pb1', status: 'red_line', paragraphIndices: [14, 12, 12, 99], summary: 'Liability is uncapped.', comment: 'Insert a 12-month cap.', anchorText: 'shall be liable', proposedText: 'Liability is capped at fees paid in the prior 12 months.' },
+        { clauseId: 'pb2', status: 'standard', paragraphIndices: [30], summary: 'New York law.', proposedText: 'ignored' },
+        { clauseId: 'pb4', status: 'Red Line', paragraphIndices: [], summary: 'Not present.' },
+        { clauseId: 'unknown', status: 'deviation', paragraphIndices: [2] }
+    ], playbook, 40);
+
+    assert.strictEqual(rows.length, 4, 'one row per playbook entry');
+    assert.deepStrictEqual(rows[0].paragraphIndices, [12, 14], 'indices are deduplicated, sorted and range-checked');
+    assert.strictEqual(rows[0].status, 'red_line');
+    assert.strictEqual(rows[1].proposedText, '', 'clauses that meet the playbook keep no proposal');
+    assert.strictEqual(rows[2].status, 'missing', 'a clause without paragraphs is missing');
+    assert.strictEqual(rows[3].status, 'missing', 'entries the model left out are missing');
+    assert.strictEqual(rows[3].summary, 'Not found in the document.');
+
+    assert.deepStrictEqual(rows.map(needsPlaybookAction), [true, false, false, false]);
+    assert.deepStrictEqual(summarizePlaybookReview(rows), { standard: 1, fallback: 0, deviation: 0, red_line: 1, missing: 2 });
+    assert.strictEqual(formatPlaybookComment(rows[0]), 'Playbook – Limitation of Liability crosses a red line. Insert a 12-month cap.');
+
+    const deviation = { ...rows[0], clauseType: 'Term', status: 'deviation', paragraphIndices: [12], proposedText: 'Second rewrite' };
+    const noProposal = { ...rows[0], paragraphIndices: [20], proposedText: '' };
+    const { changes, skipped } = buildPlaybookRedlineChanges([rows[0], noProposal, deviation, rows[1]]);
+    assert.deepStrictEqual(changes, [
+        { paragraphIndex: 12, operation: 'edit_paragraph', newContent: 'Liability is capped at fees paid in the prior 12 months.' }
+    ]);
+    assert.strictEqual(skipped, 2, 'a missing proposal and a second rewrite of the same paragraph are skipped');
+}
+
+try {
+    run();
+    console.log('PASS: playbook utils tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,77 @@
+import assert from 'assert';
+import {
+    normalizePreset,
+    serializePresets,
+    parsePresetsFile,
+    mergePresets,
+    findMatchingPreset
+} from '../src/taskpane/modules/commands/preset-utils.js';
+
+function run() {
+    const nda = normalizePreset({
+        name: ' NDA review ',
+        glance: [
+            { id: 'q1', title: 'Term', question: 'How long does confidentiality last?', autoRun: true },
+            { id: 'q1', question: 'Is there a non-solicit?' }
+        ],
+        systemMessage: 'You review NDAs for the buyer.\n',
+        redline: { author: 'Acme Legal' }
+    });
+    assert.strictEqual(nda.name, 'NDA review');
+    assert.deepStrictEqual(nda.glance.map(item => item.id), ['q1', 'q2'], 'repeated question ids are replaced');
+    assert.strictEqual(nda.glance[1].title, 'Question 2');
+    assert.deepStrictEqual(nda.redline, { enabled: true, reviewEnabled: false, author: 'Acme Legal' });
+
+    assert.throws(() => normalizePreset({ glance: [] }, 3), /Preset 3 has no name/);
+    assert.throws(() => normalizePreset({ name: 'X' }), /no list of Glance questions/);
+    assert.throws(() => normalizePreset({ name: 'X', glance: [{ title: 'Empty' }] }), /Glance question \(1\) without text/);
+    assert.throws(() => normalizePreset({ name: 'X', glance: [], systemMessage: 42 }), /system message that is not text/);
+
+    const placeholders = normalizePreset({
+        name: 'Lease <draft>',
+        glance: [{ id: 'x" onmouseover="alert(1)', title: 'a<b and c>d', question: 'Is the <Effective Date> placeholder filled in?' }]
+    });
+    assert.strictEqual(placeholders.name, 'Lease <draft>', 'text is kept as written; it is escaped where shown');
+    assert.deepStrictEqual(placeholders.glance, [{ id: 'q1', title: 'a<b and c>d', question: 'Is the <Effective Date> placeholder filled in?', autoRun: false }]);
+    assert.throws(() => normalizePreset({ name: 'X', glance: [{ title: 7, question: 'Q?' }] }), /Glance question \(1\) title that is not text/);
+    assert.throws(() => normalizePreset({ name: 'X', glance: [{ title: 'x'.repeat(81), question: 'Q?' }] }), /title longer than 80 characters/);
+    assert.throws(() => normalizePreset({ name: 'X', glance: [{ question: 'x'.repeat(2001) }] }), /Glance question \(1\) longer than 2000 characters/);
+    assert.throws(() => normalizePreset({ name: 'X', glance: [], redline: { author: ['Jane'] } }), /redline author that is not text/);
+
+    const employment = normalizePreset({ name: 'Employment agreement', glance: [], redline: { enabled: false } });
+    const file = serializePresets([nda, employment], '2026-01-01T00:00:00.000Z');
+    assert.deepStrictEqual(parsePresetsFile(file), [nda, employment], 'an export imports unchanged');
+
+    assert.throws(() => parsePresetsFile('{not json'), /not valid JSON/);
+    assert.throws(() => parsePresetsFile(JSON.stringify({ presets: [] })), /not a presets export/);
+    const data = JSON.parse(file);
+    assert.throws(() => parsePresetsFile(JSON.stringify({ ...data, version: 2 })), /newer format \(version 2\)/);
+    assert.throws(() => parsePresetsFile(JSON.stringify({ ...data, version: 'one' })), /no valid version/);
+    assert.throws(() => parsePresetsFile(JSON.stringify({ ...data, presets: [] })), /contains no presets/);
+    assert.throws(() => parsePresetsFile(JSON.stringify({ ...data, presets: [nda, { ...nda, name: 'nda REVIEW' }] })), /Preset 2 repeats the name/);
+
+    const updated = { ...nda, name: 'nda review', systemMessage: 'Updated.' };
+    const merged = mergePresets([nda, employment], [updated, { ...employment, name: 'Lease' }]);
+    assert.deepStrictEqual(merged.presets.map(p => p.name), ['nda review', 'Employment agreement', 'Lease'], 'a preset of the same name is replaced in place');
+    assert.deepStrictEqual([merged.added, merged.replaced], [1, 1]);
+
+    const current = {
+        glance: [
+            { id: 'q17', title: 'Term ', question: 'How long does confidentiality last?', autoRun: true },
+            { id: 'q18', title: 'Question 2', question: 'Is there a non-solicit?' }
+        ],
+        systemMessage: 'You review NDAs for the buyer.',
+        redline: { enabled: true, reviewEnabled: false, author: 'Acme Legal' }
+    };
+    assert.strictEqual(findMatchingPreset([employment, nda], current), nda, 'ids and whitespace are ignored');
+    assert.strictEqual(findMatchingPreset([nda], { ...current, redline: { ...current.redline, reviewEnabled: true } }), null);
+    assert.strictEqual(findMatchingPreset([employment], { glance: [], systemMessage: '', redline: { enabled: false, author: 'Jane Doe' } }), employment, 'a preset without an author matches any author');
+}
+
+try {
+    run();
+    console.log('PASS: preset utils tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,61 @@
+import './setup-xml-provider.mjs';
+import assert from 'assert';
+import {
+    parseParagraphRevisionSegments,
+    hasRevisionSegments,
+    formatRevisionMarkup
+} from '../src/taskpane/modules/commands/revision-markup-utils.js';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+function packageWith(paragraphXml) {
+    return `<pkg:package xmlns:pkg="http://schemas.microsoft.com/office/2006/xmlPackage">`
+        + `<pkg:part pkg:name="/word/document.xml"><pkg:xmlData>`
+        + `<w:document xmlns:w="${W_NS}"><w:body>${paragraphXml}<w:p/><w:sectPr/></w:body></w:document>`
+        + `</pkg:xmlData></pkg:part></pkg:package>`;
+}
+
+function run() {
+    const revised = packageWith(
+        '<w:p><w:pPr><w:rPr><w:ins w:id="9" w:author="Ignored" w:date="2026-01-01T00:00:00Z"/></w:rPr></w:pPr>'
+        + '<w:r><w:t xml:space="preserve">Fees are payable within </w:t></w:r>'
+        + '<w:del w:id="1" w:author="A. Smith" w:date="2026-03-01T09:30:00Z"><w:r><w:delText>30</w:delText></w:r></w:del>'
+        + '<w:ins w:id="2" w:author="A. Smith" w:date="2026-03-01T09:30:00Z"><w:r><w:t>60</w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve"> business</w:t></w:r></w:ins>'
+        + '<w:r><w:t xml:space="preserve"> days</w:t></w:r><w:r><w:tab/><w:t>of invoice.</w:t></w:r>'
+        + '<w:r><w:instrText> PAGE </w:instrText></w:r>'
+        + '</w:p>'
+    );
+
+    const segments = parseParagraphRevisionSegments(revised);
+    assert.deepStrictEqual(segments.map(s => s.type), ['text', 'deleted', 'inserted', 'text'], 'runs of one revision should merge');
+    assert.strictEqual(segments[1].author, 'A. Smith');
+    assert.strictEqual(segments[1].date, '2026-03-01', 'dates should be shortened to the day');
+    assert.strictEqual(segments[2].text, '60 business', 'formatting inside a revision should not split it');
+    assert.strictEqual(segments[3].text, ' days\tof invoice.', 'tabs should be kept and field codes dropped');
+    assert.ok(hasRevisionSegments(segments));
+
+    assert.strictEqual(
+        formatRevisionMarkup(segments),
+        'Fees are payable within <del by="A. Smith" date="2026-03-01">30</del>'
+        + '<ins by="A. Smith" date="2026-03-01">60 business</ins> days\tof invoice.'
+    );
+
+    const plain = parseParagraphRevisionSegments(packageWith('<w:p><w:r><w:t>Clean text</w:t></w:r></w:p>'));
+    assert.deepStrictEqual(plain, [{ type: 'text', text: 'Clean text', author: '', date: '' }]);
+    assert.strictEqual(hasRevisionSegments(plain), false, 'a paragraph-mark-only revision is not a text revision');
+
+    assert.strictEqual(
+        formatRevisionMarkup([{ type: 'inserted', text: 'x', author: 'O"Brien', date: '' }]),
+        '<ins by="O&quot;Brien">x</ins>',
+        'attributes should be escaped and an empty date omitted'
+    );
+    assert.deepStrictEqual(parseParagraphRevisionSegments(''), [], 'missing OOXML should yield no segments');
+}
+
+try {
+    run();
+    console.log('PASS: revision markup tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,63 @@
+import assert from 'assert';
+import {
+    paragraphIntersectsSelection,
+    createParagraphScope,
+    isParagraphInScope,
+    describeParagraphScope,
+    checkToolCallScope
+} from '../src/taskpane/modules/commands/selection-scope-utils.js';
+import { isOutsideParagraphScope } from '../src/taskpane/modules/docx-redline-js-integration/word-redline-runner.js';
+
+function run() {
+    assert.strictEqual(paragraphIntersectsSelection('Inside'), true);
+    assert.strictEqual(paragraphIntersectsSelection('Contains'), true, 'a cursor inside a paragraph touches it');
+    assert.strictEqual(paragraphIntersectsSelection('AdjacentBefore'), false);
+
+    const scope = createParagraphScope(['Before', 'AdjacentBefore', 'OverlapsBefore', 'Inside', 'OverlapsAfter', 'After']);
+    assert.deepStrictEqual(scope, { startParagraphIndex: 3, endParagraphIndex: 5 });
+    assert.strictEqual(createParagraphScope(['Before', 'After']), null, 'no intersecting paragraph means no scope');
+    assert.strictEqual(describeParagraphScope(scope), 'P3-P5');
+    assert.strictEqual(describeParagraphScope({ startParagraphIndex: 4, endParagraphIndex: 4 }), 'P4');
+
+    assert.strictEqual(isParagraphInScope(scope, 3), true);
+    assert.strictEqual(isParagraphInScope(scope, 6), false);
+    assert.strictEqual(isParagraphInScope(scope, undefined), false);
+    assert.strictEqual(isParagraphInScope(null, 99), true, 'without a scope every paragraph is allowed');
+
+    assert.strictEqual(checkToolCallScope('edit_table', { paragraphIndex: 9 }, null).allowed, true);
+    assert.strictEqual(checkToolCallScope('perform_research', { instruction: 'x' }, scope).allowed, true);
+    assert.strictEqual(checkToolCallScope('edit_list', { startParagraphIndex: 3, endParagraphIndex: 5 }, scope).allowed, true);
+
+    const rejected = checkToolCallScope('edit_list', { startParagraphIndex: 3, endParagraphIndex: 7 }, scope);
+    assert.strictEqual(rejected.allowed, false);
+    assert.ok(rejected.reason.startsWith('Error: Selection-only mode is on, so only P3-P5 may be changed'), rejected.reason);
+
+    assert.strictEqual(checkToolCallScope('insert_list_item', { afterParagraphIndex: 1 }, scope).allowed, false);
+    assert.strictEqual(checkToolCallScope('insert_library_clause', { paragraphIndex: 4 }, scope).allowed, true);
+    assert.strictEqual(checkToolCallScope('convert_headers_to_list', { paragraphIndices: [3, 6] }, scope).allowed, false);
+    assert.strictEqual(checkToolCallScope('edit_section', { sectionNumber: '2' }, scope).allowed, false);
+
+    const narrowed = checkToolCallScope('manage_tracked_changes', { action: 'accept' }, scope);
+    assert.strictEqual(narrowed.allowed, true);
+    assert.deepStrictEqual(narrowed.args, { action: 'accept', startParagraphIndex: 3, endParagraphIndex: 5 });
+    assert.deepStrictEqual(
+        checkToolCallScope('manage_tracked_changes', { action: 'reject', startParagraphIndex: 1, endParagraphIndex: 4 }, scope).args,
+        { action: 'reject', startParagraphIndex: 3, endParagraphIndex: 4 }
+    );
+    assert.strictEqual(checkToolCallScope('manage_tracked_changes', { action: 'accept', startParagraphIndex: 7, endParagraphIndex: 9 }, scope).allowed, false);
+    assert.strictEqual(checkToolCallScope('manage_tracked_changes', { action: 'list', sectionNumber: '4' }, scope).allowed, true);
+
+    // The mutation layer works with 0-based indices
+    assert.strictEqual(isOutsideParagraphScope(scope, 2), false);
+    assert.strictEqual(isOutsideParagraphScope(scope, 2, 5), true, 'a range ending past the scope is rejected');
+    assert.strictEqual(isOutsideParagraphScope(scope, 1), true);
+    assert.strictEqual(isOutsideParagraphScope(null, 40), false);
+}
+
+try {
+    run();
+    console.log('PASS: selection scope tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
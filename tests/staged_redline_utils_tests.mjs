@@ -0,0 +1,93 @@
+import assert from 'assert';
+import {
+    buildStagedRedlineChanges,
+    diffParagraphText,
+    resolveStagedChangeText,
+    selectApprovedChanges
+} from '../src/taskpane/modules/commands/staged-redline-utils.js';
+
+const paragraphs = [
+    'NON-DISCLOSURE AGREEMENT',
+    'The Receiving Party may retain one (1) copy for compliance.',
+    'Confidential Information excludes public information.'
+];
+
+function run() {
+    assert.deepStrictEqual(
+        resolveStagedChangeText({ paragraphIndex: 2, operation: 'modify_text', originalText: 'one (1) copy', replacementText: 'two (2) copies' }, paragraphs),
+        {
+            startParagraph: 2,
+            endParagraph: 2,
+            beforeText: paragraphs[1],
+            afterText: 'The Receiving Party may retain two (2) copies for compliance.'
+        },
+        'modify_text should preview the snippet replacement within its paragraph'
+    );
+
+    assert.strictEqual(
+        resolveStagedChangeText({ paragraphIndex: 2, operation: 'modify_text', originalText: 'three copies', replacementText: 'x' }, paragraphs).afterText,
+        null,
+        'modify_text with a missing snippet should not be previewable'
+    );
+
+    assert.strictEqual(
+        resolveStagedChangeText({ paragraphIndex: 1, operation: 'replace_paragraph', content: '# MUTUAL NDA' }, paragraphs).afterText,
+        '# MUTUAL NDA',
+        'replace_paragraph should preview the replacement content'
+    );
+
+    assert.strictEqual(
+        resolveStagedChangeText({ paragraphIndex: 9, operation: 'edit_paragraph', newContent: 'x' }, paragraphs).afterText,
+        null,
+        'out-of-range paragraphs should not be previewable'
+    );
+
+    const range = resolveStagedChangeText({ paragraphIndex: 2, endParagraphIndex: 3, operation: 'replace_range', content: 'Merged.' }, paragraphs);
+    assert.strictEqual(range.beforeText, `${paragraphs[1]}\n${paragraphs[2]}`, 'replace_range should join the covered paragraphs');
+
+    const insertion = resolveStagedChangeText({ paragraphIndex: 2, endParagraphIndex: 1, operation: 'replace_range', content: 'New clause.' }, paragraphs);
+    assert.deepStrictEqual(
+        [insertion.beforeText, insertion.afterText],
+        ['', 'New clause.'],
+        'replace_range with end = start - 1 should preview as a pure insertion'
+    );
+
+    assert.deepStrictEqual(
+        diffParagraphText('one (1) copy', 'two (2) copies'),
+        [
+            { type: 'delete', text: 'one (1) copy' },
+            { type: 'insert', text: 'two (2) copies' }
+        ],
+        'diff should be semantically cleaned into whole-phrase edits'
+    );
+
+    const staged = buildStagedRedlineChanges([
+        { paragraphIndex: 1, operation: 'edit_paragraph', newContent: 'MUTUAL NON-DISCLOSURE AGREEMENT' },
+        { paragraphIndex: 3, operation: 'edit_paragraph', newContent: paragraphs[2].replace('public', 'publicly available') }
+    ], paragraphs);
+    assert.deepStrictEqual(staged.map(s => s.id), [0, 1], 'staged ids should follow proposal order');
+    assert.ok(staged[0].diff.some(part => part.type === 'insert' && part.text.includes('MUTUAL')), 'staged change should carry its diff');
+
+    const footerChange = buildStagedRedlineChanges(
+        [{ story: 'f1', paragraphIndex: 1, operation: 'modify_text', originalText: '2025', replacementText: '2026' }],
+        paragraphs,
+        { F1: ['Confidential - Acme Corp 2025'] }
+    )[0];
+    assert.strictEqual(footerChange.story, 'F1', 'story ids should be normalized');
+    assert.strictEqual(footerChange.afterText, 'Confidential - Acme Corp 2026', 'story changes should resolve against the story text');
+
+    assert.deepStrictEqual(
+        selectApprovedChanges(staged, [1]),
+        [staged[1].change],
+        'only approved changes should be returned'
+    );
+    assert.deepStrictEqual(selectApprovedChanges(staged, []), [], 'dropping every change should return an empty list');
+}
+
+try {
+    run();
+    console.log('PASS: staged redline review tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}
@@ -0,0 +1,114 @@
+import assert from 'assert';
+import {
+    normalizeTrackedChangeFilter,
+    resolveSectionParagraphIndices,
+    matchesTrackedChangeFilter,
+    findCrossParagraphCandidates,
+    isSameRevisionLocation,
+    collectParagraphTrackedChanges,
+    formatTrackedChangeList
+} from '../src/taskpane/modules/commands/tracked-change-utils.js';
+
+const enhancedParagraphs = [
+    { index: 1, section: null, subSection: null },
+    { index: 2, section: '1', subSection: null },
+    { index: 3, section: '1', subSection: null },
+    { index: 4, section: '2', subSection: null },
+    { index: 5, section: '2', subSection: '2.1' },
+    { index: 6, section: '2', subSection: '2.1' },
+    { index: 7, section: '3', subSection: null }
+];
+
+function run() {
+    const filter = normalizeTrackedChangeFilter({
+        author: '  Gemini AI ',
+        startParagraphIndex: 9,
+        endParagraphIndex: 4,
+        sectionNumber: '§2.',
+        changeTypes: ['insertion', 'Formatting', 'bogus']
+    });
+    assert.strictEqual(filter.author, 'Gemini AI', 'author should be trimmed');
+    assert.deepStrictEqual([filter.startParagraph, filter.endParagraph], [4, 9], 'reversed ranges should be swapped');
+    assert.strictEqual(filter.sectionNumber, '2', 'section markers and trailing dots should be stripped');
+    assert.deepStrictEqual([...filter.changeTypes].sort(), ['added', 'formatted'], 'change types should map to Word types');
+
+    const single = normalizeTrackedChangeFilter({ startParagraphIndex: 5 });
+    assert.deepStrictEqual([single.startParagraph, single.endParagraph], [5, 5], 'a lone start index should target one paragraph');
+    assert.strictEqual(normalizeTrackedChangeFilter({}).changeTypes, null, 'no change types should match all types');
+
+    assert.deepStrictEqual(resolveSectionParagraphIndices(enhancedParagraphs, '2'), [4, 5, 6], 'a section should include its subsections');
+    assert.deepStrictEqual(resolveSectionParagraphIndices(enhancedParagraphs, '2.1'), [5, 6], 'a subsection should only include itself');
+    assert.deepStrictEqual(resolveSectionParagraphIndices(enhancedParagraphs, '9'), [], 'unknown sections should resolve to nothing');
+
+    const sectionTwo = new Set(resolveSectionParagraphIndices(enhancedParagraphs, '2'));
+    const byAuthorInSection = normalizeTrackedChangeFilter({ author: 'gemini ai', sectionNumber: '2' });
+    assert.ok(
+        matchesTrackedChangeFilter({ type: 'Deleted', author: 'Gemini AI', paragraphIndex: 5 }, byAuthorInSection, sectionTwo),
+        'author match should be case-insensitive'
+    );
+    assert.ok(
+        !matchesTrackedChangeFilter({ type: 'Deleted', author: 'Jane Doe', paragraphIndex: 5 }, byAuthorInSection, sectionTwo),
+        'other authors should not match'
+    );
+    assert.ok(
+        !matchesTrackedChangeFilter({ type: 'Added', author: 'Gemini AI', paragraphIndex: 7 }, byAuthorInSection, sectionTwo),
+        'changes outside the section should not match'
+    );
+    assert.ok(
+        !matchesTrackedChangeFilter({ type: 'Deleted', author: 'Gemini AI', paragraphIndex: 5 }, normalizeTrackedChangeFilter({ changeTypes: ['formatting'] })),
+        'change type filter should exclude other types'
+    );
+
+    // A revision that spans a paragraph mark is reported by both paragraphs, with the same text
+    const spanning = { type: 'Deleted', author: 'Jane Doe', date: '2026-03-01', text: 'end of 2\nstart of 3' };
+    const spanningRepeat = { ...spanning };
+    const added = { type: 'Added', author: 'Jane Doe', date: '2026-03-01', text: 'new' };
+    const scanned = [
+        { paragraphIndex: 2, items: [spanning] },
+        { paragraphIndex: 3, items: [spanningRepeat, added] }
+    ];
+    const candidates = findCrossParagraphCandidates(scanned);
+    assert.strictEqual(candidates.length, 1, 'only revisions holding a paragraph break are candidates');
+    assert.strictEqual(candidates[0].trackedChange, spanningRepeat);
+    assert.strictEqual(candidates[0].previous, spanning);
+
+    // Word reports the same range for both; compareLocationWith tells it apart from a look-alike
+    assert.strictEqual(isSameRevisionLocation('Equal'), true);
+    assert.strictEqual(isSameRevisionLocation('OverlapsAfter'), true);
+    assert.strictEqual(isSameRevisionLocation('AdjacentAfter'), false);
+    assert.strictEqual(isSameRevisionLocation('After'), false);
+
+    const collected = collectParagraphTrackedChanges(scanned, new Set([spanningRepeat]));
+    assert.deepStrictEqual(
+        collected.map(change => `${change.paragraphIndex}:${change.type}`),
+        ['2:Deleted', '3:Added'],
+        'a revision spanning a paragraph mark should be kept once, at its first paragraph'
+    );
+    assert.strictEqual(collected[0].trackedChange, spanning, 'the Word object should be kept for accept/reject');
+    assert.strictEqual(collectParagraphTrackedChanges(scanned).length, 3, 'nothing is dropped without a range check');
+
+    const identical = [
+        { paragraphIndex: 5, items: [{ type: 'Deleted', author: 'Jane Doe', date: '2026-03-01', text: 'the' }] },
+        { paragraphIndex: 6, items: [{ type: 'Deleted', author: 'Jane Doe', date: '2026-03-01', text: 'the' }] }
+    ];
+    assert.deepStrictEqual(findCrossParagraphCandidates(identical), [], 'identical revisions within paragraphs are separate changes');
+    assert.deepStrictEqual(collectParagraphTrackedChanges(identical).map(change => change.paragraphIndex), [5, 6]);
+
+    const listing = formatTrackedChangeList([
+        { type: 'Deleted', author: 'Gemini AI', paragraphIndex: 4, text: 'one (1)\ncopy' },
+        { type: 'Formatted', author: 'Jane Doe', paragraphIndex: 6, text: '' }
+    ], 1);
+    assert.strictEqual(
+        listing,
+        '[P4] Deletion by Gemini AI: "one (1) copy"\n...and 1 more.',
+        'listing should be compact and capped'
+    );
+}
+
+try {
+    run();
+    console.log('PASS: tracked change filter tests');
+} catch (error) {
+    console.error('FAIL:', error?.message || error);
+    process.exit(1);
+}